@@ -0,0 +1,129 @@
+// San Claudio - Achievements
+// Milestones declared as data below and tracked from game.stats and the event bus.
+// Unlocks (and progress on counted events) are saved with the game. Nothing is earned
+// during a mission replay, since everything a replay does is rolled back afterwards.
+
+// Each achievement is one of:
+//   stat + target                unlocks once game.stats[stat] reaches target
+//   event [+ where] [+ count]    unlocks after `count` (default 1) events whose payload has
+//                                every field in `where` (see GAME_EVENTS in events.js)
+// `secret` ones show as "???" in the list until they're earned.
+export const ACHIEVEMENTS = [
+    // Story
+    { id: 'first_job', group: 'Story', name: 'Fresh Off the Bus', description: 'Complete your first story mission', event: 'mission:complete' },
+    { id: 'big_score', group: 'Story', name: 'The Big Score', description: 'Pull off The San Claudio Job', event: 'mission:complete', where: { missionId: 13 } },
+    { id: 'story_done', group: 'Story', name: 'King of San Claudio', description: 'Finish the story', event: 'mission:complete', where: { missionId: 15 } },
+
+    // Mayhem
+    { id: 'kills_50', group: 'Mayhem', name: 'Body Count', description: 'Kill 50 people', stat: 'totalKills', target: 50 },
+    { id: 'kills_500', group: 'Mayhem', name: 'Walking Disaster', description: 'Kill 500 people', stat: 'totalKills', target: 500 },
+    { id: 'carjack_25', group: 'Mayhem', name: 'Grand Theft Habit', description: 'Carjack 25 vehicles', stat: 'vehiclesStolen', target: 25 },
+    { id: 'five_stars', group: 'Mayhem', name: 'Public Enemy', description: 'Reach a 5-star wanted level', stat: 'maxWantedSurvived', target: 5 },
+    { id: 'escape_5', group: 'Mayhem', name: 'Most Wanted', description: 'Lose a 5-star wanted level', event: 'wanted:escaped', where: { level: 5 } },
+
+    // Getting Around
+    { id: 'walk_10k', group: 'Getting Around', name: 'Shoe Leather', description: 'Walk 10 km', stat: 'distanceWalked', target: 10000 },
+    { id: 'drive_100k', group: 'Getting Around', name: 'Road Warrior', description: 'Drive 100 km', stat: 'distanceDriven', target: 100000 },
+    { id: 'stunts_all', group: 'Getting Around', name: 'Airtime', description: 'Complete all 10 stunt jumps', stat: 'stuntJumpsCompleted', target: 10 },
+    { id: 'collector', group: 'Getting Around', name: 'Full Garage', description: 'Collect all 5 vehicle types', stat: 'vehiclesCollected', target: 5 },
+
+    // Odd Jobs
+    { id: 'side_10', group: 'Odd Jobs', name: 'Jack of All Trades', description: 'Complete 10 side jobs', stat: 'sideMissionsComplete', target: 10 },
+    { id: 'generated_25', group: 'Odd Jobs', name: 'Never Off the Clock', description: 'Complete 25 generated side jobs', event: 'sidejob:complete', where: { generated: true }, count: 25 },
+    { id: 'strangers_10', group: 'Odd Jobs', name: 'People Person', description: 'Complete 10 Strangers & Freaks stages', stat: 'strangersComplete', target: 10 },
+
+    // Collectibles
+    { id: 'packages_20', group: 'Collectibles', name: 'Finders Keepers', description: 'Find all 20 hidden packages', stat: 'hiddenPackagesFound', target: 20 },
+    { id: 'properties_5', group: 'Collectibles', name: 'Landlord', description: 'Own all 5 properties', stat: 'propertiesOwned', target: 5 },
+
+    // Secret
+    { id: 'wasted_10', group: 'Secret', name: 'Frequent Flyer', description: 'Get wasted 10 times', event: 'player:died', count: 10, secret: true },
+    { id: 'spray_escape', group: 'Secret', name: 'Fresh Coat', description: 'Lose the cops at a Pay N Spray', event: 'wanted:escaped', where: { method: 'spray' }, secret: true },
+    { id: 'local', group: 'Secret', name: 'Local Resident', description: 'Spend 10 hours in San Claudio', stat: 'playtime', target: 36000, secret: true }
+];
+
+const STAT_CHECK_INTERVAL = 1; // Seconds; distances and playtime change every frame
+
+export class AchievementManager {
+    constructor(game) {
+        this.game = game;
+        this.unlocked = {}; // id -> unlock timestamp (ms)
+        this.progress = {}; // id -> events counted so far, for `count` achievements
+        this._statTimer = 0;
+    }
+
+    init() {
+        // One listener per event type that any achievement watches
+        const byEvent = {};
+        for (const def of ACHIEVEMENTS.filter(a => a.event)) {
+            (byEvent[def.event] = byEvent[def.event] || []).push(def);
+        }
+        for (const [type, defs] of Object.entries(byEvent)) {
+            this.game.events.on(type, (payload) => this._onEvent(defs, payload));
+        }
+    }
+
+    update(dt) {
+        this._statTimer -= dt;
+        if (this._statTimer > 0) return;
+        this._statTimer = STAT_CHECK_INTERVAL;
+        if (this.game.systems.replay.active) return;
+
+        for (const def of ACHIEVEMENTS) {
+            if (def.stat && !this.unlocked[def.id] && (this.game.stats[def.stat] || 0) >= def.target) {
+                this.unlock(def.id);
+            }
+        }
+    }
+
+    _onEvent(defs, payload) {
+        if (this.game.systems.replay.active) return;
+
+        for (const def of defs) {
+            if (this.unlocked[def.id]) continue;
+            if (def.where && !Object.entries(def.where).every(([key, val]) => payload[key] === val)) continue;
+
+            const count = (this.progress[def.id] || 0) + 1;
+            if (count >= (def.count || 1)) {
+                delete this.progress[def.id];
+                this.unlock(def.id);
+            } else {
+                this.progress[def.id] = count;
+            }
+        }
+    }
+
+    unlock(id) {
+        const def = ACHIEVEMENTS.find(a => a.id === id);
+        if (!def || this.unlocked[id]) return false;
+        this.unlocked[id] = Date.now();
+        this.game.systems.ui.showAchievementToast(def);
+        this.game.systems.audio.playPickup();
+        return true;
+    }
+
+    // Where an achievement stands, for the list: { current, target } or null for one-off events
+    getProgress(def) {
+        if (def.stat) {
+            return { current: Math.min(def.target, Math.floor(this.game.stats[def.stat] || 0)), target: def.target };
+        }
+        if (def.count) {
+            return { current: this.progress[def.id] || 0, target: def.count };
+        }
+        return null;
+    }
+
+    unlockedCount() {
+        return ACHIEVEMENTS.filter(a => this.unlocked[a.id]).length;
+    }
+
+    // --- Save/load ---
+    serialize() {
+        return { unlocked: { ...this.unlocked }, progress: { ...this.progress } };
+    }
+
+    deserialize(data) {
+        this.unlocked = { ...data.unlocked };
+        this.progress = { ...data.progress };
+    }
+}
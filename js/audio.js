@@ -26,6 +26,10 @@ export class AudioManager {
 
     init() {
         // AudioContext created on user interaction
+        this.game.events.on('player:died', () => this.playDeathTone());
+        this.game.events.on('wanted:changed', ({ level, previous }) => {
+            if (level > previous) this.playSiren();
+        });
     }
 
     resumeContext() {
@@ -0,0 +1,169 @@
+// San Claudio - Citizens
+// The people behind the pedestrians: a fixed cast, each with a name, a home district, a job,
+// a mood and a look. Their job's schedule says which district they're in at each hour, so
+// spawns around the player draw whoever should be there at that time of day: office workers
+// Downtown during the day, the Strip crowd at night. Despawned pedestrians hand their citizen
+// back for later, so familiar faces turn up again. The cast is rolled from a fixed seed, so
+// it's the same city every game and nothing needs saving; anyone killed is replaced by a
+// newcomer. Gang members (see NPCGroups) are rolled separately and never drawn as passers-by.
+
+import { createRng } from './jobgen.js';
+
+const CAST_SIZE = 160;
+const CAST_SEED = 0x5a9c1a0d;
+const TRAVEL_HOURS = 1;    // Hours someone is on their way after their schedule moves them on
+const RECENT_SECONDS = 90; // Seen this recently, they're likely to be drawn again nearby
+
+export const MOODS = ['cheerful', 'grumpy', 'nervous', 'tired', 'chatty'];
+
+// schedule: [fromHour, toHour, district] windows, first match wins; outside them everyone is
+// in their home district. Windows may wrap past midnight ([21, 4]).
+export const JOBS = {
+    office: { title: 'Office worker', weight: 4, schedule: [[8, 17, 'downtown']] },
+    docker: { title: 'Dock worker', weight: 2, schedule: [[6, 15, 'docks']] },
+    factory: { title: 'Factory hand', weight: 2, schedule: [[7, 16, 'industrial']] },
+    watchman: { title: 'Night watchman', weight: 1, schedule: [[22, 6, 'industrial']] },
+    bartender: { title: 'Bartender', weight: 1.5, schedule: [[18, 3, 'strip']] },
+    dealer: { title: 'Card dealer', weight: 1, schedule: [[16, 2, 'strip']] },
+    partier: { title: 'Party animal', weight: 2, schedule: [[21, 4, 'strip']] },
+    student: { title: 'Student', weight: 2, schedule: [[9, 15, 'downtown'], [20, 24, 'strip']] },
+    shopkeeper: { title: 'Shopkeeper', weight: 2, schedule: [] }, // Works where they live
+    retiree: { title: 'Retiree', weight: 1.5, schedule: [[9, 12, 'hillside']] },
+    tourist: { title: 'Tourist', weight: 1, home: 'strip', schedule: [[10, 18, 'downtown']] }, // Home is a hotel
+    gang: { title: 'Gang member', weight: 0, schedule: [] } // Only through recruit()
+};
+
+// Relative share of the cast living in each district
+const HOMES = {
+    downtown: 1.5, docks: 1, hillside: 2, strip: 1, industrial: 0.5,
+    northshore: 2, portside: 1.5, westend: 2, eastgate: 2
+};
+
+const FIRST_NAMES = {
+    male: ['Marcus', 'Tony', 'Dale', 'Ray', 'Luis', 'Frank', 'Devon', 'Kenji', 'Sal', 'Otis',
+           'Victor', 'Hank', 'Jerome', 'Eddie', 'Nico', 'Walt', 'Andre', 'Gus', 'Rick', 'Omar'],
+    female: ['Dana', 'Rosa', 'Tina', 'Maya', 'Gloria', 'Kim', 'Lena', 'Brenda', 'Ines', 'Joy',
+             'Carla', 'Priya', 'Dot', 'Sherry', 'Nadia', 'Faye', 'Lucia', 'Tamika', 'June', 'Vera']
+};
+const LAST_NAMES = ['Reyes', 'Kowalski', 'Nguyen', 'Brennan', 'Okafor', 'Castillo', 'Weiss', 'Duarte',
+                    'Fontaine', 'Park', 'Haskins', 'Moreno', 'Lindqvist', 'Baptiste', 'Russo', 'Tanaka',
+                    'McCoy', 'Abara', 'Delgado', 'Petrov', 'Whitlock', 'Santos', 'Greer', 'Vance'];
+
+export class Citizens {
+    constructor(game) {
+        this.game = game;
+        this._rng = createRng(CAST_SEED);
+        this._nextId = 0;
+        this.cast = [];
+        for (let i = 0; i < CAST_SIZE; i++) this.cast.push(this._roll());
+    }
+
+    // 0-24, from the day/night cycle (timeOfDay 0 is midnight)
+    hour() {
+        return (this.game.timeOfDay || 0) * 24;
+    }
+
+    // Where someone should be at an hour: { district, from }. `from` is the district they're
+    // still on their way from, for the first TRAVEL_HOURS after their schedule moves them.
+    whereabouts(citizen, hour = this.hour()) {
+        const district = this._placeAt(citizen, hour);
+        const before = this._placeAt(citizen, (hour - TRAVEL_HOURS + 24) % 24);
+        return { district, from: before !== district ? before : null };
+    }
+
+    // Someone not already out and about who belongs in a district right now: scheduled
+    // there, or just leaving it. Failing that a local, failing that anyone free.
+    draw(district) {
+        const free = this.cast.filter(c => !c.active);
+        let candidates = free.filter(c => {
+            const where = this.whereabouts(c);
+            return where.district === district || where.from === district;
+        });
+        if (candidates.length === 0) candidates = free.filter(c => c.home === district);
+        if (candidates.length === 0) candidates = free;
+        if (candidates.length === 0) {
+            // Everyone's already out: the city grows
+            candidates = [this._roll()];
+            this.cast.push(candidates[0]);
+        }
+
+        const now = performance.now();
+        const recent = candidates.filter(c => now - c.lastSeen < RECENT_SECONDS * 1000);
+        const pool = recent.length > 0 && Math.random() < 0.5 ? recent : candidates;
+        const citizen = pool[Math.floor(Math.random() * pool.length)];
+        citizen.active = true;
+        return citizen;
+    }
+
+    // Back in the pool for another day
+    release(citizen) {
+        if (!citizen) return;
+        citizen.active = false;
+        citizen.lastSeen = performance.now();
+    }
+
+    // Someone died: a newcomer takes their place in the cast
+    replace(citizen) {
+        const idx = this.cast.indexOf(citizen);
+        if (idx >= 0) this.cast[idx] = this._roll();
+    }
+
+    // A new member for a gang crew, dressed in its colours; a third of them carry a gun
+    recruit(crew, home, palette) {
+        const citizen = this._roll({ job: 'gang', home, crew });
+        citizen.look.palette = palette;
+        citizen.armed = this._rng.next() < 0.35;
+        return citizen;
+    }
+
+    describe(citizen) {
+        const where = this.whereabouts(citizen);
+        const name = key => this.game.systems.world.districts[key]?.name || key;
+        const doing = where.from ? `heading to ${name(where.district)}` : `in ${name(where.district)}`;
+        return `${citizen.name}, ${JOBS[citizen.job].title.toLowerCase()} from ${name(citizen.home)} (${citizen.mood}), ${doing}`;
+    }
+
+    _placeAt(citizen, hour) {
+        for (const [from, to, district] of JOBS[citizen.job].schedule) {
+            const inside = from < to ? hour >= from && hour < to : hour >= from || hour < to;
+            if (inside) return district;
+        }
+        return citizen.home;
+    }
+
+    // overrides: fields to set rather than roll (job, home, crew)
+    _roll(overrides = {}) {
+        const rng = this._rng;
+        const isMale = rng.next() < 0.5;
+        const job = overrides.job || this._weighted(Object.entries(JOBS).map(([id, def]) => [id, def.weight]));
+        return {
+            id: this._nextId++,
+            name: `${rng.pick(FIRST_NAMES[isMale ? 'male' : 'female'])} ${rng.pick(LAST_NAMES)}`,
+            isMale,
+            job,
+            home: overrides.home || JOBS[job].home || this._weighted(Object.entries(HOMES)),
+            crew: overrides.crew || null,
+            mood: rng.pick(MOODS),
+            pace: 2 + rng.next(),          // Walking speed, m/s
+            jaywalker: rng.next() < 0.1,   // Crosses whatever the lights say
+            // 0-1 picks into the model's palettes and ranges, see NPCManager.createNPCModel
+            look: {
+                skin: rng.next(), shirt: rng.next(), pants: rng.next(), hair: rng.next(),
+                hairStyle: rng.next(), height: rng.next(), texture: rng.next(), build: rng.next()
+            },
+            voice: rng.next(),
+            active: false,
+            lastSeen: -Infinity
+        };
+    }
+
+    _weighted(entries) {
+        const total = entries.reduce((sum, [, w]) => sum + w, 0);
+        let roll = this._rng.next() * total;
+        for (const [key, w] of entries) {
+            roll -= w;
+            if (roll < 0) return key;
+        }
+        return entries[entries.length - 1][0];
+    }
+}
@@ -0,0 +1,113 @@
+// San Claudio - Completion
+// The 100% figure. Every kind of finite content is a weighted category of items, each
+// with a place in the world and a done flag read straight from the system that owns it,
+// so there's nothing extra to save. Categories open up as the story progresses; until
+// then their items stay off the full map and unnamed in the checklist.
+// Generated side jobs are endless and don't count.
+
+// weight: share of the 100%. unlockAfter: story missions completed before the category
+// opens. mapIcon: letter drawn on the full map for items still to do (null when the map
+// already shows them some other way, or there's no fixed place to point at).
+export const COMPLETION_CATEGORIES = [
+    { id: 'story', name: 'Story Missions', weight: 40, unlockAfter: 0, color: '#ffaa00', mapIcon: null },      // Mission markers
+    { id: 'strangers', name: 'Strangers & Freaks', weight: 10, unlockAfter: 1, color: '#44dd66', mapIcon: '?' },
+    { id: 'sideJobs', name: 'Side Jobs', weight: 8, unlockAfter: 1, color: '#44aaff', mapIcon: null },         // Taken from any phone
+    { id: 'rampages', name: 'Rampages', weight: 8, unlockAfter: 3, color: '#ff4444', mapIcon: 'R' },
+    { id: 'stuntJumps', name: 'Stunt Jumps', weight: 8, unlockAfter: 2, color: '#ff88ff', mapIcon: 'S' },
+    { id: 'properties', name: 'Properties', weight: 8, unlockAfter: 4, color: '#66ffcc', mapIcon: 'H' },
+    { id: 'packages', name: 'Hidden Packages', weight: 12, unlockAfter: 6, color: '#00ff44', mapIcon: 'P' },
+    { id: 'vehicles', name: 'Vehicle Collection', weight: 6, unlockAfter: 0, color: '#ffee66', mapIcon: null } // All stored at the garage
+];
+
+const VEHICLE_COLLECTION_SIZE = 5;
+
+export class CompletionTracker {
+    constructor(game) {
+        this.game = game;
+    }
+
+    isUnlocked(category) {
+        return this.game.systems.missions.completedMissions.size >= category.unlockAfter;
+    }
+
+    // Every item of every category: { category, label, pos: { x, z }, done }
+    getItems() {
+        const { missions, world, interiors, vehicles } = this.game.systems;
+        const items = [];
+        const add = (category, label, pos, done) => items.push({ category, label, pos: { x: pos.x, z: pos.z }, done });
+
+        for (const m of missions.missionDefs) {
+            add('story', m.title, m.trigger.marker, missions.completedMissions.has(m.id));
+        }
+        for (const chain of missions.sfChains) {
+            const stagesDone = missions.sfCompleted[chain.id] || 0;
+            chain.stages.forEach((stage, i) => add('strangers', `${chain.character}: ${stage.title}`, chain.contactPos, i < stagesDone));
+        }
+        for (const job of missions.sideMissionDefs) {
+            add('sideJobs', job.title, this._sideJobPos(job), !!job.completed);
+        }
+        for (const ramp of missions.rampageDefs) {
+            add('rampages', ramp.name, ramp.pos, missions.rampageCompleted.has(ramp.id));
+        }
+        for (const ramp of world.stuntRamps) {
+            add('stuntJumps', ramp.name, ramp.position, ramp.completed);
+        }
+        for (const prop of interiors.properties) {
+            add('properties', prop.name, prop.worldPos, prop.owned);
+        }
+        for (const pkg of world.hiddenPackages) {
+            add('packages', pkg.hint, pkg, pkg.collected);
+        }
+        // Which types count isn't fixed, only how many, so the slots fill up in collection order
+        const collected = [...vehicles.collectedTypes];
+        for (let i = 0; i < VEHICLE_COLLECTION_SIZE; i++) {
+            const type = collected[i];
+            add('vehicles', type ? type[0].toUpperCase() + type.slice(1) : 'Vehicle type', vehicles.garagePos, !!type);
+        }
+        return items;
+    }
+
+    // Per category: { category, done, total, unlocked }
+    getCategories(items = this.getItems()) {
+        return COMPLETION_CATEGORIES.map(category => {
+            const own = items.filter(item => item.category === category.id);
+            return {
+                category,
+                done: own.filter(item => item.done).length,
+                total: own.length,
+                unlocked: this.isUnlocked(category)
+            };
+        });
+    }
+
+    // 0-100. Categories with no content loaded are left out rather than counted as done.
+    getPercentage(items = this.getItems()) {
+        let earned = 0;
+        let weight = 0;
+        for (const c of this.getCategories(items)) {
+            if (c.total === 0) continue;
+            earned += c.category.weight * c.done / c.total;
+            weight += c.category.weight;
+        }
+        return weight > 0 ? earned / weight * 100 : 0;
+    }
+
+    // Items grouped by district, in World.districts order: [{ name, items, done }]
+    getDistricts(items = this.getItems()) {
+        const world = this.game.systems.world;
+        const groups = new Map(Object.values(world.districts).map(d => [d.name, []]));
+        for (const item of items) {
+            const name = world.getDistrictName(item.pos.x, item.pos.z);
+            if (!groups.has(name)) groups.set(name, []);
+            groups.get(name).push(item);
+        }
+        return [...groups]
+            .filter(([, list]) => list.length > 0)
+            .map(([name, list]) => ({ name, items: list, done: list.filter(item => item.done).length }));
+    }
+
+    // Where a hand-made side job takes you first (every job type has one of these, see SIDE_JOB_FIELDS)
+    _sideJobPos(job) {
+        return job.checkpoints?.[0] || job.pickup || job.targetPos;
+    }
+}
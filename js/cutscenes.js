@@ -13,6 +13,13 @@ export class CutsceneManager {
         this.autoAdvanceTimer = 0;
         this.onComplete = null;
 
+        // Dialogue choices: shown once a line with `choices` finishes typing
+        this.onChoice = null;
+        this.choices = null; // Choices on screen, or null
+        this.selectedChoice = 0;
+        this.choiceDelay = 0; // Ignore input briefly so the key that skipped typing doesn't pick
+        this.choiceNavCooldown = 0;
+
         // Camera rail
         this.cameraKeyframes = [];
         this.cameraTime = 0;
@@ -26,6 +33,7 @@ export class CutsceneManager {
         this.dialogueBox = document.getElementById('hud-dialogue');
         this.dialogueName = document.getElementById('dialogue-name');
         this.dialogueText = document.getElementById('dialogue-text');
+        this.dialogueChoices = document.getElementById('dialogue-choices');
 
         // Character colors
         this.characterColors = {
@@ -42,14 +50,14 @@ export class CutsceneManager {
 
     setupInput() {
         document.addEventListener('keydown', (e) => {
-            if (!this.active) return;
+            if (!this.active || this.choices) return;
             if (e.code === 'Space' || e.code === 'Enter' || e.code === 'KeyE') {
                 this.advanceDialogue();
             }
         });
 
         document.addEventListener('click', () => {
-            if (this.active) {
+            if (this.active && !this.choices) {
                 this.advanceDialogue();
             }
         });
@@ -72,8 +80,12 @@ export class CutsceneManager {
                 this.dialogueText.textContent = this.currentDialogue.text.substring(0, this.typewriterIndex);
             }
 
-            // Auto-advance after full text shown
-            if (this.typewriterIndex >= this.currentDialogue.text.length) {
+            // Choices wait for the player instead of auto-advancing
+            if (this.choices) {
+                this._updateChoices(dt);
+            } else if (this.typewriterIndex >= this.currentDialogue.text.length && this.currentDialogue.choices) {
+                this._showChoices();
+            } else if (this.typewriterIndex >= this.currentDialogue.text.length) {
                 this.autoAdvanceTimer += dt;
                 if (this.autoAdvanceTimer >= 3) {
                     this.advanceDialogue();
@@ -82,10 +94,12 @@ export class CutsceneManager {
         }
     }
 
-    // Play a sequence of dialogue lines
-    playDialogueSequence(lines, onComplete) {
+    // Play a sequence of dialogue lines. Lines with `choices` pause for the player to pick
+    // one; onChoice(choice) is called with it before the choice's own `lines` play.
+    playDialogueSequence(lines, onComplete, onChoice = null) {
         this.dialogueQueue = [...lines];
         this.onComplete = onComplete;
+        this.onChoice = onChoice;
         this.active = true;
 
         // Show letterbox
@@ -146,13 +160,89 @@ export class CutsceneManager {
             return;
         }
 
+        // A choice line can't be skipped past
+        if (this.currentDialogue.choices) {
+            if (!this.choices) this._showChoices();
+            if (this.choices) return;
+        }
+
         // Next line
         this.showNextDialogue();
     }
 
+    _showChoices() {
+        // Choices can be gated on story flags
+        const missions = this.game.systems.missions;
+        const choices = this.currentDialogue.choices.filter(c => missions.checkConditions(c.conditions));
+        if (choices.length === 0) {
+            this.currentDialogue = { ...this.currentDialogue, choices: null };
+            return;
+        }
+
+        this.choices = choices;
+        this.selectedChoice = 0;
+        this.choiceDelay = 0.3;
+        this.dialogueChoices.style.display = 'block';
+        this._drawChoices();
+    }
+
+    _drawChoices() {
+        this.dialogueChoices.innerHTML = this.choices.map((c, i) =>
+            `<div class="dialogue-choice${i === this.selectedChoice ? ' selected' : ''}" data-index="${i}">${i + 1}. ${c.text}</div>`
+        ).join('');
+        this.dialogueChoices.querySelectorAll('.dialogue-choice').forEach(el => {
+            el.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this._pickChoice(parseInt(el.dataset.index));
+            });
+        });
+    }
+
+    // W/S, arrows or stick to move; E, Enter, Space or A to pick; 1-3 to pick directly
+    _updateChoices(dt) {
+        const input = this.game.systems.input;
+        this.choiceDelay -= dt;
+        this.choiceNavCooldown = Math.max(0, this.choiceNavCooldown - dt);
+        if (this.choiceDelay > 0) return;
+
+        if (this.choiceNavCooldown <= 0 && Math.abs(input.moveY) > 0.5) {
+            const step = input.moveY > 0 ? -1 : 1;
+            this.selectedChoice = (this.selectedChoice + step + this.choices.length) % this.choices.length;
+            this.choiceNavCooldown = 0.2;
+            this._drawChoices();
+        }
+
+        for (let n = 1; n <= this.choices.length; n++) {
+            if (input.keys['Digit' + n]) {
+                this._pickChoice(n - 1);
+                return;
+            }
+        }
+
+        if (input.justPressed('interact') || input.justPressed('jump') || input.keys['Enter']) {
+            this._pickChoice(this.selectedChoice);
+        }
+    }
+
+    _pickChoice(index) {
+        const choice = this.choices && this.choices[index];
+        if (!choice) return;
+
+        this.choices = null;
+        this.dialogueChoices.style.display = 'none';
+        this.dialogueChoices.innerHTML = '';
+
+        if (this.onChoice) this.onChoice(choice);
+        if (choice.lines) this.dialogueQueue.unshift(...choice.lines);
+        this.showNextDialogue();
+    }
+
     endCutscene() {
         this.active = false;
         this.currentDialogue = null;
+        this.choices = null;
+        this.onChoice = null;
+        this.dialogueChoices.style.display = 'none';
 
         // Hide letterbox
         this.letterboxTop.classList.remove('active');
@@ -1,6 +1,11 @@
 // San Claudio - Dev Tools & Cheat Codes
 // Console overlay, cheat commands, debug shortcuts
 
+import { SAVE_BACKENDS } from './storage.js';
+import { GAME_EVENTS } from './events.js';
+import { ACHIEVEMENTS } from './achievements.js';
+import { CRIMES } from './witnesses.js';
+
 export class DevTools {
     constructor(game) {
         this.game = game;
@@ -101,7 +106,7 @@ export class DevTools {
                     { id: 'V1', name: 'Garage Store', instruction: 'Find the garage (tp to x:-215 z:225 or check minimap for blue G icon). Drive a car to it and press E. Vehicle should be stored with a message.' },
                     { id: 'V2', name: 'Garage Retrieve', instruction: 'Walk to the garage without a vehicle. Press E to retrieve a stored vehicle. It should spawn nearby.' },
                     { id: 'V3', name: 'Vehicle Collection', instruction: 'Store different vehicle types (sedan, sports, truck, motorcycle). Each new type should show "X/5 types" collection message.' },
-                    { id: 'V4', name: 'Carjacking', instruction: 'Find a traffic vehicle (NPC-driven). Walk up and press E. There should be a brief delay, an NPC ejected from the car saying something, and nearby NPCs fleeing. You should get wanted heat.' },
+                    { id: 'V4', name: 'Carjacking', instruction: 'Find a traffic vehicle (NPC-driven). Walk up and press E. There should be a brief delay, an NPC ejected from the car saying something, and nearby NPCs fleeing. If anyone saw it, they phone it in and you get wanted heat a few seconds later.' },
                     { id: 'V5', name: 'Traffic Lights', instruction: 'Watch traffic vehicles at intersections. They should stop at red lights and proceed on green. Lights cycle every ~10 seconds.' }
                 ]
             },
@@ -279,7 +284,7 @@ export class DevTools {
                 tests: [
                     { id: 'HS1', name: 'Helicopter Spawns at 3 Stars', instruction: 'Open console, type: wanted 3. A police helicopter should appear above you with flashing red/blue lights.' },
                     { id: 'HS2', name: 'Spotlight Tracking', instruction: 'With 3+ stars, look up — the helicopter should have a visible spotlight cone pointing down at you. A light circle should be on the ground near you.' },
-                    { id: 'HS3', name: 'Helicopter Follows', instruction: 'Run or drive around with 3+ stars. The helicopter should follow your position from above, circling slightly.' },
+                    { id: 'HS3', name: 'Helicopter Follows', instruction: 'Run or drive around in the open with 3+ stars. The helicopter should follow your position from above, circling slightly, until you get out of sight of it.' },
                     { id: 'HS4', name: 'Helicopter Despawns', instruction: 'Type: wanted 0 to clear wanted level. The helicopter, spotlight cone, and ground circle should all disappear.' }
                 ]
             },
@@ -307,7 +312,17 @@ export class DevTools {
                 tests: [
                     { id: 'SV1', name: 'Save Vehicles', instruction: 'Store a vehicle in the garage (drive to garage marker, press E). Then save the game (pause menu or safehouse). Reload the page and load save. Check that stored vehicles are preserved.' },
                     { id: 'SV2', name: 'Save Properties', instruction: 'Buy a property (if you have cash). Save the game. Reload and load save. The property should still show as owned.' },
-                    { id: 'SV3', name: 'Save S&F Progress', instruction: 'Complete a Strangers & Freaks stage. Save the game. Reload and load save. The S&F progress should be preserved — completed stages should not repeat.' }
+                    { id: 'SV3', name: 'Save S&F Progress', instruction: 'Complete a Strangers & Freaks stage. Save the game. Reload and load save. The S&F progress should be preserved — completed stages should not repeat.' },
+                    { id: 'SV4', name: 'Save Slots', instruction: 'Pause (Esc) and click Save Game. A list of 5 slots should appear. Save into two different slots from two different districts. Each slot should show a thumbnail, district, story %, date and playtime.' },
+                    { id: 'SV5', name: 'Overwrite & Delete Confirm', instruction: 'In the save browser click an occupied slot — a confirm dialog should ask to overwrite. Click the × on a slot — a confirm dialog should ask before deleting. "No" should leave the slot untouched.' },
+                    { id: 'SV6', name: 'New Game Keeps Saves', instruction: 'With a save in slot 1, choose New Game from the pause menu and start fresh. Complete mission 1 (auto-save). Open Load Game — slot 1 should still hold the old playthrough and the new one should be in another slot.' },
+                    { id: 'SV7', name: 'Save Migrations', instruction: 'Open the console and type: savetest. Every fixture should report PASS — old v1 saves upgrade to the current version, and the broken/future fixtures are rejected with a readable reason.' },
+                    { id: 'SV8', name: 'Corrupt Save Error', instruction: 'Save into slot 1, then in the browser console run: localStorage.setItem("san-claudio-slot-0", "{\\"version\\":1}") and reload. Click Continue — the title screen should show a red "Could not load save" message naming the missing fields, and the game should not start.' },
+                    { id: 'SV9', name: 'Save World State', instruction: 'Collect a hidden package, clear a stunt jump, enter a new vehicle type, grab a nitro pickup, change outfit at a property and get a 2★ wanted level. Save, note the weather, reload the page and load. The package and jump should stay done, the collected types, nitro charges, outfit, weather and wanted stars should all match.' },
+                    { id: 'SV10', name: 'Side Job Levels Persist', instruction: 'Finish two taxi fares and one vigilante target, end the shifts, save and reload. Starting taxi mode again should continue from fare 3, and vigilante should not drop back to level 1. Completed side jobs should not be offered again.' },
+                    { id: 'SV11', name: 'Export / Import', instruction: 'Pause, click Export Save and pick an occupied slot — a .json file should download. Click Import Save, choose that file, then pick an empty slot. Load it — the playthrough should match. Edit a number inside "data" in the file and import again: it should fail with a checksum error.' },
+                    { id: 'SV12', name: 'IndexedDB Storage', instruction: 'Open the console and type: savebackend indexeddb. Save, reload the page and Continue — the save should load. Type savebackend to confirm IndexedDB is in use, then savebackend localstorage to switch back.' },
+                    { id: 'SV13', name: 'New Game With Full Slots', instruction: 'Fill all 5 slots, go back to the title screen and start a New Game. Walk into the safehouse — it should say all slots are full instead of autosaving, and every slot in the browser should be unchanged. Save into a slot from the pause menu; later autosaves should go to that slot.' }
                 ]
             },
             vehicle_radio: {
@@ -449,6 +464,270 @@ export class DevTools {
                     { id: 'WS2', name: 'Front Wheel Steering', instruction: 'While driving, steer left/right (A/D). The two front wheels should visually turn in the steering direction. Rear wheels should not turn.' },
                     { id: 'WS3', name: 'Fallback Vehicle Wheels', instruction: 'Check that non-GLB (fallback box-model) vehicles also have spinning wheels. All vehicle types should animate.' }
                 ]
+            },
+            checkpoints: {
+                name: 'Autosave & Checkpoints',
+                tests: [
+                    { id: 'CP1', name: 'Mission Complete Autosave', instruction: 'Complete a story mission and wait for the outro to finish. Open Load Game — the active slot should be timestamped just now and include the mission cash reward.' },
+                    { id: 'CP2', name: 'Property & Safehouse Autosave', instruction: 'Buy a property, then open Load Game — the slot timestamp should update. Walk into the Downtown safehouse (0,0) — it should save again. Loading that save should put you outside the safehouse door.' },
+                    { id: 'CP3', name: 'Retry From Checkpoint', instruction: 'Start mission 4 (Collections), reach collection point 2, then type "fail" in the console (or get killed). After MISSION FAILED, a "Press Y to retry from checkpoint" prompt should count down from 10 (on touch, a RETRY button shows). Press Y next to a parked car — you retry without getting in the car and are back at collection point 2 with the same weapons, ammo and health you had when you reached it, on objective 3.' },
+                    { id: 'CP4', name: 'Retry Timeout', instruction: 'Fail a mission and ignore the retry prompt. After 10 seconds it should disappear and the mission marker should be available to start from the beginning.' },
+                    { id: 'CP5', name: 'Respawn At Safehouse', instruction: 'Buy a property away from Downtown, die near it — you should respawn at that property rather than the city centre.' }
+                ]
+            },
+            mission_content: {
+                name: 'Mission Content Files',
+                tests: [
+                    { id: 'MC1', name: 'Content Loads Clean', instruction: 'Open the console and type: missioncheck. It should report 15 story missions, 9 side jobs, 6 Strangers & Freaks chains, 5 rampages and no errors.' },
+                    { id: 'MC2', name: 'Story Unlock Order', instruction: 'On a new game only the Sal marker at (10,10) should show. Complete mission 1 — the mission 2 marker should appear at Nina\'s (200,220) and on the pause map.' },
+                    { id: 'MC3', name: 'Edited Mission File', instruction: 'Change the first objective text in missions/story/02-borrowed-wheels.json and reload. Start mission 2 — the new text should appear.' },
+                    { id: 'MC4', name: 'Invalid Mission File', instruction: 'Set "type": "teleport" on an objective in missions/story/03-pest-control.json and reload. The game should still start, missioncheck should name the file and field, and mission 3 should not be offered. Revert the file afterwards.' },
+                    { id: 'MC5', name: 'Other Content', instruction: 'Visit a side-job phone, a green "?" Strangers & Freaks contact and a rampage skull. Each should start its mission with the same titles and rewards as before.' }
+                ]
+            },
+            objective_library: {
+                name: 'Objective Library',
+                tests: [
+                    { id: 'OL1', name: 'Follow', instruction: 'New game, start mission 1. Sal (green cone) should walk to the safehouse; the HUD shows FOLLOW SAL and the distance. Run 20m away — Sal should stop and wait. Run 50m away for 5s — MISSION FAILED: You lost Sal.' },
+                    { id: 'OL2', name: 'Deliver Vehicle', instruction: 'Type mission 5 and play it through to the delivery. The HUD shows VEHICLE N% (min 50%). Ram walls until it drops below 50% — the mission should fail with "The vehicle is too damaged". Retry and deliver carefully — it should complete.' },
+                    { id: 'OL3', name: 'Photograph', instruction: 'Type mission 9 and reach the bank. Walk to the blue ring by the vault — "Press E to photograph: Vault door" should show. Press E — screen flashes, PHOTOS 1/1, next objective starts.' },
+                    { id: 'OL4', name: 'Tail', instruction: 'Type mission 11 and meet the contact. A car with a red cone drives off; the HUD shows TAIL time, distance and suspicion. Stay within 15m — suspicion rises and the mission fails when spotted. Retry, keep 20-80m back for 45s — it completes. Fall 90m+ behind for 5s — "You lost the target".' },
+                    { id: 'OL5', name: 'Defend', instruction: 'Type mission 14. Red-coned attackers run at the orange ring around the safehouse in waves every 12s. Kill them for 40s to pass; the status line shows the position at 100%. Let attackers reach the centre — they beat on it, the percentage drops 5 a second for each of them, and at 0% "The position was overrun". Leave the ring for 8s — "You abandoned the position".' },
+                    { id: 'OL6', name: 'Survive', instruction: 'In mission 14 after the defence, you get 2 wanted stars and SURVIVE 30s counts down, turning red for the last 10 seconds. Dying fails the mission; outlasting it moves on.' },
+                    { id: 'OL7', name: 'Escort', instruction: 'In mission 14 after the police, Sal spawns next to you and follows at a run. Get in a car near him — he rides along (hidden). Drive to the marker, get out — he appears next to you and the objective completes. Leave him 60m+ behind for 5s to fail.' },
+                    { id: 'OL8', name: 'Cleanup', instruction: 'Fail any of the above, then check the spawned NPCs, rings and tail car are gone and the HUD status line is hidden. Retry from checkpoint — they should respawn fresh.' }
+                ]
+            },
+            story_choices: {
+                name: 'Dialogue Choices & Story Flags',
+                tests: [
+                    { id: 'DC1', name: 'Choice Input', instruction: 'Type mission 6 and start it. After Nina\'s second line two choices appear and the dialogue waits. W/S (or arrows / left stick) moves the highlight; E, Enter, Space or gamepad A picks; 1/2 pick directly; clicking a choice picks it. Skipping the typewriter with E must not pick a choice.' },
+                    { id: 'DC2', name: 'Alternate Objectives', instruction: 'In mission 6 pick "Keep it quiet". There should be no "Clear the guards" step, the delivery needs the car above 80% condition, and completing pays $1,500 instead of $1,000. Type flag — repo_quiet = true.' },
+                    { id: 'DC3', name: 'Outro Choice Reward', instruction: 'Type mission 8 and complete it. At the end of the outro pick "Make an example of him" — the reward should be $2,000. Replay from a save and pick "Let him go" — $1,500 and spared_skimmer = true.' },
+                    { id: 'DC4', name: 'Phone Responses', instruction: 'Complete mission 8 so Nina has no more work, then open the phone (T) and call her. She should mention the skimmer according to your choice. Type flag spared_skimmer clear and call again — with repo_quiet set she mentions the sports car, otherwise "Nothing right now". Before mission 8 is done she offers work instead.' },
+                    { id: 'DC5', name: 'Flags Persist', instruction: 'After DC2/DC3, save, reload the page and load the save. Type flag — the flags should still be set and the phone lines should match.' },
+                    { id: 'DC6', name: 'Lock / Unlock', instruction: 'Add "lock": [9] to a choice in missions/story/08-club-business.json, reload and pick it. Mission 9 should not be offered after mission 8 (flag lists it as locked) and stays locked after save/load. Revert the file afterwards.' },
+                    { id: 'DC7', name: 'Old Saves', instruction: 'Type savetest — all fixtures including v3-midgame.json and v4-choices.json should pass, with older saves migrating to v4.' },
+                    { id: 'DC8', name: 'Unmade Choices', instruction: 'On a new game, before mission 8, call Nina and Sal once they have no work. Neither mentions the skimmer ("Nobody\'s skimmed a dime", "Heard what happened in Hillside"): spared_skimmer is unset, which is not the same as false.' }
+                ]
+            },
+            mission_replay: {
+                name: 'Mission Replay & Medals',
+                tests: [
+                    { id: 'RP1', name: 'Replay List', instruction: 'Type mission 4, finish a side job and a Strangers & Freaks stage. Pause > Replay Mission should list missions 1-3 under STORY, the stage under STRANGERS & FREAKS and the job under SIDE JOBS, each with "No medal".' },
+                    { id: 'RP2', name: 'Isolated Run', instruction: 'Note your cash, weapons, position and flag output. Replay mission 3 and finish it. Afterwards everything should be back as noted: no reward cash, same ammo, same spot, Missions Complete in Stats unchanged.' },
+                    { id: 'RP3', name: 'Medal Result', instruction: 'Finish a replay without taking damage or getting a wanted level. The result screen shows a medal with time, accuracy, damage and wanted level. Reopen the list — the medal and score show next to the mission.' },
+                    { id: 'RP4', name: 'Best Result Kept', instruction: 'Replay the same mission badly (take damage, get 2+ stars). The result shows a lower score and the list keeps the earlier, better medal.' },
+                    { id: 'RP5', name: 'Failed / Abandoned', instruction: 'Replay a mission and die, then ignore the retry prompt — REPLAY FAILED shows and state is restored. Start another replay, pause > Replay Mission > Abandon — same result, no medal recorded.' },
+                    { id: 'RP6', name: 'No Saving Mid-Replay', instruction: 'During a replay, Save/Load/Import in the pause menu should say "Not available during a replay" and completing the replay must not overwrite the autosave with replay progress. Replaying the finale must not roll the credits.' },
+                    { id: 'RP7', name: 'Medals Persist', instruction: 'Earn a medal, reload the page and load the save — the medal is still listed. Type savetest — v5-replays.json should pass and migrate to the current version with the rest.' }
+                ]
+            },
+            fail_conditions: {
+                name: 'Mission Fail Conditions',
+                tests: [
+                    { id: 'FC1', name: 'Vehicle Destroyed', instruction: 'Type mission 2, steal a car and blow it up on the drive back (shoot the fuel tank or ram until it burns). The mission fails with "You wrecked the car. Sal wanted it moved, not scrapped."' },
+                    { id: 'FC2', name: 'Wanted Level', instruction: 'In mission 2, drive the car back with 3 stars (type wanted 3). It fails with "You led the cops to Sal\'s garage". With 1-2 stars it carries on.' },
+                    { id: 'FC3', name: 'Leave Area', instruction: 'Type mission 3 and reach the warehouse. Once the gang spawns, run 40m+ away — "Get back to the mission area!" shows, and after 5s outside the mission fails with "You ran from the fight". Coming back within 5s resets the countdown.' },
+                    { id: 'FC4', name: 'Escort Dies', instruction: 'Type mission 14 and reach the escort. Shoot Sal — the mission fails with "Sal didn\'t make it" (not the generic "Sal is dead").' },
+                    { id: 'FC5', name: 'Enemy Cleanup', instruction: 'Type mission 3 and fail it via FC3 while gang members are alive. They should vanish from the warehouse. Retry from checkpoint — a fresh set spawns. Completing the mission also clears any leftovers.' },
+                    { id: 'FC6', name: 'Scoped Conditions', instruction: 'In mission 2, get 3 stars while walking to Hillside (objective 1) — nothing happens, since the wanted condition only covers the drive back.' },
+                    { id: 'FC7', name: 'Bad Definition', instruction: 'Remove "level" from the wanted_above condition in missions/story/02-borrowed-wheels.json and reload. missioncheck should report failConditions[1].level as required. Revert the file afterwards.' }
+                ]
+            },
+            heists: {
+                name: 'Heists',
+                tests: [
+                    { id: 'HS1', name: 'Setup Phase', instruction: 'Type mission 13. Case the bank, photograph the side entrance and guard post, then enter the warehouse (E at the door) — each step moves the objective on. Leave the warehouse and head to Vex\'s garage.' },
+                    { id: 'HS2', name: 'Planning Board', instruction: 'Stand in the blue ring at the garage and press E. The game pauses on the PLANNING BOARD with Vex and Nina, Loud/Stealth cards and getaway cards showing speed and armor. Confirm stays disabled until both are picked. "Not Yet" closes it and the ring stays; Esc does the same.' },
+                    { id: 'HS3', name: 'Crew Entry', instruction: 'Confirm a plan. At the bank, Vex and Nina (green cones) wait by the door and your getaway (yellow cone) is parked nearby. Enter the bank — the crew comes in with you and the objective moves on to the drill.' },
+                    { id: 'HS4', name: 'Loud Drill', instruction: 'Pick Loud. Entering the bank starts the alarm; press E at the vault to place the drill. DRILLING % rises while you stay close and shows DRILL PAUSED if you walk away. Leave the bank during the drill — the stars climb to 2, then 3 after 20s.' },
+                    { id: 'HS5', name: 'Stealth Drill', instruction: 'Pick Stealth. No stars while you drill (45s). Fire a shot inside — "Shots fired, the alarm is going off!" and it plays out like Loud. Finish quietly — the alarm only starts as the vault opens and the take is $20,000.' },
+                    { id: 'HS6', name: 'Escape', instruction: 'Leave the bank — the crew follows out. Get in the getaway; the crew rides along. Drive to the Docks ring and the police escalate on schedule. Blow up the getaway — "The getaway vehicle was wrecked". Shoot a crew member — "Vex is dead".' },
+                    { id: 'HS7', name: 'Retry & Cleanup', instruction: 'Fail in the vault and retry from checkpoint — you are back in the bank with the crew and the same plan. Fail outside and let the retry expire — crew cones, the unused getaway and the drill are gone and the stars stop climbing.' },
+                    { id: 'HS8', name: 'Bad Getaway', instruction: 'Add "tank" to heist.getaways in missions/story/13-the-san-claudio-job.json and reload. missioncheck reports the unknown getaway vehicle and the board only offers valid ones. Revert the file afterwards.' }
+                ]
+            },
+            job_generator: {
+                name: 'Generated Side Jobs',
+                tests: [
+                    { id: 'JG1', name: 'Endless Jobs', instruction: 'Finish all 9 hand-made side jobs (or type job for a quick look). Phones keep offering jobs afterwards; the intro text shows the title and "Job N-xxxxxxxx".' },
+                    { id: 'JG2', name: 'Race Route', instruction: 'Type job until you get a Street Race. Every checkpoint should sit on a road intersection inside the island, and the route never doubles straight back on itself.' },
+                    { id: 'JG3', name: 'Delivery & Hit', instruction: 'Get a Package job: pickup and dropoff are on roads in different parts of town. Get a Hit: the red-coned target stands on a sidewalk in the named district.' },
+                    { id: 'JG4', name: 'Same Code, Same Job', instruction: 'Note a job code, fail the job, then type job <code>. Title, checkpoints/targets, reward and time limit are identical. Reload the page and try again — still identical.' },
+                    { id: 'JG5', name: 'Progression', instruction: 'Compare job 0-00c0ffee with job 4-00c0ffee: the tier 4 race has more and longer legs, a tighter average pace and a bigger reward. A tier 4 hit target takes 240 damage instead of 80.' },
+                    { id: 'JG6', name: 'Phone District', instruction: 'Take a generated job from the Docks phone — it should almost always start in The Docks.' },
+                    { id: 'JG7', name: 'Bad Code', instruction: 'Type job 9-zz and job hello — both print the usage line and start nothing.' }
+                ]
+            },
+            event_bus: {
+                name: 'Event Bus',
+                tests: [
+                    { id: 'EB1', name: 'Live Log', instruction: 'Type events watch, then punch a pedestrian to death — "[event] npc:killed" is logged. Carjack a car — vehicle:stolen. In front of onlookers, crime:reported follows as each call gets through, then wanted:changed level=1 previous=0 source=heat as the first star appears. Type events watch again to stop.' },
+                    { id: 'EB2', name: 'Mission Lifecycle', instruction: 'With events watch on, type mission 2 and play it — mission:start, one objective:advance per objective finished, then mission:complete. Fail a mission — mission:fail with its reason.' },
+                    { id: 'EB3', name: 'Stats Follow Events', instruction: 'Note stats, then kill 2 pedestrians (include one with a grenade blast that does not finish them by damage alone), carjack a car and complete a side job. totalKills +2, vehiclesStolen +1, sideMissionsComplete +1.' },
+                    { id: 'EB4', name: 'Death & Audio', instruction: 'Type wanted 2 — a siren blip plays as the stars go up (not when they drop). Die during a story mission — the death tone plays and the mission fails straight away.' },
+                    { id: 'EB5', name: 'Kill Objectives', instruction: 'Type mission 14 and reach the last objective. The lieutenant spawns and the objective only completes once he is dead (no more 5 second auto-complete).' },
+                    { id: 'EB6', name: 'History', instruction: 'Type events — the last 15 events print with short payloads, oldest first.' },
+                    { id: 'EB7', name: 'Set Levels Are Not Survived', instruction: 'On a fresh game, type wanted 5, then wanted 0. Max Wanted Survived on the Stats screen stays at no stars and Public Enemy stays locked. Earn a star by punching someone in front of witnesses and it goes up to one.' }
+                ]
+            },
+            achievements: {
+                name: 'Achievements',
+                tests: [
+                    { id: 'AC1', name: 'Toast', instruction: 'New game: complete mission 1. An ACHIEVEMENT UNLOCKED toast for "Fresh Off the Bus" slides in at the top, a pickup chime plays and it slides away after about 4 seconds.' },
+                    { id: 'AC2', name: 'Queued Toasts', instruction: 'Type achievements unlock kills_50, then achievements unlock carjack_25 straight away. The toasts play one after the other, never on top of each other.' },
+                    { id: 'AC3', name: 'Pause Menu List', instruction: 'Pause and open Achievements. Entries are grouped (Story, Mayhem, Getting Around, Odd Jobs, Collectibles, Secret), unlocked ones are gold with an unlock date and the header shows N / 20. Close returns to the pause menu; Esc closes it too.' },
+                    { id: 'AC4', name: 'Progress', instruction: 'Kill a few pedestrians and reopen the list — Body Count shows a progress bar with the new count out of 50. Die twice — nothing shows for Frequent Flyer, which stays "???" until earned.' },
+                    { id: 'AC5', name: 'Event Achievements', instruction: 'Get 1 star and lose it at a Pay N Spray — Fresh Coat unlocks. Type wanted 5 and survive until the stars time out — Public Enemy and Most Wanted both unlock.' },
+                    { id: 'AC6', name: 'Persistence', instruction: 'Unlock a couple, die twice, save, reload the page and load the save. Unlocks keep their dates, nothing toasts again and the hidden death counter carries on (8 more deaths unlock Frequent Flyer).' },
+                    { id: 'AC7', name: 'Old Saves', instruction: 'Run savetest — every fixture migrates to v6, and v6-achievements.json loads with its unlocks intact. Load a pre-v6 save with 50+ kills — Body Count is already in the list and no toasts pop up.' },
+                    { id: 'AC8', name: 'Replays Earn Nothing', instruction: 'Before Body Count is unlocked, replay a finished mission and kill 50 pedestrians during it. Nothing unlocks during the replay and the kill count is back to its old value afterwards.' },
+                    { id: 'AC9', name: 'Stats Screen', instruction: 'Open Stats from the pause menu — an Achievements row shows the same N / 20 as the list.' }
+                ]
+            },
+            completion: {
+                name: 'Completion Tracker',
+                tests: [
+                    { id: 'CP1', name: 'Fresh Game', instruction: 'New game, pause and open Completion. 0.0% COMPLETE; Story Missions and Vehicle Collection show 0 / N, every other category is dimmed with "Locked until N missions". District entries for locked categories read ???.' },
+                    { id: 'CP2', name: 'Weights', instruction: 'Type completion — each category prints with its weight (they add up to 100). Complete mission 1: the total rises by 40 / 15 ≈ 2.7%. Store a car in the garage: +6 / 5 = 1.2%.' },
+                    { id: 'CP3', name: 'District Checklist', instruction: 'Each district header shows done / total, and every item sits under the district it is in (World.getDistrictName) — e.g. the Dockside Loft and the garage vehicle slots under The Docks, the Downtown Drop ramp under Downtown.' },
+                    { id: 'CP4', name: 'Map Markers', instruction: 'Type mission 7 (marks missions 1-6 done) and open the map: R, S, H, P and ? icons mark every rampage, stunt ramp, unowned property, package and open S&F contact. Earlier in the story only the categories already unlocked show.' },
+                    { id: 'CP5', name: 'Markers Clear', instruction: 'Collect a hidden package and buy a property — their icons disappear from the map and both checklist entries turn green with a ✓.' },
+                    { id: 'CP6', name: 'Persistence', instruction: 'Save, reload the page and load. The percentage and checklist are unchanged (completion is read from the other systems, nothing extra is saved).' },
+                    { id: 'CP7', name: 'Generated Jobs', instruction: 'Finish a generated side job — Side Jobs count and the percentage do not change.' }
+                ]
+            },
+            traffic: {
+                name: 'Traffic AI',
+                tests: [
+                    { id: 'TR1', name: 'Lanes', instruction: 'Stand at a Downtown corner and watch for a minute. Cars keep to the right-hand lane, never drive through buildings and come out of every junction in the correct lane.' },
+                    { id: 'TR2', name: 'Turns', instruction: 'Follow a car for a few blocks. It goes straight on more often than it turns, slows down for corners and takes them in a smooth curve. On the Downtown-Strip diagonal it can turn off at the grid intersections it crosses.' },
+                    { id: 'TR3', name: 'Red Lights', instruction: 'Watch a junction with lights (e.g. 0,0). Cars stop at the line on red and pull away on green. One caught on the line as it changes carries on through instead of stopping in the box.' },
+                    { id: 'TR4', name: 'Queues', instruction: 'At a red light the second and third cars stop in a line behind the first, about a car length apart, and follow it away when the light changes.' },
+                    { id: 'TR5', name: 'Pedestrians', instruction: 'Stand in a lane in front of oncoming traffic — cars stop a few metres short. Wait 20 seconds — the first car turns round and drives off the other way. At a lit junction, cars turning into a road wait while pedestrians with a walk signal are on its crosswalk.' },
+                    { id: 'TR6', name: 'Knocked Off', instruction: 'Ram a traffic car sideways out of its lane. It picks up the nearest road and carries on instead of driving off across the block.' },
+                    { id: 'TR7', name: 'Car Chase Event', instruction: 'Wait for "A police chase races by!". The white chaser follows the sports car in the same lane and both stop at red lights.' },
+                    { id: 'TR8', name: 'Console', instruction: 'Type traffic — the road graph size and how many cars are moving, in a junction or stopped print.' }
+                ]
+            },
+            gps: {
+                name: 'GPS Routes',
+                tests: [
+                    { id: 'GP1', name: 'Map Waypoint', instruction: 'Open the map and click somewhere in The Strip. A purple route follows the roads from you to the red waypoint, on the full map and on the minimap.' },
+                    { id: 'GP2', name: 'Diagonals', instruction: 'From Downtown (0,0) set a waypoint near 200,-200. The route takes the diagonal boulevard rather than a staircase of grid streets.' },
+                    { id: 'GP3', name: 'Follow & Trim', instruction: 'Drive the route. The part behind you disappears as you pass each junction; the route never doubles back to where you started.' },
+                    { id: 'GP4', name: 'Reroute', instruction: 'Deliberately turn off the route and keep going for a block. Within a second of being ~20m away the route is worked out again from where you are.' },
+                    { id: 'GP5', name: 'Missions & Taxis', instruction: 'Start mission 1, and separately a taxi fare (get in a taxi and press R). Each objective and the pickup/dropoff get a route without touching the map. A tail target gets a route that follows it as it drives.' },
+                    { id: 'GP6', name: 'Arrival', instruction: 'Reach a map waypoint — waypoint and route both disappear within 10m.' },
+                    { id: 'GP7', name: 'Console', instruction: 'Type gps 300 300 — a waypoint is set there and the route length and number of junctions print. gps clear removes it.' }
+                ]
+            },
+            pedestrians: {
+                name: 'Pedestrian Routes',
+                tests: [
+                    { id: 'PD1', name: 'Sidewalks', instruction: 'Stand at a Downtown corner for a minute. Pedestrians walk along the sidewalks and round the corners; none cut across the middle of a block or walk down the road.' },
+                    { id: 'PD2', name: 'Crosswalks', instruction: 'Everyone crossing a road does so on the painted crosswalk, never diagonally through the junction.' },
+                    { id: 'PD3', name: 'Walk Signal', instruction: 'At a junction with lights (e.g. 0,0) pedestrians wait at the kerb facing the road while the cars crossing their path have green, and step out once those cars get red. The odd jaywalker goes anyway, and anyone kept waiting 20 seconds gives up and crosses.' },
+                    { id: 'PD4', name: 'Unlit Crossings', instruction: 'At a junction without lights pedestrians wait until no car is driving towards the crosswalk, then cross.' },
+                    { id: 'PD5', name: 'Destinations', instruction: 'Follow one pedestrian. They walk to a shop front (then stand or use their phone), a bench (and sit down) or the corner by a bus shelter (and wait), stay a while, then set off somewhere else.' },
+                    { id: 'PD6', name: 'Disturbed', instruction: 'Scare a pedestrian into fleeing, then move away. Once calm they head back to the nearest sidewalk and carry on, rather than marching back through buildings to where they were.' },
+                    { id: 'PD7', name: 'Console', instruction: 'Type pedestrians — the sidewalk graph size, the destinations by type and how many pedestrians are walking, waiting to cross or stopped print.' }
+                ]
+            },
+            citizens: {
+                name: 'Citizens',
+                tests: [
+                    { id: 'CZ1', name: 'Names and Moods', instruction: 'Stand among pedestrians until one speaks. The subtitle starts with their name, coloured by mood (cheerful yellow, grumpy red, nervous pale blue, tired grey, chatty green), and moody lines match it.' },
+                    { id: 'CZ2', name: 'Familiar Faces', instruction: 'Type citizens and note a name nearby. Run a block away and straight back — within a minute or two the same person, with the same clothes, hair, height and voice, is walking around again.' },
+                    { id: 'CZ3', name: 'Morning Commute', instruction: 'Type time 7.5 and stand in Hillside. Type citizens — many nearby are office workers, students or tourists heading to Downtown, and pedestrians drift towards Downtown rather than wandering at random.' },
+                    { id: 'CZ4', name: 'Strip at Night', instruction: 'Type time 23 and go to the Strip. Type citizens — most nearby are bartenders, card dealers, party animals and students. At noon the same spot has locals, tourists and shopkeepers instead.' },
+                    { id: 'CZ5', name: 'Office Hours', instruction: 'Type time 12 in Downtown — mostly office workers and students. At time 2 nobody nearby is an office worker.' },
+                    { id: 'CZ6', name: 'Dead Stay Dead', instruction: 'Type citizens, kill one of the listed pedestrians and note their name. Keep playing in the area for a few minutes — that name never turns up again (a newcomer has taken their place).' },
+                    { id: 'CZ7', name: 'Console', instruction: 'Type citizens — the cast size, how many are out, the count by job and the nearest pedestrians described (name, job, home district, mood, where they are due) print.' }
+                ]
+            },
+            groups: {
+                name: 'NPC Groups',
+                tests: [
+                    { id: 'GR1', name: 'Walking Together', instruction: 'Type groups walk, then groups to see where they are and go and find them. The couple or friends walk side by side at the same pace, wait together at crosswalks and stop together at their destination.' },
+                    { id: 'GR2', name: 'Flee Together and Regroup', instruction: 'Fire a gun (give pistol) near a walking group. They all run off the same way at once, rather than scattering. Once they calm down, anyone left behind runs to catch up while the leader waits, then they walk on together.' },
+                    { id: 'GR3', name: 'Gang Corner', instruction: 'Type tp docks and walk towards -250,300. Five people in matching blue stand in a ring on the corner. Walk up unarmed — they mutter at you but leave you alone. The same faces are there every visit. Type groups — the Dock Rats show as out.' },
+                    { id: 'GR4', name: 'Approached Armed', instruction: 'Walk up to a crew with a gun out. Within 15m one warns you off. Holster (switch to fists) or back off and they stand down; stay armed for 4 seconds and they attack — some come at you with fists, the armed ones stop at range and shoot. Run 60m from their corner and they go back to it.' },
+                    { id: 'GR5', name: 'Crew Retaliation', instruction: 'Punch or shoot one crew member, or fire a gun within 25m of them — the whole crew turns on you at once. Kill one and the rest keep fighting. Wipe them out and leave — nobody is back on that corner for two minutes, and newcomers have taken the dead members\' places.' },
+                    { id: 'GR6', name: 'Street Performer', instruction: 'Type time 14, tp downtown and type groups perform. Someone dances or plays guitar by a shop front or bench, playing to the street. Passers-by stop in a ring round them, cheer now and then and drift off after a while. After a couple of minutes the act ends and the performer walks off.' },
+                    { id: 'GR7', name: 'Crowd Scatters', instruction: 'Fire a gun near a performer\'s crowd or an accident crowd. Everyone in it, performer included, runs off the same way and the crowd is gone (groups no longer lists it).' },
+                    { id: 'GR8', name: 'Accident Crowd', instruction: 'Wait for a car accident world event. The bystanders stand in a ring round the wreck, some filming it, and passers-by stop to join them until the wreck is cleared.' },
+                    { id: 'GR9', name: 'Console', instruction: 'Type groups — every group prints with its type, size, state and distance, and each crew with whether it is out, back soon or waiting for you. groups walk and groups perform start a new walking group or street performance.' },
+                    { id: 'GR10', name: 'Not Your Fight', instruction: 'Wait near a crew standing by a road until traffic clips one of them, or blow up a wreck beside them without attacking. They scatter away from the car or blast and do not turn on you. Throw a grenade just past a walking group: they run away from the blast, not towards you.' }
+                ]
+            },
+            police_ai: {
+                name: 'Police Perception',
+                tests: [
+                    { id: 'PA1', name: 'Line of Sight', instruction: 'Type wanted 2 and wait for cops. Run round a building corner out of their view — type police: units that lost you show respond or search, not chase, and none shoot at you through walls.' },
+                    { id: 'PA2', name: 'Last Known Position', instruction: 'Break line of sight and keep still. The cops run to where you were last seen (police prints how far it is from you) rather than straight at you, and a cop calls out that they lost you.' },
+                    { id: 'PA3', name: 'Search Pattern', instruction: 'Stay hidden. The cops fan out in different directions round your last known position, stop at corners to look around, and spread further the longer you stay hidden. The dashed circle on the minimap grows with them.' },
+                    { id: 'PA4', name: 'Escape Timer', instruction: 'The "Escaping" timer appears only once no cop can see you. Step back into a cop\'s view — a cop calls out spotting you and the timer disappears, starting again from the top next time you hide. Hide for the whole time and the stars clear.' },
+                    { id: 'PA5', name: 'Minimap Cones', instruction: 'With cops about, each has a blue view cone on the minimap pointing where they are looking, turning red while they can see you. Cones sweep from side to side while a cop searches.' },
+                    { id: 'PA6', name: 'Night & Fog', instruction: 'Compare the cone length at time 12, time 23 and weather fog — shorter at night and much shorter in fog, and cops lose you at shorter range.' },
+                    { id: 'PA7', name: 'Helicopter Search', instruction: 'Type wanted 3. In the open the helicopter holds over you with its spotlight on you. Hide under cover or drive away fast — the spotlight sweeps the ground and the helicopter circles your last known position until it finds you again.' },
+                    { id: 'PA8', name: 'Console', instruction: 'Type police — whether you are seen, the last known position, the search radius and escape timer, then every unit with its type, state, whether it can see you and its distance.' }
+                ]
+            },
+            law_tiers: {
+                name: 'Law Enforcement Tiers',
+                tests: [
+                    { id: 'LT1', name: 'Patrols', instruction: 'Type wanted 1 — only cops on foot, with batons. wanted 2 — patrol cars too, their cop getting out once close. Cops draw pistols from 3 stars.' },
+                    { id: 'LT2', name: 'SWAT Vans', instruction: 'Type wanted 3. Black armored trucks with lightbars arrive and four SWAT officers in helmets pile out 25m away. They fire SMG bursts and work round to your sides rather than running straight at you.' },
+                    { id: 'LT3', name: 'Rappelling', instruction: 'At 3 or 4 stars, wait under the helicopter in the open. Every 30 seconds or so two SWAT officers slide down ropes from it; the ropes vanish once they land. Shoot one on the rope — they drop dead to the ground.' },
+                    { id: 'LT4', name: 'FBI', instruction: 'Type wanted 4. Dark FBI sedans arrive fast with two agents each, who stop 20m off and fire accurate rifle shots. Type police — the units list shows fbi.' },
+                    { id: 'LT5', name: 'Army Roadblocks', instruction: 'Type wanted 5. Green army trucks bring three soldiers each, and roadblocks are army trucks with sandbags and two soldiers posted behind them who hold position and fire at you as you approach.' },
+                    { id: 'LT6', name: 'Police Boats', instruction: 'Get wanted 2+, then take a boat out on the water (or swim). Police boats with lightbars come after you and the cops aboard shoot from the deck. At most two boats at once; none come while you stay on land.' },
+                    { id: 'LT7', name: 'Armor & Durability', instruction: 'Punch or shoot each unit type: cops drop fastest, SWAT and soldiers take several times the damage. A SWAT van takes a lot more shooting than a patrol car before it blows, and everyone inside dies with it. Killing any officer adds heat.' },
+                    { id: 'LT8', name: 'Console', instruction: 'Type police — each unit shows its health and whether it is in a vehicle, rappelling or on a roadblock; each law vehicle its kind, health, crew aboard and distance.' }
+                ]
+            },
+            witnesses: {
+                name: 'Witnesses & Crime Reports',
+                tests: [
+                    { id: 'WI1', name: 'Phone It In', instruction: 'Downtown at midday, punch a pedestrian to death with people about. Nobody gets stars straight away: onlookers stare, then hold phones to their ears with a phone icon over their heads, and a few seconds later "A witness reported the murder" shows and the stars come.' },
+                    { id: 'WI2', name: 'No Witnesses', instruction: 'Kill someone with nobody else in sight (an empty Hillside street at night, or type witnesses after to check nobody is calling). No stars follow.' },
+                    { id: 'WI3', name: 'Silence Them', instruction: 'Commit a crime, then before the calls go through aim a gun at a caller, walk right up to them, or hit them — they drop the phone and run. Kill one — their call never arrives either. Silence everyone and no heat is added.' },
+                    { id: 'WI4', name: 'Severity & Numbers', instruction: 'Type witnesses assault, carjacking, murder in a busy spot, each time waiting for the calls. Murder adds the most heat, assault the least, and the more callers the more heat (the first in full, each after that half).' },
+                    { id: 'WI5', name: 'Police Saw It', instruction: 'With stars and a cop watching you, punch a pedestrian. Heat goes up straight away without waiting for any calls.' },
+                    { id: 'WI6', name: 'Reported Position', instruction: 'Commit a crime, then drive off before the call arrives. The police search round where the crime happened (type police for the last known position), not where you are.' },
+                    { id: 'WI7', name: 'Gangs Keep Quiet', instruction: 'Commit a crime in front of a gang crew on its corner. The crew members never call the police.' },
+                    { id: 'WI8', name: 'Console', instruction: 'Type witnesses — each caller with their name, the crime, whether they are staring or on the phone, seconds until the report and distance.' },
+                    { id: 'WI9', name: 'Not Your Crime', instruction: 'Wait by a busy road until traffic knocks a pedestrian down (or gets one killed). Nobody calls it in and no stars follow. Knock someone down in your own car and the witnesses do call.' },
+                    { id: 'WI10', name: 'Stray Blast', instruction: 'At 3 stars, lure officers on foot next to a burning wreck and wait for it to explode without firing a shot. Any officer it kills should not add heat. Kill one with a grenade and heat should rise.' }
+                ]
+            },
+            busted: {
+                name: 'Busted & Police Stations',
+                tests: [
+                    { id: 'BU1', name: 'Arrest', instruction: 'Type wanted 1 and stand still on foot. When a cop reaches you and you stay put for a second, BUSTED shows over a blue tint, you raise your hands and the cop says an arrest line.' },
+                    { id: 'BU2', name: 'Cutscene Camera', instruction: 'During the arrest the camera leaves the player and slowly circles you and the officer, then returns to normal follow once you are released.' },
+                    { id: 'BU3', name: 'Station in District', instruction: 'Get busted in Docks, then in Strip. Each time you are let out at that district\'s police station (blue P on the minimap and map, blue lamp and POLICE sign on the street) and the message names it.' },
+                    { id: 'BU4', name: 'Fine & Confiscation', instruction: 'With cash and several weapons, get busted at 1 star, then at 2. You lose $250 and $600 (never more than you have), all weapons except fists are gone, and the stars are cleared.' },
+                    { id: 'BU5', name: 'Keep Moving', instruction: 'Type wanted 2 and keep running or driving past the cops. No arrest happens however close they get. Stop in a car with a cop alongside the door — that is an arrest too.' },
+                    { id: 'BU6', name: 'No Arrest at 3+', instruction: 'Type wanted 3 and stand still. Officers surround and shoot you instead of arresting you.' },
+                    { id: 'BU7', name: 'Mission Failed', instruction: 'Start a mission, get 1 star and get busted. The mission fails as it would on death.' },
+                    { id: 'BU8', name: 'Stats', instruction: 'Get busted, then open the pause menu stats. Times Busted counts up once per arrest and survives a save and reload. Type bust stations to list the stations.' }
+                ]
+            },
+            surrender: {
+                name: 'Surrender & Negotiation',
+                tests: [
+                    { id: 'SU1', name: 'Hands Up', instruction: 'Holding a pistol, type wanted 1 and press X with a cop in view. Your hands go up, the gun disappears from your hand and the cop shouts to stay put. Press X with no cop within 30m — "No police close enough to surrender to".' },
+                    { id: 'SU2', name: 'Ticket', instruction: 'With at least $150, type wanted 1 and surrender. The cop walks up, talks for a few seconds, then you are fined $150 on the spot, the stars clear and you keep your weapons.' },
+                    { id: 'SU3', name: 'Bribe', instruction: 'Type give money 5000, wanted 2, then surrender. After talking the cop takes $1500 and a bribe star drops a few metres behind you; the police hold fire while you walk to it, and taking it clears both stars. Leave it 12 seconds and it vanishes.' },
+                    { id: 'SU4', name: 'Can\'t Pay', instruction: 'With under $150 at 1 star (or under $1500 at 2), surrender. The talk ends in BUSTED and the usual arrest at the district station.' },
+                    { id: 'SU5', name: 'High Wanted', instruction: 'Type wanted 4 and surrender next to FBI agents. Nobody shoots; they walk right up and the first to reach you arrests you without any negotiation.' },
+                    { id: 'SU6', name: 'Hold Fire', instruction: 'At 3+ stars with SWAT shooting at you, surrender. All fire stops, including from roadblocks and police boats, for as long as your hands stay up.' },
+                    { id: 'SU7', name: 'Resisting', instruction: 'Surrender, then move, swing, jump or press X again. "Resisting arrest!" shows, the cop shouts, the heat goes up (type wanted to check) and the police open fire again.' },
+                    { id: 'SU8', name: 'Console', instruction: 'Type surrender to put your hands up from the console, then surrender again to see who is coming over and how long the talk has left.' }
+                ]
             }
         };
     }
@@ -540,6 +819,21 @@ export class DevTools {
         setTimeout(() => line.classList.add('fading'), 3000);
     }
 
+    // One-line payload summary; NPCs, vehicles and objectives are too big to print whole
+    _describeEvent(payload) {
+        return Object.entries(payload).map(([key, val]) => {
+            if (val && typeof val === 'object') {
+                if (val.mesh) {
+                    const p = val.mesh.position;
+                    return `${key}=${val.type || 'ped'}@${Math.round(p.x)},${Math.round(p.z)}`;
+                }
+                if (key === 'objective') return `objective=${val.type}`;
+                return `${key}={...}`;
+            }
+            return `${key}=${val}`;
+        }).join(' ');
+    }
+
     executeCommand(cmd) {
         this.log('> ' + cmd, '#0f0');
 
@@ -726,6 +1020,15 @@ export class DevTools {
                 }
                 break;
 
+            case 'fail':
+                if (this.game.systems.missions.missionActive) {
+                    this.game.systems.missions.failMission();
+                    this.log('Mission failed', '#ff0');
+                } else {
+                    this.log('No active mission', '#f44');
+                }
+                break;
+
             case 'ragdoll':
                 this.game.systems.ragdoll.triggerPlayerRagdoll(player);
                 this.log('Ragdoll triggered', '#ff0');
@@ -769,6 +1072,239 @@ export class DevTools {
                 }
                 break;
 
+            case 'events': {
+                const events = this.game.events;
+                if (args[0] === 'watch') {
+                    // Live log of every event until toggled off again
+                    if (this._eventWatchers) {
+                        this._eventWatchers.forEach(off => off());
+                        this._eventWatchers = null;
+                        this.log('Event watch: OFF', '#ff0');
+                    } else {
+                        this._eventWatchers = Object.keys(GAME_EVENTS).map(type =>
+                            events.on(type, payload => this.log(`[event] ${type} ${this._describeEvent(payload)}`, '#0ff')));
+                        this.log('Event watch: ON', '#ff0');
+                    }
+                } else {
+                    if (events.history.length === 0) this.log('No events yet', '#aaa');
+                    for (const e of events.history.slice(-15)) {
+                        this.log(`  ${e.type} ${this._describeEvent(e.payload)}`, '#0ff');
+                    }
+                }
+                break;
+            }
+
+            case 'achievements': {
+                const achievements = this.game.systems.achievements;
+                if (args[0] === 'unlock') {
+                    if (!ACHIEVEMENTS.some(a => a.id === args[1])) {
+                        this.log('Usage: achievements unlock <id> (achievements list for ids)', '#f44');
+                    } else if (!achievements.unlock(args[1])) {
+                        this.log(`${args[1]} is already unlocked`, '#aaa');
+                    } else {
+                        this.log(`Unlocked ${args[1]}`, '#0f0');
+                    }
+                } else {
+                    for (const def of ACHIEVEMENTS) {
+                        const progress = achievements.getProgress(def);
+                        const state = achievements.unlocked[def.id] ? 'UNLOCKED'
+                            : progress ? `${progress.current}/${progress.target}` : 'locked';
+                        this.log(`  ${def.id} - ${def.name} [${state}]`, achievements.unlocked[def.id] ? '#0f0' : '#aaa');
+                    }
+                    this.log(`${achievements.unlockedCount()} / ${ACHIEVEMENTS.length} unlocked`, '#0ff');
+                }
+                break;
+            }
+
+            case 'completion': {
+                const completion = this.game.systems.completion;
+                const items = completion.getItems();
+                for (const c of completion.getCategories(items)) {
+                    this.log(`  ${c.category.id} (${c.category.weight}%) - ${c.done}/${c.total}${c.unlocked ? '' : ' [locked]'}`, c.unlocked ? '#0ff' : '#aaa');
+                }
+                if (args[0] === 'districts') {
+                    for (const d of completion.getDistricts(items)) {
+                        this.log(`  ${d.name}: ${d.done}/${d.items.length}`, '#aaa');
+                    }
+                }
+                this.log(`${completion.getPercentage(items).toFixed(1)}% complete`, '#0f0');
+                break;
+            }
+
+            case 'traffic': {
+                const graph = this.game.systems.world.roadGraph;
+                const traffic = this.game.systems.vehicles.vehicles.filter(v => v.isTraffic && v.route);
+                const moving = traffic.filter(v => v.speed > 0.5).length;
+                const turning = traffic.filter(v => v.route.turn).length;
+                this.log(`Road graph: ${graph.nodes.length} junctions (${graph.nodes.filter(n => n.hasLight).length} with lights), ${graph.edges.length} lanes`, '#0ff');
+                this.log(`Traffic: ${traffic.length} cars, ${moving} moving (${turning} in a junction), ${traffic.length - moving} stopped`, '#0ff');
+                break;
+            }
+
+            case 'pedestrians': {
+                const graph = this.game.systems.world.sidewalkGraph;
+                const byType = {};
+                for (const dest of graph.destinations) byType[dest.type] = (byType[dest.type] || 0) + 1;
+                const peds = this.game.systems.npcs.pedestrians.filter(npc => npc.alive);
+                const walking = peds.filter(npc => npc.walkRoute && !npc._waitingAtCrosswalk).length;
+                const waiting = peds.filter(npc => npc.walkRoute && npc._waitingAtCrosswalk).length;
+                const crossings = graph.edges.filter(e => e.crossing).length / 2;
+                this.log(`Sidewalk graph: ${graph.nodes.length} points, ${graph.edges.length / 2 - crossings} stretches of sidewalk, ${crossings} crosswalks`, '#0ff');
+                this.log(`Destinations: ${Object.entries(byType).map(([type, n]) => `${n} ${type.replace('_', ' ')}`).join(', ')}`, '#0ff');
+                this.log(`Pedestrians: ${peds.length}, ${walking} walking, ${waiting} waiting to cross, ${peds.length - walking - waiting} stopped`, '#0ff');
+                break;
+            }
+
+            case 'citizens': {
+                const npcs = this.game.systems.npcs;
+                const citizens = npcs.citizens;
+                const byJob = {};
+                for (const c of citizens.cast) byJob[c.job] = (byJob[c.job] || 0) + 1;
+                this.log(`Cast: ${citizens.cast.length} citizens, ${citizens.cast.filter(c => c.active).length} out, hour ${citizens.hour().toFixed(1)}`, '#0ff');
+                this.log(`Jobs: ${Object.entries(byJob).map(([job, n]) => `${n} ${job}`).join(', ')}`, '#0ff');
+                const pos = this.game.systems.player.position;
+                const nearby = npcs.pedestrians
+                    .filter(npc => npc.alive && npc.citizen)
+                    .sort((a, b) => a.mesh.position.distanceTo(pos) - b.mesh.position.distanceTo(pos))
+                    .slice(0, 8);
+                for (const npc of nearby) {
+                    this.log(`  ${npc.mesh.position.distanceTo(pos).toFixed(0)}m: ${citizens.describe(npc.citizen)}`, '#aaa');
+                }
+                break;
+            }
+
+            case 'groups': {
+                const groups = this.game.systems.npcs.groups;
+                if (args[0] === 'walk' || args[0] === 'perform') {
+                    const group = args[0] === 'walk' ? groups.startWalkers() : groups.startPerformance();
+                    this.log(group ? `Started a ${group.type === 'crowd' ? `${group.act} act` : group.type}` : 'Nobody free (or nowhere to perform) right now', group ? '#ff0' : '#f44');
+                    break;
+                }
+                const pos = this.game.systems.player.position;
+                for (const group of groups.groups) {
+                    const where = group.anchor || group.focus || group.leader.mesh.position;
+                    const label = group.territory ? group.territory.name : group.performer ? `crowd (${group.act})` : group.type;
+                    this.log(`${label}: ${group.members.length} people, ${group.state}, ${Math.hypot(where.x - pos.x, where.z - pos.z).toFixed(0)}m away`, '#0ff');
+                }
+                if (groups.groups.length === 0) this.log('No groups about', '#aaa');
+                for (const t of groups.territories) {
+                    const status = t.crew ? 'out' : t.cooldown > 0 ? `back in ${t.cooldown.toFixed(0)}s` : 'waiting for you';
+                    this.log(`  ${t.name} (${t.district}): ${status}`, '#aaa');
+                }
+                break;
+            }
+
+            case 'police': {
+                const wanted = this.game.systems.wanted;
+                if (wanted.level <= 0) {
+                    this.log('Not wanted', '#aaa');
+                    break;
+                }
+                const pos = this.game.systems.player.position;
+                const last = wanted.lastKnownPosition;
+                const area = wanted.searchArea();
+                this.log(`${wanted.level} stars, ${wanted.suspectSeen ? 'seen' : 'hidden'}, sight range ${wanted.sightRange().toFixed(0)}m`, '#ff0');
+                if (last) this.log(`Last known position ${last.x.toFixed(0)}, ${last.z.toFixed(0)} (${Math.hypot(last.x - pos.x, last.z - pos.z).toFixed(0)}m from you)`, '#0ff');
+                if (area) this.log(`Searching ${area.radius.toFixed(0)}m round it${wanted.isEscaping ? `, escaping in ${Math.ceil(wanted.escapeTimer)}s` : ''}`, '#0ff');
+                for (const unit of wanted.policeUnits) {
+                    if (!unit.alive || !unit.mesh) continue;
+                    const where = unit.vehicle ? ` (in ${unit.vehicle.lawKind})` : unit.rappel ? ' (rappelling)' : unit.post ? ' (roadblock)' : '';
+                    this.log(`  ${unit.type} ${Math.ceil(unit.health)}hp: ${unit.state || 'arriving'}${unit.canSee ? ', sees you' : ''}${where}, ${unit.mesh.position.distanceTo(pos).toFixed(0)}m away`, unit.canSee ? '#f88' : '#aaa');
+                }
+                for (const { car, kind, crew } of wanted.lawVehicles) {
+                    const aboard = crew.filter(u => u.alive && u.vehicle === car).length;
+                    this.log(`  ${car.lawKind} (${kind} crew): ${Math.ceil(car.health)}/${car.maxHealth}, ${aboard ? `${aboard} aboard` : 'parked'}, ${car.mesh.position.distanceTo(pos).toFixed(0)}m away`, '#88f');
+                }
+                break;
+            }
+
+            case 'bust': {
+                const wanted = this.game.systems.wanted;
+                const pos = this.game.systems.player.position;
+                if (args[0] === 'stations') {
+                    for (const station of wanted.policeStations) {
+                        this.log(`  ${station.name} (${station.district}): ${station.x.toFixed(0)}, ${station.z.toFixed(0)}, ${Math.hypot(station.x - pos.x, station.z - pos.z).toFixed(0)}m away`, '#88f');
+                    }
+                    break;
+                }
+                if (wanted.level <= 0 || wanted.level > 2) {
+                    this.log('Arrests only happen at 1-2 stars (type wanted 1)', '#f44');
+                    break;
+                }
+                let nearest = null;
+                let nearestDist = Infinity;
+                for (const unit of wanted.policeUnits) {
+                    if (!unit.alive || !unit.mesh || unit.vehicle || unit.rappel) continue;
+                    const d = unit.mesh.position.distanceTo(pos);
+                    if (d < nearestDist) { nearest = unit; nearestDist = d; }
+                }
+                if (!nearest) {
+                    this.log('No officer on foot to make the arrest', '#f44');
+                    break;
+                }
+                wanted._bust(nearest);
+                this.log(`Busted by the ${nearest.type} ${nearestDist.toFixed(0)}m away`, '#ff0');
+                break;
+            }
+
+            case 'surrender': {
+                const wanted = this.game.systems.wanted;
+                const surrender = wanted.surrendering;
+                if (!surrender) {
+                    if (wanted.surrender()) this.log(`Hands up at ${wanted.level} star${wanted.level === 1 ? '' : 's'}`, '#ff0');
+                    else this.log(wanted.level > 0 ? 'No officer on foot close enough' : 'Not wanted', '#f44');
+                    break;
+                }
+                const dist = surrender.unit.mesh.position.distanceTo(this.game.systems.player.position);
+                this.log(`Surrendered to a ${surrender.unit.type} ${dist.toFixed(1)}m away`, '#0ff');
+                if (surrender.talk > 0) this.log(`Negotiating for ${surrender.talk.toFixed(1)}s`, '#0ff');
+                break;
+            }
+
+            case 'witnesses': {
+                const wanted = this.game.systems.wanted;
+                if (args[0]) {
+                    if (!CRIMES[args[0]]) {
+                        this.log(`Crimes: ${Object.keys(CRIMES).join(', ')}`, '#f44');
+                        break;
+                    }
+                    const seen = wanted.witnesses.witness(args[0]);
+                    this.log(`Staged ${args[0]}: ${seen} witness${seen === 1 ? '' : 'es'}`, seen ? '#ff0' : '#aaa');
+                }
+                const pos = this.game.systems.player.position;
+                const pending = wanted.witnesses.pending();
+                for (const p of pending) {
+                    const name = p.npc.citizen ? p.npc.citizen.name : 'Someone';
+                    this.log(`  ${name}: ${p.crime}, ${p.calling ? 'on the phone' : 'staring'}, reports in ${p.timer.toFixed(1)}s, ${p.npc.mesh.position.distanceTo(pos).toFixed(0)}m away`, '#0ff');
+                }
+                if (pending.length === 0) this.log('Nobody is calling the police', '#aaa');
+                break;
+            }
+
+            case 'gps': {
+                const ui = this.game.systems.ui;
+                if (args[0] === 'clear') {
+                    ui.waypoint = null;
+                    this.log('Waypoint cleared', '#ff0');
+                    break;
+                }
+                if (args.length === 2) {
+                    ui.waypoint = { x: parseFloat(args[0]), z: parseFloat(args[1]) };
+                }
+                if (!ui.waypoint || isNaN(ui.waypoint.x) || isNaN(ui.waypoint.z)) {
+                    ui.waypoint = null;
+                    this.log('Usage: gps [x z | clear]', '#f44');
+                    break;
+                }
+                const route = this.game.systems.world.roadGraph.findRoute(this.game.systems.player.position, ui.waypoint);
+                if (route) {
+                    this.log(`Route to ${ui.waypoint.x.toFixed(0)}, ${ui.waypoint.z.toFixed(0)}: ${route.length.toFixed(0)}m by road, ${route.points.length - 2} junctions`, '#0f0');
+                } else {
+                    this.log('No route by road', '#f44');
+                }
+                break;
+            }
+
             case 'killall':
                 for (const npc of this.game.systems.npcs.pedestrians) {
                     npc.alive = false;
@@ -791,10 +1327,125 @@ export class DevTools {
                 this.log('HESOYAM activated! God mode + $250,000', '#ff0');
                 break;
 
+            case 'savetest':
+                this.runSaveFixtures();
+                break;
+
+            case 'exportsave': {
+                const save = this.game.systems.save;
+                const slot = args[0] ? parseInt(args[0]) - 1 : save.activeSlot;
+                if (save.downloadSlot(slot)) {
+                    this.log(`Exported slot ${slot + 1}`, '#0f0');
+                } else {
+                    this.log('Export failed: ' + save.lastError, '#f44');
+                }
+                break;
+            }
+
+            case 'importsave': {
+                const save = this.game.systems.save;
+                const slot = args[0] ? parseInt(args[0]) - 1 : save.getFreeSlot();
+                if (!(slot >= 0 && slot < save.slotCount)) {
+                    this.log(`Slot must be 1-${save.slotCount}`, '#f44');
+                    break;
+                }
+                this.game.systems.ui.pickImportFile((imported) => {
+                    save.importToSlot(slot, imported);
+                    this.log(`Imported into slot ${slot + 1} (v${imported.data.version}). Use the pause menu to load it.`, '#0f0');
+                });
+                break;
+            }
+
+            case 'savebackend':
+                this.switchSaveBackend(args[0]);
+                break;
+
+            case 'flag': {
+                const m = this.game.systems.missions;
+                if (!args[0]) {
+                    const entries = Object.entries(m.storyFlags);
+                    if (entries.length === 0) this.log('No story flags set', '#aaa');
+                    for (const [name, value] of entries) this.log(`  ${name} = ${JSON.stringify(value)}`, '#0ff');
+                    if (m.lockedMissions.size) this.log(`  Locked missions: ${[...m.lockedMissions].join(', ')}`, '#0ff');
+                    if (m.unlockedMissions.size) this.log(`  Unlocked missions: ${[...m.unlockedMissions].join(', ')}`, '#0ff');
+                    break;
+                }
+                if (args[1] === undefined || args[1] === 'clear') {
+                    delete m.storyFlags[args[0]];
+                    this.log(`Cleared flag ${args[0]}`, '#ff0');
+                } else {
+                    let value = args.slice(1).join(' ');
+                    if (value === 'true' || value === 'false') value = value === 'true';
+                    else if (value !== '' && !isNaN(Number(value))) value = Number(value);
+                    m.setFlag(args[0], value);
+                    this.log(`${args[0]} = ${JSON.stringify(value)}`, '#ff0');
+                }
+                m.refreshMarkers();
+                break;
+            }
+
+            case 'replay': {
+                const replay = this.game.systems.replay;
+                if (args[0] === 'abort') {
+                    if (!replay.active) {
+                        this.log('No replay running', '#aaa');
+                        break;
+                    }
+                    replay.abort();
+                    this.log('Replay abandoned', '#ff0');
+                } else if (args[0]) {
+                    const key = args.join(' ');
+                    const blocked = replay.blockedReason();
+                    if (blocked) this.log(blocked, '#f44');
+                    else if (!replay.start(key)) this.log(`Nothing to replay for ${key}`, '#f44');
+                    else this.log(`Replaying ${key}`, '#0f0');
+                } else {
+                    const entries = replay.listReplayable();
+                    if (entries.length === 0) this.log('Nothing finished yet', '#aaa');
+                    for (const e of entries) {
+                        const best = replay.getResult(e.key);
+                        this.log(`  ${e.key} - ${best ? `${best.medal || 'no medal'} (${best.score})` : 'not played'}`, '#0ff');
+                    }
+                }
+                break;
+            }
+
+            case 'job': {
+                const missions = this.game.systems.missions;
+                if (missions.activeSideMission || missions.missionActive) {
+                    this.log('Finish the current job first', '#f44');
+                    break;
+                }
+                const player = this.game.systems.player;
+                const job = args[0]
+                    ? missions.jobGen.fromCode(args[0])
+                    : missions.jobGen.offer(player.position);
+                if (!job) {
+                    this.log('Usage: job [code], e.g. job 2-00c0ffee', '#f44');
+                    break;
+                }
+                missions._startSideMission(job);
+                this.log(`${job.title} (${job.type}, ${this.game.systems.world.districts[job.district].name}) - job ${job.code}`, '#0f0');
+                break;
+            }
+
+            case 'missioncheck': {
+                const m = this.game.systems.missions;
+                this.log(`Loaded ${m.missionDefs.length} story missions, ${m.sideMissionDefs.length} side jobs, ` +
+                    `${m.sfChains.length} S&F chains, ${m.rampageDefs.length} rampages, ` +
+                    `${m.contactLines.length} contact lines`, '#0ff');
+                if (m.contentErrors.length === 0) {
+                    this.log('No content errors', '#0f0');
+                }
+                for (const err of m.contentErrors) this.log('  ' + err, '#f44');
+                break;
+            }
+
             case 'reset':
-                this.game.systems.save.clear();
-                this.log('Save wiped. Reloading...', '#f44');
-                setTimeout(() => location.reload(), 500);
+                this.game.systems.save.clear().then(() => {
+                    this.log('Save wiped. Reloading...', '#f44');
+                    setTimeout(() => location.reload(), 500);
+                });
                 break;
 
             case 'testsuite': {
@@ -1086,6 +1737,21 @@ export class DevTools {
                     '--- MISSIONS ---',
                     'mission [1-15] - Skip to mission',
                     'complete - Complete current mission',
+                    'fail - Fail current mission (offers checkpoint retry)',
+                    'replay [key/abort] - List replayable missions with medals, start or abandon a replay',
+                    'job [code] - Start a generated side job here, or rebuild one from its job code',
+                    'events [watch] - Show recent game events, or toggle a live event log',
+                    'achievements [unlock id] - List achievements with progress, or unlock one',
+                    'completion [districts] - Completion % by category (and by district)',
+                    'traffic - Road graph size and what traffic is doing',
+                    'gps [x z / clear] - Route to the waypoint, set one, or clear it',
+                    'pedestrians - Sidewalk graph size and what pedestrians are doing',
+                    'citizens - Cast by job and who the nearest pedestrians are',
+                    'groups [walk / perform] - List groups and gang corners, or start a walking group or street act',
+                    'police - What the police can see, where they last saw you, and each unit and law vehicle',
+                    'witnesses [crime] - Who is phoning in a crime, or stage one (assault, carjacking, murder)',
+                    'bust [stations] - Get arrested by the nearest officer (1-2 stars), or list police stations',
+                    'surrender - Put your hands up, or show who is coming to take the surrender',
                     '--- POST-PROCESSING ---',
                     'pp - Show post-processing status',
                     'pp on/off - Toggle post-processing pipeline',
@@ -1097,6 +1763,11 @@ export class DevTools {
                     'terrain pavement - Toggle pavement layer visibility',
                     '--- DEBUG ---',
                     'ragdoll / explode / killall / wireframe / fps / stats / reset',
+                    'savetest - Run historic save fixtures through the migration chain',
+                    'exportsave [slot] / importsave [slot] - Download a save file / load one into a slot',
+                    'savebackend [localstorage/indexeddb] - Show or switch save storage',
+                    'missioncheck - List loaded mission content and any validation errors',
+                    'flag [name] [value/clear] - List, set or clear story flags',
                     '--- SHOWROOM ---',
                     'showroom - Build & teleport to model showroom (y=-200)',
                     '--- QA / TESTING ---',
@@ -1493,8 +2164,61 @@ export class DevTools {
     }
 
     quickLoad() {
-        if (this.game.systems.save.load()) {
+        const save = this.game.systems.save;
+        if (save.load()) {
             this.game.systems.ui.showMissionText('Quick Load', 1.5);
+        } else {
+            this.log('Quick load failed: ' + save.lastError, '#f44');
+        }
+    }
+
+    // Load every fixture in assets/saves/manifest.json through SaveManager.migrate()
+    // and check it upgrades (or is rejected) as expected. Does not touch game state.
+    async runSaveFixtures() {
+        const save = this.game.systems.save;
+        let manifest;
+        try {
+            manifest = await (await fetch('assets/saves/manifest.json')).json();
+        } catch (e) {
+            this.log('Could not read assets/saves/manifest.json: ' + e.message, '#f44');
+            return;
+        }
+
+        let passed = 0;
+        for (const fixture of manifest.fixtures) {
+            let outcome, detail = '';
+            try {
+                const data = await (await fetch('assets/saves/' + fixture.file)).json();
+                const upgraded = save.migrate(data);
+                outcome = 'valid';
+                detail = `v${data.version} -> v${upgraded.version}`;
+            } catch (e) {
+                outcome = 'invalid';
+                detail = e.message;
+            }
+            const ok = outcome === fixture.expect;
+            if (ok) passed++;
+            this.log(`${ok ? 'PASS' : 'FAIL'} ${fixture.file} (${fixture.expect}): ${detail}`, ok ? '#0f0' : '#f44');
+        }
+        this.log(`Save fixtures: ${passed}/${manifest.fixtures.length} passed`, passed === manifest.fixtures.length ? '#0f0' : '#f44');
+    }
+
+    async switchSaveBackend(id) {
+        const save = this.game.systems.save;
+        if (!id) {
+            this.log(`Save storage: ${save.backend.name} (${save.backend.id})`, '#ff0');
+            this.log(`Available: ${Object.keys(SAVE_BACKENDS).join(', ')}`, '#aaa');
+            return;
+        }
+        const Backend = SAVE_BACKENDS[id];
+        if (!Backend) {
+            this.log(`Unknown backend: ${id}`, '#f44');
+            return;
+        }
+        if (await save.setBackend(new Backend())) {
+            this.log(`Saves now stored in ${save.backend.name}`, '#0f0');
+        } else {
+            this.log('Switch failed: ' + save.lastError, '#f44');
         }
     }
 
@@ -0,0 +1,73 @@
+// San Claudio - Event Bus
+// Game-wide publish/subscribe. Systems emit what happened and whoever cares subscribes,
+// instead of reaching into each other or polling every frame. The bus has no dependencies,
+// so a listener can be tested by emitting events at it directly.
+
+// Every event type with the payload fields it must carry. Emitting or subscribing to a
+// type that isn't listed here is a bug and throws.
+export const GAME_EVENTS = {
+    'mission:start': ['missionId', 'title'],
+    'mission:complete': ['missionId', 'title'],
+    'mission:fail': ['missionId', 'reason'],                   // reason may be null (generic failure)
+    'objective:advance': ['missionId', 'index', 'objective'],  // index/objective of the one now active; objective is null once all are done
+    'sidejob:complete': ['title', 'reward', 'generated'],
+    'strangers:complete': ['chainId', 'stage'],                // stage: index of the stage just finished
+    'npc:killed': ['npc'],
+    'vehicle:stolen': ['vehicle'],                             // Carjacked from an NPC driver
+    'crime:reported': ['type', 'reports', 'heat'],              // A witness phoned it in; reports: calls about this crime so far
+    'wanted:changed': ['level', 'previous', 'source'],        // source: 'heat', 'bribe', 'clear' or 'script' (missions, console)
+    'wanted:escaped': ['level', 'method'],                     // method: 'timer', 'spray' or 'zone'
+    'wanted:surrendered': ['outcome', 'cost'],                 // outcome: 'fine', 'bribe' or 'arrest'
+    'player:died': [],
+    'player:respawned': [],
+    'player:busted': ['fine', 'district']                      // Arrested; let out at that district's police station
+};
+
+const HISTORY_SIZE = 50;
+
+export class EventBus {
+    constructor() {
+        this.listeners = new Map(); // type -> [fn]
+        this.history = [];          // Most recent events, newest last: { type, payload, time }
+    }
+
+    // Returns a function that unsubscribes again
+    on(type, fn) {
+        this._checkType(type);
+        if (!this.listeners.has(type)) this.listeners.set(type, []);
+        this.listeners.get(type).push(fn);
+        return () => this.off(type, fn);
+    }
+
+    off(type, fn) {
+        const list = this.listeners.get(type);
+        if (!list) return;
+        const idx = list.indexOf(fn);
+        if (idx >= 0) list.splice(idx, 1);
+    }
+
+    emit(type, payload = {}) {
+        this._checkType(type);
+        const missing = GAME_EVENTS[type].filter(field => !(field in payload));
+        if (missing.length > 0) {
+            throw new Error(`Event ${type} is missing ${missing.join(', ')}`);
+        }
+
+        this.history.push({ type, payload, time: performance.now() });
+        if (this.history.length > HISTORY_SIZE) this.history.shift();
+
+        // A copy, so listeners can unsubscribe while being called. One failing listener
+        // mustn't stop the others, or the system that emitted.
+        for (const fn of [...(this.listeners.get(type) || [])]) {
+            try {
+                fn(payload);
+            } catch (err) {
+                console.error(`Listener for ${type} failed:`, err);
+            }
+        }
+    }
+
+    _checkType(type) {
+        if (!GAME_EVENTS[type]) throw new Error(`Unknown event type "${type}"`);
+    }
+}
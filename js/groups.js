@@ -0,0 +1,635 @@
+// San Claudio - NPC Groups
+// Pedestrians who go about together rather than alone: couples and friends walking side by
+// side, gang crews hanging about their corner in the Docks and Industrial Park, and crowds
+// gathered round a street performer or an accident. Members are ordinary pooled pedestrians
+// with npc.group set; NPCManager asks the group where each of them should be (steer) and hands
+// it anything that threatens one of them (panic), so a group reacts as one: friends run the
+// same way and regroup afterwards, a crowd scatters, and a crew fights back.
+
+const GROUP_CHECK = 5;         // Seconds between looks for new groups to form
+const WALKING_GROUPS = 3;      // Couples and groups of friends out at once
+const WALK_SPACING = 0.9;      // Metres between people walking side by side
+const REGROUP_DISTANCE = 6;    // A group's leader waits for anyone further behind than this
+const CATCH_UP_DISTANCE = 8;   // Further than this from their place, members run
+const RECRUIT_DISTANCE = 50;   // New groups are made from pedestrians at least this far from the player
+const CREW_SIZE = 5;
+const CREW_HEALTH = 80;
+const CREW_RANGE = 90;         // Crews are out on their corner whenever the player comes this close
+const CREW_WARN_RANGE = 15;    // Come this close armed and they warn you off
+const CREW_WARN_TIME = 4;      // Seconds to put it away or leave before they go for you
+const CREW_CHASE_RANGE = 60;   // They give up once the player is this far from their corner
+const CREW_RETURN = 120;       // Seconds before a crew that lost members is back on its corner
+const CREW_PUNCH = 5;
+const CREW_SHOT = 8;
+const CREW_GUN_RANGE = 25;     // Gunmen close to this range, then stand and shoot
+const CROWD_SIZE = 8;
+const CROWD_JOIN_RANGE = 25;   // Passers-by this close may stop to watch
+const PERFORMANCE_HOURS = [10, 23];
+const PERFORMANCE_DISTRICTS = ['downtown', 'strip'];
+
+const WALKING = new Set(['couple', 'friends']);
+
+// The junctions whose corner each crew holds (they stand on its south-east sidewalk corner)
+export const TERRITORIES = [
+    { id: 'dock_rats', name: 'Dock Rats', district: 'docks', x: -250, z: 300,
+      palette: { shirts: [0x1f4e79, 0x245c8a, 0x1a4470], pants: [0x111111, 0x1a1a22] } },
+    { id: 'saltwater', name: 'Saltwater Boys', district: 'docks', x: -350, z: 200,
+      palette: { shirts: [0xe8e8e8, 0xd0d8e0, 0xf0f0f0], pants: [0x223355, 0x1a2a44] } },
+    { id: 'rust_kings', name: 'Rust Kings', district: 'industrial', x: 250, z: 300,
+      palette: { shirts: [0xb5401f, 0xa83a1a, 0xc04a22], pants: [0x222222, 0x2a2018] } },
+    { id: 'furnace', name: 'Furnace Crew', district: 'industrial', x: 350, z: 200,
+      palette: { shirts: [0xd4a017, 0xc09010, 0xe0b020], pants: [0x111111, 0x181818] } }
+];
+
+const CREW_LINES = {
+    calm: ["You lost?", "This is our block.", "Keep walking.", "Nice shoes. Shame if something happened to 'em."],
+    warn: ["Put that away.", "You wanna do this? Here?", "Wrong corner to wave that around.", "Walk away. Now."],
+    standDown: ["That's what I thought.", "Smart move.", "Yeah, keep walking."],
+    attack: ["GET 'EM!", "You asked for it!", "Nobody disrespects the {crew}!", "Light 'em up!"]
+};
+
+const PERFORMER_LINES = ["Thank you, thank you!", "Tips appreciated!", "Give it up, San Claudio!", "One more time!"];
+const PERFORMER_DONE = ["That's all, folks!", "You've been great!", "Same time tomorrow!"];
+
+export class NPCGroups {
+    constructor(game, citizens) {
+        this.game = game;
+        this.citizens = citizens;
+        this.groups = [];          // { type, members, leader, state, ... }, see _addGroup
+        this._checkTimer = GROUP_CHECK;
+        this._performanceCooldown = 30;
+
+        // Each corner's crew are the same faces every time
+        this.territories = TERRITORIES.map(t => ({
+            ...t,
+            roster: Array.from({ length: CREW_SIZE }, () => citizens.recruit(t.id, t.district, t.palette)),
+            anchor: null,          // The sidewalk corner itself, found once the world is built
+            crew: null,            // Their group while they're out
+            cooldown: 0
+        }));
+    }
+
+    update(dt) {
+        for (const t of this.territories) {
+            if (t.cooldown > 0) t.cooldown -= dt;
+        }
+        if (this._performanceCooldown > 0) this._performanceCooldown -= dt;
+
+        for (const group of [...this.groups]) {
+            group.members = group.members.filter(npc => npc.alive && npc.group === group);
+            if (group.type === 'gang') this._updateCrew(group, dt);
+            else if (group.type === 'crowd') this._updateCrowd(group, dt);
+            else this._updateWalkers(group);
+        }
+
+        this._checkTimer -= dt;
+        if (this._checkTimer <= 0) {
+            this._checkTimer = GROUP_CHECK;
+            this._formGroups();
+        }
+    }
+
+    // Whether the group decides where a member goes right now. A walking group's leader picks
+    // routes like anyone else, except while waiting for the others to catch up.
+    steers(npc) {
+        const group = npc.group;
+        if (!WALKING.has(group.type)) return true;
+        return npc !== group.leader || this._straggler(group) !== null;
+    }
+
+    // Move a member for a frame; true if they moved (walk animation), false if standing
+    steer(npc, dt) {
+        const group = npc.group;
+        if (group.type === 'gang') return this._steerCrew(npc, group, dt);
+        if (group.type === 'crowd') return this._steerCrowd(npc, group, dt);
+        return this._steerWalker(npc, group, dt);
+    }
+
+    // Something dangerous near a member: the whole group reacts together. Crews fight back
+    // when the player is behind it (and keep fighting once they are); anyone else runs the
+    // same way, away from it, and a crowd breaks up for good.
+    panic(group, point, byPlayer = true) {
+        if (group.type === 'gang' && (byPlayer || group.state === 'hostile')) {
+            this.provoke(group);
+            return;
+        }
+        const npcs = this.game.systems.npcs;
+        const members = group.members.filter(npc => npc.alive && npc.mesh);
+        if (members.length === 0) return;
+
+        let cx = 0;
+        let cz = 0;
+        for (const npc of members) {
+            cx += npc.mesh.position.x / members.length;
+            cz += npc.mesh.position.z / members.length;
+        }
+        const away = Math.atan2(cx - point.x, cz - point.z);
+        members.forEach((npc, i) => {
+            if (npc._reaction) {
+                npc._reaction = null;
+                npcs._resetPose(npc);
+            }
+            npc.isFleeing = true;
+            npc.fleeTarget = point.clone();
+            npc.walkDir = away + (i - (members.length - 1) / 2) * 0.15; // Fanned out a little, not in single file
+        });
+        if (Math.random() < 0.5) {
+            const speaker = members[Math.floor(Math.random() * members.length)];
+            npcs.showNPCSubtitle(speaker, npcs.fleeDialogue[Math.floor(Math.random() * npcs.fleeDialogue.length)]);
+        }
+        if (group.type === 'crowd') this._disband(group);
+    }
+
+    // A crew turns on the player
+    provoke(group) {
+        if (group.state === 'hostile') return;
+        const npcs = this.game.systems.npcs;
+        group.state = 'hostile';
+        for (const npc of group.members) {
+            if (npc._reaction) {
+                npc._reaction = null;
+                npcs._resetPose(npc);
+            }
+            npc.isFleeing = false;
+            npc._attackTimer = 0.5 + Math.random();
+        }
+        if (group.members.length > 0) {
+            const line = this._pick(CREW_LINES.attack).replace('{crew}', group.territory.name);
+            this._say(group.members[0], line, 'authoritative');
+        }
+    }
+
+    // A member killed: a crew retaliates if the player did it and gets a new face; anyone
+    // else with them runs
+    onKilled(npc, byPlayer = true) {
+        const group = npc.group;
+        if (!group) return;
+        if (group.type === 'gang') {
+            const t = group.territory;
+            const i = t.roster.indexOf(npc.citizen);
+            if (i >= 0) t.roster[i] = this.citizens.recruit(t.id, t.district, t.palette);
+            group.losses++;
+        }
+        this.leave(npc);
+        if (group.members.length > 0) this.panic(group, npc.mesh.position, byPlayer);
+    }
+
+    leave(npc) {
+        const group = npc.group;
+        if (!group) return;
+        npc.group = null;
+        npc._running = false;
+        group.members = group.members.filter(m => m !== npc);
+        if (group.slots) group.slots.delete(npc);
+    }
+
+    // Bystanders at a world event: a crowd round it for `time` seconds that passers-by join
+    gatherAround(focus, bystanders, time) {
+        const group = this._addGroup('crowd', [], {
+            focus: { x: focus.x, z: focus.z }, radius: 5, timer: time, joinTimer: 1,
+            slots: new Map(), stay: new Map(), performer: null
+        });
+        for (const npc of bystanders) this._joinCrowd(group, npc, time);
+        return group;
+    }
+
+    // Start a street performance near the player now, if there's a spot and someone for it
+    startPerformance() {
+        const world = this.game.systems.world;
+        const player = this.game.systems.player;
+        const spots = world.sidewalkGraph.destinations.filter(d => {
+            if (d.type === 'bus_stop') return false;
+            const dist = Math.hypot(d.stand.x - player.position.x, d.stand.z - player.position.z);
+            return dist > 20 && dist < 70 && !this.groups.some(g => g.focus &&
+                Math.hypot(g.focus.x - d.stand.x, g.focus.z - d.stand.z) < 30);
+        });
+        if (spots.length === 0) return null;
+        const members = this._recruit(1);
+        if (!members) return null;
+
+        const spot = spots[Math.floor(Math.random() * spots.length)];
+        const npcs = this.game.systems.npcs;
+        const performer = members[0];
+        npcs.respawnAt(performer, spot.stand.x, spot.stand.z);
+        const group = this._addGroup('crowd', [performer], {
+            focus: { x: spot.stand.x, z: spot.stand.z }, radius: 3.5, timer: 90 + Math.random() * 60, joinTimer: 1,
+            slots: new Map(), stay: new Map(), performer,
+            act: Math.random() < 0.5 ? 'dance' : 'guitar', beat: 0,
+            groundY: performer.mesh.position.y,
+            // Facing the sidewalk they're performing to (shop fronts face the street)
+            facing: spot.stand.x !== spot.node.x || spot.stand.z !== spot.node.z
+                ? Math.atan2(spot.node.x - spot.stand.x, spot.node.z - spot.stand.z)
+                : Math.random() * Math.PI * 2
+        });
+        this._performanceCooldown = 120;
+        return group;
+    }
+
+    // Start a couple or group of friends walking somewhere out of sight
+    startWalkers(size = Math.random() < 0.6 ? 2 : 3) {
+        const members = this._recruit(size);
+        if (!members) return null;
+        const npcs = this.game.systems.npcs;
+        const spot = npcs._offscreenSpawnPoint();
+        members.forEach((npc, i) => npcs.respawnAt(npc, spot.x + i * WALK_SPACING, spot.z));
+        const group = this._addGroup(size === 2 ? 'couple' : 'friends', members);
+        // Together at the slowest one's pace
+        const pace = Math.min(...members.map(npc => npc.speed));
+        for (const npc of members) {
+            npc.speed = pace;
+            npc.idleBehavior = 'walking';
+        }
+        return group;
+    }
+
+    _formGroups() {
+        const world = this.game.systems.world;
+        if (!world?.sidewalkGraph) return;
+        const player = this.game.systems.player;
+
+        // Crews on any corner the player's getting near (but not right on top of)
+        for (const t of this.territories) {
+            if (t.crew || t.cooldown > 0) continue;
+            const anchor = this._anchor(t);
+            const dist = Math.hypot(anchor.x - player.position.x, anchor.z - player.position.z);
+            if (dist < CREW_RANGE && dist > 35) this._formCrew(t);
+        }
+
+        if (this.groups.filter(g => WALKING.has(g.type)).length < WALKING_GROUPS) this.startWalkers();
+
+        // Street performers, by day and into the evening
+        const hour = this.citizens.hour();
+        const district = world.getDistrict(player.position.x, player.position.z);
+        if (this._performanceCooldown <= 0 && PERFORMANCE_DISTRICTS.includes(district) &&
+            hour >= PERFORMANCE_HOURS[0] && hour < PERFORMANCE_HOURS[1] &&
+            !this.groups.some(g => g.performer)) {
+            this.startPerformance();
+        }
+    }
+
+    _formCrew(t) {
+        const members = this._recruit(t.roster.length);
+        if (!members) return;
+        const npcs = this.game.systems.npcs;
+        const anchor = this._anchor(t);
+        const group = this._addGroup('gang', [], {
+            territory: t, anchor, slots: new Map(), timer: 0, talkTimer: 0, losses: 0
+        });
+        members.forEach((npc, i) => {
+            const slot = this._clearSpot(anchor, i / members.length * Math.PI * 2, 1.8);
+            npcs.respawnAt(npc, slot.x, slot.z, t.roster[i]);
+            npc.health = CREW_HEALTH;
+            npc.idleBehavior = 'standing';
+            npc.group = group;
+            group.members.push(npc);
+            group.slots.set(npc, slot);
+        });
+        t.crew = group;
+    }
+
+    _updateWalkers(group) {
+        if (group.members.length < 2) {
+            this._disband(group);
+            return;
+        }
+        if (!group.members.includes(group.leader)) group.leader = group.members[0]; // Whoever's left leads on
+    }
+
+    _updateCrew(group, dt) {
+        if (group.members.length === 0) {
+            // All gone: killed (back after a while), or recycled once the player left
+            group.territory.cooldown = group.losses > 0 ? CREW_RETURN : 0;
+            this._disband(group);
+            return;
+        }
+
+        const player = this.game.systems.player;
+        let nearest = null;
+        let nearestDist = Infinity;
+        for (const npc of group.members) {
+            const d = npc.mesh.position.distanceTo(player.position);
+            if (d < nearestDist) {
+                nearestDist = d;
+                nearest = npc;
+            }
+        }
+        const armed = !player.inVehicle && player.getCurrentWeapon().id !== 'fists';
+        group.talkTimer -= dt;
+
+        switch (group.state) {
+            case 'calm':
+                if (armed && nearestDist < CREW_WARN_RANGE) {
+                    group.state = 'warning';
+                    group.timer = CREW_WARN_TIME;
+                    this._say(nearest, this._pick(CREW_LINES.warn), 'authoritative');
+                } else if (nearestDist < 6 && group.talkTimer <= 0) {
+                    this._say(nearest, this._pick(CREW_LINES.calm), 'normal');
+                    group.talkTimer = 10 + Math.random() * 10;
+                }
+                break;
+
+            case 'warning':
+                group.timer -= dt;
+                if (!armed || nearestDist > CREW_WARN_RANGE + 5) {
+                    group.state = 'calm';
+                    group.talkTimer = 10;
+                    this._say(nearest, this._pick(CREW_LINES.standDown), 'normal');
+                } else if (group.timer <= 0) {
+                    this.provoke(group);
+                }
+                break;
+
+            case 'hostile': {
+                const fromCorner = Math.hypot(player.position.x - group.anchor.x, player.position.z - group.anchor.z);
+                if (player.isDead || fromCorner > CREW_CHASE_RANGE) {
+                    group.state = 'calm';
+                    group.talkTimer = 10;
+                }
+                break;
+            }
+        }
+    }
+
+    _updateCrowd(group, dt) {
+        const npcs = this.game.systems.npcs;
+        const performer = group.performer;
+        if (performer && !group.members.includes(performer)) {
+            this._disband(group); // No act without the performer
+            return;
+        }
+        group.timer -= dt;
+        if (group.timer <= 0 || (!performer && group.members.length === 0)) {
+            if (performer) this._say(performer, this._pick(PERFORMER_DONE), 'normal');
+            this._disband(group);
+            return;
+        }
+
+        // Watchers drift off once they've seen enough
+        for (const npc of group.members) {
+            if (npc === performer) continue;
+            const left = group.stay.get(npc) - dt;
+            if (left <= 0) this.leave(npc);
+            else group.stay.set(npc, left);
+        }
+
+        // Passers-by stop to watch
+        group.joinTimer -= dt;
+        if (group.joinTimer <= 0) {
+            group.joinTimer = 1;
+            const capacity = CROWD_SIZE + (performer ? 1 : 0);
+            for (const npc of npcs.pedestrians) {
+                if (group.members.length >= capacity) break;
+                if (!this._isPasserBy(npc) || Math.random() > 0.3) continue;
+                const dist = Math.hypot(npc.mesh.position.x - group.focus.x, npc.mesh.position.z - group.focus.z);
+                if (dist < CROWD_JOIN_RANGE) this._joinCrowd(group, npc, 10 + Math.random() * 15);
+            }
+            if (performer && Math.random() < 0.1) this._say(performer, this._pick(PERFORMER_LINES), 'normal');
+        }
+    }
+
+    _steerWalker(npc, group, dt) {
+        const leader = group.leader;
+        if (npc === leader) {
+            // Waiting for a straggler to catch up
+            const straggler = this._straggler(group);
+            if (straggler) this._face(npc, straggler.mesh.position);
+            return false;
+        }
+
+        const slot = this._walkSlot(group, npc);
+        const dist = Math.hypot(slot.x - npc.mesh.position.x, slot.z - npc.mesh.position.z);
+        if (dist < 0.3) {
+            npc._running = false;
+            npc.mesh.rotation.y = leader.mesh.rotation.y; // In step
+            return false;
+        }
+        npc._running = dist > CATCH_UP_DISTANCE;
+        const speed = npc._running ? npc.speed * 2.5 : npc.speed * (dist > 1.5 ? 1.3 : 1);
+        this.game.systems.npcs.stepToward(npc, slot.x, slot.z, speed, dt);
+        return true;
+    }
+
+    _steerCrew(npc, group, dt) {
+        if (group.state === 'hostile') return this._attack(npc, dt);
+
+        const slot = group.slots.get(npc);
+        const dist = Math.hypot(slot.x - npc.mesh.position.x, slot.z - npc.mesh.position.z);
+        if (dist > 0.4) {
+            npc._running = dist > CATCH_UP_DISTANCE;
+            this.game.systems.npcs.stepToward(npc, slot.x, slot.z, npc._running ? npc.speed * 2.2 : npc.speed, dt);
+            return true;
+        }
+        npc._running = false;
+
+        // Eyes on the player when warning them off or when they come close; otherwise each other
+        const player = this.game.systems.player;
+        const watch = group.state === 'warning' || npc.mesh.position.distanceTo(player.position) < 8;
+        this._face(npc, watch ? player.position : group.anchor);
+        return false;
+    }
+
+    // Gunmen close to range and shoot; the rest go in with their fists
+    _attack(npc, dt) {
+        const npcs = this.game.systems.npcs;
+        const player = this.game.systems.player;
+        const dist = npc.mesh.position.distanceTo(player.position);
+        npc._attackTimer -= dt;
+
+        const reach = npc.citizen.armed ? CREW_GUN_RANGE : 1.8;
+        if (dist > reach) {
+            npc._running = true;
+            npc._currentAnim = null; // Aim again when they next stop
+            npcs.stepToward(npc, player.position.x, player.position.z, npc.speed * 2.2, dt);
+            return true;
+        }
+        npc._running = false;
+        this._face(npc, player.position);
+
+        const parts = npc.mesh.userData.parts;
+        if (npc.citizen.armed) {
+            if (parts?.rightArm) parts.rightArm.rotation.x = -1.5; // Aiming
+            this._playOnce(npc, 'aim_pistol');
+            if (npc._attackTimer <= 0) {
+                npc._attackTimer = 1.2 + Math.random();
+                this.game.systems.audio.playGunshot('pistol');
+                if (Math.random() < 0.25) player.takeDamage(CREW_SHOT);
+                npcs.reactToGunfire(npc.mesh.position);
+            }
+        } else {
+            if (parts?.rightArm) parts.rightArm.rotation.x *= Math.max(0, 1 - dt * 6); // Arm back down after a punch
+            if (npc._attackTimer <= 0 && !player.inVehicle) {
+                npc._attackTimer = 1.5 + Math.random();
+                player.takeDamage(CREW_PUNCH);
+                if (parts?.rightArm) parts.rightArm.rotation.x = -1.4;
+                this._playOnce(npc, 'punch', true);
+            }
+        }
+        return false;
+    }
+
+    _steerCrowd(npc, group, dt) {
+        if (npc === group.performer) {
+            this._perform(npc, group, dt);
+            return false;
+        }
+
+        const slot = group.slots.get(npc);
+        const dist = Math.hypot(slot.x - npc.mesh.position.x, slot.z - npc.mesh.position.z);
+        if (dist > 0.4) {
+            if (this.game.systems.npcs.stepToward(npc, slot.x, slot.z, npc.speed, dt)) return true;
+            group.slots.set(npc, { x: npc.mesh.position.x, z: npc.mesh.position.z }); // Can't get there: this will do
+        }
+        this._face(npc, group.focus);
+
+        // The odd cheer for the act; at an accident, phones come out
+        if (npc._reactionCooldown <= 0 && Math.random() < dt * 0.1) {
+            npc._reaction = group.performer ? 'cheer' : 'record';
+            npc._reactionTimer = 2 + Math.random() * 2;
+            npc._recordingTarget = new THREE.Vector3(group.focus.x, 0, group.focus.z);
+        }
+        return false;
+    }
+
+    _perform(npc, group, dt) {
+        group.beat += dt;
+        const t = group.beat;
+        npc.mesh.rotation.y = group.facing + Math.sin(t * 1.5) * 0.4; // Playing to both sides
+        const parts = npc.mesh.userData.parts;
+        if (group.act === 'dance') {
+            npc.mesh.position.y = group.groundY + Math.abs(Math.sin(t * 4)) * 0.12;
+            if (parts) {
+                if (parts.leftArm) parts.leftArm.rotation.x = -2.2 + Math.sin(t * 4) * 0.6;
+                if (parts.rightArm) parts.rightArm.rotation.x = -2.2 + Math.sin(t * 4 + Math.PI) * 0.6;
+                if (parts.torso) parts.torso.rotation.y = Math.sin(t * 4) * 0.3;
+                if (parts.leftLeg) parts.leftLeg.rotation.x = Math.sin(t * 4) * 0.4;
+                if (parts.rightLeg) parts.rightLeg.rotation.x = -Math.sin(t * 4) * 0.4;
+            }
+        } else if (parts) {
+            // Guitar: one hand on the neck, the other strumming
+            if (parts.leftArm) parts.leftArm.rotation.x = -1.2;
+            if (parts.leftForearm) parts.leftForearm.rotation.x = -0.6;
+            if (parts.rightArm) parts.rightArm.rotation.x = -0.6 + Math.sin(t * 10) * 0.25;
+            if (parts.head) parts.head.rotation.z = Math.sin(t * 2) * 0.1;
+        }
+    }
+
+    // A follower's place beside (and just behind) the leader, alternating right and left
+    _walkSlot(group, npc) {
+        const leader = group.leader;
+        const i = group.members.filter(m => m !== leader).indexOf(npc) + 1;
+        const side = (i % 2 === 1 ? 1 : -1) * Math.ceil(i / 2) * WALK_SPACING;
+        const heading = leader.mesh.rotation.y;
+        const fx = Math.sin(heading);
+        const fz = Math.cos(heading);
+        const base = leader.mesh.position;
+        const slot = { x: base.x - fz * side - fx * 0.3, z: base.z + fx * side - fz * 0.3 };
+        if (this.game.systems.world.checkCollision(slot.x, slot.z, 0.4)) {
+            // No room alongside: fall in behind
+            return { x: base.x - fx * WALK_SPACING * (i + 0.5), z: base.z - fz * WALK_SPACING * (i + 0.5) };
+        }
+        return slot;
+    }
+
+    // A member the leader should wait for, if they're walking on and someone has fallen behind
+    _straggler(group) {
+        const leader = group.leader;
+        if (leader.idleBehavior !== 'walking' || leader.isFleeing) return null;
+        return group.members.find(npc => npc !== leader &&
+            npc.mesh.position.distanceTo(leader.mesh.position) > REGROUP_DISTANCE) || null;
+    }
+
+    _joinCrowd(group, npc, stay) {
+        npc.group = group;
+        npc._waitingAtCrosswalk = false;
+        group.members.push(npc);
+        const angle = Math.atan2(npc.mesh.position.x - group.focus.x, npc.mesh.position.z - group.focus.z);
+        group.slots.set(npc, this._clearSpot(group.focus, angle + (Math.random() - 0.5) * 0.6, group.radius + Math.random()));
+        group.stay.set(npc, stay);
+    }
+
+    // A spot `radius` from a point at about `angle`, turned as far as it takes to be clear
+    _clearSpot(center, angle, radius) {
+        const world = this.game.systems.world;
+        for (let i = 0; i < 12; i++) {
+            const a = angle + (i % 2 === 0 ? 1 : -1) * Math.ceil(i / 2) * 0.5;
+            const x = center.x + Math.sin(a) * radius;
+            const z = center.z + Math.cos(a) * radius;
+            if (!world.checkCollision(x, z, 0.4) && !world.isInWater(x, z)) return { x, z };
+        }
+        return { x: center.x, z: center.z };
+    }
+
+    // Pedestrians for a new group: the ungrouped ones furthest from the player (or dead, as the
+    // pool would recycle them anyway). Null if there aren't enough.
+    _recruit(count) {
+        const player = this.game.systems.player;
+        const spare = this.game.systems.npcs.pedestrians.filter(npc => npc.mesh && !npc.group &&
+            !npc.isTarget && !npc.isRampageTarget && !npc.moveTarget &&
+            (!npc.alive || npc.mesh.position.distanceTo(player.position) > RECRUIT_DISTANCE));
+        if (spare.length < count) return null;
+        spare.sort((a, b) => b.mesh.position.distanceToSquared(player.position) - a.mesh.position.distanceToSquared(player.position));
+        return spare.slice(0, count);
+    }
+
+    _isPasserBy(npc) {
+        return npc.alive && npc.mesh && !npc.group && !npc.moveTarget && !npc.isTarget && !npc.isRampageTarget &&
+            !npc.isFleeing && !npc._reaction && npc.idleBehavior === 'walking';
+    }
+
+    _anchor(t) {
+        if (!t.anchor) {
+            const corner = this.game.systems.world.sidewalkGraph.nearestNode(t.x + 7.5, t.z + 7.5);
+            t.anchor = { x: corner.x, z: corner.z };
+        }
+        return t.anchor;
+    }
+
+    _addGroup(type, members, fields = {}) {
+        const group = { type, members: [...members], leader: members[0] || null, state: 'calm', ...fields };
+        for (const npc of members) npc.group = group;
+        this.groups.push(group);
+        return group;
+    }
+
+    _disband(group) {
+        this.groups = this.groups.filter(g => g !== group);
+        for (const npc of group.members) {
+            npc.group = null;
+            npc._running = false;
+        }
+        const performer = group.performer;
+        if (performer?.mesh) {
+            // Off somewhere else once the act is over
+            this.game.systems.npcs._resetPose(performer);
+            performer.mesh.position.y = group.groundY;
+            performer.idleBehavior = 'walking';
+            performer.walkRoute = null;
+        }
+        if (group.territory) group.territory.crew = null;
+    }
+
+    _face(npc, point) {
+        npc.mesh.rotation.y = Math.atan2(point.x - npc.mesh.position.x, point.z - npc.mesh.position.z);
+    }
+
+    // A one-off skeleton animation (aim, punch), if the model has it; `again` restarts it
+    _playOnce(npc, name, again = false) {
+        const actions = npc.mesh.userData.actions;
+        if (!actions?.[name] || (npc._currentAnim === name && !again)) return;
+        if (npc.mesh.userData.currentAction) npc.mesh.userData.currentAction.fadeOut(0.2);
+        actions[name].reset().fadeIn(0.2).play();
+        npc.mesh.userData.currentAction = actions[name];
+        npc._currentAnim = name;
+        npc._currentClip = null; // So walking or running crossfades back in
+    }
+
+    _say(npc, line, modifier) {
+        const npcs = this.game.systems.npcs;
+        npcs.showNPCSubtitle(npc, line);
+        this.game.systems.audio.playAnimalese(line, npcs._voicePitch(npc), modifier);
+    }
+
+    _pick(lines) {
+        return lines[Math.floor(Math.random() * lines.length)];
+    }
+}
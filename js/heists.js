@@ -0,0 +1,431 @@
+// San Claudio - Heists
+// Objective types for multi-stage heists, driven by the `heist` block of a story mission:
+// heist_plan (planning board: approach + getaway vehicle), heist_enter (crew follows the
+// player into the target interior), heist_drill (timed vault drill) and heist_escape (get
+// away in the chosen vehicle while the scripted police response escalates).
+// Setup objectives before the plan (scouting, picking up gear) are ordinary mission objectives.
+// Same interface as ObjectiveLibrary, except that the crew, getaway vehicle and alarm outlive a
+// single objective: endObjective() clears per-objective props, cleanup() everything at mission end.
+
+export class HeistController {
+    constructor(game) {
+        this.game = game;
+        this.def = null;        // The mission's heist block
+        this.plan = null;       // { approach, approachId, getawayType } once the board is confirmed
+        this.crew = [];         // [{ npc, name, role }]
+        this.getaway = null;    // Spawned getaway vehicle
+        this.meshes = [];       // Props of the current objective (rings, drill)
+        this.alarm = null;      // { clock, level } once the police have been called
+        this.failReason = null;
+        this._wasInside = false;
+        this._shotsAtEntry = 0;
+    }
+
+    handles(type) {
+        return ['heist_plan', 'heist_enter', 'heist_drill', 'heist_escape'].includes(type);
+    }
+
+    // Called when a mission starts. Retries skip this, so the plan that was made still holds
+    reset(def) {
+        this.cleanup();
+        this.def = def || null;
+        this.plan = null;
+    }
+
+    start(obj) {
+        this.failReason = null;
+        const ui = this.game.systems.ui;
+
+        switch (obj.type) {
+            case 'heist_plan':
+                this._placeRing(obj.target, obj.radius || 3, 0x44aaff);
+                ui.waypoint = { x: obj.target.x, z: obj.target.z };
+                break;
+
+            case 'heist_enter': {
+                this._spawnCrew(obj.from);
+                this._ensureGetaway();
+                const door = this._door();
+                if (door) ui.waypoint = { x: door.worldPos.x, z: door.worldPos.z };
+                break;
+            }
+
+            case 'heist_drill':
+                this._spawnCrew();
+                obj.progress = 0;
+                obj.placed = false;
+                // Shooting from here on gives a stealth job away
+                this._shotsAtEntry = this.game.systems.weapons.shotsFired;
+                // A retry of a loud job picks up with the alarm already ringing
+                if (this.plan.approachId === 'loud') this._resumeAlarm();
+                break;
+
+            case 'heist_escape':
+                this._spawnCrew();
+                this._ensureGetaway();
+                this._resumeAlarm();
+                // Exposed for the vehicle_destroyed fail condition
+                obj.vehicle = this.getaway;
+                this._placeRing(obj.target, obj.radius || 12, 0xffcc00);
+                ui.waypoint = this.getaway
+                    ? { x: this.getaway.mesh.position.x, z: this.getaway.mesh.position.z }
+                    : { x: obj.target.x, z: obj.target.z };
+                break;
+        }
+    }
+
+    // Returns 'complete', 'failed' or null while the objective is still running
+    update(obj, dt) {
+        if (obj.type !== 'heist_plan') {
+            const dead = this.crew.find(c => !c.npc.alive);
+            if (dead) return this._fail(`${dead.name} is dead`);
+            this._updateCrew();
+            this._updateAlarm(dt);
+        }
+
+        switch (obj.type) {
+            case 'heist_plan': return this._updatePlan(obj);
+            case 'heist_enter': return this._updateEnter(obj);
+            case 'heist_drill': return this._updateDrill(obj, dt);
+            case 'heist_escape': return this._updateEscape(obj);
+        }
+        return null;
+    }
+
+    // Between objectives: remove the finished objective's rings and props
+    endObjective() {
+        this._disposeAll(this.meshes);
+        this.meshes = [];
+    }
+
+    // Mission over: also release the crew, remove an unused getaway vehicle and stop the police script
+    cleanup() {
+        this.endObjective();
+        this._releaseCrew();
+
+        const vehicles = this.game.systems.vehicles;
+        if (this.getaway && this.getaway.mesh) {
+            this._disposeAll([this.getaway.cone]);
+            if (!this.getaway.occupied) {
+                vehicles.removeVehicle(this.getaway);
+            }
+        }
+        this.getaway = null;
+        this.alarm = null;
+        this._wasInside = false;
+
+        const planner = document.getElementById('heist-planner');
+        if (planner) planner.style.display = 'none';
+    }
+
+    // --- Per-type updates ---
+
+    _updatePlan(obj) {
+        if (this.plan) return 'complete';
+
+        const player = this.game.systems.player;
+        if (player.inVehicle || this._dist(player.position, obj.target) > (obj.radius || 3)) return null;
+
+        const promptEl = document.getElementById('hud-interact-prompt');
+        promptEl.textContent = 'Press E to plan the job';
+        promptEl.classList.add('visible');
+
+        if (this.game.systems.input.justPressed('interact')) {
+            this.game.setState('paused');
+            this.game.systems.ui.showHeistPlanner(this.def, (approachId, getawayType) => {
+                this.game.setState('playing');
+                this._confirmPlan(approachId, getawayType);
+            }, () => this.game.setState('playing'));
+        }
+        return null;
+    }
+
+    _confirmPlan(approachId, getawayType) {
+        const approach = this.def.approaches[approachId];
+        this.plan = { approach, approachId, getawayType };
+
+        // An approach can set story flags and change the payout, just like a dialogue choice
+        this.game.systems.missions._applyChoice(approach);
+
+        const vehicleName = getawayType.charAt(0).toUpperCase() + getawayType.slice(1);
+        this.game.systems.ui.showMissionText(`${approach.title} approach. ${vehicleName} waiting by the ${this.def.interior}.`, 3);
+    }
+
+    _updateEnter(obj) {
+        const inside = this._inside();
+        if (inside) {
+            if (this.plan.approachId === 'loud') this._raiseAlarm('ALARM! The police are on their way');
+            return 'complete';
+        }
+        const waiting = this.crew.filter(c => !c.npc.riding && this._dist(c.npc.mesh.position, this.game.systems.player.position) > 20);
+        this._setStatus(waiting.length ? `WAIT FOR ${waiting.map(c => c.name.toUpperCase()).join(' & ')}` : `CREW: ${this._crewNames()}`,
+            waiting.length ? '#dd4444' : '#44dd88');
+        return null;
+    }
+
+    _updateDrill(obj, dt) {
+        if (!this._inside()) {
+            this._setStatus(`Get back inside the ${this.def.interior}`, '#dd4444');
+            return null;
+        }
+
+        const player = this.game.systems.player;
+        const vault = this.def.vault;
+        const radius = vault.radius || 3;
+        const dist = this._dist(player.position, vault);
+
+        // Shooting inside on a stealth job trips the alarm
+        if (!this.alarm && this.game.systems.weapons.shotsFired > this._shotsAtEntry) {
+            this._raiseAlarm('Shots fired, the alarm is going off!');
+        }
+
+        if (!obj.placed) {
+            if (dist < radius) {
+                const promptEl = document.getElementById('hud-interact-prompt');
+                promptEl.textContent = 'Press E to set up the drill';
+                promptEl.classList.add('visible');
+                if (this.game.systems.input.justPressed('interact')) {
+                    obj.placed = true;
+                    this._placeDrill();
+                }
+            }
+            this._setStatus('Set up the drill on the vault', '#ffcc44');
+            return null;
+        }
+
+        // The drill only runs while someone is watching it
+        const guarding = dist < radius * 3;
+        if (guarding) obj.progress += dt / this.plan.approach.drillTime;
+        const pct = Math.min(100, Math.floor(obj.progress * 100));
+        this._setStatus(guarding ? `DRILLING ${pct}%` : `DRILL PAUSED ${pct}% — stay with the drill`, guarding ? '#ffcc44' : '#dd4444');
+
+        if (obj.progress >= 1) {
+            this.game.systems.audio.playPickup();
+            // The vault sensor calls it in even when nobody noticed the drill
+            this._raiseAlarm('Vault open! Grab the cash and get out');
+            return 'complete';
+        }
+        return null;
+    }
+
+    _updateEscape(obj) {
+        const player = this.game.systems.player;
+        const getaway = this.getaway;
+        const ui = this.game.systems.ui;
+
+        if (this._inside()) {
+            this._setStatus('Get out of the building', '#dd4444');
+            return null;
+        }
+        if (!getaway || player.currentVehicle !== getaway) {
+            if (getaway) ui.waypoint = { x: getaway.mesh.position.x, z: getaway.mesh.position.z };
+            this._setStatus(`Get in the getaway ${this.plan.getawayType}`, '#ffcc44');
+            return null;
+        }
+
+        ui.waypoint = { x: obj.target.x, z: obj.target.z };
+        const aboard = this.crew.every(c => c.npc.riding);
+        this._setStatus(aboard ? `ESCAPE — ${this.game.systems.wanted.level} stars` : 'Wait for the crew to get in',
+            aboard ? '#ff8844' : '#dd4444');
+
+        if (aboard && this._dist(player.position, obj.target) < (obj.radius || 12)) {
+            // The crew split with their cut
+            this._releaseCrew();
+            this.alarm = null;
+            return 'complete';
+        }
+        return null;
+    }
+
+    // --- Crew ---
+
+    // Spawn anyone not already with the player (retries start the crew fresh)
+    _spawnCrew(from) {
+        if (this.crew.length > 0) return;
+        const player = this.game.systems.player;
+        const npcs = this.game.systems.npcs;
+
+        this.def.crew.forEach((member, i) => {
+            const pos = from || { x: player.position.x + 2, z: player.position.z + 2 };
+            const x = pos.x + i * 1.5;
+            const npc = npcs.spawnPedestrian(true);
+            if (!npc || !npc.mesh) return;
+            npc.mesh.position.set(x, npcs._getGroundY(x, pos.z), pos.z);
+            npc.health = member.health || 150;
+            npc.isTarget = true; // Keep the pool from recycling them mid-mission
+            npc.isFleeing = false;
+            const cone = this._markerCone(0x44ff44, 2.5);
+            npc.mesh.add(cone);
+            this.crew.push({ npc, cone, name: member.name, role: member.role });
+        });
+
+        // Retrying inside the building: the crew is already in there with you
+        this._wasInside = false;
+    }
+
+    _releaseCrew() {
+        this._disposeAll(this.crew.map(c => c.cone));
+        for (const c of this.crew) {
+            c.npc.isTarget = false;
+            c.npc.moveTarget = null;
+            c.npc.riding = false;
+            if (c.npc.mesh) c.npc.mesh.visible = true;
+        }
+        this.crew = [];
+    }
+
+    // Follow the player on foot, ride along in their vehicle and come through doors with them
+    _updateCrew() {
+        const player = this.game.systems.player;
+        const inside = this._inside();
+        const door = this._door();
+
+        if (inside !== this._wasInside) {
+            this._wasInside = inside;
+            const base = inside ? door.interiorPos : { x: door.worldPos.x, y: 0, z: door.worldPos.z + 2 };
+            this.crew.forEach((c, i) => {
+                c.npc.riding = false;
+                c.npc.mesh.visible = true;
+                const x = base.x + (i + 1) * 1.5;
+                const z = inside ? base.z - 2 : base.z;
+                const y = inside ? this.game.systems.interiors.interiorY : this.game.systems.npcs._getGroundY(x, z);
+                c.npc.mesh.position.set(x, y, z);
+            });
+        }
+
+        for (const c of this.crew) {
+            const npc = c.npc;
+            if (player.inVehicle) {
+                const vehiclePos = player.currentVehicle.mesh.position;
+                if (!npc.riding && this._dist(npc.mesh.position, vehiclePos) < 8) {
+                    npc.riding = true;
+                    npc.moveTarget = null;
+                    npc.mesh.visible = false;
+                }
+                if (npc.riding) npc.mesh.position.copy(vehiclePos);
+            } else if (npc.riding) {
+                npc.riding = false;
+                npc.mesh.visible = true;
+                npc.mesh.position.set(player.position.x + 1.5, player.position.y, player.position.z);
+            }
+
+            if (!npc.riding) {
+                npc.moveTarget = { x: player.position.x, z: player.position.z, stopDistance: 2.5, run: true };
+                // Interiors sit below the map; keep the crew on the interior floor
+                if (inside) npc.moveTarget.y = this.game.systems.interiors.interiorY;
+            }
+        }
+    }
+
+    _crewNames() {
+        return this.crew.map(c => c.name.toUpperCase()).join(', ');
+    }
+
+    // --- Police response ---
+
+    _raiseAlarm(message) {
+        if (this.alarm) return;
+        this.alarm = { clock: 0, level: 0 };
+        this.game.systems.ui.showMissionText(message, 3);
+    }
+
+    _resumeAlarm() {
+        if (!this.alarm) this.alarm = { clock: 0, level: 0 };
+    }
+
+    // Step through the approach's police script. Levels only go up, and only once the player is
+    // outside (police spawn around the player's map position, which means nothing indoors).
+    _updateAlarm(dt) {
+        if (!this.alarm || !this.plan) return;
+        this.alarm.clock += dt;
+        if (this._inside()) return;
+
+        const due = this.plan.approach.police.filter(p => p.at <= this.alarm.clock);
+        const level = due.reduce((max, p) => Math.max(max, p.level), 0);
+        if (level > this.alarm.level) {
+            this.alarm.level = level;
+            const wanted = this.game.systems.wanted;
+            if (wanted.level < level) wanted.setLevel(level);
+        }
+    }
+
+    // --- Helpers ---
+
+    _inside() {
+        return this.game.systems.interiors.currentInterior === this.def.interior;
+    }
+
+    _door() {
+        return this.game.systems.interiors.doors.find(d => d.interior === this.def.interior);
+    }
+
+    _ensureGetaway() {
+        if (this.getaway && !this.getaway._destroyed) return;
+        const spot = this.def.getawaySpot;
+        this.getaway = this.game.systems.vehicles.spawnVehicle(spot.x, spot.z, this.plan.getawayType);
+        if (this.getaway) {
+            this.getaway.cone = this._markerCone(0xffcc00, 3);
+            this.getaway.mesh.add(this.getaway.cone);
+        }
+    }
+
+    _placeDrill() {
+        const vault = this.def.vault;
+        const drill = new THREE.Mesh(
+            new THREE.BoxGeometry(0.6, 0.6, 1.2),
+            new THREE.MeshStandardMaterial({ color: 0xdd8822, metalness: 0.6, roughness: 0.4 })
+        );
+        drill.position.set(vault.x, this.game.systems.interiors.interiorY + 1.5, vault.z - 1);
+        this.game.scene.add(drill);
+        this.meshes.push(drill);
+    }
+
+    _disposeAll(meshes) {
+        for (const mesh of meshes) {
+            if (!mesh) continue;
+            if (mesh.parent) mesh.parent.remove(mesh);
+            if (mesh.geometry) mesh.geometry.dispose();
+            if (mesh.material) mesh.material.dispose();
+        }
+    }
+
+    _fail(reason) {
+        this.failReason = reason;
+        return 'failed';
+    }
+
+    _dist(a, b) {
+        return Math.sqrt((a.x - b.x) ** 2 + (a.z - b.z) ** 2);
+    }
+
+    // Status line under the minimap, shared with side jobs and rampages
+    _setStatus(text, color) {
+        const timerEl = document.getElementById('hud-escape-timer');
+        if (!timerEl) return;
+        timerEl.style.display = 'block';
+        timerEl.textContent = text;
+        timerEl.style.color = color;
+    }
+
+    _markerCone(color, height) {
+        const marker = new THREE.Mesh(
+            new THREE.ConeGeometry(0.3, 1, 4),
+            new THREE.MeshBasicMaterial({ color })
+        );
+        marker.position.y = height;
+        marker.rotation.x = Math.PI;
+        return marker;
+    }
+
+    _placeRing(pos, radius, color) {
+        const mesh = new THREE.Mesh(
+            new THREE.RingGeometry(radius - 0.3, radius, 24),
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.5, side: THREE.DoubleSide })
+        );
+        mesh.rotation.x = -Math.PI / 2;
+        mesh.position.set(pos.x, 0.2, pos.z);
+        this.game.scene.add(mesh);
+        this.meshes.push(mesh);
+        return mesh;
+    }
+}
@@ -212,7 +212,8 @@ export class InputManager {
             'touch-vehicle': 'interact', // Same action, context-dependent
             'touch-grenade': 'grenade',
             'touch-weapon': 'weaponNext',
-            'touch-map': 'map'
+            'touch-map': 'map',
+            'touch-retry': 'retry'
         };
 
         for (const [id, action] of Object.entries(buttonMap)) {
@@ -272,6 +273,7 @@ export class InputManager {
                 this.actions.pause = gp.buttons[9]?.pressed;
                 this.actions.map = gp.buttons[8]?.pressed;
                 this.actions.crouch = gp.buttons[13]?.pressed;
+                this.actions.surrender = gp.buttons[12]?.pressed;
             }
         }
 
@@ -315,6 +317,8 @@ export class InputManager {
         this.actions.console = this.keys['Backquote'] || false;
         this.actions.minimapZoom = this.keys['Tab'] || false;
         this.actions.phone = this.keys['KeyT'] || false;
+        this.actions.surrender = this.keys['KeyX'] || false;
+        this.actions.retry = this.keys['KeyY'] || this.touchButtons.retry || false;
 
         // Number keys for direct weapon select (1-9)
         for (let n = 1; n <= 9; n++) {
@@ -331,6 +335,8 @@ export class InputManager {
                 if (gp.buttons[1]?.pressed) this.actions.sprint = true;
                 if (gp.buttons[2]?.pressed) this.actions.attack = true;
                 if (gp.buttons[3]?.pressed) this.actions.interact = true;
+                if (gp.buttons[12]?.pressed) this.actions.surrender = true;
+                if (gp.buttons[14]?.pressed) this.actions.retry = true;
             }
         }
 
@@ -594,15 +594,44 @@ export class InteriorManager {
             group.add(pole);
 
             // Sign board
-            const signCanvas = document.createElement('canvas');
-            signCanvas.width = 256;
-            signCanvas.height = 128;
-            const sCtx = signCanvas.getContext('2d');
-            sCtx.fillStyle = '#ffffff';
-            sCtx.fillRect(0, 0, 256, 128);
+            const signTex = this._drawPropertySign(prop);
+            const signGeo = new THREE.PlaneGeometry(2, 1);
+            const signMesh = new THREE.Mesh(signGeo, new THREE.MeshBasicMaterial({
+                map: signTex, side: THREE.DoubleSide
+            }));
+            signMesh.position.set(0, 2.3, 0);
+            group.add(signMesh);
+
+            group.position.set(prop.worldPos.x, 0, prop.worldPos.z);
+            this.game.scene.add(group);
+
+            this.propertyMarkers.push({ group, sign: signMesh, prop });
+        }
+    }
+
+    // "FOR SALE" or "OWNED" sign texture for a property marker
+    _drawPropertySign(prop) {
+        const signCanvas = document.createElement('canvas');
+        signCanvas.width = 256;
+        signCanvas.height = 128;
+        const sCtx = signCanvas.getContext('2d');
+        sCtx.fillStyle = '#ffffff';
+        sCtx.fillRect(0, 0, 256, 128);
+        sCtx.textAlign = 'center';
+
+        if (prop.owned) {
+            sCtx.fillStyle = '#009900';
+            sCtx.font = 'bold 28px Arial';
+            sCtx.fillText('OWNED', 128, 40);
+            sCtx.fillStyle = '#333333';
+            sCtx.font = '16px Arial';
+            sCtx.fillText(prop.name, 128, 70);
+            sCtx.fillStyle = '#666666';
+            sCtx.font = '14px Arial';
+            sCtx.fillText('Enter to rest & save', 128, 100);
+        } else {
             sCtx.fillStyle = '#cc0000';
             sCtx.font = 'bold 24px Arial';
-            sCtx.textAlign = 'center';
             sCtx.fillText('FOR SALE', 128, 35);
             sCtx.fillStyle = '#333333';
             sCtx.font = '16px Arial';
@@ -610,19 +639,51 @@ export class InteriorManager {
             sCtx.fillStyle = '#009900';
             sCtx.font = 'bold 20px Arial';
             sCtx.fillText('$' + prop.price.toLocaleString(), 128, 100);
+        }
 
-            const signTex = new THREE.CanvasTexture(signCanvas);
-            const signGeo = new THREE.PlaneGeometry(2, 1);
-            const signMesh = new THREE.Mesh(signGeo, new THREE.MeshBasicMaterial({
-                map: signTex, side: THREE.DoubleSide
-            }));
-            signMesh.position.set(0, 2.3, 0);
-            group.add(signMesh);
+        return new THREE.CanvasTexture(signCanvas);
+    }
 
-            group.position.set(prop.worldPos.x, 0, prop.worldPos.z);
-            this.game.scene.add(group);
+    _refreshPropertySign(pm) {
+        if (pm.sign.material.map) pm.sign.material.map.dispose();
+        pm.sign.material.map = this._drawPropertySign(pm.prop);
+        pm.sign.material.needsUpdate = true;
+    }
 
-            this.propertyMarkers.push({ group, sign: signMesh, prop });
+    // Closest respawn point: the Downtown safehouse or any owned property
+    getNearestSafehouse(pos) {
+        const safehouse = this.doors.find(d => d.interior === 'safehouse');
+        const spots = [safehouse ? safehouse.worldPos : { x: 0, z: 0 }];
+        for (const prop of this.properties) {
+            if (prop.owned) spots.push(prop.worldPos);
+        }
+
+        let best = spots[0];
+        let bestDist = Infinity;
+        for (const spot of spots) {
+            const d = (pos.x - spot.x) ** 2 + (pos.z - spot.z) ** 2;
+            if (d < bestDist) {
+                best = spot;
+                bestDist = d;
+            }
+        }
+        return { x: best.x, z: best.z };
+    }
+
+    // --- Save/load ---
+    serialize() {
+        return {
+            properties: this.properties.map(p => ({ id: p.id, owned: p.owned }))
+        };
+    }
+
+    deserialize(data) {
+        for (const saved of data.properties) {
+            const prop = this.properties.find(p => p.id === saved.id);
+            if (prop) prop.owned = saved.owned;
+        }
+        for (const pm of this.propertyMarkers) {
+            this._refreshPropertySign(pm);
         }
     }
 
@@ -675,26 +736,7 @@ export class InteriorManager {
                             prop.owned = true;
 
                             // Update sign to "SOLD"
-                            const signCanvas = document.createElement('canvas');
-                            signCanvas.width = 256;
-                            signCanvas.height = 128;
-                            const sCtx = signCanvas.getContext('2d');
-                            sCtx.fillStyle = '#ffffff';
-                            sCtx.fillRect(0, 0, 256, 128);
-                            sCtx.fillStyle = '#009900';
-                            sCtx.font = 'bold 28px Arial';
-                            sCtx.textAlign = 'center';
-                            sCtx.fillText('OWNED', 128, 40);
-                            sCtx.fillStyle = '#333333';
-                            sCtx.font = '16px Arial';
-                            sCtx.fillText(prop.name, 128, 70);
-                            sCtx.fillStyle = '#666666';
-                            sCtx.font = '14px Arial';
-                            sCtx.fillText('Enter to rest & save', 128, 100);
-
-                            const newTex = new THREE.CanvasTexture(signCanvas);
-                            pm.sign.material.map = newTex;
-                            pm.sign.material.needsUpdate = true;
+                            this._refreshPropertySign(pm);
 
                             this.game.systems.ui.showMissionText(
                                 `Property Purchased!\n${prop.name}\n${prop.desc}`, 4
@@ -704,6 +746,9 @@ export class InteriorManager {
                             // Count properties
                             const ownedCount = this.properties.filter(p => p.owned).length;
                             this.game.stats.propertiesOwned = ownedCount;
+
+                            // Auto-save
+                            this.game.systems.save.save();
                         }
                     } else {
                         promptEl.textContent = `${prop.name} — $${prop.price.toLocaleString()} (need $${(prop.price - Math.floor(player.cash)).toLocaleString()} more)`;
@@ -837,6 +882,11 @@ export class InteriorManager {
         if (!interior) return;
         this.transitioning = true;
 
+        // Auto-save on the doorstep (interior coordinates aren't a valid load position)
+        if (door.interior === 'safehouse') {
+            this.game.systems.save.save();
+        }
+
         // Fade to black
         this.fadeTransition(() => {
             // Show interior
@@ -892,6 +942,16 @@ export class InteriorManager {
         this.updateClothingStores(dt);
     }
 
+    // Switch to an interior (or back outside with null) without a fade or teleport;
+    // for checkpoint retries and respawns, which place the player themselves
+    setCurrentInterior(name) {
+        for (const [key, interior] of Object.entries(this.interiors)) {
+            interior.group.visible = key === name;
+        }
+        this.currentInterior = name;
+        this.game.systems.player.isInInterior = !!name;
+    }
+
     teleportToInterior(name) {
         const door = this.doors.find(d => d.interior === name);
         if (door) {
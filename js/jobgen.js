@@ -0,0 +1,205 @@
+// San Claudio - Job Generator
+// Endless side jobs built from the road grid and district data: street races that follow the
+// roads, package runs between districts and hits on targets standing on the sidewalk. Bigger
+// routes, tighter clocks, tougher targets and better pay as the story progresses.
+// Every job comes out of a seeded PRNG, so its job code (tier + seed, e.g. "2-00c0ffee")
+// rebuilds exactly the same job anywhere.
+
+const JOB_TYPES = ['race', 'delivery', 'assassination'];
+const MAX_TIER = 4;
+const LAND_EDGE = 350; // Outermost road line used; past it is beach and water
+
+const RACE_NAMES = ['Circuit', 'Sprint', 'Dash', 'Loop', 'Run', 'Shakedown'];
+const PACKAGES = ['Overnight Drop', 'Hot Parcel', 'Rush Order', 'Special Courier', 'No Questions Asked'];
+const HIT_TARGETS = ['Loan Shark', 'Bookie', 'Snitch', 'Fixer', 'Smuggler', 'Bent Cop', 'Dealer', 'Accountant'];
+
+// mulberry32: small and fast, and the same sequence on every browser for a given seed
+export function createRng(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return {
+        next,
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        pick: (list) => list[Math.floor(next() * list.length)]
+    };
+}
+
+export class JobGenerator {
+    constructor(game) {
+        this.game = game;
+    }
+
+    // 0 at the start of the story up to MAX_TIER near the end
+    currentTier() {
+        const missions = this.game.systems.missions;
+        const total = missions.missionDefs.length || 1;
+        return Math.min(MAX_TIER, Math.floor(missions.completedMissions.size / total * (MAX_TIER + 1)));
+    }
+
+    encode(tier, seed) {
+        return `${tier}-${(seed >>> 0).toString(16).padStart(8, '0')}`;
+    }
+
+    // { tier, seed } or null if the code is malformed
+    decode(code) {
+        const m = /^([0-9])-([0-9a-f]{1,8})$/i.exec(String(code).trim());
+        if (!m || parseInt(m[1]) > MAX_TIER) return null;
+        return { tier: parseInt(m[1]), seed: parseInt(m[2], 16) >>> 0 };
+    }
+
+    fromCode(code) {
+        const parsed = this.decode(code);
+        return parsed ? this.generate(parsed.seed, parsed.tier) : null;
+    }
+
+    // A fresh job for a phone marker, preferably starting in the marker's own district
+    offer(origin, tier = this.currentTier()) {
+        const district = this.game.systems.world.getDistrict(origin.x, origin.z);
+        let job = null;
+        for (let i = 0; i < 50; i++) {
+            job = this.generate(Math.floor(Math.random() * 0x100000000), tier);
+            if (job.district === district) break;
+        }
+        return job;
+    }
+
+    // Same seed and tier, same job. Returns a side job definition (see MISSION_SCHEMAS.sideJobs)
+    // plus `code`, `district` and `generated`.
+    generate(seed, tier) {
+        const rng = createRng(seed);
+        const type = rng.pick(JOB_TYPES);
+        const district = rng.pick(Object.keys(this.game.systems.world.districts));
+
+        let job;
+        switch (type) {
+            case 'race': job = this._race(rng, tier, district); break;
+            case 'delivery': job = this._delivery(rng, tier, district); break;
+            case 'assassination': job = this._assassination(rng, tier, district); break;
+        }
+        return { ...job, type, district, code: this.encode(tier, seed), generated: true };
+    }
+
+    // --- Job types ---
+
+    // Checkpoints at intersections along a random walk over the road grid, never doubling back
+    _race(rng, tier, district) {
+        const block = this.game.systems.world.blockSize;
+        let pos = rng.pick(this._intersections(district));
+        let heading = null;
+        const visited = new Set([`${pos.x},${pos.z}`]);
+        const checkpoints = [];
+        let length = 0;
+
+        const legs = 4 + tier;
+        const maxBlocks = 1 + Math.ceil(tier / 2);
+        const dirs = [{ x: 1, z: 0 }, { x: -1, z: 0 }, { x: 0, z: 1 }, { x: 0, z: -1 }];
+
+        for (let leg = 0; leg < legs; leg++) {
+            const options = [];
+            for (const dir of dirs) {
+                if (heading && dir.x === -heading.x && dir.z === -heading.z) continue;
+                const blocks = rng.int(1, maxBlocks);
+                const next = { x: pos.x + dir.x * blocks * block, z: pos.z + dir.z * blocks * block };
+                if (Math.abs(next.x) > LAND_EDGE || Math.abs(next.z) > LAND_EDGE) continue;
+                if (visited.has(`${next.x},${next.z}`)) continue;
+                options.push({ dir, next, blocks });
+            }
+            if (options.length === 0) break;
+
+            const step = rng.pick(options);
+            length += step.blocks * block;
+            heading = step.dir;
+            pos = step.next;
+            visited.add(`${pos.x},${pos.z}`);
+            checkpoints.push({ x: pos.x, z: pos.z });
+        }
+
+        return {
+            title: `Street Race: ${this._districtName(district)} ${rng.pick(RACE_NAMES)}`,
+            reward: this._roundCash(200 + length * (0.6 + tier * 0.15)),
+            checkpoints,
+            timeLimit: this._timeLimit(length, tier)
+        };
+    }
+
+    // Pick up on a road in one district, drop off at least a few blocks away (further at higher tiers)
+    _delivery(rng, tier, district) {
+        const pickup = this._roadPoint(rng, rng.pick(this._intersections(district)));
+        const minDist = 150 + tier * 50;
+        const far = this._intersections().filter(p => Math.abs(p.x - pickup.x) + Math.abs(p.z - pickup.z) >= minDist);
+        const dropoff = this._roadPoint(rng, rng.pick(far));
+        const dist = Math.abs(dropoff.x - pickup.x) + Math.abs(dropoff.z - pickup.z);
+
+        return {
+            title: `Package: ${rng.pick(PACKAGES)}`,
+            reward: this._roundCash(150 + dist * (0.5 + tier * 0.15)),
+            pickup,
+            dropoff,
+            timeLimit: this._timeLimit(dist, tier)
+        };
+    }
+
+    // Target stands on the sidewalk beside a road; tougher and better paid later on
+    _assassination(rng, tier, district) {
+        const world = this.game.systems.world;
+        const corner = rng.pick(this._intersections(district));
+        const along = rng.int(-15, 15);
+        const side = (rng.next() < 0.5 ? -1 : 1) * (world.roadWidth / 2 + 2);
+        const targetPos = rng.next() < 0.5
+            ? { x: corner.x + side, z: corner.z + along }
+            : { x: corner.x + along, z: corner.z + side };
+        const name = rng.pick(HIT_TARGETS);
+
+        return {
+            title: `Hit: The ${name}`,
+            reward: this._roundCash(600 + tier * 300 + rng.int(0, 4) * 50),
+            targetPos,
+            targetDesc: `The ${name.toLowerCase()} was last seen in ${this._districtName(district)}`,
+            targetHealth: 80 + tier * 40
+        };
+    }
+
+    // --- Road grid ---
+
+    // Grid intersections on land, optionally only those inside a district
+    _intersections(district = null) {
+        const world = this.game.systems.world;
+        const b = district ? world.districts[district].bounds : null;
+        const points = [];
+        for (let x = -LAND_EDGE; x <= LAND_EDGE; x += world.blockSize) {
+            for (let z = -LAND_EDGE; z <= LAND_EDGE; z += world.blockSize) {
+                if (b && (x < b.minX || x > b.maxX || z < b.minZ || z > b.maxZ)) continue;
+                points.push({ x, z });
+            }
+        }
+        return points;
+    }
+
+    // Somewhere on one of the roads leading out of an intersection
+    _roadPoint(rng, corner) {
+        const world = this.game.systems.world;
+        const along = rng.int(-20, 20);
+        const point = rng.next() < 0.5 ? { x: corner.x, z: corner.z + along } : { x: corner.x + along, z: corner.z };
+        return world.isOnRoad(point.x) || world.isOnRoad(point.z) ? point : corner;
+    }
+
+    // The clock starts at the phone, so there's time to find a car on top of the route itself
+    _timeLimit(distance, tier) {
+        const speed = 8 + tier * 1.5; // Average m/s expected
+        return Math.round(distance / speed + 30);
+    }
+
+    _districtName(district) {
+        return this.game.systems.world.districts[district].name.replace(/^The /, '');
+    }
+
+    _roundCash(amount) {
+        return Math.round(amount / 50) * 50;
+    }
+}
@@ -16,9 +16,13 @@ import { UIManager } from './ui.js';
 import { AudioManager } from './audio.js';
 import { MissionManager } from './missions.js';
 import { CutsceneManager } from './cutscenes.js';
+import { ReplayManager } from './replay.js';
+import { AchievementManager } from './achievements.js';
+import { CompletionTracker } from './completion.js';
 import { SaveManager } from './save.js';
 import { DevTools } from './devtools.js';
 import { PhysicsManager } from './physics.js';
+import { EventBus } from './events.js';
 
 // Height Fog + Vignette + Color Grading custom shader
 const HeightFogVignetteShader = {
@@ -133,6 +137,7 @@ const GameState = {
     PAUSED: 'paused',
     CUTSCENE: 'cutscene',
     DEAD: 'dead',
+    BUSTED: 'busted',
     MAP: 'map',
     MISSION_COMPLETE: 'mission_complete'
 };
@@ -175,12 +180,32 @@ class Game {
             vehiclesCollected: 0,
             stuntJumpsCompleted: 0,
             propertiesOwned: 0,
-            hiddenPackagesFound: 0
+            hiddenPackagesFound: 0,
+            timesBusted: 0
         };
 
+        // Game-wide events (see events.js); systems subscribe in their init()
+        this.events = new EventBus();
+        this._trackStats();
+
         this.systems = {};
     }
 
+    // Stats that follow gameplay events rather than being bumped by the systems themselves
+    _trackStats() {
+        const stats = this.stats;
+        this.events.on('npc:killed', () => stats.totalKills++);
+        this.events.on('vehicle:stolen', () => stats.vehiclesStolen++);
+        this.events.on('player:busted', () => stats.timesBusted++);
+        this.events.on('mission:complete', () => stats.missionsComplete++);
+        this.events.on('sidejob:complete', () => stats.sideMissionsComplete++);
+        this.events.on('strangers:complete', () => stats.strangersComplete++);
+        // Only stars earned by the player's own doing; missions and the console set levels too
+        this.events.on('wanted:changed', ({ level, source }) => {
+            if (source === 'heat') stats.maxWantedSurvived = Math.max(stats.maxWantedSurvived, level);
+        });
+    }
+
     async init() {
         this.setupRenderer();
         this.setupScene();
@@ -213,6 +238,9 @@ class Game {
         this.systems.audio = new AudioManager(this);
         this.systems.missions = new MissionManager(this);
         this.systems.cutscenes = new CutsceneManager(this);
+        this.systems.replay = new ReplayManager(this);
+        this.systems.achievements = new AchievementManager(this);
+        this.systems.completion = new CompletionTracker(this);
         this.systems.save = new SaveManager(this);
         this.systems.devtools = new DevTools(this);
 
@@ -244,7 +272,9 @@ class Game {
         this.updateLoadProgress(85);
         this.systems.ui.init();
         this.updateLoadProgress(88);
-        this.systems.missions.init();
+        await this.systems.missions.init();
+        this.systems.achievements.init();
+        await this.systems.save.init();
         this.updateLoadProgress(92);
         this.systems.devtools.init();
         this.updateLoadProgress(96);
@@ -505,7 +535,7 @@ class Game {
 
         // Button handlers
         document.getElementById('btn-newgame').addEventListener('click', () => {
-            this.startNewGame();
+            this.beginNewPlaythrough();
         });
 
         continueBtn.addEventListener('click', () => {
@@ -517,7 +547,7 @@ class Game {
             if (this.state !== GameState.TITLE) return;
             // Ignore if clicking buttons
             if (e.target && e.target.tagName === 'BUTTON') return;
-            this.startNewGame();
+            this.beginNewPlaythrough();
         };
 
         document.addEventListener('keydown', startHandler, { once: false });
@@ -540,8 +570,23 @@ class Game {
         }
     }
 
+    // New Game writes to a free slot so it can't clobber an existing playthrough.
+    // With every slot full, autosaves wait until the player picks one in the slot browser.
+    beginNewPlaythrough() {
+        const slot = this.systems.save.getFreeSlot();
+        this.systems.save.activeSlot = slot >= 0 ? slot : null;
+        this.startNewGame();
+    }
+
     loadGame() {
-        this.systems.save.load();
+        const save = this.systems.save;
+        if (!save.load(save.getMostRecentSlot())) {
+            // Stay on the title screen and say why instead of starting a half-restored game
+            const errEl = document.getElementById('title-error');
+            errEl.textContent = 'Could not load save: ' + (save.lastError || 'unknown error');
+            errEl.style.display = 'block';
+            return;
+        }
         this.startNewGame();
     }
 
@@ -980,6 +1025,26 @@ class Game {
         }
     }
 
+    // --- Save/load: game-level state (systems serialize their own) ---
+    serialize() {
+        return {
+            timeOfDay: this.timeOfDay,
+            stats: { ...this.stats },
+            weather: { current: this.currentWeather, target: this.targetWeather, timer: this.weatherTimer }
+        };
+    }
+
+    deserialize(data) {
+        this.timeOfDay = data.timeOfDay;
+        Object.assign(this.stats, data.stats);
+
+        const known = (w) => this.weatherStates.includes(w) ? w : 'clear';
+        this.currentWeather = known(data.weather.current);
+        this.targetWeather = known(data.weather.target);
+        this.weatherTimer = data.weather.timer;
+        this.weatherTransition = 0;
+    }
+
     updateWeather(dt) {
         this.weatherTimer -= dt;
         if (this.weatherTimer <= 0) {
@@ -1307,6 +1372,8 @@ class Game {
                 this.systems.ui.update(this.deltaTime);
                 this.systems.audio.update(this.deltaTime);
                 this.systems.missions.update(this.deltaTime);
+                this.systems.replay.update(this.deltaTime);
+                this.systems.achievements.update(this.deltaTime);
 
                 // Weapon wheel toggle (Tab)
                 if (this.systems.input.justPressed('minimapZoom')) {
@@ -1336,6 +1403,11 @@ class Game {
                 if (this.systems.input.justPressed('pause') || this.systems.input.justPressed('cancel')) {
                     this.setState(GameState.PLAYING);
                     document.getElementById('pause-menu').style.display = 'none';
+                    document.getElementById('save-slots').style.display = 'none';
+                    document.getElementById('replay-menu').style.display = 'none';
+                    document.getElementById('heist-planner').style.display = 'none';
+                    document.getElementById('achievements-menu').style.display = 'none';
+                    document.getElementById('completion-menu').style.display = 'none';
                 }
             } else if (this.state === GameState.MAP) {
                 this.systems.ui.updateFullMap();
@@ -1347,6 +1419,8 @@ class Game {
                 this.systems.cutscenes.update(this.deltaTime);
             } else if (this.state === GameState.DEAD) {
                 this.systems.ragdoll.update(this.deltaTime);
+            } else if (this.state === GameState.BUSTED) {
+                this.systems.wanted.updateBusted(this.deltaTime);
             }
         } catch (err) {
             // Show error on screen so we can debug
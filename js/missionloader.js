@@ -0,0 +1,451 @@
+// San Claudio - Mission Content Loader
+// Story missions, side jobs, Strangers & Freaks chains, rampages and phone contact lines
+// live as JSON under missions/. missions/index.json lists the files per category; each
+// file holds one definition or an array of them. Everything is schema-checked before the
+// game sees it.
+
+import { validate } from './schema.js';
+
+const NUMBER = { type: 'number' };
+const STRING = { type: 'string' };
+const POINT = { type: 'object', required: ['x', 'z'], properties: { x: NUMBER, z: NUMBER } };
+const POINT_LIST = { type: 'array', items: POINT };
+const NUMBER_LIST = { type: 'array', items: NUMBER };
+const AREA = { type: 'object', required: ['x', 'z', 'radius'], properties: { x: NUMBER, z: NUMBER, radius: NUMBER } };
+
+const DIALOGUE = {
+    type: 'array',
+    items: { type: 'object', required: ['speaker', 'text'], properties: { speaker: STRING, text: STRING } }
+};
+
+// null ammo/clipSize means unlimited (melee)
+const WEAPON = {
+    type: 'object',
+    required: ['id'],
+    properties: { id: STRING, ammo: { type: ['number', 'null'] }, clipSize: { type: ['number', 'null'] } }
+};
+
+// Fields each variant needs on top of its schema, keyed by `type`
+const OBJECTIVE_FIELDS = {
+    goto: ['target'],
+    kill_enemies: ['count'],
+    steal_vehicle: [],
+    interact: ['target'],
+    // Shared objective library (objectives.js)
+    escort: ['target'],
+    follow: ['target'],
+    tail: ['from', 'duration'],
+    defend: ['target', 'duration'],
+    survive: ['duration'],
+    photograph: ['targets'],
+    deliver_vehicle: ['target'],
+    // Heists (heists.js); the mission needs a `heist` block
+    heist_plan: ['target'],
+    heist_enter: [],
+    heist_drill: [],
+    heist_escape: ['target']
+};
+const FAIL_CONDITION_FIELDS = {
+    vehicle_destroyed: [],
+    npc_dead: [],
+    wanted_above: ['level'],
+    leave_area: ['area']
+};
+const SIDE_JOB_FIELDS = {
+    race: ['checkpoints', 'timeLimit'],
+    assassination: ['targetPos'],
+    delivery: ['pickup', 'dropoff', 'timeLimit']
+};
+const SF_STAGE_FIELDS = {
+    sf_race: ['checkpoints', 'timeLimit'],
+    sf_sprint: ['waypoints', 'timeLimit'],
+    sf_investigate: ['locations'],
+    sf_collect: ['area', 'count', 'timeLimit'],
+    sf_exterminate: ['area', 'count', 'timeLimit'],
+    sf_photograph: ['landmarks']
+};
+
+const OBJECTIVE_LIST = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['type', 'text'],
+        properties: {
+            type: { type: 'string', enum: Object.keys(OBJECTIVE_FIELDS) },
+            text: STRING,
+            // A point for goto, an interior/door name for interact
+            target: { type: ['object', 'string'] },
+            radius: NUMBER,
+            count: NUMBER,
+            from: POINT, // Spawn point for escort/follow NPCs and tail vehicles
+            name: STRING,
+            health: NUMBER,
+            duration: NUMBER,
+            minDistance: NUMBER,
+            maxDistance: NUMBER,
+            spotTime: NUMBER,
+            attackers: NUMBER,
+            waveInterval: NUMBER,
+            wanted: NUMBER,
+            minHealth: NUMBER, // Vehicle condition percentage for deliver_vehicle
+            vehicleType: STRING,
+            targets: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['x', 'z', 'name'],
+                    properties: { x: NUMBER, z: NUMBER, name: STRING, radius: NUMBER }
+                }
+            }
+        }
+    }
+};
+
+// Extra ways a story mission can fail, each with the message shown when it does.
+// `during` limits a condition to some objectives (indices into the objective list).
+const FAIL_CONDITION_LIST = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['type', 'message'],
+        properties: {
+            type: { type: 'string', enum: Object.keys(FAIL_CONDITION_FIELDS) },
+            message: STRING,
+            during: NUMBER_LIST,
+            level: NUMBER, // wanted_above: highest wanted level allowed
+            area: AREA,    // leave_area: where the player has to stay
+            grace: NUMBER  // leave_area: seconds allowed outside (default 5)
+        }
+    }
+};
+
+const REWARD = { type: 'object', properties: { cash: NUMBER, weapon: WEAPON } };
+
+// Story flag map, e.g. { "spared_skimmer": true }. As a condition every entry must match.
+const FLAGS = { type: 'object' };
+
+// Heist approach from the planning board. Like a dialogue choice it can set flags and change the
+// reward; `police` is the scripted response once the alarm goes: wanted level `level` at `at`
+// seconds after it.
+const HEIST_APPROACH = {
+    type: 'object',
+    required: ['title', 'description', 'drillTime', 'police'],
+    properties: {
+        title: STRING,
+        description: STRING,
+        drillTime: NUMBER,
+        police: {
+            type: 'array',
+            items: { type: 'object', required: ['at', 'level'], properties: { at: NUMBER, level: NUMBER } }
+        },
+        setFlags: FLAGS,
+        reward: REWARD
+    }
+};
+
+const HEIST = {
+    type: 'object',
+    required: ['interior', 'vault', 'crew', 'approaches', 'getaways', 'getawaySpot'],
+    properties: {
+        interior: STRING, // InteriorManager interior name, e.g. "bank"
+        vault: { type: 'object', required: ['x', 'z'], properties: { x: NUMBER, z: NUMBER, radius: NUMBER } }, // Interior coordinates
+        crew: {
+            type: 'array',
+            items: { type: 'object', required: ['name', 'role'], properties: { name: STRING, role: STRING, health: NUMBER } }
+        },
+        approaches: {
+            type: 'object',
+            required: ['loud', 'stealth'],
+            properties: { loud: HEIST_APPROACH, stealth: HEIST_APPROACH }
+        },
+        getaways: { type: 'array', items: STRING }, // VehicleManager.vehicleTypes keys
+        getawaySpot: POINT
+    }
+};
+
+// Story dialogue lines may end in a choice. Picking one can set flags, swap the
+// objective list, change the reward, lock/unlock missions and play response lines.
+const STORY_DIALOGUE = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['speaker', 'text'],
+        properties: {
+            speaker: STRING,
+            text: STRING,
+            choices: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['text'],
+                    properties: {
+                        text: STRING,
+                        conditions: FLAGS, // Only offered when these flags match
+                        setFlags: FLAGS,
+                        objectives: OBJECTIVE_LIST,
+                        reward: REWARD,
+                        lock: NUMBER_LIST,
+                        unlock: NUMBER_LIST,
+                        lines: DIALOGUE
+                    }
+                }
+            }
+        }
+    }
+};
+
+export const MISSION_SCHEMAS = {
+    story: {
+        type: 'object',
+        required: ['id', 'title', 'giver', 'trigger', 'reward', 'objectives'],
+        properties: {
+            id: NUMBER,
+            title: STRING,
+            giver: STRING,
+            // Where the mission starts, which missions must be finished first and which
+            // story flags must be set
+            trigger: {
+                type: 'object',
+                required: ['marker', 'requires'],
+                properties: { marker: POINT, requires: NUMBER_LIST, conditions: FLAGS }
+            },
+            reward: REWARD,
+            intro: STORY_DIALOGUE,
+            objectives: OBJECTIVE_LIST,
+            failConditions: FAIL_CONDITION_LIST,
+            heist: HEIST,
+            outro: STORY_DIALOGUE,
+            timed: NUMBER,
+            parTime: NUMBER, // Replay medal target in seconds (see replay.js)
+            unlocks: { type: 'array', items: STRING },
+            isFinale: { type: 'boolean' }
+        }
+    },
+    sideJobs: {
+        type: 'object',
+        required: ['type', 'title', 'reward'],
+        properties: {
+            type: { type: 'string', enum: Object.keys(SIDE_JOB_FIELDS) },
+            title: STRING,
+            reward: NUMBER,
+            checkpoints: POINT_LIST,
+            timeLimit: NUMBER,
+            parTime: NUMBER,
+            targetPos: POINT,
+            targetDesc: STRING,
+            pickup: POINT,
+            dropoff: POINT
+        }
+    },
+    strangers: {
+        type: 'object',
+        required: ['id', 'character', 'color', 'contactPos', 'stages'],
+        properties: {
+            id: STRING,
+            character: STRING,
+            color: STRING, // CSS hex, e.g. "#ff4444"
+            contactPos: POINT,
+            stages: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['title', 'type', 'reward'],
+                    properties: {
+                        title: STRING,
+                        type: { type: 'string', enum: Object.keys(SF_STAGE_FIELDS) },
+                        intro: DIALOGUE,
+                        outro: DIALOGUE,
+                        reward: NUMBER,
+                        timeLimit: NUMBER,
+                        parTime: NUMBER,
+                        checkpoints: POINT_LIST,
+                        waypoints: POINT_LIST,
+                        locations: {
+                            type: 'array',
+                            items: { type: 'object', required: ['x', 'z', 'hint'], properties: { x: NUMBER, z: NUMBER, hint: STRING } }
+                        },
+                        area: AREA,
+                        count: NUMBER,
+                        landmarks: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['x', 'z', 'name', 'radius'],
+                                properties: { x: NUMBER, z: NUMBER, name: STRING, radius: NUMBER }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    // Phone chatter for mission givers with no work on offer; the first entry whose
+    // conditions match the story flags is used
+    contacts: {
+        type: 'object',
+        required: ['giver', 'text'],
+        properties: { giver: STRING, conditions: FLAGS, text: STRING }
+    },
+    rampages: {
+        type: 'object',
+        required: ['id', 'name', 'pos', 'weapon', 'ammo', 'killTarget', 'timeLimit', 'reward'],
+        properties: {
+            id: STRING,
+            name: STRING,
+            pos: POINT,
+            weapon: STRING,
+            ammo: NUMBER,
+            killTarget: NUMBER,
+            timeLimit: NUMBER,
+            reward: NUMBER
+        }
+    }
+};
+
+function _missingFields(def, fieldsByType, path) {
+    const needed = fieldsByType[def.type] || [];
+    return needed.filter(f => !(f in def)).map(f => `${path}.${f} is required for type "${def.type}"`);
+}
+
+function _checkObjectives(objectives, path) {
+    return objectives.flatMap((o, i) => _missingFields(o, OBJECTIVE_FIELDS, `${path}[${i}]`));
+}
+
+// Flags hold plain values so they survive the save file unchanged
+function _checkFlags(flags, path) {
+    if (!flags) return [];
+    return Object.entries(flags)
+        .filter(([, value]) => !['boolean', 'number', 'string'].includes(typeof value))
+        .map(([name]) => `${path}.${name} should be boolean, number or string`);
+}
+
+function _storyChoices(mission) {
+    return ['intro', 'outro'].flatMap(part => (mission[part] || []).flatMap((line, i) =>
+        (line.choices || []).map((choice, j) => ({ choice, path: `${part}[${i}].choices[${j}]` }))
+    ));
+}
+
+// Checks the schema can't express: per-type fields, flag values, unique ids, mission references
+function _checkDefinition(category, def, path) {
+    switch (category) {
+        case 'story': {
+            const errors = _checkObjectives(def.objectives, `${path}.objectives`);
+            (def.failConditions || []).forEach((c, i) => {
+                errors.push(..._missingFields(c, FAIL_CONDITION_FIELDS, `${path}.failConditions[${i}]`));
+            });
+            if (!def.heist && def.objectives.some(o => o.type.startsWith('heist_'))) {
+                errors.push(`${path}.heist is required for heist objectives`);
+            }
+            if (def.heist) {
+                for (const [id, approach] of Object.entries(def.heist.approaches)) {
+                    errors.push(..._checkFlags(approach.setFlags, `${path}.heist.approaches.${id}.setFlags`));
+                }
+            }
+            errors.push(..._checkFlags(def.trigger.conditions, `${path}.trigger.conditions`));
+            for (const { choice, path: choicePath } of _storyChoices(def)) {
+                const at = `${path}.${choicePath}`;
+                if (choice.objectives) errors.push(..._checkObjectives(choice.objectives, `${at}.objectives`));
+                errors.push(..._checkFlags(choice.conditions, `${at}.conditions`));
+                errors.push(..._checkFlags(choice.setFlags, `${at}.setFlags`));
+            }
+            return errors;
+        }
+        case 'contacts':
+            return _checkFlags(def.conditions, `${path}.conditions`);
+        case 'sideJobs':
+            return _missingFields(def, SIDE_JOB_FIELDS, path);
+        case 'strangers':
+            return def.stages.flatMap((s, i) => _missingFields(s, SF_STAGE_FIELDS, `${path}.stages[${i}]`));
+        default:
+            return [];
+    }
+}
+
+function _unlimitedAmmo(weapon) {
+    if (!weapon) return;
+    if (weapon.ammo === null) weapon.ammo = Infinity;
+    if (weapon.clipSize === null) weapon.clipSize = Infinity;
+}
+
+async function _fetchJSON(url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+}
+
+// Load and validate every mission file. Invalid definitions are left out and reported in
+// `errors` (strings naming the file and field) so one bad file can't take the rest down.
+export async function loadMissionContent(basePath = 'missions/') {
+    const content = { story: [], sideJobs: [], strangers: [], rampages: [], contacts: [], errors: [] };
+
+    let index;
+    try {
+        index = await _fetchJSON(basePath + 'index.json');
+    } catch (e) {
+        content.errors.push(`${basePath}index.json could not be read: ${e.message}`);
+        return content;
+    }
+
+    for (const category of Object.keys(MISSION_SCHEMAS)) {
+        for (const file of index[category] || []) {
+            let data;
+            try {
+                data = await _fetchJSON(basePath + file);
+            } catch (e) {
+                content.errors.push(`${file} could not be read: ${e.message}`);
+                continue;
+            }
+
+            const defs = Array.isArray(data) ? data : [data];
+            defs.forEach((def, i) => {
+                const path = defs.length > 1 ? `${file}[${i}]` : file;
+                let errors = validate(def, MISSION_SCHEMAS[category], path);
+                if (errors.length === 0) errors = _checkDefinition(category, def, path);
+                if (errors.length > 0) {
+                    content.errors.push(...errors);
+                } else {
+                    content[category].push(def);
+                }
+            });
+        }
+    }
+
+    // Ids must be unique, and mission triggers may only require missions that exist
+    for (const category of ['story', 'strangers', 'rampages']) {
+        const seen = new Set();
+        content[category] = content[category].filter(def => {
+            if (seen.has(def.id)) {
+                content.errors.push(`${category}: duplicate id ${JSON.stringify(def.id)} ignored`);
+                return false;
+            }
+            seen.add(def.id);
+            return true;
+        });
+    }
+    const storyIds = new Set(content.story.map(m => m.id));
+    for (const mission of content.story) {
+        for (const req of mission.trigger.requires) {
+            if (!storyIds.has(req)) {
+                content.errors.push(`story mission ${mission.id} requires unknown mission ${req}`);
+            }
+        }
+        _unlimitedAmmo(mission.reward.weapon);
+
+        for (const { choice, path } of _storyChoices(mission)) {
+            for (const id of [...(choice.lock || []), ...(choice.unlock || [])]) {
+                if (!storyIds.has(id)) {
+                    content.errors.push(`story mission ${mission.id} ${path} locks/unlocks unknown mission ${id}`);
+                }
+            }
+            if (choice.reward) _unlimitedAmmo(choice.reward.weapon);
+        }
+        if (mission.heist) {
+            for (const approach of Object.values(mission.heist.approaches)) {
+                if (approach.reward) _unlimitedAmmo(approach.reward.weapon);
+            }
+        }
+    }
+    content.story.sort((a, b) => a.id - b.id);
+
+    return content;
+}
@@ -1,6 +1,11 @@
 // San Claudio - Mission System
 // Story missions, mission markers, objectives
 
+import { loadMissionContent } from './missionloader.js';
+import { ObjectiveLibrary } from './objectives.js';
+import { HeistController } from './heists.js';
+import { JobGenerator } from './jobgen.js';
+
 export class MissionManager {
     constructor(game) {
         this.game = game;
@@ -12,259 +17,89 @@ export class MissionManager {
         this.markers = [];
         this.completedMissions = new Set();
 
-        // Mission definitions
-        this.missionDefs = this.defineMissions();
+        // Story flags set by dialogue choices ({ name: boolean|number|string }), plus
+        // missions a choice has locked out or opened up regardless of prerequisites
+        this.storyFlags = {};
+        this.lockedMissions = new Set();
+        this.unlockedMissions = new Set();
+
+        // Objectives and reward for the current run (a choice can swap them)
+        this.runObjectives = [];
+        this.runReward = null;
+
+        // Checkpoints: snapshot at the start of each objective, offered for retry on failure
+        this.checkpoint = null;
+        this.retryTimer = 0; // Seconds left to accept "Retry from checkpoint"
+        this.retryWindow = 10;
+
+        // Shared objective types (escort, tail, defend, ...)
+        this.objectiveLib = new ObjectiveLibrary(game);
+        // Heist objectives (planning board, crew, vault drill, escape) for missions with a `heist` block
+        this.heist = new HeistController(game);
+        // Seeded side jobs for when the hand-made ones run out
+        this.jobGen = new JobGenerator(game);
+
+        // Per-run copies of the mission's failConditions, and what they watch
+        this.failConditions = [];
+        this.missionEnemies = [];   // Spawned by kill_enemies, removed when the mission ends
+        this.missionVehicle = null; // Vehicle taken for steal_vehicle / deliver_vehicle
+
+        // Mission definitions, loaded from missions/ in init()
+        this.missionDefs = [];
+        this.sideMissionDefs = [];
+        this.sfChains = [];
+        this.rampageDefs = [];
+        this.contactLines = [];
+        this.contentErrors = [];
     }
 
-    init() {
+    async init() {
+        const events = this.game.events;
+        events.on('player:died', () => {
+            // Dying fails the mission
+            if (this.missionActive) this.failMission();
+        });
+        events.on('player:busted', () => {
+            if (this.missionActive) this.failMission();
+        });
+        events.on('npc:killed', ({ npc }) => this._onNPCKilled(npc));
+
+        const content = await loadMissionContent();
+        this.missionDefs = content.story;
+        this.sideMissionDefs = content.sideJobs;
+        this.sfChains = content.strangers;
+        this.rampageDefs = content.rampages;
+        this.contactLines = content.contacts;
+        this.contentErrors = content.errors;
+        // Heists need a real interior, and getaway choices have to be vehicles the game can spawn
+        const vehicleTypes = this.game.systems.vehicles.vehicleTypes;
+        for (const mission of this.missionDefs) {
+            if (!mission.heist) continue;
+            if (!this.game.systems.interiors.interiors[mission.heist.interior]) {
+                this.contentErrors.push(`story mission ${mission.id} heist uses unknown interior "${mission.heist.interior}"`);
+            }
+            for (const type of mission.heist.getaways.filter(t => !vehicleTypes[t])) {
+                this.contentErrors.push(`story mission ${mission.id} heist offers unknown getaway vehicle "${type}"`);
+            }
+            mission.heist.getaways = mission.heist.getaways.filter(t => vehicleTypes[t]);
+        }
+        for (const err of this.contentErrors) {
+            console.error('Mission content:', err);
+        }
+
         this.createMissionMarkers();
         this.initSideMissions();
         this.initStrangersFreaks();
         this.initRampages();
     }
 
-    defineMissions() {
-        return [
-            // Mission 1: Fresh Off the Bus (Tutorial)
-            {
-                id: 1, title: 'Fresh Off the Bus', giver: 'sal',
-                markerPos: { x: 10, z: 10 },
-                reward: { cash: 100 },
-                intro: [
-                    { speaker: 'sal', text: "You must be Claudius. Come on, I'll show you where you're staying." },
-                    { speaker: 'marco', text: "Thanks. This city... it's something." },
-                    { speaker: 'sal', text: "San Claudio. It'll eat you alive if you let it. Follow me." }
-                ],
-                objectives: [
-                    { type: 'goto', target: { x: 0, z: 0 }, radius: 5, text: 'Follow Sal to the safehouse' },
-                    { type: 'interact', target: 'safehouse', text: 'Enter the safehouse' }
-                ],
-                outro: [
-                    { speaker: 'sal', text: "This is your place now. Get some rest. I'll have work for you tomorrow." },
-                    { speaker: 'marco', text: "I appreciate it, Sal." }
-                ],
-                unlocks: ['safehouse']
-            },
-            // Mission 2: Borrowed Wheels
-            {
-                id: 2, title: 'Borrowed Wheels', giver: 'sal',
-                markerPos: { x: 200, z: 220 },
-                reward: { cash: 200 },
-                intro: [
-                    { speaker: 'sal', text: "I need you to pick up a car from Hillside. Blue sedan. Don't ask whose." },
-                    { speaker: 'marco', text: "You want me to steal it?" },
-                    { speaker: 'sal', text: "I want you to MOVE it. Semantics." }
-                ],
-                objectives: [
-                    { type: 'goto', target: { x: -200, z: -200 }, radius: 10, text: 'Go to Hillside' },
-                    { type: 'steal_vehicle', text: 'Steal the blue sedan' },
-                    { type: 'goto', target: { x: 200, z: 220 }, radius: 10, text: "Drive it to Sal's garage" }
-                ],
-                outro: [
-                    { speaker: 'sal', text: "Nice work. Clean job. Here's your cut." },
-                    { speaker: 'marco', text: "This isn't exactly what I had in mind when I came to this city." },
-                    { speaker: 'sal', text: "Nobody comes to San Claudio with a plan. Plans find you." }
-                ]
-            },
-            // Mission 3: Pest Control
-            {
-                id: 3, title: 'Pest Control', giver: 'sal',
-                markerPos: { x: 200, z: 220 },
-                reward: { cash: 300, weapon: { id: 'bat', ammo: Infinity, clipSize: Infinity } },
-                intro: [
-                    { speaker: 'sal', text: "Some punks have been harassing my dock workers. Go to the warehouse and clear them out." },
-                    { speaker: 'marco', text: "How many?" },
-                    { speaker: 'sal', text: "Four. Maybe five. Use your fists, use a bat, I don't care. Just make it stop." }
-                ],
-                objectives: [
-                    { type: 'goto', target: { x: 220, z: 220 }, radius: 5, text: 'Go to the Docks warehouse' },
-                    { type: 'kill_enemies', count: 4, text: 'Beat up the gang members (0/4)' }
-                ],
-                outro: [
-                    { speaker: 'sal', text: "You know, I used to work with a guy named Tommy. Real hothead. Loved Hawaiian shirts." },
-                    { speaker: 'sal', text: "You remind me of him. Here, take this bat. You earned it." }
-                ]
-            },
-            // Mission 4: Collections
-            {
-                id: 4, title: 'Collections', giver: 'sal',
-                markerPos: { x: 200, z: 220 },
-                reward: { cash: 500, weapon: { id: 'pistol', ammo: 34, clipSize: 17 } },
-                intro: [
-                    { speaker: 'sal', text: "I need you to make some collections for me. Three stops, around the city." },
-                    { speaker: 'sal', text: "Be polite, but firm. Time is money — five minutes, tops." }
-                ],
-                objectives: [
-                    { type: 'goto', target: { x: 50, z: -50 }, radius: 5, text: 'Go to collection point 1' },
-                    { type: 'goto', target: { x: 200, z: -200 }, radius: 5, text: 'Go to collection point 2' },
-                    { type: 'goto', target: { x: -50, z: 50 }, radius: 5, text: 'Go to collection point 3' },
-                    { type: 'goto', target: { x: 200, z: 220 }, radius: 5, text: 'Return to Sal' }
-                ],
-                timed: 300, // 5 minutes
-                outro: [
-                    { speaker: 'sal', text: "Good work. Fast. Here's something with a bit more punch." },
-                    { speaker: 'sal', text: "There's a woman at Club Neon on The Strip. Nina. She has work for you." },
-                    { speaker: 'marco', text: "Club Neon. Got it." }
-                ]
-            },
-            // Mission 5-15 would follow same pattern...
-            // Abbreviated for initial build - full missions to be implemented
-            {
-                id: 5, title: 'VIP Treatment', giver: 'nina',
-                markerPos: { x: 280, z: -280 },
-                reward: { cash: 800, weapon: { id: 'smg', ammo: 60, clipSize: 30 } },
-                intro: [
-                    { speaker: 'nina', text: "Marco, right? Sal told me about you. I need a package from Industrial Park." },
-                    { speaker: 'nina', text: "My cousin keeps calling me. Wants to go bowling. I keep saying no." },
-                    { speaker: 'marco', text: "I'll get your package." }
-                ],
-                objectives: [
-                    { type: 'goto', target: { x: -200, z: 200 }, radius: 10, text: 'Go to Industrial Park' },
-                    { type: 'kill_enemies', count: 4, text: 'Survive the ambush!' },
-                    { type: 'goto', target: { x: 280, z: -280 }, radius: 10, text: 'Deliver to Club Neon' }
-                ],
-                outro: [
-                    { speaker: 'nina', text: "You handled that well. Here, you'll need something with more firepower." }
-                ]
-            },
-            // Missions 6-15 follow same structure
-            { id: 6, title: 'The Repo', giver: 'nina', markerPos: { x: 280, z: -280 }, reward: { cash: 1000 },
-                intro: [{ speaker: 'nina', text: "There's a red sports car on The Strip I need. It's guarded." }],
-                objectives: [
-                    { type: 'goto', target: { x: 250, z: -250 }, radius: 10, text: 'Go to the guarded lot' },
-                    { type: 'kill_enemies', count: 5, text: 'Clear the guards' },
-                    { type: 'steal_vehicle', text: 'Steal the sports car' },
-                    { type: 'goto', target: { x: 280, z: -280 }, radius: 10, text: 'Deliver to Nina' }
-                ],
-                outro: [{ speaker: 'nina', text: "Beautiful. This one's a keeper." }]
-            },
-            { id: 7, title: 'Waterfront Run', giver: 'nina', markerPos: { x: 280, z: -280 }, reward: { cash: 1200, weapon: { id: 'shotgun', ammo: 16, clipSize: 8 } },
-                intro: [{ speaker: 'nina', text: "Boat job. Pick up cargo from the water, bring it to the Docks." }],
-                objectives: [
-                    { type: 'goto', target: { x: 300, z: 300 }, radius: 5, text: 'Get to the boat' },
-                    { type: 'goto', target: { x: 350, z: 350 }, radius: 10, text: 'Pick up the cargo' },
-                    { type: 'goto', target: { x: 250, z: 250 }, radius: 10, text: 'Deliver to the Docks' }
-                ],
-                timed: 240,
-                outro: [{ speaker: 'nina', text: "Right on time. Take this shotgun. You'll need it." }]
-            },
-            { id: 8, title: 'Club Business', giver: 'nina', markerPos: { x: 280, z: -280 }, reward: { cash: 1500 },
-                intro: [{ speaker: 'nina', text: "Someone's been skimming from the club. He's hiding in Hillside." }],
-                objectives: [
-                    { type: 'goto', target: { x: -250, z: -250 }, radius: 10, text: 'Go to the Hillside house' },
-                    { type: 'goto', target: { x: -280, z: -200 }, radius: 5, text: 'Chase him down!' },
-                ],
-                outro: [
-                    { speaker: 'nina', text: "He talked. Turns out Chief Reyes is behind everything. The corruption runs deep." },
-                    { speaker: 'marco', text: "Reyes? The police chief?" },
-                    { speaker: 'nina', text: "There's a guy in Industrial. Goes by Vex. He has a plan." }
-                ]
-            },
-            { id: 9, title: 'Meet the Geek', giver: 'vex', markerPos: { x: -220, z: 220 }, reward: { cash: 500, weapon: { id: 'rifle', ammo: 60, clipSize: 30 } },
-                intro: [
-                    { speaker: 'vex', text: "Three approaches. Loud, smart, or stupid. We're going smart." },
-                    { speaker: 'vex', text: "Reyes has a slush fund in the Downtown bank. We're going to take it all." },
-                    { speaker: 'marco', text: "A bank heist? That's insane." },
-                    { speaker: 'vex', text: "That's the smart approach. First, we need to scope the bank." }
-                ],
-                objectives: [
-                    { type: 'goto', target: { x: 250, z: -220 }, radius: 5, text: 'Go to the bank' },
-                    { type: 'goto', target: { x: 250, z: -230 }, radius: 3, text: 'Identify the vault location' },
-                    { type: 'goto', target: { x: -220, z: 220 }, radius: 10, text: 'Return to Vex' }
-                ],
-                outro: [{ speaker: 'vex', text: "Good intel. Now we need to get some hardware." }]
-            },
-            { id: 10, title: 'Hardware Shopping', giver: 'vex', markerPos: { x: -220, z: 220 }, reward: { cash: 2000, weapon: { id: 'grenade', ammo: 5, clipSize: 10 } },
-                intro: [{ speaker: 'vex', text: "There's a military convoy in Industrial. We need their truck." }],
-                objectives: [
-                    { type: 'goto', target: { x: -300, z: 300 }, radius: 10, text: 'Find the military convoy' },
-                    { type: 'steal_vehicle', text: 'Steal the truck' },
-                    { type: 'goto', target: { x: -220, z: 220 }, radius: 10, text: "Drive to Vex's garage" }
-                ],
-                outro: [{ speaker: 'vex', text: "Perfect. Two more things to set up." }]
-            },
-            { id: 11, title: 'Inside Man', giver: 'vex', markerPos: { x: -220, z: 220 }, reward: { cash: 2000, weapon: { id: 'sniper', ammo: 10, clipSize: 5 } },
-                intro: [{ speaker: 'vex', text: "Nina has a contact in the bank. Time for some stealth work." }],
-                objectives: [
-                    { type: 'goto', target: { x: 280, z: -280 }, radius: 5, text: 'Meet the contact at Club Neon' },
-                    { type: 'goto', target: { x: 250, z: -220 }, radius: 5, text: 'Plant the device in the bank' }
-                ],
-                outro: [{ speaker: 'vex', text: "Device is live. One more setup mission." }]
-            },
-            { id: 12, title: 'Getaway Plan', giver: 'vex', markerPos: { x: -220, z: 220 }, reward: { cash: 2000, weapon: { id: 'atomizer', ammo: 20, clipSize: 20 } },
-                intro: [
-                    { speaker: 'vex', text: "Park getaway vehicles at three spots. Sports car at the bank, boat at the Docks, motorcycle behind The Strip." },
-                    { speaker: 'vex', text: "Oh, and take this. Personal gift. Have fun." }
-                ],
-                objectives: [
-                    { type: 'goto', target: { x: 250, z: -220 }, radius: 5, text: 'Park sports car at the bank' },
-                    { type: 'goto', target: { x: 300, z: 300 }, radius: 5, text: 'Park boat at the Docks' },
-                    { type: 'goto', target: { x: 250, z: -150 }, radius: 5, text: 'Park motorcycle behind The Strip' }
-                ],
-                outro: [{ speaker: 'vex', text: "We're ready. Meet me tomorrow. The San Claudio Job goes down." }]
-            },
-            { id: 13, title: 'The San Claudio Job', giver: 'vex', markerPos: { x: -220, z: 220 }, reward: { cash: 15000 },
-                intro: [
-                    { speaker: 'vex', text: "This is it. Drive to the bank. Stay sharp." },
-                    { speaker: 'marco', text: "Let's do this." }
-                ],
-                objectives: [
-                    { type: 'goto', target: { x: 250, z: -220 }, radius: 5, text: 'Drive to the bank' },
-                    { type: 'kill_enemies', count: 9, text: 'Hold the lobby! Protect Vex!' },
-                    { type: 'goto', target: { x: 250, z: -230 }, radius: 3, text: 'Grab the cash from the vault' },
-                    { type: 'goto', target: { x: 250, z: -210 }, radius: 5, text: 'Fight out of the bank' },
-                    { type: 'goto', target: { x: 300, z: 300 }, radius: 10, text: 'Escape to the Docks!' },
-                    { type: 'goto', target: { x: 350, z: 350 }, radius: 15, text: 'Take the boat offshore' }
-                ],
-                outro: [
-                    { speaker: 'vex', text: "WE DID IT!" },
-                    { speaker: 'nina', text: "Not bad, Claudius. Not bad at all." },
-                    { speaker: 'sal', text: "Drinks are on Marco tonight." }
-                ]
-            },
-            { id: 14, title: 'Loose Ends', giver: 'sal', markerPos: { x: 0, z: 0 }, reward: { cash: 5000 },
-                intro: [
-                    { speaker: 'sal', text: "Reyes knows it was you. He's sent a death squad." },
-                    { speaker: 'marco', text: "Then I'll be ready." }
-                ],
-                objectives: [
-                    { type: 'kill_enemies', count: 6, text: 'Defend the safehouse!' },
-                    { type: 'goto', target: { x: 50, z: 50 }, radius: 5, text: "Chase Reyes's lieutenant" },
-                    { type: 'kill_enemies', count: 1, text: 'Take down the lieutenant' }
-                ],
-                outro: [
-                    { speaker: 'marco', text: "Where is Reyes?" },
-                    { speaker: 'sal', text: "Hillside mansion. The top of the hill. End this." }
-                ]
-            },
-            { id: 15, title: 'King of San Claudio', giver: 'sal', markerPos: { x: 0, z: 0 }, reward: { cash: 25000 },
-                intro: [
-                    { speaker: 'marco', text: "Time to finish this." },
-                    { speaker: 'sal', text: "Be careful up there. Reyes has an army." }
-                ],
-                objectives: [
-                    { type: 'goto', target: { x: -350, z: -350 }, radius: 10, text: "Drive to Reyes's compound" },
-                    { type: 'kill_enemies', count: 10, text: 'Storm the compound' },
-                    { type: 'goto', target: { x: -350, z: -360 }, radius: 5, text: 'Enter the mansion' },
-                    { type: 'kill_enemies', count: 3, text: 'Defeat Chief Reyes and his bodyguards' }
-                ],
-                outro: [
-                    { speaker: 'reyes', text: "You came to the wrong house, fool." },
-                    { speaker: 'marco', text: "No. I came to the right one." },
-                    { speaker: 'marco', text: "San Claudio is mine now." }
-                ],
-                isFinale: true
-            }
-        ];
-    }
-
     createMissionMarkers() {
         // Create glowing column markers for available missions
         for (const mission of this.missionDefs) {
             if (this.completedMissions.has(mission.id)) continue;
 
             // Only show if prerequisites are met
-            if (mission.id > 1 && !this.completedMissions.has(mission.id - 1)) continue;
+            if (!this._isMissionAvailable(mission)) continue;
 
             const geo = new THREE.CylinderGeometry(0.5, 0.5, 8, 8);
             const mat = new THREE.MeshStandardMaterial({
@@ -275,7 +110,7 @@ export class MissionManager {
                 opacity: 0.5
             });
             const marker = new THREE.Mesh(geo, mat);
-            marker.position.set(mission.markerPos.x, 4, mission.markerPos.z);
+            marker.position.set(mission.trigger.marker.x, 4, mission.trigger.marker.z);
             this.game.scene.add(marker);
 
             this.markers.push({
@@ -285,6 +120,68 @@ export class MissionManager {
         }
     }
 
+    // A mission is offered once every mission its trigger requires is complete and its
+    // flag conditions hold, unless a choice has locked it out or opened it up
+    _isMissionAvailable(mission) {
+        if (this.lockedMissions.has(mission.id)) return false;
+        if (this.unlockedMissions.has(mission.id)) return true;
+        return mission.trigger.requires.every(id => this.completedMissions.has(id)) &&
+            this.checkConditions(mission.trigger.conditions);
+    }
+
+    // --- Story flags ---
+    getFlag(name) {
+        return this.storyFlags[name];
+    }
+
+    setFlag(name, value) {
+        this.storyFlags[name] = value;
+    }
+
+    // True when every flag in `conditions` has been set to the given value. A flag that was
+    // never set meets neither true nor false: the choice behind it hasn't been made yet.
+    checkConditions(conditions) {
+        if (!conditions) return true;
+        return Object.entries(conditions).every(([name, value]) => name in this.storyFlags && this.storyFlags[name] === value);
+    }
+
+    // Effects of a dialogue choice picked during the current mission's intro or outro
+    _applyChoice(choice) {
+        if (choice.setFlags) Object.assign(this.storyFlags, choice.setFlags);
+
+        if (choice.reward) {
+            this.runReward = { ...this.runReward, ...choice.reward };
+        }
+
+        // Swapping objectives only makes sense before the first one is done
+        if (choice.objectives && this.missionActive && this.missionPhase === 0) {
+            this.runObjectives = choice.objectives;
+            this.objectives = choice.objectives.map(o => ({ ...o }));
+            this._takeCheckpoint();
+        }
+
+        for (const id of choice.lock || []) {
+            this.lockedMissions.add(id);
+            this.unlockedMissions.delete(id);
+        }
+        for (const id of choice.unlock || []) {
+            this.unlockedMissions.add(id);
+            this.lockedMissions.delete(id);
+        }
+        if (choice.lock || choice.unlock) this.refreshMarkers();
+    }
+
+    // What a mission giver says on the phone: work if any is on offer, otherwise the
+    // first contact line whose flag conditions match
+    getContactLine(giver) {
+        const next = this.missionDefs.find(m =>
+            m.giver === giver && !this.completedMissions.has(m.id) && this._isMissionAvailable(m));
+        if (next) return { text: 'Come see me, I got work for you.', mission: next };
+
+        const line = this.contactLines.find(c => c.giver === giver && this.checkConditions(c.conditions));
+        return { text: line ? line.text : 'Nothing right now. Call back later.', mission: null };
+    }
+
     checkProximity(playerPos) {
         if (this.missionActive) return;
 
@@ -314,7 +211,14 @@ export class MissionManager {
         this.currentMission = mission.id;
         this.missionPhase = 0;
         this.missionActive = true;
-        this.objectives = [...mission.objectives];
+        this.runObjectives = mission.objectives;
+        this.runReward = mission.reward;
+        // Copies, so per-run objective state (started, timer) never leaks into the definition
+        this.objectives = mission.objectives.map(o => ({ ...o }));
+        this._resetFailConditions(mission);
+        this.heist.reset(mission.heist);
+        this.retryTimer = 0;
+        this._showRetryButton(false);
 
         // Hide marker
         const marker = this.markers.find(m => m.missionId === mission.id);
@@ -322,23 +226,105 @@ export class MissionManager {
 
         // Show mission title
         this.game.systems.ui.showMissionText(mission.title, 3);
+        this.game.events.emit('mission:start', { missionId: mission.id, title: mission.title });
 
         // Play intro dialogue
         if (mission.intro) {
             this.game.systems.cutscenes.playDialogueSequence(mission.intro, () => {
                 // Start objectives
                 this.showCurrentObjective();
-            });
+            }, (choice) => this._applyChoice(choice));
         } else {
             this.showCurrentObjective();
         }
 
         // Timer
-        if (mission.timed) {
-            this.missionTimer = mission.timed;
+        this.missionTimer = mission.timed || 0;
+
+        this._takeCheckpoint();
+    }
+
+    _takeCheckpoint() {
+        const player = this.game.systems.player;
+        this.checkpoint = {
+            missionId: this.currentMission,
+            phase: this.missionPhase,
+            timer: this.missionTimer,
+            objectives: this.runObjectives,
+            reward: this.runReward,
+            position: { x: player.position.x, y: player.position.y, z: player.position.z },
+            interior: this.game.systems.interiors.currentInterior,
+            health: player.health,
+            armor: player.armor,
+            weapons: player.weapons.map(w => ({ ...w })),
+            currentWeaponIndex: player.currentWeaponIndex
+        };
+    }
+
+    // Resume the failed mission at its last checkpoint with the loadout and health from then
+    retryFromCheckpoint() {
+        const cp = this.checkpoint;
+        const mission = cp && this.missionDefs.find(m => m.id === cp.missionId);
+        if (!mission) return;
+        this.retryTimer = 0;
+        this._showRetryButton(false);
+
+        const player = this.game.systems.player;
+        if (player.inVehicle) player.exitVehicle();
+        this.game.systems.interiors.setCurrentInterior(cp.interior);
+        player.teleportTo(cp.position.x, cp.position.y, cp.position.z);
+        player.health = cp.health;
+        player.armor = cp.armor;
+        player.weapons = cp.weapons.map(w => ({ ...w }));
+        player.currentWeaponIndex = cp.currentWeaponIndex;
+        this.game.systems.wanted.clearWanted();
+
+        this.currentMission = mission.id;
+        this.runObjectives = cp.objectives;
+        this.runReward = cp.reward;
+        this.objectives = cp.objectives.map(o => ({ ...o }));
+        this._resetFailConditions(mission);
+        this.missionPhase = cp.phase;
+        this.missionTimer = cp.timer;
+        this.missionActive = true;
+
+        const marker = this.markers.find(m => m.missionId === mission.id);
+        if (marker) marker.mesh.visible = false;
+
+        this.game.systems.ui.showMissionText(`${mission.title}\nRetrying from checkpoint`, 2);
+        setTimeout(() => {
+            if (this.missionActive) this.showCurrentObjective();
+        }, 2000);
+    }
+
+    _updateRetryOffer(dt) {
+        const player = this.game.systems.player;
+        if (player.isDead) return; // Offer starts once the player is back on their feet
+
+        this.retryTimer -= dt;
+        if (this.retryTimer <= 0) {
+            this.retryTimer = 0;
+            this.checkpoint = null;
+            this._showRetryButton(false);
+            return;
+        }
+
+        // Its own key: E next to a car would get in as well
+        const promptEl = document.getElementById('hud-interact-prompt');
+        promptEl.textContent = `Press Y to retry from checkpoint (${Math.ceil(this.retryTimer)})`;
+        promptEl.classList.add('visible');
+        this._showRetryButton(true);
+
+        if (this.game.systems.input.justPressed('retry')) {
+            this.retryFromCheckpoint();
         }
     }
 
+    _showRetryButton(show) {
+        const btn = document.getElementById('touch-retry');
+        if (btn) btn.style.display = show ? 'flex' : 'none';
+    }
+
     showCurrentObjective() {
         if (this.missionPhase >= this.objectives.length) return;
         const obj = this.objectives[this.missionPhase];
@@ -351,6 +337,10 @@ export class MissionManager {
         this.updateStrangersFreaks(dt);
         this.updateRampages(dt);
 
+        if (this.retryTimer > 0) {
+            this._updateRetryOffer(dt);
+        }
+
         if (!this.missionActive) return;
 
         // Timer
@@ -367,6 +357,17 @@ export class MissionManager {
         const obj = this.objectives[this.missionPhase];
         const player = this.game.systems.player;
 
+        // Whatever the player drives a delivery in is the vehicle fail conditions watch
+        if (obj.type === 'deliver_vehicle' && player.currentVehicle) {
+            this.missionVehicle = player.currentVehicle;
+        }
+
+        const failReason = this._checkFailConditions(obj, dt);
+        if (failReason) {
+            this.failMission(failReason);
+            return;
+        }
+
         switch (obj.type) {
             case 'goto':
                 const target = new THREE.Vector3(obj.target.x, 0, obj.target.z);
@@ -377,28 +378,54 @@ export class MissionManager {
                 break;
 
             case 'kill_enemies':
-                // For now, auto-complete after a short delay (enemies would be spawned)
+                // Kills are counted by _onNPCKilled
                 if (!obj.started) {
                     obj.started = true;
-                    obj.timer = 5; // Simulated combat time
-                    // Spawn enemies
+                    obj.kills = 0;
+                    obj.spawned = 0;
+                }
+                // Keep trying until the crew is out; an empty fight must not count as won
+                if (obj.spawned === 0) {
+                    const before = this.missionEnemies.length;
                     this.spawnMissionEnemies(obj.count || 4);
+                    obj.spawned = this.missionEnemies.length - before;
                 }
-                obj.timer -= dt;
-                if (obj.timer <= 0) {
+                if (obj.spawned > 0 && obj.kills >= obj.spawned) {
                     this.advanceObjective();
                 }
                 break;
 
             case 'steal_vehicle':
                 if (player.inVehicle) {
+                    this.missionVehicle = player.currentVehicle;
                     this.advanceObjective();
                 }
                 break;
 
             case 'interact':
-                // Handled by interaction system
+                // Done once the player walks in through the target's door
+                if (this.game.systems.interiors.currentInterior === obj.target) {
+                    this.advanceObjective();
+                }
+                break;
+
+            default: {
+                const handler = [this.objectiveLib, this.heist].find(h => h.handles(obj.type));
+                if (handler) {
+                    if (!obj.started) {
+                        obj.started = true;
+                        handler.start(obj);
+                    }
+                    const result = handler.update(obj, dt);
+                    if (result === 'complete') {
+                        this.advanceObjective();
+                    } else if (result === 'failed') {
+                        this.failMission(handler.failReason);
+                        return;
+                    }
+                }
                 break;
+            }
         }
 
         // Animate mission markers
@@ -409,6 +436,16 @@ export class MissionManager {
         }
     }
 
+    // npc:killed listener: mission enemies and side job hit targets
+    _onNPCKilled(npc) {
+        if (this.missionActive && this.missionEnemies.includes(npc)) {
+            const obj = this.objectives[this.missionPhase];
+            if (obj && obj.type === 'kill_enemies') obj.kills++;
+        }
+        const sm = this.activeSideMission;
+        if (sm && sm.targetNPC === npc) sm.targetKilled = true;
+    }
+
     spawnMissionEnemies(count) {
         const player = this.game.systems.player;
         for (let i = 0; i < count; i++) {
@@ -418,20 +455,92 @@ export class MissionManager {
             const z = player.position.z + Math.sin(angle) * dist;
 
             // Spawn hostile NPC
-            const npc = this.game.systems.npcs.spawnPedestrian();
+            const npc = this.game.systems.npcs.spawnPedestrian(true);
             if (npc && npc.mesh) {
                 npc.mesh.position.set(x, 0, z);
                 npc.isFleeing = false;
                 npc.health = 30;
+                npc.isTarget = true; // Keep the pool from recycling them mid-mission
+                this.missionEnemies.push(npc);
+            }
+        }
+    }
+
+    // --- Fail conditions ---
+    _resetFailConditions(mission) {
+        this.failConditions = (mission.failConditions || []).map(c => ({ ...c, outsideTimer: 0 }));
+    }
+
+    // Message of the first fail condition that has tripped, or null
+    _checkFailConditions(obj, dt) {
+        for (const cond of this.failConditions) {
+            if (cond.during && !cond.during.includes(this.missionPhase)) continue;
+            if (this._failConditionMet(cond, obj, dt)) return cond.message;
+        }
+        return null;
+    }
+
+    _failConditionMet(cond, obj, dt) {
+        switch (cond.type) {
+            case 'vehicle_destroyed': {
+                // The tail target, otherwise the car the player took for the mission
+                const vehicle = obj.vehicle || this.missionVehicle;
+                return !!vehicle && (vehicle._destroyed || vehicle.health <= 0);
+            }
+            case 'npc_dead':
+                // The escorted / followed NPC of the current objective
+                return !!obj.npc && !obj.npc.alive;
+            case 'wanted_above':
+                return this.game.systems.wanted.level > cond.level;
+            case 'leave_area': {
+                const pos = this.game.systems.player.position;
+                const dist = Math.sqrt((pos.x - cond.area.x) ** 2 + (pos.z - cond.area.z) ** 2);
+                if (dist <= cond.area.radius) {
+                    cond.outsideTimer = 0;
+                    return false;
+                }
+                if (cond.outsideTimer === 0) {
+                    this.game.systems.ui.showMissionText('Get back to the mission area!', 2);
+                }
+                cond.outsideTimer += dt;
+                return cond.outsideTimer > (cond.grace ?? 5);
+            }
+        }
+        return false;
+    }
+
+    // Remove what the mission spawned, however it ended (same job as _cleanupSideMission
+    // and _cleanupSFMission do for theirs)
+    _cleanupStoryMission() {
+        this.objectiveLib.cleanup();
+        this.heist.cleanup();
+
+        // Enemies still standing go back to the pedestrian pool
+        for (const npc of this.missionEnemies) {
+            npc.isTarget = false;
+            if (npc.alive && npc.mesh) {
+                npc.health = 0;
+                npc.alive = false;
             }
         }
+        this.missionEnemies = [];
+        this.missionVehicle = null;
+        this.game.systems.ui.waypoint = null;
     }
 
     advanceObjective() {
+        this.objectiveLib.cleanup();
+        this.heist.endObjective();
         this.missionPhase++;
+        this.game.events.emit('objective:advance', {
+            missionId: this.currentMission,
+            index: this.missionPhase,
+            objective: this.objectives[this.missionPhase] || null
+        });
         if (this.missionPhase >= this.objectives.length) {
             this.completeMission();
         } else {
+            this._takeCheckpoint();
             this.showCurrentObjective();
         }
     }
@@ -441,53 +550,61 @@ export class MissionManager {
         if (!mission) return;
 
         this.missionActive = false;
+        this._cleanupStoryMission();
+        this.checkpoint = null;
         this.completedMissions.add(mission.id);
-        this.game.systems.ui.waypoint = null;
-        this.game.stats.missionsComplete++;
+        this.game.events.emit('mission:complete', { missionId: mission.id, title: mission.title });
+
+        // Auto-save once the rewards are in hand
+        const finish = () => {
+            this.grantRewards(mission);
+            this.game.systems.save.save();
+        };
 
         // Play outro dialogue
         if (mission.outro) {
-            this.game.systems.cutscenes.playDialogueSequence(mission.outro, () => {
-                this.grantRewards(mission);
-            });
+            this.game.systems.cutscenes.playDialogueSequence(mission.outro, finish, (choice) => this._applyChoice(choice));
         } else {
-            this.grantRewards(mission);
+            finish();
         }
-
-        // Auto-save
-        this.game.systems.save.save();
     }
 
     grantRewards(mission) {
         const player = this.game.systems.player;
+        const reward = this.runReward || mission.reward;
 
-        if (mission.reward.cash) {
-            player.addCash(mission.reward.cash);
+        if (reward.cash) {
+            player.addCash(reward.cash);
         }
 
-        if (mission.reward.weapon) {
-            player.addWeapon(mission.reward.weapon);
+        if (reward.weapon) {
+            player.addWeapon(reward.weapon);
         }
 
         // Show mission complete
         this.game.systems.ui.showMissionComplete(
             'MISSION COMPLETE',
-            mission.reward.cash
+            reward.cash
         );
 
         // Refresh mission markers
         this.refreshMarkers();
 
-        // Check for finale
-        if (mission.isFinale) {
+        // Check for finale (not when replaying it)
+        if (mission.isFinale && !this.game.systems.replay.active) {
             this.triggerFinale();
         }
     }
 
-    failMission() {
+    failMission(reason) {
         this.missionActive = false;
-        this.game.systems.ui.waypoint = null;
-        this.game.systems.ui.showMissionText('MISSION FAILED', 3);
+        this._cleanupStoryMission();
+        this.game.systems.ui.showMissionText(reason ? `MISSION FAILED: ${reason}` : 'MISSION FAILED', 3);
+        this.game.events.emit('mission:fail', { missionId: this.currentMission, reason: reason || null });
+
+        if (this.checkpoint && this.checkpoint.missionId === this.currentMission) {
+            this.retryTimer = this.retryWindow;
+        }
 
         // Re-show marker
         const marker = this.markers.find(m => m.missionId === this.currentMission);
@@ -495,12 +612,16 @@ export class MissionManager {
     }
 
     refreshMarkers() {
-        // Show markers for newly available missions
+        // Show markers for newly available missions, hide finished ones and ones that were locked out
         for (const mission of this.missionDefs) {
-            if (this.completedMissions.has(mission.id)) continue;
-            if (mission.id > 1 && !this.completedMissions.has(mission.id - 1)) continue;
+            if (this.missionActive && mission.id === this.currentMission) continue;
 
             const existing = this.markers.find(m => m.missionId === mission.id);
+            if (this.completedMissions.has(mission.id) || !this._isMissionAvailable(mission)) {
+                if (existing) existing.mesh.visible = false;
+                continue;
+            }
+
             if (existing) {
                 existing.mesh.visible = true;
             } else {
@@ -511,7 +632,7 @@ export class MissionManager {
                     emissiveIntensity: 0.5, transparent: true, opacity: 0.5
                 });
                 const mesh = new THREE.Mesh(geo, mat);
-                mesh.position.set(mission.markerPos.x, 4, mission.markerPos.z);
+                mesh.position.set(mission.trigger.marker.x, 4, mission.trigger.marker.z);
                 this.game.scene.add(mesh);
                 this.markers.push({ mesh, missionId: mission.id });
             }
@@ -537,6 +658,38 @@ export class MissionManager {
         this.refreshMarkers();
     }
 
+    // --- Save/load ---
+    serialize() {
+        return {
+            completedMissions: [...this.completedMissions],
+            currentMission: this.currentMission,
+            sfCompleted: { ...this.sfCompleted },
+            rampageCompleted: [...this.rampageCompleted],
+            sideMissionsCompleted: this.sideMissionDefs.filter(d => d.completed).map(d => d.title),
+            storyFlags: { ...this.storyFlags },
+            lockedMissions: [...this.lockedMissions],
+            unlockedMissions: [...this.unlockedMissions]
+        };
+    }
+
+    deserialize(data) {
+        this.completedMissions = new Set(data.completedMissions);
+        this.currentMission = data.currentMission;
+        this.sfCompleted = data.sfCompleted;
+        this.rampageCompleted = new Set(data.rampageCompleted);
+        this.storyFlags = { ...data.storyFlags };
+        this.lockedMissions = new Set(data.lockedMissions);
+        this.unlockedMissions = new Set(data.unlockedMissions);
+
+        const doneSideJobs = new Set(data.sideMissionsCompleted);
+        for (const def of this.sideMissionDefs) {
+            def.completed = doneSideJobs.has(def.title);
+        }
+
+        this.refreshMarkers();
+        this._refreshSFMarkers();
+    }
+
     // === SIDE MISSIONS / RANDOM ENCOUNTERS ===
 
     initSideMissions() {
@@ -545,87 +698,6 @@ export class MissionManager {
         this.sideMissionCooldown = 30; // seconds between side mission offers
         this.sideMissionMarkers = [];
 
-        this.sideMissionDefs = [
-            // Street Races
-            {
-                type: 'race',
-                title: 'Street Race: Downtown Circuit',
-                reward: 500,
-                checkpoints: [
-                    { x: 50, z: 0 }, { x: 100, z: -50 }, { x: 100, z: -150 },
-                    { x: 0, z: -100 }, { x: -50, z: 0 }, { x: 0, z: 50 }
-                ],
-                timeLimit: 120
-            },
-            {
-                type: 'race',
-                title: 'Street Race: Strip Sprint',
-                reward: 800,
-                checkpoints: [
-                    { x: 200, z: -200 }, { x: 300, z: -250 }, { x: 350, z: -350 },
-                    { x: 250, z: -380 }, { x: 200, z: -300 }
-                ],
-                timeLimit: 90
-            },
-            {
-                type: 'race',
-                title: 'Street Race: Harbor Run',
-                reward: 600,
-                checkpoints: [
-                    { x: -200, z: 200 }, { x: -300, z: 250 }, { x: -350, z: 350 },
-                    { x: -250, z: 300 }, { x: -200, z: 200 }
-                ],
-                timeLimit: 100
-            },
-            // Assassination Targets
-            {
-                type: 'assassination',
-                title: 'Hit: The Accountant',
-                reward: 1000,
-                targetPos: { x: -80, z: -80 },
-                targetDesc: 'Target is near the Hillside safehouse'
-            },
-            {
-                type: 'assassination',
-                title: 'Hit: Dock Worker',
-                reward: 750,
-                targetPos: { x: -280, z: 280 },
-                targetDesc: 'Target is working at the docks'
-            },
-            {
-                type: 'assassination',
-                title: 'Hit: Club Owner',
-                reward: 1500,
-                targetPos: { x: 220, z: -220 },
-                targetDesc: 'Target is in The Strip'
-            },
-            // Package Delivery
-            {
-                type: 'delivery',
-                title: 'Package: Express Delivery',
-                reward: 400,
-                pickup: { x: 30, z: 30 },
-                dropoff: { x: -250, z: 250 },
-                timeLimit: 60
-            },
-            {
-                type: 'delivery',
-                title: 'Package: Cross-City Rush',
-                reward: 600,
-                pickup: { x: -200, z: -200 },
-                dropoff: { x: 300, z: -300 },
-                timeLimit: 90
-            },
-            {
-                type: 'delivery',
-                title: 'Package: Dockside Drop',
-                reward: 350,
-                pickup: { x: 100, z: 100 },
-                dropoff: { x: -300, z: 300 },
-                timeLimit: 75
-            },
-        ];
-
         // Place side mission markers
         this._placeSideMissionMarkers();
     }
@@ -696,17 +768,27 @@ export class MissionManager {
     }
 
     _startRandomSideMission(marker) {
-        // Pick a random side mission
+        // Hand-made jobs first; once they're all done the phones hand out generated ones
         const available = this.sideMissionDefs.filter(sd => !sd.completed);
-        if (available.length === 0) return;
+        const job = available.length > 0
+            ? available[Math.floor(Math.random() * available.length)]
+            : this.jobGen.offer(marker.position);
+
+        this._startSideMission(job, marker);
+    }
 
-        const sideMission = available[Math.floor(Math.random() * available.length)];
+    // marker is the phone marker the job was taken from (null when started from the replay menu)
+    _startSideMission(sideMission, marker = null) {
         this.activeSideMission = { ...sideMission, marker, phase: 0, timer: sideMission.timeLimit || 0 };
 
-        marker.available = false;
-        marker.mesh.visible = false;
+        if (marker) {
+            marker.available = false;
+            marker.mesh.visible = false;
+        }
 
-        this.game.systems.ui.showMissionText(sideMission.title, 3);
+        // Generated jobs show their code so the same job can be shared and replayed
+        this.game.systems.ui.showMissionText(
+            sideMission.generated ? `${sideMission.title}\nJob ${sideMission.code}` : sideMission.title, 3);
 
         // Set up based on type
         switch (sideMission.type) {
@@ -753,7 +835,7 @@ export class MissionManager {
         const npc = this.game.systems.npcs.spawnPedestrian();
         if (npc && npc.mesh) {
             npc.mesh.position.set(sm.targetPos.x, 0, sm.targetPos.z);
-            npc.health = 80;
+            npc.health = sm.targetHealth || 80;
             npc.isTarget = true;
             sm.targetNPC = npc;
 
@@ -868,8 +950,8 @@ export class MissionManager {
     _updateAssassination(sm, player) {
         if (!sm.targetNPC) return;
 
-        if (!sm.targetNPC.alive) {
-            // Target killed
+        if (sm.targetKilled) {
+            // Target killed (see _onNPCKilled)
             if (sm.targetMarker && sm.targetMarker.parent) {
                 sm.targetMarker.parent.remove(sm.targetMarker);
             }
@@ -926,13 +1008,13 @@ export class MissionManager {
     _completeSideMission() {
         const sm = this.activeSideMission;
 
-        // Mark as completed
-        const def = this.sideMissionDefs.find(d => d.title === sm.title);
+        // Mark as completed (generated jobs aren't tracked; their code rebuilds them)
+        const def = !sm.generated && this.sideMissionDefs.find(d => d.title === sm.title);
         if (def) def.completed = true;
 
         // Grant reward
         this.game.systems.player.addCash(sm.reward);
-        this.game.stats.sideMissionsComplete++;
+        this.game.events.emit('sidejob:complete', { title: sm.title, reward: sm.reward, generated: !!sm.generated });
 
         this.game.systems.ui.showMissionComplete(
             'SIDE JOB COMPLETE',
@@ -985,224 +1067,6 @@ export class MissionManager {
         this.sfMarkers = [];    // Contact markers
         this.sfMeshes = [];     // Temp meshes for active mission
 
-        this.sfChains = [
-            {
-                id: 'street_racer', character: 'Rick', color: 0xff4444,
-                contactPos: { x: 60, z: -60 },
-                stages: [
-                    {
-                        title: 'Street Race: Warm-Up Lap',
-                        intro: [{ speaker: 'rick', text: "Think you're fast? Beat my Downtown circuit. Go!" }],
-                        type: 'sf_race',
-                        checkpoints: [
-                            { x: 100, z: -60 }, { x: 100, z: -120 }, { x: 50, z: -120 },
-                            { x: 0, z: -80 }, { x: 0, z: -20 }, { x: 60, z: -60 }
-                        ],
-                        timeLimit: 90, reward: 400,
-                        outro: [{ speaker: 'rick', text: "Decent! But I got harder circuits. Come back." }]
-                    },
-                    {
-                        title: 'Street Race: Strip Sprint',
-                        intro: [{ speaker: 'rick', text: "This one goes through The Strip. Tight corners. Don't crash." }],
-                        type: 'sf_race',
-                        checkpoints: [
-                            { x: 200, z: -200 }, { x: 280, z: -280 }, { x: 300, z: -350 },
-                            { x: 250, z: -380 }, { x: 200, z: -300 }, { x: 200, z: -200 }
-                        ],
-                        timeLimit: 75, reward: 800,
-                        outro: [{ speaker: 'rick', text: "You actually beat my time! One more. The big one." }]
-                    },
-                    {
-                        title: 'Street Race: Full City Circuit',
-                        intro: [{ speaker: 'rick', text: "The whole city. Every district. This is the ultimate run." }],
-                        type: 'sf_race',
-                        checkpoints: [
-                            { x: 60, z: -60 }, { x: 200, z: -200 }, { x: 280, z: -350 },
-                            { x: 200, z: 200 }, { x: -200, z: 200 }, { x: -200, z: -200 },
-                            { x: 0, z: -100 }, { x: 60, z: -60 }
-                        ],
-                        timeLimit: 120, reward: 2000,
-                        outro: [{ speaker: 'rick', text: "King of the road! Here, you earned this." }]
-                    }
-                ]
-            },
-            {
-                id: 'fitness_freak', character: 'Flex', color: 0x44ff44,
-                contactPos: { x: 240, z: -260 },
-                stages: [
-                    {
-                        title: 'Fitness Challenge: Morning Jog',
-                        intro: [{ speaker: 'flex', text: "You look soft, bro. Sprint to the park and back. ON FOOT. Go!" }],
-                        type: 'sf_sprint',
-                        waypoints: [{ x: 80, z: -80 }, { x: 240, z: -260 }],
-                        timeLimit: 60, reward: 300,
-                        outro: [{ speaker: 'flex', text: "Not bad for a beginner. Come back for the real workout." }]
-                    },
-                    {
-                        title: 'Fitness Challenge: Cross-City Run',
-                        intro: [{ speaker: 'flex', text: "Docks and back! No vehicles! CARDIO, baby!" }],
-                        type: 'sf_sprint',
-                        waypoints: [{ x: -220, z: 220 }, { x: 0, z: 0 }, { x: 240, z: -260 }],
-                        timeLimit: 90, reward: 600,
-                        outro: [{ speaker: 'flex', text: "You're getting stronger! One more challenge." }]
-                    },
-                    {
-                        title: 'Fitness Challenge: Iron Marathon',
-                        intro: [{ speaker: 'flex', text: "Full city loop. On foot. This separates the men from the boys." }],
-                        type: 'sf_sprint',
-                        waypoints: [
-                            { x: -200, z: -200 }, { x: -200, z: 200 }, { x: 200, z: 200 },
-                            { x: 200, z: -200 }, { x: 240, z: -260 }
-                        ],
-                        timeLimit: 150, reward: 1500,
-                        outro: [{ speaker: 'flex', text: "BEAST MODE! You're officially swole, bro." }]
-                    }
-                ]
-            },
-            {
-                id: 'conspiracy_nut', character: 'Tinfoil Ted', color: 0xaaaa00,
-                contactPos: { x: -200, z: -200 },
-                stages: [
-                    {
-                        title: 'The Truth: Hidden Signals',
-                        intro: [{ speaker: 'tinfoil_ted', text: "They're watching us! Go to the radio tower on the hill. Find the signal box." }],
-                        type: 'sf_investigate',
-                        locations: [{ x: -300, z: -300, hint: 'Check the radio tower base' }],
-                        reward: 400,
-                        outro: [{ speaker: 'tinfoil_ted', text: "I KNEW IT! A government frequency! Come back, there's more." }]
-                    },
-                    {
-                        title: 'The Truth: Paper Trail',
-                        intro: [{ speaker: 'tinfoil_ted', text: "Documents at the bank and the police station. Get evidence!" }],
-                        type: 'sf_investigate',
-                        locations: [
-                            { x: 250, z: -220, hint: 'Search the bank rear entrance' },
-                            { x: 30, z: 30, hint: 'Check behind the government building' }
-                        ],
-                        reward: 700,
-                        outro: [{ speaker: 'tinfoil_ted', text: "Deep state confirmed! One final lead..." }]
-                    },
-                    {
-                        title: 'The Truth: The Bunker',
-                        intro: [{ speaker: 'tinfoil_ted', text: "There's an underground bunker in Industrial. The mother lode of secrets!" }],
-                        type: 'sf_investigate',
-                        locations: [
-                            { x: -280, z: 280, hint: 'Find the hidden hatch near the warehouses' },
-                            { x: -300, z: 300, hint: 'Locate the server room' },
-                            { x: -250, z: 250, hint: 'Retrieve the master file' }
-                        ],
-                        reward: 1500,
-                        outro: [{ speaker: 'tinfoil_ted', text: "The truth is out! They can't hide anymore! ...I need to lay low." }]
-                    }
-                ]
-            },
-            {
-                id: 'collector', character: 'Margaret', color: 0xff88ff,
-                contactPos: { x: 80, z: -80 },
-                stages: [
-                    {
-                        title: 'Collection: Lost Heirlooms',
-                        intro: [{ speaker: 'margaret', text: "My late husband hid valuables around Downtown. Find 5 for me, dear." }],
-                        type: 'sf_collect',
-                        area: { x: 0, z: 0, radius: 150 }, count: 5, timeLimit: 120,
-                        reward: 500,
-                        outro: [{ speaker: 'margaret', text: "Oh wonderful! There are more in other parts of the city..." }]
-                    },
-                    {
-                        title: 'Collection: Dockside Treasures',
-                        intro: [{ speaker: 'margaret', text: "He had a storage unit at the Docks. Find 7 items, would you?" }],
-                        type: 'sf_collect',
-                        area: { x: -250, z: 250, radius: 120 }, count: 7, timeLimit: 150,
-                        reward: 900,
-                        outro: [{ speaker: 'margaret', text: "Marvelous! One last set of treasures remains." }]
-                    },
-                    {
-                        title: 'Collection: City-Wide Hunt',
-                        intro: [{ speaker: 'margaret', text: "The final pieces are scattered across the city. Find all 10!" }],
-                        type: 'sf_collect',
-                        area: { x: 0, z: 0, radius: 350 }, count: 10, timeLimit: 240,
-                        reward: 2500,
-                        outro: [{ speaker: 'margaret', text: "You found everything! My husband would be so grateful. Take this." }]
-                    }
-                ]
-            },
-            {
-                id: 'pest_exterminator', character: 'Ratko', color: 0x886633,
-                contactPos: { x: -250, z: 250 },
-                stages: [
-                    {
-                        title: 'Extermination: Dock Rats',
-                        intro: [{ speaker: 'ratko', text: "Rats everywhere at the docks. Kill 8 of the little monsters!" }],
-                        type: 'sf_exterminate',
-                        area: { x: -250, z: 250, radius: 80 }, count: 8, timeLimit: 90,
-                        reward: 400,
-                        outro: [{ speaker: 'ratko', text: "Good work! But there's a bigger infestation elsewhere." }]
-                    },
-                    {
-                        title: 'Extermination: Sewer Snakes',
-                        intro: [{ speaker: 'ratko', text: "Snakes in the Industrial pipes. Clear out 10 of them." }],
-                        type: 'sf_exterminate',
-                        area: { x: 250, z: 250, radius: 100 }, count: 10, timeLimit: 120,
-                        reward: 800,
-                        outro: [{ speaker: 'ratko', text: "You're a natural! One more job — the big nest." }]
-                    },
-                    {
-                        title: 'Extermination: The Nest',
-                        intro: [{ speaker: 'ratko', text: "The mother of all infestations. Hillside caves. Kill everything." }],
-                        type: 'sf_exterminate',
-                        area: { x: -250, z: -250, radius: 100 }, count: 15, timeLimit: 150,
-                        reward: 2000,
-                        outro: [{ speaker: 'ratko', text: "Clean as a whistle! You're my best exterminator." }]
-                    }
-                ]
-            },
-            {
-                id: 'photographer', character: 'Artie', color: 0x44aaff,
-                contactPos: { x: 260, z: -220 },
-                stages: [
-                    {
-                        title: 'Photo Op: Strip Sights',
-                        intro: [{ speaker: 'artie', text: "I need photos of 3 landmarks on The Strip for my gallery. Get close and press E!" }],
-                        type: 'sf_photograph',
-                        landmarks: [
-                            { x: 250, z: -250, name: 'Neon Arch', radius: 8 },
-                            { x: 280, z: -300, name: 'Club Neon Entrance', radius: 8 },
-                            { x: 220, z: -280, name: 'Strip Fountain', radius: 8 }
-                        ],
-                        reward: 500,
-                        outro: [{ speaker: 'artie', text: "Magnificent shots! I need more from around the city." }]
-                    },
-                    {
-                        title: 'Photo Op: City Landmarks',
-                        intro: [{ speaker: 'artie', text: "Downtown and Hillside have incredible architecture. Photograph 4 spots." }],
-                        type: 'sf_photograph',
-                        landmarks: [
-                            { x: 0, z: 0, name: 'City Center Plaza', radius: 10 },
-                            { x: 50, z: -50, name: 'Downtown Tower', radius: 8 },
-                            { x: -250, z: -280, name: 'Hillside Overlook', radius: 10 },
-                            { x: -200, z: -250, name: 'Old Church', radius: 8 }
-                        ],
-                        reward: 1000,
-                        outro: [{ speaker: 'artie', text: "These are gallery-worthy! One last assignment." }]
-                    },
-                    {
-                        title: 'Photo Op: Hidden Gems',
-                        intro: [{ speaker: 'artie', text: "Secret spots. The rooftop view, the dock cranes, the bridge. Find and shoot them all!" }],
-                        type: 'sf_photograph',
-                        landmarks: [
-                            { x: -280, z: 280, name: 'Dock Cranes', radius: 10 },
-                            { x: 0, z: 250, name: 'Harbor Bridge', radius: 10 },
-                            { x: 300, z: 0, name: 'Eastern Overlook', radius: 10 },
-                            { x: -300, z: 0, name: 'Western Cliffs', radius: 10 },
-                            { x: 0, z: -300, name: 'Northern Lighthouse', radius: 10 }
-                        ],
-                        reward: 2500,
-                        outro: [{ speaker: 'artie', text: "You have an eye for beauty! My gallery is complete. Thank you!" }]
-                    }
-                ]
-            }
-        ];
-
         this._placeSFMarkers();
     }
 
@@ -1244,6 +1108,17 @@ export class MissionManager {
         }
     }
 
+    // Contact markers show for every chain with stages left, except the one in progress
+    _refreshSFMarkers() {
+        for (const marker of this.sfMarkers) {
+            const chain = this.sfChains.find(c => c.id === marker.chainId);
+            const inProgress = this.sfActive && this.sfActive.chainId === marker.chainId;
+            const open = !!chain && !inProgress && (this.sfCompleted[chain.id] || 0) < chain.stages.length;
+            marker.visible = open;
+            marker.mesh.visible = open;
+        }
+    }
+
     updateStrangersFreaks(dt) {
         const player = this.game.systems.player;
         const input = this.game.systems.input;
@@ -1631,11 +1506,7 @@ export class MissionManager {
                             }
                             this.game.systems.audio.playPickup();
 
-                            // Camera flash effect
-                            const flashEl = document.createElement('div');
-                            flashEl.style.cssText = 'position:fixed;top:0;left:0;width:100%;height:100%;background:white;opacity:0.8;z-index:9999;pointer-events:none;';
-                            document.body.appendChild(flashEl);
-                            setTimeout(() => flashEl.remove(), 150);
+                            this.objectiveLib.cameraFlash();
 
                             this.game.systems.ui.showMissionText(
                                 `Photographed: ${lm.name} (${sf.photographed.size}/${stage.landmarks.length})`, 3
@@ -1672,7 +1543,7 @@ export class MissionManager {
         // Update completion
         if (!this.sfCompleted[sf.chainId]) this.sfCompleted[sf.chainId] = 0;
         this.sfCompleted[sf.chainId]++;
-        this.game.stats.strangersComplete++;
+        this.game.events.emit('strangers:complete', { chainId: sf.chainId, stage: sf.stageIndex });
 
         // Show completion
         this.game.systems.ui.showMissionComplete(
@@ -1690,13 +1561,7 @@ export class MissionManager {
 
         // Re-show marker if more stages
         if (this.sfCompleted[sf.chainId] < chain.stages.length) {
-            const marker = this.sfMarkers.find(m => m.chainId === sf.chainId);
-            if (marker) {
-                setTimeout(() => {
-                    marker.mesh.visible = true;
-                    marker.visible = true;
-                }, 30000); // Available again after 30s
-            }
+            setTimeout(() => this._refreshSFMarkers(), 30000); // Available again after 30s
         }
 
         this.sfActive = null;
@@ -1714,14 +1579,8 @@ export class MissionManager {
         this.game.systems.ui.showMissionText('CHALLENGE FAILED', 3);
         this._cleanupSFMission();
 
-        // Re-show marker
-        const marker = this.sfMarkers.find(m => m.chainId === this.sfActive.chainId);
-        if (marker) {
-            marker.mesh.visible = true;
-            marker.visible = true;
-        }
-
         this.sfActive = null;
+        this._refreshSFMarkers();
 
         const timerEl = document.getElementById('hud-escape-timer');
         if (timerEl) timerEl.style.display = 'none';
@@ -1778,39 +1637,6 @@ export class MissionManager {
         this.activeRampage = null;
         this.rampageMarkers = [];
 
-        this.rampageDefs = [
-            {
-                id: 'rampage_downtown', name: 'Downtown Rampage',
-                pos: { x: 40, z: -100 },
-                weapon: 'smg', ammo: 120,
-                killTarget: 15, timeLimit: 60, reward: 1000
-            },
-            {
-                id: 'rampage_strip', name: 'Strip Rampage',
-                pos: { x: 230, z: -300 },
-                weapon: 'shotgun', ammo: 40,
-                killTarget: 12, timeLimit: 60, reward: 1200
-            },
-            {
-                id: 'rampage_docks', name: 'Docks Rampage',
-                pos: { x: -260, z: 270 },
-                weapon: 'rifle', ammo: 90,
-                killTarget: 18, timeLimit: 60, reward: 1500
-            },
-            {
-                id: 'rampage_hillside', name: 'Hillside Rampage',
-                pos: { x: -230, z: -270 },
-                weapon: 'grenade', ammo: 15,
-                killTarget: 10, timeLimit: 60, reward: 2000
-            },
-            {
-                id: 'rampage_industrial', name: 'Industrial Rampage',
-                pos: { x: 270, z: 270 },
-                weapon: 'atomizer', ammo: 30,
-                killTarget: 20, timeLimit: 60, reward: 2500
-            }
-        ];
-
         this.rampageCompleted = new Set();
         this._placeRampageMarkers();
     }
@@ -1,10 +1,20 @@
 // San Claudio - NPC System
 // Pedestrians, traffic AI, pooling
 
+import { Citizens } from './citizens.js';
+import { NPCGroups } from './groups.js';
+
+const WALK_RANGE = 120;        // Pedestrians pick destinations within this many metres (each axis)
+const CROSSWALK_PATIENCE = 20; // Seconds at a red (or busy) crossing before anyone jaywalks
+const WALK_BLOCKED = 2;        // Seconds stuck short of a destination before settling for where they are
+const WALK_OFF_ROUTE = 35;     // Metres from the next point of their route (fleeing, scripted) before replanning
+
 export class NPCManager {
     constructor(game) {
         this.game = game;
         this.pedestrians = [];
+        this.citizens = new Citizens(game); // Who each pedestrian is
+        this.groups = new NPCGroups(game, this.citizens); // Who they're out with
         this.maxPedestrians = 20;
         this._basePedestrians = 20;
 
@@ -83,6 +93,35 @@ export class NPCManager {
             ]
         };
 
+        // Mixed in by each citizen's mood (see Citizens)
+        this.moodDialogue = {
+            'cheerful': [
+                "What a day, huh?",
+                "Morning! Or is it afternoon?",
+                "Love the weather today."
+            ],
+            'grumpy': [
+                "Don't even look at me.",
+                "Everything in this city is broken.",
+                "Move it, pal."
+            ],
+            'nervous': [
+                "Is someone following me?",
+                "I shouldn't be out this late.",
+                "Did you hear that?"
+            ],
+            'tired': [
+                "I need to sleep for a week.",
+                "Three shifts this week...",
+                "Is it Friday yet?"
+            ],
+            'chatty': [
+                "Oh hey! Long time no see!",
+                "You won't believe what my cousin did.",
+                "So anyway, like I was saying..."
+            ]
+        };
+
         // NPC-to-NPC conversation pairs
         this.conversationPairs = [
             ["Did you hear about the robbery?", "Yeah, crazy stuff. This city man..."],
@@ -204,9 +243,10 @@ export class NPCManager {
         const x = player.position.x + Math.cos(angle) * dist;
         const z = player.position.z + Math.sin(angle) * dist;
 
-        // Get district for color palette
+        // Whoever is due in this district at this time of day
         const world = this.game.systems.world;
         const district = world ? world.getDistrictName(x, z) : 'Downtown';
+        const citizen = this.citizens.draw(world ? world.getDistrict(x, z) : 'downtown');
 
         // Idle behavior type
         const idleBehaviors = ['walking', 'walking', 'walking', 'walking',
@@ -217,36 +257,39 @@ export class NPCManager {
             mesh: null,
             alive: true,
             health: 50,
-            speed: 2 + Math.random(),
+            speed: citizen.pace,
             walkDir: Math.random() * Math.PI * 2,
             walkTimer: 3 + Math.random() * 5,
             isFleeing: false,
             fleeTarget: null,
             dialogueCooldown: 5 + Math.random() * 15,
-            isMale: Math.random() > 0.5,
+            citizen: null,         // See _assignCitizen
+            isMale: citizen.isMale,
             district: district,
             idleBehavior: idleBehavior,
             idleTimer: 0,
             _phoneAngle: 0,
             _phoneBobTime: 0,
-            _isJaywalker: Math.random() < 0.1,
+            _isJaywalker: citizen.jaywalker,
+            walkRoute: null,       // { steps, index, dest, crossing, blocked }, see _planWalk
+            group: null,           // Couple, friends, gang crew or crowd, see NPCGroups
+            _running: false,       // Set by their group: catching up, chasing
             _waitingAtCrosswalk: false,
             _crosswalkWaitTime: 0,
             // Reaction system
-            _reaction: null,       // 'duck', 'cheer', 'record', 'cower'
+            _reaction: null,       // 'duck', 'cheer', 'record', 'cower', 'report'
             _reactionTimer: 0,
             _reactionCooldown: 0,
             _recordingTarget: null
         };
 
         // Add takeDamage method directly on NPC object
-        npc.takeDamage = (amount) => {
-            this.npcTakeDamage(npc, amount);
+        npc.takeDamage = (amount, attacker = null, from = null) => {
+            this.npcTakeDamage(npc, amount, attacker, from);
         };
 
-        npc.mesh = this.createNPCModel(npc.isMale, district);
+        this._assignCitizen(npc, citizen);
         npc.mesh.position.set(x, this._getGroundY(x, z), z);
-        this.game.scene.add(npc.mesh);
 
         // Animation state
         npc.animTime = Math.random() * 10;
@@ -255,11 +298,49 @@ export class NPCManager {
         return npc;
     }
 
-    createNPCModel(isMale, district) {
+    // Make an NPC this citizen: their traits, and their model unless it's already theirs.
+    // Pooled NPCs change model whenever they become someone else.
+    _assignCitizen(npc, citizen) {
+        const previous = npc.citizen;
+        npc.citizen = citizen;
+        npc.isMale = citizen.isMale;
+        npc.speed = citizen.pace;
+        npc._isJaywalker = citizen.jaywalker;
+        if (previous === citizen && npc.mesh) return;
+
+        const world = this.game.systems.world;
+        const old = npc.mesh;
+        npc.mesh = this.createNPCModel(citizen.isMale, world?.districts[citizen.home]?.name, citizen.look);
+        if (old) {
+            npc.mesh.position.copy(old.position);
+            npc.mesh.rotation.y = old.rotation.y;
+            this.game.scene.remove(old);
+            this._disposeNPCModel(old);
+        }
+        this.game.scene.add(npc.mesh);
+        npc._currentClip = null;
+        npc._currentAnim = null;
+    }
+
+    // Every NPC model has its own materials; only the primitive ones have their own geometry
+    _disposeNPCModel(model) {
+        model.traverse((child) => {
+            if (!child.isMesh && !child.isSkinnedMesh) return;
+            if (!model.userData.sharedGeometry) child.geometry.dispose();
+            child.material.dispose();
+        });
+        if (model.userData.mixer) model.userData.mixer.stopAllAction();
+    }
+
+    // look: a citizen's 0-1 picks for each random choice below (see Citizens), so the same
+    // person always looks the same. Anything missing is random. look.palette, if set, is worn
+    // instead of the district's clothes.
+    createNPCModel(isMale, district, look = {}) {
         const models = this.game.systems.models;
+        const pick = (list, f) => list[Math.floor((f ?? Math.random()) * list.length)];
 
-        // Get district-specific palette, fallback to generic
-        const palette = this.districtPalettes[district] || this.districtPalettes['Downtown'];
+        // Get district-specific palette (or a gang's colours), fallback to generic
+        const palette = look.palette || this.districtPalettes[district] || this.districtPalettes['Downtown'];
 
         // Determine gender for model selection
         const gender = isMale ? 'male' : 'female';
@@ -279,9 +360,9 @@ export class NPCManager {
             const shirtColors = palette.shirts;
             const pantsColors = palette.pants;
 
-            const skinColor = skinColors[Math.floor(Math.random() * skinColors.length)];
-            const shirtColor = shirtColors[Math.floor(Math.random() * shirtColors.length)];
-            const pantsColor = pantsColors[Math.floor(Math.random() * pantsColors.length)];
+            const skinColor = pick(skinColors, look.skin);
+            const shirtColor = pick(shirtColors, look.shirt);
+            const pantsColor = pick(pantsColors, look.pants);
 
             // Apply colors to cloned model's materials
             model.traverse((child) => {
@@ -294,8 +375,9 @@ export class NPCManager {
             });
 
             // Random height scale 0.9-1.1
-            const heightScale = 0.9 + Math.random() * 0.2;
+            const heightScale = 0.9 + (look.height ?? Math.random()) * 0.2;
             model.scale.setScalar(heightScale);
+            model.userData.sharedGeometry = true; // Cloned materials, but the model's own geometry
 
             // Set up AnimationMixer — use gender-specific anims if available
             const clips = hasGenderModel
@@ -339,20 +421,21 @@ export class NPCManager {
             let skinnedMesh;
             model.traverse(c => { if (c.isSkinnedMesh) skinnedMesh = c; });
             if (skinnedMesh && skinnedMesh.geometry.getAttribute('uv')) {
-                const npcTexture = this._getNPCTexture(isMale);
+                const npcTexture = this._getNPCTexture(isMale, look.texture);
                 skinnedMesh.material.map = npcTexture;
                 skinnedMesh.material.needsUpdate = true;
             }
 
             // Apply random body type variation using morph targets
             if (skinnedMesh && skinnedMesh.morphTargetInfluences) {
+                const build = look.build ?? Math.random();
                 // Fat morph: 30% chance of 0.2-0.8
-                if (Math.random() < 0.3 && skinnedMesh.morphTargetInfluences.length >= 1) {
-                    skinnedMesh.morphTargetInfluences[0] = 0.2 + Math.random() * 0.6;
+                if (build < 0.3 && skinnedMesh.morphTargetInfluences.length >= 1) {
+                    skinnedMesh.morphTargetInfluences[0] = 0.2 + build / 0.3 * 0.6;
                 }
                 // Muscle morph: 20% chance of 0.3-0.7
-                if (Math.random() < 0.2 && skinnedMesh.morphTargetInfluences.length >= 2) {
-                    skinnedMesh.morphTargetInfluences[1] = 0.3 + Math.random() * 0.4;
+                if (build > 0.8 && skinnedMesh.morphTargetInfluences.length >= 2) {
+                    skinnedMesh.morphTargetInfluences[1] = 0.3 + (build - 0.8) / 0.2 * 0.4;
                 }
             }
 
@@ -360,22 +443,23 @@ export class NPCManager {
         }
 
         // Fallback: primitive model
-        return this._createFallbackNPCModel(isMale, district);
+        return this._createFallbackNPCModel(isMale, district, look);
     }
 
-    _createFallbackNPCModel(isMale, district) {
+    _createFallbackNPCModel(isMale, district, look = {}) {
+        const pick = (list, f) => list[Math.floor((f ?? Math.random()) * list.length)];
         const group = new THREE.Group();
 
-        const palette = this.districtPalettes[district] || this.districtPalettes['Downtown'];
+        const palette = look.palette || this.districtPalettes[district] || this.districtPalettes['Downtown'];
         const skinColors = [0xd4a574, 0xc49060, 0x8d5524, 0xf1c27d, 0xe0ac69];
         const shirtColors = palette.shirts;
         const pantsColors = palette.pants;
         const hairColors = [0x221100, 0x111111, 0x553311, 0x884422, 0x222222];
 
-        const skinColor = skinColors[Math.floor(Math.random() * skinColors.length)];
-        const shirtColor = shirtColors[Math.floor(Math.random() * shirtColors.length)];
-        const pantsColor = pantsColors[Math.floor(Math.random() * pantsColors.length)];
-        const hairColor = hairColors[Math.floor(Math.random() * hairColors.length)];
+        const skinColor = pick(skinColors, look.skin);
+        const shirtColor = pick(shirtColors, look.shirt);
+        const pantsColor = pick(pantsColors, look.pants);
+        const hairColor = pick(hairColors, look.hair);
 
         const skinMat = new THREE.MeshStandardMaterial({ color: skinColor, roughness: 0.7 });
         const shirtMat = new THREE.MeshStandardMaterial({ color: shirtColor, roughness: 0.8 });
@@ -384,7 +468,7 @@ export class NPCManager {
         const shoeMat = new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 0.9 });
 
         // Random height scale
-        const heightScale = 0.9 + Math.random() * 0.2;
+        const heightScale = 0.9 + (look.height ?? Math.random()) * 0.2;
 
         // Head
         const headGeo = new THREE.SphereGeometry(0.19, 8, 8);
@@ -394,7 +478,7 @@ export class NPCManager {
         group.add(head);
 
         // Hair variety (3 styles)
-        const hairStyle = Math.floor(Math.random() * 3);
+        const hairStyle = Math.floor((look.hairStyle ?? Math.random()) * 3);
         if (hairStyle === 0) {
             const hGeo = new THREE.BoxGeometry(0.32, 0.1, 0.3);
             const h = new THREE.Mesh(hGeo, hairMat);
@@ -585,6 +669,7 @@ export class NPCManager {
 
         // Respawn/recycle pedestrians
         this.managePedestrianPool();
+        this.groups.update(dt);
 
         // Dialogue timer
         this.dialogueTimer -= dt;
@@ -598,11 +683,11 @@ export class NPCManager {
     }
 
     // --- NPC Character Texture Caching ---
-    _getNPCTexture(isMale) {
+    _getNPCTexture(isMale, pick = Math.random()) {
         if (!this._npcTextureCache) this._npcTextureCache = {};
         const key = isMale ? 'male' : 'female';
-        // Cache 3 variants per gender, pick randomly
-        const variant = Math.floor(Math.random() * 3);
+        // Cache 3 variants per gender, pick randomly (or by the 0-1 pick given)
+        const variant = Math.floor(pick * 3);
         const cacheKey = key + variant;
         if (this._npcTextureCache[cacheKey]) return this._npcTextureCache[cacheKey];
 
@@ -788,20 +873,37 @@ export class NPCManager {
 
         const player = this.game.systems.player;
         const world = this.game.systems.world;
-        const blockSize = world.blockSize;
-        const roadHalf = world.roadWidth / 2;
-        const sidewalkOffset = roadHalf + 1.5;
-
-        // Initialize sidewalk-following state
-        if (npc.roadFollowAxis === undefined) {
-            npc.roadFollowAxis = Math.random() > 0.5 ? 0 : 1; // 0=X road, 1=Z road
-            npc.roadFollowDir = Math.random() > 0.5 ? 1 : -1;
-            npc.sidewalkSide = Math.random() > 0.5 ? 1 : -1;
-            npc.cornerPause = 0;
-            npc.turnCooldown = 0;
-        }
 
-        if (npc.isFleeing) {
+        if (npc.moveTarget) {
+            // Scripted movement (mission escorts, attackers): head straight for the target.
+            // A target with y is indoors: interiors sit below the map, so no terrain or street collision.
+            const target = npc.moveTarget;
+            const indoors = target.y !== undefined;
+            const dx = target.x - npc.mesh.position.x;
+            const dz = target.z - npc.mesh.position.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+            const stopDistance = target.stopDistance || 1;
+            npc.cornerPause = dist > stopDistance ? 0 : 1; // Idle once arrived
+
+            if (dist > stopDistance) {
+                const speed = target.run ? npc.speed * 2.5 : npc.speed;
+                const step = Math.min(dist - stopDistance, speed * dt);
+                npc.walkDir = Math.atan2(dx, dz);
+                const nextX = npc.mesh.position.x + (dx / dist) * step;
+                const nextZ = npc.mesh.position.z + (dz / dist) * step;
+                // Slide along walls rather than stopping dead
+                if (indoors || !world.checkCollision(nextX, nextZ, 0.4)) {
+                    npc.mesh.position.x = nextX;
+                    npc.mesh.position.z = nextZ;
+                } else if (!world.checkCollision(nextX, npc.mesh.position.z, 0.4)) {
+                    npc.mesh.position.x = nextX;
+                } else if (!world.checkCollision(npc.mesh.position.x, nextZ, 0.4)) {
+                    npc.mesh.position.z = nextZ;
+                }
+                npc.mesh.position.y = indoors ? target.y : this._getGroundY(npc.mesh.position.x, npc.mesh.position.z);
+                npc.mesh.rotation.y = npc.walkDir;
+            }
+        } else if (npc.isFleeing) {
             // Run away from danger
             const speed = npc.speed * 2.5;
             // Water avoidance
@@ -831,19 +933,7 @@ export class NPCManager {
                 npc._reactionCooldown = 8 + Math.random() * 5;
                 npc._recordingTarget = null;
                 npc.mesh.position.y = this._getGroundY(npc.mesh.position.x, npc.mesh.position.z);
-                const rParts = npc.mesh.userData.parts;
-                if (rParts) {
-                    if (rParts.torso) rParts.torso.rotation.set(0, 0, 0);
-                    if (rParts.head) rParts.head.rotation.set(0, 0, 0);
-                    if (rParts.leftArm) rParts.leftArm.rotation.set(0, 0, 0);
-                    if (rParts.rightArm) rParts.rightArm.rotation.set(0, 0, 0);
-                    if (rParts.leftForearm) rParts.leftForearm.rotation.set(0, 0, 0);
-                    if (rParts.rightForearm) rParts.rightForearm.rotation.set(0, 0, 0);
-                    if (rParts.leftLeg) rParts.leftLeg.rotation.set(0, 0, 0);
-                    if (rParts.rightLeg) rParts.rightLeg.rotation.set(0, 0, 0);
-                    if (rParts.leftShin) rParts.leftShin.rotation.set(0, 0, 0);
-                    if (rParts.rightShin) rParts.rightShin.rotation.set(0, 0, 0);
-                }
+                this._resetPose(npc);
             } else {
                 const parts = npc.mesh.userData.parts;
                 switch (npc._reaction) {
@@ -925,6 +1015,21 @@ export class NPCManager {
                         }
                         break;
 
+                    case 'report':
+                        // Phone to the ear, watching the scene (see Witnesses)
+                        npc.mesh.position.y = this._getGroundY(npc.mesh.position.x, npc.mesh.position.z);
+                        if (parts) {
+                            if (parts.rightArm) parts.rightArm.rotation.x = -2.6;
+                            if (parts.rightForearm) parts.rightForearm.rotation.x = -1.4;
+                            if (parts.leftArm) parts.leftArm.rotation.x = 0;
+                        }
+                        if (npc._recordingTarget) {
+                            const dx = npc._recordingTarget.x - npc.mesh.position.x;
+                            const dz = npc._recordingTarget.z - npc.mesh.position.z;
+                            npc.mesh.rotation.y = Math.atan2(dx, dz);
+                        }
+                        break;
+
                     case 'flinch':
                         // Stumble back, arms up defensively
                         npc.mesh.position.y = this._getGroundY(npc.mesh.position.x, npc.mesh.position.z);
@@ -963,9 +1068,14 @@ export class NPCManager {
                 npc.animTime += dt * 2;
                 return;
             }
+        } else if (npc.group && this.groups.steers(npc)) {
+            // Wherever their group wants them
+            if (npc._reactionCooldown > 0) npc._reactionCooldown -= dt;
+            if (!this.groups.steer(npc, dt)) {
+                npc.animTime += dt * 2; // idle animation
+                return;
+            }
         } else {
-            npc.turnCooldown = Math.max(0, (npc.turnCooldown || 0) - dt);
-
             // Reaction cooldown tick
             if (npc._reactionCooldown > 0) npc._reactionCooldown -= dt;
 
@@ -980,6 +1090,10 @@ export class NPCManager {
                     const vdz = npc.mesh.position.z - veh.mesh.position.z;
                     const vDistSq = vdx * vdx + vdz * vdz;
                     if (vDistSq < 8 * 8) {
+                        if (npc.group) {
+                            this.groups.panic(npc.group, veh.mesh.position);
+                            break;
+                        }
                         npc.isFleeing = true;
                         npc.fleeTarget = veh.mesh.position.clone();
                         npc.walkDir = Math.atan2(vdx, vdz);
@@ -1000,6 +1114,7 @@ export class NPCManager {
                 if (npc.idleTimer > 8 + Math.random() * 7) {
                     npc.idleBehavior = 'walking';
                     npc.idleTimer = 0;
+                    npc.walkRoute = null; // Somewhere new
                     npc._currentAnim = null; // Reset so walk anim triggers
                 }
 
@@ -1047,68 +1162,57 @@ export class NPCManager {
                 return;
             }
 
-            // Walk along sidewalk parallel to current road
-            const speed = npc.speed;
-            let targetX = npc.mesh.position.x;
-            let targetZ = npc.mesh.position.z;
-
-            if (npc.roadFollowAxis === 1) {
-                // Walking along Z axis, stay on sidewalk of nearest X-road
-                const nearestRoadX = Math.round(npc.mesh.position.x / blockSize) * blockSize;
-                targetX = nearestRoadX + npc.sidewalkSide * sidewalkOffset;
-                targetZ = npc.mesh.position.z + npc.roadFollowDir * speed * dt;
-                npc.walkDir = npc.roadFollowDir > 0 ? 0 : Math.PI;
-            } else {
-                // Walking along X axis, stay on sidewalk of nearest Z-road
-                const nearestRoadZ = Math.round(npc.mesh.position.z / blockSize) * blockSize;
-                targetZ = nearestRoadZ + npc.sidewalkSide * sidewalkOffset;
-                targetX = npc.mesh.position.x + npc.roadFollowDir * speed * dt;
-                npc.walkDir = npc.roadFollowDir > 0 ? Math.PI / 2 : -Math.PI / 2;
+            // Walk the route to a destination, or plan one. Something that carried them well
+            // away from it (fleeing, a mission script) means a fresh one from where they are.
+            const current = npc.walkRoute?.steps[npc.walkRoute.index];
+            if (current && Math.hypot(current.x - npc.mesh.position.x, current.z - npc.mesh.position.z) > WALK_OFF_ROUTE) {
+                npc.walkRoute = null;
             }
+            if (!npc.walkRoute && !this._planWalk(npc)) {
+                // Nowhere to go from here: stand around for a while, then try again
+                npc.idleBehavior = 'standing';
+                npc.idleTimer = 0;
+                npc.animTime += dt * 2;
+                return;
+            }
+            const route = npc.walkRoute;
+            const step = route.steps[route.index];
+            const speed = npc.speed;
 
-            // Gently correct toward sidewalk
-            const corrX = npc.mesh.position.x + (targetX - npc.mesh.position.x) * Math.min(1, dt * 3);
-            const corrZ = npc.mesh.position.z + (targetZ - npc.mesh.position.z) * Math.min(1, dt * 3);
-
-            // Intersection detection: near a multiple of blockSize on BOTH axes
-            const nearIntX = Math.abs(corrX - Math.round(corrX / blockSize) * blockSize) < roadHalf + 2;
-            const nearIntZ = Math.abs(corrZ - Math.round(corrZ / blockSize) * blockSize) < roadHalf + 2;
-            const atIntersection = nearIntX && nearIntZ && npc.turnCooldown <= 0;
-
-            if (atIntersection) {
-                // Check crosswalk signal before crossing
-                const isJaywalker = npc._isJaywalker;
-                const pedestrianRed = world.isPedestrianRed ? world.isPedestrianRed(npc.roadFollowAxis) : false;
-
-                if (pedestrianRed && !isJaywalker) {
+            // Cross only on the walk signal, or at unlit crossings once the traffic's clear.
+            // Jaywalkers don't wait, and nobody waits forever. Once across the kerb, keep going.
+            if (step.crossing && !route.crossing) {
+                if (!npc._isJaywalker && !this._mayCross(npc, step) && npc._crosswalkWaitTime < CROSSWALK_PATIENCE) {
                     // Wait at the crosswalk — stand still, face the road
-                    if (!npc._waitingAtCrosswalk) {
-                        npc._waitingAtCrosswalk = true;
-                        npc._crosswalkWaitTime = 0;
-                    }
+                    npc._waitingAtCrosswalk = true;
                     npc._crosswalkWaitTime += dt;
-                    // After waiting too long (>20s), jaywalk
-                    if (npc._crosswalkWaitTime < 20) {
-                        npc.animTime += dt * 2; // idle animation
-                        return;
-                    }
+                    npc.mesh.rotation.y = Math.atan2(step.x - npc.mesh.position.x, step.z - npc.mesh.position.z);
+                    npc.animTime += dt * 2; // idle animation
+                    return;
                 }
-
-                // Signal is green or jaywalking — cross
+                route.crossing = true;
                 npc._waitingAtCrosswalk = false;
                 npc._crosswalkWaitTime = 0;
+            }
 
-                // Pause briefly at corner
-                npc.cornerPause = 0.3 + Math.random() * 0.3;
-                npc.turnCooldown = 4;
-
-                // Randomly turn 90 degrees (40%) or continue straight (60%)
-                if (Math.random() < 0.4) {
-                    npc.roadFollowAxis = npc.roadFollowAxis === 0 ? 1 : 0;
-                    npc.roadFollowDir = Math.random() > 0.5 ? 1 : -1;
+            const dx = step.x - npc.mesh.position.x;
+            const dz = step.z - npc.mesh.position.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+            const move = Math.min(dist, speed * dt);
+            let moveX = 0;
+            let moveZ = 0;
+            if (dist > 0.01) {
+                npc.walkDir = Math.atan2(dx, dz);
+                moveX = (dx / dist) * move;
+                moveZ = (dz / dist) * move;
+            }
+            if (dist - move < 0.2) {
+                route.index++;
+                route.crossing = false;
+                if (route.index >= route.steps.length) {
+                    this._arriveAt(npc, route.dest);
+                    return;
                 }
-            } else {
-                npc._waitingAtCrosswalk = false;
             }
 
             // Check for nearby vehicles - step back if one is approaching
@@ -1149,20 +1253,26 @@ export class NPCManager {
                 }
             }
 
-            // Water avoidance
-            if (this.game.systems.world.isInWater(corrX, corrZ)) {
-                npc.roadFollowDir *= -1;
-                npc.turnCooldown = 2;
-            }
-
-            // Building collision
-            const collision = world.checkCollision(corrX, corrZ, 0.4);
-            if (collision) {
-                npc.roadFollowDir *= -1;
-                npc.turnCooldown = 2;
-            } else if (!this.game.systems.world.isInWater(corrX, corrZ)) {
-                npc.mesh.position.x = corrX;
-                npc.mesh.position.z = corrZ;
+            // Slide along anything in the way; the sidewalks are clear, but not always the last
+            // few metres off them to a destination. Stuck for long, and this will have to do.
+            // Anyone spawned inside something just walks out of it.
+            const free = (x, z) => !world.isInWater(x, z) && !world.checkCollision(x, z, 0.4);
+            const nextX = npc.mesh.position.x + moveX;
+            const nextZ = npc.mesh.position.z + moveZ;
+            if (free(nextX, nextZ) || !free(npc.mesh.position.x, npc.mesh.position.z)) {
+                npc.mesh.position.x = nextX;
+                npc.mesh.position.z = nextZ;
+                route.blocked = 0;
+            } else if (free(nextX, npc.mesh.position.z)) {
+                npc.mesh.position.x = nextX;
+            } else if (free(npc.mesh.position.x, nextZ)) {
+                npc.mesh.position.z = nextZ;
+            } else {
+                route.blocked += dt;
+                if (route.blocked > WALK_BLOCKED) {
+                    this._arriveAt(npc, route.dest);
+                    return;
+                }
             }
 
             npc.mesh.rotation.y = npc.walkDir;
@@ -1190,8 +1300,9 @@ export class NPCManager {
             mixer.update(dt);
 
             // Determine target clip based on movement
-            const isMoving = npc.isFleeing || (npc.cornerPause || 0) <= 0;
-            const targetClip = npc.isFleeing ? 'run' : (isMoving ? 'walk' : 'idle');
+            const running = npc.isFleeing || npc._running || (npc.moveTarget && npc.moveTarget.run && npc.cornerPause <= 0);
+            const isMoving = running || (npc.cornerPause || 0) <= 0;
+            const targetClip = running ? 'run' : (isMoving ? 'walk' : 'idle');
 
             if (npc._currentClip !== targetClip && actions[targetClip]) {
                 // Crossfade to new animation
@@ -1203,12 +1314,12 @@ export class NPCManager {
             }
 
             // Adjust playback speed for flee
-            if (npc.isFleeing && actions.run) {
+            if (running && actions.run) {
                 actions.run.timeScale = 1.3;
             }
         } else {
             // Fallback sine-wave animation for primitive model
-            npc.animTime += dt * (npc.isFleeing ? 8 : 5);
+            npc.animTime += dt * (npc.isFleeing || npc._running ? 8 : 5);
             const swing = Math.sin(npc.animTime) * 0.3;
 
             const parts = npc.mesh.userData.parts;
@@ -1225,6 +1336,77 @@ export class NPCManager {
         }
     }
 
+    // Somewhere nearby to go, and the way there along the sidewalks. Any shop, bus stop or
+    // bench in range will do; with none about, some other stretch of sidewalk.
+    _planWalk(npc) {
+        const world = this.game.systems.world;
+        const graph = world.sidewalkGraph;
+        if (!graph) return false;
+        const pos = npc.mesh.position;
+        const inRange = p => Math.abs(p.x - pos.x) < WALK_RANGE && Math.abs(p.z - pos.z) < WALK_RANGE &&
+            (p.x - pos.x) ** 2 + (p.z - pos.z) ** 2 > 100; // Not where they already are
+        let options = graph.destinations.filter(inRange);
+        if (options.length === 0) {
+            options = graph.nodes.filter(inRange).map(node => ({ type: 'sidewalk', x: node.x, z: node.z, node, stand: { x: node.x, z: node.z } }));
+        }
+
+        // Anyone due in another district (off to work, or home again) picks from the quarter
+        // of those nearest to it, so they make their way over
+        const due = npc.citizen ? this.citizens.whereabouts(npc.citizen).district : null;
+        if (due && world.districts[due] && world.getDistrict(pos.x, pos.z) !== due) {
+            const b = world.districts[due].bounds;
+            const cx = (b.minX + b.maxX) / 2;
+            const cz = (b.minZ + b.maxZ) / 2;
+            const away = p => (p.x - cx) ** 2 + (p.z - cz) ** 2;
+            options.sort((p, q) => away(p) - away(q));
+            options = options.slice(0, Math.ceil(options.length / 4));
+        }
+
+        for (let attempt = 0; attempt < 3 && options.length > 0; attempt++) {
+            const dest = options[Math.floor(Math.random() * options.length)];
+            const steps = graph.findPath(pos, dest);
+            if (!steps) continue;
+            if (dest.stand.x !== dest.node.x || dest.stand.z !== dest.node.z) {
+                steps.push({ x: dest.stand.x, z: dest.stand.z, crossing: null });
+            }
+            npc.walkRoute = { steps, index: 0, dest, crossing: false, blocked: 0 };
+            return true;
+        }
+        return false;
+    }
+
+    // What they came for: a sit on the bench, a wait for the bus, a look in the shop window
+    // (or at their phone). The idle timer then sends them on somewhere else.
+    _arriveAt(npc, dest) {
+        npc.walkRoute = null;
+        const idle = { bench: 'sitting', bus_stop: 'standing', shop: Math.random() < 0.5 ? 'standing' : 'phone' };
+        npc.idleBehavior = idle[dest.type] || 'walking';
+        npc.idleTimer = 0;
+        const dx = dest.x - npc.mesh.position.x;
+        const dz = dest.z - npc.mesh.position.z;
+        if (dx * dx + dz * dz > 0.25) npc.mesh.rotation.y = Math.atan2(dx, dz);
+    }
+
+    // Whether a pedestrian at the kerb may start across: on the walk signal where there are
+    // lights, otherwise once nothing is driving towards the crossing
+    _mayCross(npc, step) {
+        if (step.crossing.hasLight) {
+            return !this.game.systems.world.isPedestrianRed(step.crossing.walkAxis);
+        }
+        const midX = (npc.mesh.position.x + step.x) / 2;
+        const midZ = (npc.mesh.position.z + step.z) / 2;
+        const vehicles = this.game.systems.vehicles?.vehicles || [];
+        return !vehicles.some(v => {
+            if (!v.mesh || Math.abs(v.speed || 0) < 2) return false;
+            const dx = midX - v.mesh.position.x;
+            const dz = midZ - v.mesh.position.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+            if (dist > 25) return false;
+            const closing = (Math.sin(v.mesh.rotation.y) * dx + Math.cos(v.mesh.rotation.y) * dz) * Math.sign(v.speed);
+            return closing > dist * 0.5;
+        });
+    }
+
     _updatePopulationDensity() {
         const player = this.game.systems.player;
         const world = this.game.systems.world;
@@ -1272,35 +1454,93 @@ export class NPCManager {
             // Despawn if too far or dead (but never recycle mission targets or rampage targets)
             if ((dist > this.despawnRadius || !npc.alive) && !npc.isTarget && !npc.isRampageTarget) {
                 // Recycle: spawn at edge of spawn radius (behind player's camera)
-                const camYaw = this.game.systems.camera ? this.game.systems.camera.yaw : 0;
-                // Bias spawn to behind/sides of camera so player doesn't see pop-in
-                const angle = camYaw + Math.PI + (Math.random() - 0.5) * Math.PI;
-                const spawnDist = this.spawnRadius * 0.7 + Math.random() * this.spawnRadius * 0.3;
-                const newX = player.position.x + Math.cos(angle) * spawnDist;
-                const newZ = player.position.z + Math.sin(angle) * spawnDist;
-
-                npc.mesh.position.set(newX, this._getGroundY(newX, newZ), newZ);
-                npc.alive = true;
-                npc.health = 50;
-                npc.isFleeing = false;
-                npc._reaction = null;
-                npc._reactionTimer = 0;
-                npc._reactionCooldown = 0;
-                npc._recordingTarget = null;
-                npc.mesh.visible = true;
-                npc.walkDir = Math.random() * Math.PI * 2;
-                npc._currentClip = null; // Reset animation state
-
-                // Reset road-following state so NPC snaps to nearest sidewalk
-                npc.roadFollowAxis = Math.random() > 0.5 ? 0 : 1;
-                npc.roadFollowDir = Math.random() > 0.5 ? 1 : -1;
-                npc.sidewalkSide = Math.random() > 0.5 ? 1 : -1;
-                npc.cornerPause = 0;
-                npc.turnCooldown = 0;
+                const spot = this._offscreenSpawnPoint();
+                this.respawnAt(npc, spot.x, spot.z);
             }
         }
     }
 
+    // Somewhere near the edge of the spawn radius, biased to behind/sides of camera so the
+    // player doesn't see pop-in
+    _offscreenSpawnPoint() {
+        const player = this.game.systems.player;
+        const camYaw = this.game.systems.camera ? this.game.systems.camera.yaw : 0;
+        const angle = camYaw + Math.PI + (Math.random() - 0.5) * Math.PI;
+        const spawnDist = this.spawnRadius * 0.7 + Math.random() * this.spawnRadius * 0.3;
+        return {
+            x: player.position.x + Math.cos(angle) * spawnDist,
+            z: player.position.z + Math.sin(angle) * spawnDist
+        };
+    }
+
+    // Bring a pooled NPC back at a new spot as someone else: whoever is due there, unless a
+    // citizen is given. The dead are replaced in the cast for good.
+    respawnAt(npc, x, z, citizen = null) {
+        this.groups.leave(npc);
+        const world = this.game.systems.world;
+        const next = citizen || this.citizens.draw(world ? world.getDistrict(x, z) : 'downtown');
+        if (npc.health <= 0) this.citizens.replace(npc.citizen);
+        else this.citizens.release(npc.citizen);
+        this._assignCitizen(npc, next);
+
+        npc.mesh.position.set(x, this._getGroundY(x, z), z);
+        npc.alive = true;
+        npc.health = 50;
+        npc.isFleeing = false;
+        npc._reaction = null;
+        npc._reactionTimer = 0;
+        npc._reactionCooldown = 0;
+        npc._recordingTarget = null;
+        npc.mesh.visible = true;
+        npc.walkDir = Math.random() * Math.PI * 2;
+        npc._currentClip = null; // Reset animation state
+
+        // New route from the new spot, starting at the nearest sidewalk
+        npc.walkRoute = null;
+        npc.cornerPause = 0;
+        npc._waitingAtCrosswalk = false;
+        npc._crosswalkWaitTime = 0;
+    }
+
+    // Walk (or run) straight for a point, sliding along anything in the way. False if stuck.
+    stepToward(npc, x, z, speed, dt) {
+        const world = this.game.systems.world;
+        const pos = npc.mesh.position;
+        const dx = x - pos.x;
+        const dz = z - pos.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+        if (dist < 0.01) return false;
+
+        const step = Math.min(dist, speed * dt);
+        npc.walkDir = Math.atan2(dx, dz);
+        npc.mesh.rotation.y = npc.walkDir;
+        const free = (px, pz) => !world.isInWater(px, pz) && !world.checkCollision(px, pz, 0.4);
+        const nextX = pos.x + (dx / dist) * step;
+        const nextZ = pos.z + (dz / dist) * step;
+        if (free(nextX, nextZ) || !free(pos.x, pos.z)) {
+            pos.x = nextX;
+            pos.z = nextZ;
+        } else if (free(nextX, pos.z)) {
+            pos.x = nextX;
+        } else if (free(pos.x, nextZ)) {
+            pos.z = nextZ;
+        } else {
+            return false;
+        }
+        pos.y = this._getGroundY(pos.x, pos.z);
+        return true;
+    }
+
+    // Back to standing straight after a reaction or a performance (primitive models)
+    _resetPose(npc) {
+        const parts = npc.mesh.userData.parts;
+        if (!parts) return;
+        for (const name of ['torso', 'head', 'leftArm', 'rightArm', 'leftForearm', 'rightForearm',
+                            'leftLeg', 'rightLeg', 'leftShin', 'rightShin']) {
+            if (parts[name]) parts[name].rotation.set(0, 0, 0);
+        }
+    }
+
     triggerRandomDialogue() {
         const player = this.game.systems.player;
         const world = this.game.systems.world;
@@ -1325,18 +1565,16 @@ export class NPCManager {
                     if (npc.isFleeing) {
                         lines = this.fleeDialogue;
                     } else {
-                        // Mix general + district-specific dialogue
+                        // Mix general + district-specific + their own mood's dialogue
                         const districtLines = this.districtDialogue[playerDistrict] || [];
-                        lines = [...this.normalDialogue, ...districtLines];
+                        const moodLines = this.moodDialogue[npc.citizen?.mood] || [];
+                        lines = [...this.normalDialogue, ...districtLines, ...moodLines];
                     }
                     const line = lines[Math.floor(Math.random() * lines.length)];
                     this.showNPCSubtitle(npc, line);
 
                     // Play Animalese voice
-                    const pitch = npc.isMale
-                        ? 150 + Math.random() * 50
-                        : 240 + Math.random() * 60;
-                    this.game.systems.audio.playAnimalese(line, pitch, npc.isFleeing ? 'scared' : 'normal');
+                    this.game.systems.audio.playAnimalese(line, this._voicePitch(npc), npc.isFleeing ? 'scared' : 'normal');
 
                     npc.dialogueCooldown = 8 + Math.random() * 15;
                     break;
@@ -1371,8 +1609,7 @@ export class NPCManager {
                     const npc1 = nearbyNPCs[i];
                     const npc2 = nearbyNPCs[j];
                     this.showNPCSubtitle(npc1, pair[0]);
-                    const pitch1 = npc1.isMale ? 150 + Math.random() * 50 : 240 + Math.random() * 60;
-                    this.game.systems.audio.playAnimalese(pair[0], pitch1, 'normal');
+                    this.game.systems.audio.playAnimalese(pair[0], this._voicePitch(npc1), 'normal');
 
                     // Make them face each other
                     const dx = npc2.mesh.position.x - npc1.mesh.position.x;
@@ -1388,8 +1625,7 @@ export class NPCManager {
                     setTimeout(() => {
                         if (!npc2.alive || !npc2.mesh) return;
                         this.showNPCSubtitle(npc2, pair[1]);
-                        const pitch2 = npc2.isMale ? 150 + Math.random() * 50 : 240 + Math.random() * 60;
-                        this.game.systems.audio.playAnimalese(pair[1], pitch2, 'normal');
+                        this.game.systems.audio.playAnimalese(pair[1], this._voicePitch(npc2), 'normal');
                     }, 1800);
 
                     return;
@@ -1398,12 +1634,25 @@ export class NPCManager {
         }
     }
 
+    // Each citizen always speaks at the same pitch
+    _voicePitch(npc) {
+        const voice = npc.citizen ? npc.citizen.voice : Math.random();
+        return npc.isMale ? 150 + voice * 50 : 240 + voice * 60;
+    }
+
     showNPCSubtitle(npc, text) {
         // Create floating subtitle above NPC
         // We'll use a 2D overlay since 3D text is expensive
         const el = document.createElement('div');
         el.className = 'npc-subtitle';
-        el.textContent = text;
+        if (npc.citizen) {
+            // Named, and tinted by mood
+            const name = document.createElement('span');
+            name.className = `npc-subtitle-name mood-${npc.citizen.mood}`;
+            name.textContent = npc.citizen.name;
+            el.appendChild(name);
+        }
+        el.appendChild(document.createTextNode(text));
         document.body.appendChild(el);
 
         const update = () => {
@@ -1445,10 +1694,13 @@ export class NPCManager {
     }
 
     fleeFromPoint(point) {
+        const groups = new Set(); // React as one, see NPCGroups.panic
         for (const npc of this.pedestrians) {
             if (!npc.alive || !npc.mesh) continue;
             const dist = npc.mesh.position.distanceTo(point);
-            if (dist < 30) {
+            if (dist < 30 && npc.group) {
+                groups.add(npc.group);
+            } else if (dist < 30) {
                 npc.isFleeing = true;
                 npc.fleeTarget = point;
                 // Run away from the point
@@ -1457,16 +1709,23 @@ export class NPCManager {
                 npc.walkDir = Math.atan2(dx, dz);
             }
         }
+        for (const group of groups) this.groups.panic(group, point);
     }
 
     // --- NPC Reaction System ---
 
     // Gunfire reaction: nearby NPCs duck, mid-range NPCs record or flee
+    // Groups react as one instead: they run, or a crew fights back (NPCGroups.panic)
     reactToGunfire(point) {
+        const groups = new Set();
         for (const npc of this.pedestrians) {
             if (!npc.alive || !npc.mesh || npc.isFleeing) continue;
-            if (npc._reactionCooldown > 0) continue;
             const dist = npc.mesh.position.distanceTo(point);
+            if (npc.group) {
+                if (dist < 25) groups.add(npc.group);
+                continue;
+            }
+            if (npc._reactionCooldown > 0) continue;
 
             if (dist < 10) {
                 // Very close — duck and cover
@@ -1514,14 +1773,20 @@ export class NPCManager {
                 }
             }
         }
+        for (const group of groups) this.groups.panic(group, point);
     }
 
     // Melee reaction: nearby NPCs flinch, flee, or look
     reactToMelee(point) {
+        const groups = new Set();
         for (const npc of this.pedestrians) {
             if (!npc.alive || !npc.mesh || npc.isFleeing) continue;
-            if (npc._reactionCooldown > 0) continue;
             const dist = npc.mesh.position.distanceTo(point);
+            if (npc.group) {
+                if (dist < 15) groups.add(npc.group);
+                continue;
+            }
+            if (npc._reactionCooldown > 0) continue;
 
             if (dist < 5) {
                 // Very close — flinch defensively
@@ -1554,15 +1819,20 @@ export class NPCManager {
                 }
             }
         }
+        for (const group of groups) this.groups.panic(group, point);
     }
 
-    // Explosion reaction: everyone nearby cowers or flees
-    reactToExplosion(point) {
+    // Explosion reaction: everyone nearby cowers or flees. Crews only turn on the player for
+    // their own blasts
+    reactToExplosion(point, attacker = null) {
+        const groups = new Set();
         for (const npc of this.pedestrians) {
             if (!npc.alive || !npc.mesh) continue;
             const dist = npc.mesh.position.distanceTo(point);
 
-            if (dist < 15) {
+            if (npc.group) {
+                if (dist < 35) groups.add(npc.group);
+            } else if (dist < 15) {
                 // Close — cower in place
                 npc._reaction = 'cower';
                 npc._reactionTimer = 3 + Math.random() * 2;
@@ -1593,6 +1863,7 @@ export class NPCManager {
                 npc.walkDir = Math.atan2(dx, dz);
             }
         }
+        for (const group of groups) this.groups.panic(group, point, attacker === this.game.systems.player);
     }
 
     // Stunt reaction: nearby NPCs cheer and some record
@@ -1626,21 +1897,34 @@ export class NPCManager {
         }
     }
 
-    // Called when an NPC takes damage
-    npcTakeDamage(npc, amount) {
+    // Called when an NPC takes damage. attacker: the player if it was them; only their
+    // crimes get reported, not traffic running someone over. from: where the damage came
+    // from, the attacker's position if not given
+    npcTakeDamage(npc, amount, attacker = null, from = null) {
+        const byPlayer = attacker === this.game.systems.player;
         npc.health -= amount;
+        if (npc.group) {
+            // Whoever they're with runs from it, or if it's a crew and the player did it, comes for them
+            const source = from || (attacker && attacker.position) || npc.mesh.position;
+            if (npc.health <= 0) this.groups.onKilled(npc, byPlayer);
+            else this.groups.panic(npc.group, source, byPlayer);
+        }
         if (npc.health <= 0) {
             npc.alive = false;
             npc._reaction = null;
             npc._reactionTimer = 0;
             npc._recordingTarget = null;
-            this.game.stats.totalKills++;
+            this.game.events.emit('npc:killed', { npc });
 
             // Trigger ragdoll
             this.game.systems.ragdoll.triggerNPCRagdoll(npc, null);
 
-            // Add wanted heat
-            this.game.systems.wanted.addHeat(0.5);
+            // Heat once someone reports it
+            if (byPlayer) this.game.systems.wanted.crime('murder', npc);
+        } else if (amount > 0 && byPlayer) {
+            // A witness on the phone who gets hurt thinks better of it
+            this.game.systems.wanted.witnesses.scare(npc);
+            this.game.systems.wanted.crime('assault', npc);
         }
     }
 
@@ -1690,13 +1974,11 @@ export class NPCManager {
                     });
                     runner.isTraffic = true;
                     chaser.isTraffic = true;
-                    // Set both on same road going same direction
-                    runner.roadAxis = Math.random() > 0.5 ? 0 : 1;
-                    runner.roadDir = Math.random() > 0.5 ? 1 : -1;
-                    runner.laneOffset = 2;
-                    chaser.roadAxis = runner.roadAxis;
-                    chaser.roadDir = runner.roadDir;
-                    chaser.laneOffset = -2;
+                    // Both in the same lane, the chaser 10m behind
+                    vehicles.placeTrafficOnRoad(runner, x, z, Math.random() * Math.PI * 2);
+                    const yaw = runner.mesh.rotation.y;
+                    vehicles.placeTrafficOnRoad(chaser, runner.mesh.position.x - Math.sin(yaw) * 10,
+                        runner.mesh.position.z - Math.cos(yaw) * 10, yaw);
 
                     this._activeEvent = {
                         type: 'car_chase',
@@ -1716,17 +1998,18 @@ export class NPCManager {
                 if (car) {
                     car.health = car.maxHealth * 0.3; // Damaged
                     car.mesh.rotation.y = Math.random() * Math.PI * 2;
-                    // Spawn 2-3 bystanders nearby
+                    // Spawn 2-3 bystanders nearby, a crowd others stop to join
+                    const bystanders = [];
                     for (let i = 0; i < 2 + Math.floor(Math.random() * 2); i++) {
                         const npc = this.spawnPedestrian(true);
                         if (npc && npc.mesh) {
                             const bx = x + (Math.random() - 0.5) * 6;
                             const bz = z + (Math.random() - 0.5) * 6;
                             npc.mesh.position.set(bx, this._getGroundY(bx, bz), bz);
-                            npc.idleBehavior = 'standing';
-                            npc.idleTimer = 20;
+                            bystanders.push(npc);
                         }
                     }
+                    this.groups.gatherAround(car.mesh.position, bystanders, 45);
                     this._activeEvent = {
                         type: 'accident',
                         timer: 45,
@@ -1787,9 +2070,7 @@ export class NPCManager {
         const vehicles = this.game.systems.vehicles;
         for (const v of (this._activeEvent.vehicles || [])) {
             if (v && v.mesh && !v.occupied) {
-                this.game.scene.remove(v.mesh);
-                const idx = vehicles.vehicles.indexOf(v);
-                if (idx >= 0) vehicles.vehicles.splice(idx, 1);
+                vehicles.removeVehicle(v);
             }
         }
 
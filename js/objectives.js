@@ -0,0 +1,430 @@
+// San Claudio - Objective Library
+// Objective types any mission can use: escort, follow, tail, defend, survive, photograph
+// and deliver_vehicle. MissionManager calls start() the first frame an objective runs, then
+// update() every frame until it returns 'complete' or 'failed' (reason in failReason).
+// Per-run state lives on the objective copy; spawned NPCs, vehicles and meshes are tracked
+// here so cleanup() can remove them whichever way the objective ends.
+
+export class ObjectiveLibrary {
+    constructor(game) {
+        this.game = game;
+        this.meshes = [];
+        this.npcs = [];
+        this.vehicles = [];
+        this.failReason = null;
+    }
+
+    handles(type) {
+        return ['escort', 'follow', 'tail', 'defend', 'survive', 'photograph', 'deliver_vehicle'].includes(type);
+    }
+
+    start(obj) {
+        this.failReason = null;
+        const ui = this.game.systems.ui;
+
+        switch (obj.type) {
+            case 'escort': {
+                const player = this.game.systems.player;
+                const from = obj.from || { x: player.position.x + 2, z: player.position.z + 2 };
+                obj.npc = this._spawnMissionNPC(from, obj.health || 100, 0x44ff44);
+                obj.maxHealth = obj.health || 100;
+                obj.name = obj.name || 'Your contact';
+                obj.separation = 0; // Seconds spent too far apart
+                this._placeRing(obj.target, obj.radius || 6, 0x44ff44);
+                ui.waypoint = { x: obj.target.x, z: obj.target.z };
+                break;
+            }
+
+            case 'follow': {
+                const player = this.game.systems.player;
+                const from = obj.from || { x: player.position.x + 2, z: player.position.z + 2 };
+                obj.npc = this._spawnMissionNPC(from, 100, 0x44ff44);
+                obj.name = obj.name || 'Your contact';
+                obj.separation = 0;
+                this._placeRing(obj.target, obj.radius || 5, 0x44ff44);
+                ui.waypoint = { x: obj.target.x, z: obj.target.z };
+                break;
+            }
+
+            case 'tail': {
+                const vehicles = this.game.systems.vehicles;
+                const vehicle = vehicles.spawnVehicle(obj.from.x, obj.from.z, obj.vehicleType || 'sedan');
+                if (vehicle) {
+                    vehicle.isTraffic = true;
+                    vehicle.isNPCOwned = true;
+                    this.game.systems.npcs._addDriverModel(vehicle);
+                    vehicle.mesh.add(this._markerCone(0xff2222, 3));
+                    this.vehicles.push(vehicle);
+                }
+                obj.vehicle = vehicle;
+                obj.remaining = obj.duration;
+                obj.suspicion = 0; // 0..1, spotted at 1
+                obj.lostTimer = 0;
+                break;
+            }
+
+            case 'defend':
+                obj.remaining = obj.duration;
+                obj.waveTimer = 0;
+                obj.waveSize = obj.attackers || 4;
+                obj.attackers = [];
+                obj.maxIntegrity = obj.health || 100;
+                obj.integrity = obj.maxIntegrity;
+                obj.outsideTimer = 0;
+                this._placeRing(obj.target, obj.radius || 12, 0xff8844);
+                ui.waypoint = { x: obj.target.x, z: obj.target.z };
+                break;
+
+            case 'survive':
+                obj.remaining = obj.duration;
+                if (obj.wanted) this.game.systems.wanted.setLevel(obj.wanted);
+                break;
+
+            case 'photograph':
+                obj.photographed = new Set();
+                obj.photoMarkers = obj.targets.map(t => this._placeRing(t, 1.5, 0x44aaff));
+                ui.waypoint = { x: obj.targets[0].x, z: obj.targets[0].z };
+                break;
+
+            case 'deliver_vehicle':
+                this._placeRing(obj.target, obj.radius || 8, 0xffcc00);
+                ui.waypoint = { x: obj.target.x, z: obj.target.z };
+                break;
+        }
+    }
+
+    // Returns 'complete', 'failed' or null while the objective is still running
+    update(obj, dt) {
+        switch (obj.type) {
+            case 'escort': return this._updateEscort(obj, dt);
+            case 'follow': return this._updateFollow(obj, dt);
+            case 'tail': return this._updateTail(obj, dt);
+            case 'defend': return this._updateDefend(obj, dt);
+            case 'survive': return this._updateSurvive(obj, dt);
+            case 'photograph': return this._updatePhotograph(obj);
+            case 'deliver_vehicle': return this._updateDeliverVehicle(obj);
+        }
+        return null;
+    }
+
+    cleanup() {
+        for (const mesh of this.meshes) {
+            if (mesh.parent) mesh.parent.remove(mesh);
+            if (mesh.geometry) mesh.geometry.dispose();
+            if (mesh.material) mesh.material.dispose();
+        }
+        this.meshes = [];
+
+        // Mission NPCs go back to being ordinary pedestrians
+        for (const npc of this.npcs) {
+            npc.isTarget = false;
+            npc.moveTarget = null;
+            npc.riding = false;
+            if (npc.mesh) npc.mesh.visible = true;
+        }
+        this.npcs = [];
+
+        const vehicles = this.game.systems.vehicles;
+        for (const v of this.vehicles) {
+            if (v.mesh && !v.occupied) {
+                vehicles.removeVehicle(v);
+            }
+        }
+        this.vehicles = [];
+
+        this._setStatus(null);
+    }
+
+    // Brief white flash, as if a photo was taken
+    cameraFlash() {
+        const flashEl = document.createElement('div');
+        flashEl.style.cssText = 'position:fixed;top:0;left:0;width:100%;height:100%;background:white;opacity:0.8;z-index:9999;pointer-events:none;';
+        document.body.appendChild(flashEl);
+        setTimeout(() => flashEl.remove(), 150);
+    }
+
+    // --- Per-type updates ---
+
+    _updateEscort(obj, dt) {
+        const player = this.game.systems.player;
+        const npc = obj.npc;
+        if (!npc || !npc.alive) return this._fail(`${obj.name} is dead`);
+
+        // Ride along in the player's vehicle once close enough to get in
+        if (player.inVehicle) {
+            const vehiclePos = player.currentVehicle.mesh.position;
+            if (!npc.riding && this._dist(npc.mesh.position, vehiclePos) < 8) {
+                npc.riding = true;
+                npc.moveTarget = null;
+                npc.mesh.visible = false;
+            }
+            if (npc.riding) npc.mesh.position.copy(vehiclePos);
+        } else if (npc.riding) {
+            npc.riding = false;
+            npc.mesh.visible = true;
+            npc.mesh.position.set(player.position.x + 1.5, player.position.y, player.position.z);
+        }
+
+        if (!npc.riding) {
+            npc.moveTarget = { x: player.position.x, z: player.position.z, stopDistance: 2.5, run: true };
+        }
+
+        const gap = npc.riding ? 0 : this._dist(npc.mesh.position, player.position);
+        const maxDistance = obj.maxDistance || 60;
+        if (gap > maxDistance) {
+            obj.separation += dt;
+            if (obj.separation > 5) return this._fail(`You left ${obj.name} behind`);
+        } else {
+            obj.separation = 0;
+        }
+
+        const hp = Math.max(0, Math.round(npc.health / obj.maxHealth * 100));
+        const warning = gap > maxDistance * 0.6 ? ' — wait for them!' : '';
+        this._setStatus(`${obj.name.toUpperCase()}: ${hp}%${warning}`, hp < 30 || warning ? '#dd4444' : '#44dd88');
+
+        if (this._dist(npc.mesh.position, obj.target) < (obj.radius || 6)) {
+            if (npc.riding && player.inVehicle) return null; // Drop them off first
+            return 'complete';
+        }
+        return null;
+    }
+
+    _updateFollow(obj, dt) {
+        const player = this.game.systems.player;
+        const npc = obj.npc;
+        if (!npc || !npc.alive) return this._fail(`${obj.name} is dead`);
+
+        // The leader waits whenever the player falls behind
+        const gap = this._dist(npc.mesh.position, player.position);
+        npc.moveTarget = gap > 15
+            ? { x: npc.mesh.position.x, z: npc.mesh.position.z }
+            : { x: obj.target.x, z: obj.target.z, stopDistance: 1 };
+
+        const maxDistance = obj.maxDistance || 40;
+        if (gap > maxDistance) {
+            obj.separation += dt;
+            if (obj.separation > 5) return this._fail(`You lost ${obj.name}`);
+        } else {
+            obj.separation = 0;
+        }
+
+        this._setStatus(`FOLLOW ${obj.name.toUpperCase()} — ${Math.round(gap)}m`, gap > 15 ? '#dd4444' : '#44dd88');
+
+        const radius = obj.radius || 5;
+        if (this._dist(npc.mesh.position, obj.target) < radius && this._dist(player.position, obj.target) < radius * 2) {
+            return 'complete';
+        }
+        return null;
+    }
+
+    _updateTail(obj, dt) {
+        const player = this.game.systems.player;
+        const vehicle = obj.vehicle;
+        if (!vehicle || vehicle.health <= 0) return this._fail('The target was destroyed');
+
+        const dist = this._dist(player.position, vehicle.mesh.position);
+        const minDistance = obj.minDistance || 15;
+        const maxDistance = obj.maxDistance || 90;
+        this.game.systems.ui.waypoint = { x: vehicle.mesh.position.x, z: vehicle.mesh.position.z };
+
+        // Hanging too close fills the suspicion meter; backing off lets it drain
+        if (dist < minDistance) {
+            obj.suspicion += dt / (obj.spotTime || 3);
+            if (obj.suspicion >= 1) return this._fail('The target spotted you');
+        } else {
+            obj.suspicion = Math.max(0, obj.suspicion - dt * 0.2);
+        }
+
+        if (dist > maxDistance) {
+            obj.lostTimer += dt;
+            if (obj.lostTimer > 5) return this._fail('You lost the target');
+        } else {
+            obj.lostTimer = 0;
+        }
+
+        obj.remaining -= dt;
+        if (obj.remaining <= 0) return 'complete';
+
+        let label = '';
+        if (dist < minDistance) label = ' — TOO CLOSE';
+        else if (dist > maxDistance * 0.8) label = ' — LOSING THEM';
+        const suspicion = Math.round(obj.suspicion * 100);
+        this._setStatus(`TAIL ${Math.ceil(obj.remaining)}s — ${Math.round(dist)}m — suspicion ${suspicion}%${label}`,
+            label ? '#dd4444' : '#aaddff');
+        return null;
+    }
+
+    _updateDefend(obj, dt) {
+        const player = this.game.systems.player;
+        const radius = obj.radius || 12;
+
+        // Send a wave of attackers running at the position
+        obj.waveTimer -= dt;
+        if (obj.waveTimer <= 0) {
+            obj.waveTimer = obj.waveInterval || 15;
+            for (let i = 0; i < obj.waveSize; i++) {
+                const angle = Math.random() * Math.PI * 2;
+                const dist = radius + 25 + Math.random() * 10;
+                const pos = { x: obj.target.x + Math.cos(angle) * dist, z: obj.target.z + Math.sin(angle) * dist };
+                const npc = this._spawnMissionNPC(pos, 30, 0xff2222);
+                if (npc) {
+                    npc.moveTarget = { x: obj.target.x, z: obj.target.z, stopDistance: 1.5, run: true };
+                    npc.attackTimer = 0;
+                    obj.attackers.push(npc);
+                }
+            }
+        }
+
+        // Whoever reaches the centre starts smashing the place up
+        obj.attackers = obj.attackers.filter(npc => npc.alive);
+        for (const npc of obj.attackers) {
+            if (this._dist(npc.mesh.position, obj.target) > 2.5) continue;
+            npc.mesh.rotation.y = Math.atan2(obj.target.x - npc.mesh.position.x, obj.target.z - npc.mesh.position.z);
+            npc.attackTimer -= dt;
+            if (npc.attackTimer > 0) continue;
+            npc.attackTimer = 1;
+            obj.integrity -= obj.attackDamage || 5;
+            const parts = npc.mesh.userData.parts;
+            if (parts && parts.rightArm) parts.rightArm.rotation.x = -1.6;
+            if (this._dist(player.position, obj.target) < 30) this.game.systems.audio.playPunch();
+        }
+        if (obj.integrity <= 0) return this._fail('The position was overrun');
+
+        if (this._dist(player.position, obj.target) > radius * 2) {
+            obj.outsideTimer += dt;
+            if (obj.outsideTimer > 8) return this._fail('You abandoned the position');
+        } else {
+            obj.outsideTimer = 0;
+        }
+
+        obj.remaining -= dt;
+        if (obj.remaining <= 0) {
+            for (const npc of obj.attackers) npc.isFleeing = true;
+            return 'complete';
+        }
+
+        const away = obj.outsideTimer > 0 ? ' — GET BACK!' : '';
+        const integrity = Math.max(0, Math.round(obj.integrity / obj.maxIntegrity * 100));
+        this._setStatus(`DEFEND ${Math.ceil(obj.remaining)}s — position ${integrity}% — attackers: ${obj.attackers.length}${away}`,
+            away || obj.remaining < 10 || integrity < 30 ? '#dd4444' : '#ff8844');
+        return null;
+    }
+
+    _updateSurvive(obj, dt) {
+        // Dying is handled by MissionManager; all that's left is outlasting the clock
+        obj.remaining -= dt;
+        if (obj.remaining <= 0) return 'complete';
+        this._setStatus(`SURVIVE ${Math.ceil(obj.remaining)}s`, obj.remaining < 10 ? '#dd4444' : '#ff8844');
+        return null;
+    }
+
+    _updatePhotograph(obj) {
+        const player = this.game.systems.player;
+        const ui = this.game.systems.ui;
+
+        for (let i = 0; i < obj.targets.length; i++) {
+            if (obj.photographed.has(i)) continue;
+            const t = obj.targets[i];
+            if (this._dist(player.position, t) > (t.radius || 8)) continue;
+
+            const promptEl = document.getElementById('hud-interact-prompt');
+            promptEl.textContent = `Press E to photograph: ${t.name}`;
+            promptEl.classList.add('visible');
+
+            if (this.game.systems.input.justPressed('interact')) {
+                obj.photographed.add(i);
+                const marker = obj.photoMarkers[i];
+                if (marker) this.game.scene.remove(marker);
+                this.game.systems.audio.playPickup();
+                this.cameraFlash();
+                ui.showMissionText(`Photographed: ${t.name}`, 2);
+
+                const next = obj.targets.find((_, j) => !obj.photographed.has(j));
+                if (!next) return 'complete';
+                ui.waypoint = { x: next.x, z: next.z };
+            }
+            break; // One prompt at a time
+        }
+
+        this._setStatus(`PHOTOS ${obj.photographed.size}/${obj.targets.length}`, '#44aaff');
+        return null;
+    }
+
+    _updateDeliverVehicle(obj) {
+        const player = this.game.systems.player;
+        const vehicle = player.currentVehicle;
+        const minHealth = obj.minHealth || 0;
+
+        if (!vehicle || (obj.vehicleType && vehicle.type !== obj.vehicleType)) {
+            this._setStatus(obj.vehicleType ? `Get in a ${obj.vehicleType}` : 'Get in a vehicle', '#ffcc44');
+            return null;
+        }
+
+        const condition = Math.max(0, Math.round(vehicle.health / vehicle.maxHealth * 100));
+        if (condition < minHealth) return this._fail('The vehicle is too damaged');
+
+        this._setStatus(`VEHICLE ${condition}% (min ${minHealth}%)`, condition < minHealth + 15 ? '#dd4444' : '#ffcc44');
+
+        if (this._dist(player.position, obj.target) < (obj.radius || 8)) return 'complete';
+        return null;
+    }
+
+    // --- Helpers ---
+
+    _fail(reason) {
+        this.failReason = reason;
+        return 'failed';
+    }
+
+    _dist(a, b) {
+        return Math.sqrt((a.x - b.x) ** 2 + (a.z - b.z) ** 2);
+    }
+
+    // Status line under the minimap, shared with side jobs and rampages
+    _setStatus(text, color) {
+        const timerEl = document.getElementById('hud-escape-timer');
+        if (!timerEl) return;
+        if (text === null) {
+            timerEl.style.display = 'none';
+            return;
+        }
+        timerEl.style.display = 'block';
+        timerEl.textContent = text;
+        timerEl.style.color = color;
+    }
+
+    _spawnMissionNPC(pos, health, markerColor) {
+        const npc = this.game.systems.npcs.spawnPedestrian(true);
+        if (!npc || !npc.mesh) return null;
+        npc.mesh.position.set(pos.x, this.game.systems.npcs._getGroundY(pos.x, pos.z), pos.z);
+        npc.health = health;
+        npc.isTarget = true; // Keep the pool from recycling them mid-mission
+        npc.isFleeing = false;
+        npc.mesh.add(this._markerCone(markerColor, 2.5));
+        this.npcs.push(npc);
+        return npc;
+    }
+
+    _markerCone(color, height) {
+        const marker = new THREE.Mesh(
+            new THREE.ConeGeometry(0.3, 1, 4),
+            new THREE.MeshBasicMaterial({ color })
+        );
+        marker.position.y = height;
+        marker.rotation.x = Math.PI;
+        this.meshes.push(marker);
+        return marker;
+    }
+
+    _placeRing(pos, radius, color) {
+        const mesh = new THREE.Mesh(
+            new THREE.RingGeometry(radius - 0.3, radius, 24),
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.5, side: THREE.DoubleSide })
+        );
+        mesh.rotation.x = -Math.PI / 2;
+        mesh.position.set(pos.x, 0.2, pos.z);
+        this.game.scene.add(mesh);
+        this.meshes.push(mesh);
+        return mesh;
+    }
+}
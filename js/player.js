@@ -16,11 +16,14 @@ export class Player {
         this.maxHealth = 100;
         this.armor = 0;
         this.maxArmor = 100;
+        this.damageTaken = 0; // Lifetime total, armor included (mission replays score from it)
         this.cash = 1000;
         this.inVehicle = false;
         this.currentVehicle = null;
         this.isSprinting = false;
         this.isCrouching = false;
+        this.isSurrendering = false;
+        this._surrenderMoveHeld = false;
         this.isOnGround = true;
         this.isDead = false;
         this.isInInterior = false;
@@ -373,13 +376,29 @@ export class Player {
             this.model.scale.y = 1;
         }
 
+        // Hands up (see WantedSystem.surrender). Moving, swinging, jumping or the key again
+        // while surrendered is resisting; a movement key still held from before the hands went
+        // up only counts once it has been let go and pressed again.
+        const wanted = this.game.systems.wanted;
+        const moving = Math.abs(input.moveX) > 0.3 || Math.abs(input.moveY) > 0.3;
+        if (this.isSurrendering) {
+            if (!moving) this._surrenderMoveHeld = false;
+            if (input.justPressed('surrender') || input.justPressed('attack') || input.justPressed('jump') ||
+                input.justPressed('interact') || (moving && !this._surrenderMoveHeld)) {
+                wanted.breakSurrender();
+            }
+        } else if (input.justPressed('surrender')) {
+            this._surrenderMoveHeld = moving;
+            wanted.surrender();
+        }
+
         // Movement
         const camera = this.game.systems.camera;
         const forward = camera.getForwardDirection();
         const right = camera.getRightDirection();
 
-        const moveX = input.moveX;
-        const moveY = input.moveY;
+        const moveX = this.isSurrendering ? 0 : input.moveX;
+        const moveY = this.isSurrendering ? 0 : input.moveY;
 
         const moveDir = new THREE.Vector3(
             forward.x * moveY + right.x * moveX,
@@ -412,7 +431,7 @@ export class Player {
         }
 
         // Jump
-        if (input.justPressed('jump') && this.isOnGround) {
+        if (input.justPressed('jump') && this.isOnGround && !this.isSurrendering) {
             this.velocity.y = this.jumpForce;
             this.isOnGround = false;
             this._isJumping = true;
@@ -706,7 +725,9 @@ export class Player {
         let targetState = 'idle';
 
         // Priority animation states (override speed-based)
-        if (this.isSwimming) {
+        if (this.isSurrendering) {
+            targetState = 'hands_up';
+        } else if (this.isSwimming) {
             targetState = 'swim_surface';
         } else if (!this.isOnGround && this.velocity.y < -5 && !this._isJumping) {
             targetState = 'fall';
@@ -795,6 +816,16 @@ export class Player {
             return;
         }
 
+        // Fallback surrender pose — hands raised either side of the head
+        if (this.animState === 'hands_up') {
+            this.resetLimbs();
+            if (this.parts.rightUpperArm) this.parts.rightUpperArm.rotation.x = -Math.PI * 0.9;
+            if (this.parts.leftUpperArm) this.parts.leftUpperArm.rotation.x = -Math.PI * 0.9;
+            if (this.parts.rightForearm) this.parts.rightForearm.rotation.x = -Math.PI * 0.2;
+            if (this.parts.leftForearm) this.parts.leftForearm.rotation.x = -Math.PI * 0.2;
+            return;
+        }
+
         const animSpeed = this.animState === 'run' || this.animState === 'sprint' ? 10 : this.animState === 'walk' ? 6 : 1;
         this.animTime += dt * animSpeed;
 
@@ -1138,8 +1169,8 @@ export class Player {
                     vehicle._driverModel = null;
                 }
 
-                this.game.systems.wanted.addHeat(1);
-                this.game.stats.vehiclesStolen++;
+                this.game.systems.wanted.crime('carjacking');
+                this.game.events.emit('vehicle:stolen', { vehicle });
             }, 600);
         } else if (!vehicle.isNPCOwned) {
             // Normal vehicle entry (parked car) — smooth camera transition
@@ -1256,17 +1287,16 @@ export class Player {
             case 'call_nina':
             case 'call_vex': {
                 const giver = contact.action.replace('call_', '');
-                const missions = this.game.systems.missions;
-                const nextMission = missions && missions.missions ?
-                    missions.missions.find(m => !m.completed && m.giver === giver) : null;
+                const name = contact.name.split(' ')[0];
+                // Work on offer, or a line that depends on the story flags
+                const line = this.game.systems.missions.getContactLine(giver);
 
-                if (nextMission) {
-                    ui.showMissionText(`${contact.name.split(' ')[0]}: "Come see me, I got work for you."\n${nextMission.title}`, 4);
-                    audio.playAnimalese("Come see me I got work for you", 150, 'neutral');
+                if (line.mission) {
+                    ui.showMissionText(`${name}: "${line.text}"\n${line.mission.title}`, 4);
                 } else {
-                    ui.showMissionText(`${contact.name.split(' ')[0]}: "Nothing right now. Call back later."`, 3);
-                    audio.playAnimalese("Nothing right now call back later", 150, 'neutral');
+                    ui.showMissionText(`${name}: "${line.text}"`, 4);
                 }
+                audio.playAnimalese(line.text, 150, 'neutral');
                 break;
             }
             case 'taxi': {
@@ -2082,6 +2112,7 @@ export class Player {
     takeDamage(amount) {
         if (this.isDead) return;
         if (amount <= 0) return; // Ignore zero/negative damage
+        this.damageTaken += amount;
 
         if (this.armor > 0) {
             const absorbed = Math.min(this.armor, amount);
@@ -2103,6 +2134,7 @@ export class Player {
     die() {
         if (this.isDead) return; // Prevent double-death
         this.isDead = true;
+        this.game.events.emit('player:died');
 
         // Play death animation briefly before ragdoll
         if (this.mixer && this.actions['death_front']) {
@@ -2140,7 +2172,47 @@ export class Player {
         this.isDead = false;
         this.health = this.maxHealth;
         this.cash = Math.max(0, this.cash - 100);
+        this._resetForRespawn();
+
+        // Wake up at the nearest place the player can call home
+        const spawn = this.game.systems.interiors.getNearestSafehouse(this.position);
+        const spawnY = this.game.systems.physics.getGroundHeight(spawn.x, spawn.z) + 1;
+        this.teleportTo(spawn.x, spawnY, spawn.z);
+        this.velocity.set(0, 0, 0);
+        this.model.visible = true;
+        this.model.scale.y = 1;
+        this.model.rotation.x = 0;
+
+        this.game.setState('playing');
+        const deathScreen = document.getElementById('death-screen');
+        if (deathScreen) {
+            deathScreen.style.display = 'none';
+            deathScreen.style.animation = '';
+        }
+
+        this.game.systems.wanted.setLevel(0);
+        this.game.events.emit('player:respawned');
+    }
+
+    // Busted (see WantedSystem): fined, relieved of every weapon and let out on the steps
+    // of the police station
+    releaseFromCustody(x, z, fine) {
+        this.cash = Math.max(0, this.cash - fine);
+        this.weapons = [{ id: 'fists', ammo: Infinity, clipSize: Infinity }];
+        this.currentWeaponIndex = 0;
+        this._resetForRespawn();
 
+        const y = this.game.systems.physics.getGroundHeight(x, z) + 1;
+        this.teleportTo(x, y, z);
+        this.velocity.set(0, 0, 0);
+        this.model.visible = true;
+        this.animState = null; // Out of the hands-up pose on the next update
+
+        this.game.setState('playing');
+    }
+
+    // Whatever the player was in the middle of when they died or were arrested
+    _resetForRespawn() {
         // Reset vehicle state (prevents soft-lock if died in vehicle)
         if (this.inVehicle && this.currentVehicle) {
             this.currentVehicle.occupied = false;
@@ -2161,29 +2233,71 @@ export class Player {
         this.phoneOpen = false;
         this.wardrobeOpen = false;
 
-        const spawnY = this.game.systems.physics.getGroundHeight(0, 0) + 1;
-        this.position.set(0, spawnY, 0);
-        this.velocity.set(0, 0, 0);
-        this.model.visible = true;
-        this.model.position.copy(this.position);
-        this.model.scale.y = 1;
-        this.model.rotation.x = 0;
+        // Dying indoors still wakes you up outside
+        if (this.isInInterior) this.game.systems.interiors.setCurrentInterior(null);
+    }
 
-        // Reset physics body position
+    // Move player, model and physics body together
+    teleportTo(x, y, z) {
+        this.position.set(x, y, z);
+        this.model.position.copy(this.position);
         if (this.physicsBody) {
-            this.physicsBody.setNextKinematicTranslation({
-                x: 0, y: spawnY + 0.9, z: 0
-            });
+            this.physicsBody.setNextKinematicTranslation({ x, y: y + 0.9, z });
         }
+    }
 
-        this.game.setState('playing');
-        const deathScreen = document.getElementById('death-screen');
-        if (deathScreen) {
-            deathScreen.style.display = 'none';
-            deathScreen.style.animation = '';
-        }
+    // --- Save/load ---
+    serialize() {
+        const a = this.appearance;
+        return {
+            position: { x: this.position.x, y: this.position.y, z: this.position.z },
+            health: this.health,
+            armor: this.armor,
+            cash: this.cash,
+            // Infinity (fists, melee) doesn't survive JSON — stored as null
+            weapons: this.weapons.map(w => ({
+                id: w.id,
+                ammo: w.ammo === Infinity ? null : w.ammo,
+                clipSize: w.clipSize === Infinity ? null : w.clipSize
+            })),
+            currentWeaponIndex: this.currentWeaponIndex,
+            appearance: {
+                shirtColor: a.shirtColor,
+                pantsColor: a.pantsColor,
+                shoesColor: a.shoesColor,
+                hasHat: a.hasHat,
+                hasSunglasses: a.hasSunglasses,
+                hasBandana: a.hasBandana,
+                hasChain: a.hasChain,
+                hasBackpack: a.hasBackpack,
+                hasWatch: a.hasWatch,
+                hasJacket: a.hasJacket,
+                hasShorts: a.hasShorts,
+                hasGloves: a.hasGloves
+            },
+            outfit: this.currentOutfit
+        };
+    }
 
-        this.game.systems.wanted.setLevel(0);
+    deserialize(data) {
+        this.teleportTo(data.position.x, data.position.y, data.position.z);
+
+        this.health = data.health;
+        this.armor = data.armor;
+        this.cash = data.cash;
+        this.weapons = data.weapons.map(w => ({
+            ...w,
+            ammo: w.ammo === null ? Infinity : w.ammo,
+            clipSize: w.clipSize === null ? Infinity : w.clipSize
+        }));
+        this.currentWeaponIndex = data.currentWeaponIndex;
+
+        // Appearance already carries the outfit colors (applyOutfit syncs them)
+        this.currentOutfit = this.outfits[data.outfit] ? data.outfit : 0;
+        if (data.appearance) {
+            this.appearance = { ...this.appearance, ...data.appearance };
+            this.applyAppearance();
+        }
     }
 
     addCash(amount) {
@@ -2260,9 +2374,9 @@ export class Player {
         const hand = this._getRightHand();
         if (!weapon || !hand) return;
 
-        // Hide weapon in vehicle
+        // Hide weapon in vehicle, and lowered out of sight with hands up
         if (this._currentWeaponMesh) {
-            this._currentWeaponMesh.visible = !this.inVehicle;
+            this._currentWeaponMesh.visible = !this.inVehicle && !this.isSurrendering;
         }
 
         const weaponId = weapon.id;
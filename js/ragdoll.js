@@ -93,7 +93,11 @@ export class RagdollManager {
 
         // Hide original NPC mesh
         npc.mesh.visible = false;
-        npc.alive = false;
+        // Blasts and the atomizer can send someone flying without the hit being lethal
+        if (npc.alive) {
+            npc.alive = false;
+            this.game.events.emit('npc:killed', { npc });
+        }
 
         const pos = npc.mesh.position.clone();
         const force = forceDir || new THREE.Vector3(
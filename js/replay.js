@@ -0,0 +1,259 @@
+// San Claudio - Mission Replays
+// Finished story missions, Strangers & Freaks stages and side jobs can be played again from
+// the pause menu. A replay runs on a snapshot of the game: cash, weapons, story flags, stats
+// and wanted level all go back to how they were once it ends. Only the medal is kept.
+
+// Best medal first; a successful run earns the first one its score reaches
+export const MEDALS = [
+    { id: 'gold', name: 'GOLD', minScore: 85, color: '#e8c840' },
+    { id: 'silver', name: 'SILVER', minScore: 65, color: '#c8d0d8' },
+    { id: 'bronze', name: 'BRONZE', minScore: 40, color: '#c8783c' }
+];
+
+const DEFAULT_PAR_TIME = 180; // Seconds, for jobs with no parTime and no time limit
+const DAMAGE_CEILING = 200;   // Damage taken at which the damage score bottoms out
+
+export class ReplayManager {
+    constructor(game) {
+        this.game = game;
+        this.active = null;  // Run in progress (see start())
+        this.results = {};   // Best result per replay key: { score, medal, time, accuracy, damage, wanted }
+    }
+
+    // Everything that can be replayed right now, in menu order. Keys are stable across
+    // sessions: "story:<id>", "sf:<chainId>:<stageIndex>", "side:<title>".
+    listReplayable() {
+        const missions = this.game.systems.missions;
+        const entries = [];
+
+        for (const def of missions.missionDefs) {
+            if (!missions.completedMissions.has(def.id)) continue;
+            entries.push({ key: `story:${def.id}`, kind: 'story', group: 'Story', title: def.title, def });
+        }
+        for (const chain of missions.sfChains) {
+            const done = missions.sfCompleted[chain.id] || 0;
+            chain.stages.slice(0, done).forEach((stage, stageIndex) => {
+                entries.push({
+                    key: `sf:${chain.id}:${stageIndex}`, kind: 'sf', group: 'Strangers & Freaks',
+                    title: `${chain.character}: ${stage.title}`, def: stage, chain, stageIndex
+                });
+            });
+        }
+        for (const def of missions.sideMissionDefs) {
+            if (!def.completed) continue;
+            entries.push({ key: `side:${def.title}`, kind: 'side', group: 'Side Jobs', title: def.title, def });
+        }
+        return entries;
+    }
+
+    // Why a replay can't start right now, or null when it can
+    blockedReason() {
+        const { missions, player } = this.game.systems;
+        if (this.active) return 'A replay is already running';
+        if (player.isDead) return 'Not while wasted';
+        if (missions.missionActive || missions.retryTimer > 0 || missions.activeSideMission ||
+            missions.sfActive || missions.activeRampage) {
+            return 'Finish the current job first';
+        }
+        return null;
+    }
+
+    start(key) {
+        const entry = this.listReplayable().find(e => e.key === key);
+        if (!entry || this.blockedReason()) return false;
+
+        const { player, missions, wanted, weapons, physics } = this.game.systems;
+        if (player.inVehicle) player.exitVehicle();
+
+        this.active = {
+            key: entry.key,
+            kind: entry.kind,
+            title: entry.title,
+            def: entry.def,
+            chain: entry.chain,
+            stageIndex: entry.stageIndex,
+            snapshot: {
+                stats: { ...this.game.stats },
+                player: player.serialize(),
+                missions: missions.serialize(),
+                wanted: wanted.serialize()
+            },
+            parTime: this._parTime(entry),
+            elapsed: 0,
+            maxWanted: 0,
+            // Counter readings at the start; the run is scored on the difference
+            shotsFired: weapons.shotsFired,
+            shotsHit: weapons.shotsHit,
+            damageTaken: player.damageTaken
+        };
+
+        // Every run starts clean
+        wanted.clearWanted();
+        player.health = player.maxHealth;
+
+        const teleport = (x, z) => {
+            player.teleportTo(x, physics.getGroundHeight(x, z) + 1, z);
+            player.velocity.set(0, 0, 0);
+        };
+
+        // Mark the job unfinished so the normal completion code can tell us it was beaten
+        switch (entry.kind) {
+            case 'story':
+                missions.completedMissions.delete(entry.def.id);
+                teleport(entry.def.trigger.marker.x, entry.def.trigger.marker.z);
+                missions.startMission(entry.def);
+                break;
+            case 'sf':
+                missions.sfCompleted[entry.chain.id] = entry.stageIndex;
+                teleport(entry.chain.contactPos.x, entry.chain.contactPos.z);
+                missions._startSFMission(entry.chain, entry.stageIndex);
+                missions._refreshSFMarkers();
+                break;
+            case 'side':
+                entry.def.completed = false;
+                missions._startSideMission(entry.def);
+                break;
+        }
+        return true;
+    }
+
+    // Give up on the current run; nothing is recorded
+    abort() {
+        const run = this.active;
+        if (!run) return;
+        const missions = this.game.systems.missions;
+
+        switch (run.kind) {
+            case 'story':
+                if (missions.missionActive) missions.failMission('Replay abandoned');
+                missions.retryTimer = 0;
+                missions.checkpoint = null;
+                break;
+            case 'sf':
+                if (missions.sfActive) missions._failSFMission();
+                break;
+            case 'side':
+                if (missions.activeSideMission) missions._failSideMission();
+                break;
+        }
+        this._finish(false);
+    }
+
+    update(dt) {
+        const run = this.active;
+        // Cutscenes (intro/outro dialogue) don't count towards the time, and the run isn't
+        // over until the outro has paid out
+        if (!run || this.game.state !== 'playing') return;
+
+        const { missions, player, wanted } = this.game.systems;
+        run.maxWanted = Math.max(run.maxWanted, wanted.level);
+
+        if (this._inProgress()) {
+            run.elapsed += dt;
+            return;
+        }
+        // A story failure offers a retry; wait for that, and for the respawn after dying
+        if (run.kind === 'story' && missions.retryTimer > 0) return;
+        if (player.isDead) return;
+
+        this._finish(this._succeeded());
+    }
+
+    _inProgress() {
+        const missions = this.game.systems.missions;
+        switch (this.active.kind) {
+            case 'story': return missions.missionActive;
+            case 'sf': return !!missions.sfActive;
+            case 'side': return !!missions.activeSideMission;
+        }
+        return false;
+    }
+
+    _succeeded() {
+        const run = this.active;
+        const missions = this.game.systems.missions;
+        switch (run.kind) {
+            case 'story': return missions.completedMissions.has(run.def.id);
+            case 'sf': return (missions.sfCompleted[run.chain.id] || 0) > run.stageIndex;
+            case 'side': return !!run.def.completed;
+        }
+        return false;
+    }
+
+    // Target time: the definition's parTime, else three quarters of its time limit
+    _parTime(entry) {
+        const def = entry.def;
+        if (def.parTime) return def.parTime;
+        const limit = entry.kind === 'story' ? def.timed : def.timeLimit;
+        return limit ? limit * 0.75 : DEFAULT_PAR_TIME;
+    }
+
+    // Four parts worth 25 points each: time against par, accuracy, damage taken, peak wanted level
+    _score(run) {
+        const { weapons, player } = this.game.systems;
+        const shots = weapons.shotsFired - run.shotsFired;
+        const hits = weapons.shotsHit - run.shotsHit;
+        const accuracy = shots > 0 ? hits / shots : 1;
+        const damage = player.damageTaken - run.damageTaken;
+
+        const timePart = Math.min(1, run.parTime / Math.max(run.elapsed, 1));
+        const damagePart = Math.max(0, 1 - damage / DAMAGE_CEILING);
+        const wantedPart = 1 - run.maxWanted / 5;
+        const score = Math.round(25 * (timePart + accuracy + damagePart + wantedPart));
+        const medal = MEDALS.find(m => score >= m.minScore);
+
+        return {
+            score,
+            medal: medal ? medal.id : null,
+            time: Math.round(run.elapsed * 10) / 10,
+            accuracy: Math.round(accuracy * 100),
+            damage: Math.round(damage),
+            wanted: run.maxWanted
+        };
+    }
+
+    _finish(success) {
+        const run = this.active;
+        const result = success ? this._score(run) : null;
+        this._restore(run.snapshot);
+        this.active = null;
+
+        const best = this.results[run.key];
+        const newBest = !!result && (!best || result.score > best.score);
+        if (newBest) {
+            this.results[run.key] = result;
+            this.game.systems.save.save();
+        }
+        this.game.systems.ui.showReplayResult(run.title, result, newBest);
+    }
+
+    // Put the world back the way the snapshot found it
+    _restore(snapshot) {
+        const { player, missions, wanted, ui } = this.game.systems;
+        if (player.inVehicle) player.exitVehicle();
+
+        player.deserialize(snapshot.player);
+        player.velocity.set(0, 0, 0);
+        missions.deserialize(snapshot.missions);
+        wanted.deserialize(snapshot.wanted);
+        // Time spent replaying is still time played
+        Object.assign(this.game.stats, snapshot.stats, { playtime: this.game.stats.playtime });
+
+        ui.waypoint = null;
+        const timerEl = document.getElementById('hud-escape-timer');
+        if (timerEl) timerEl.style.display = 'none';
+    }
+
+    getResult(key) {
+        return this.results[key] || null;
+    }
+
+    // --- Save/load: best results only; a run in progress is never saved ---
+    serialize() {
+        return { results: { ...this.results } };
+    }
+
+    deserialize(data) {
+        this.results = { ...data.results };
+    }
+}
@@ -0,0 +1,257 @@
+// San Claudio - Road Graph
+// The drivable road network as a directed graph: a node at every grid intersection on land
+// and one-way edges both ways along each block of road, plus the diagonal boulevards.
+// Traffic drives along it lane by lane, and findRoute searches it (A*) for the GPS.
+// The ring road isn't included: it crosses the grid between intersections.
+
+const LAND_EDGE = 350; // Outermost road line on land; past it is beach and water
+
+// A* over any graph of { x, z, out: [{ to, length }] } nodes. `starts` and `goals` map nodes to
+// the extra cost of getting onto the graph there and off it again, so a search can begin and
+// end part way along an edge. Returns { nodes, cost }, nodes from the goal end back to the
+// start, or null if no goal can be reached.
+export function searchGraph(starts, goals, heuristic, edgeCost = edge => edge.length) {
+    const g = new Map(starts);
+    const cameFrom = new Map();
+    const open = new OpenSet();
+    for (const [node, cost] of g) open.push(node, cost, cost + heuristic(node));
+    let best = null;
+    let bestCost = Infinity;
+
+    while (open.size > 0) {
+        const { node, g: cost, f } = open.pop();
+        if (cost > g.get(node)) continue; // Reached more cheaply since this entry went in
+        if (f >= bestCost) break;
+
+        if (goals.has(node) && g.get(node) + goals.get(node) < bestCost) {
+            bestCost = g.get(node) + goals.get(node);
+            best = node;
+        }
+        for (const edge of node.out) {
+            const next = cost + edgeCost(edge);
+            if (next < (g.get(edge.to) ?? Infinity)) {
+                g.set(edge.to, next);
+                cameFrom.set(edge.to, node);
+                open.push(edge.to, next, next + heuristic(edge.to));
+            }
+        }
+    }
+    if (!best) return null;
+
+    const nodes = [];
+    for (let node = best; node; node = cameFrom.get(node)) nodes.push(node);
+    return { nodes, cost: bestCost };
+}
+
+// searchGraph's open set: a binary min-heap on f. A node whose cost drops is pushed again
+// rather than moved, and the stale entry skipped when it comes out.
+class OpenSet {
+    constructor() {
+        this.heap = []; // { node, g, f }
+    }
+
+    get size() {
+        return this.heap.length;
+    }
+
+    push(node, g, f) {
+        const heap = this.heap;
+        heap.push({ node, g, f });
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent].f <= heap[i].f) break;
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const heap = this.heap;
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < heap.length && heap[left].f < heap[smallest].f) smallest = left;
+                if (right < heap.length && heap[right].f < heap[smallest].f) smallest = right;
+                if (smallest === i) break;
+                [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+export class RoadGraph {
+    constructor(world) {
+        this.world = world;
+        this.nodes = [];          // { id, x, z, out: [edge], hasLight }
+        this.edges = [];          // { id, from, to, length, dir: { x, z }, axis }
+        this._nodeIndex = new Map(); // "x,z" -> node
+    }
+
+    build() {
+        const block = this.world.blockSize;
+
+        for (let x = -LAND_EDGE; x <= LAND_EDGE; x += block) {
+            for (let z = -LAND_EDGE; z <= LAND_EDGE; z += block) {
+                this._addNode(x, z);
+            }
+        }
+        for (const node of this.nodes) {
+            const east = this._nodeIndex.get(`${node.x + block},${node.z}`);
+            const south = this._nodeIndex.get(`${node.x},${node.z + block}`);
+            if (east) this._addRoad(node, east);
+            if (south) this._addRoad(node, south);
+        }
+
+        // Diagonals are split wherever they pass through a grid intersection, so traffic can
+        // turn on and off them there. Ones that run along a grid line are already covered.
+        for (const diag of this.world.diagonalRoads) {
+            if (diag.x1 === diag.x2 || diag.z1 === diag.z2) continue;
+            const stops = [{ t: 0, node: this._addNode(diag.x1, diag.z1) }, { t: 1, node: this._addNode(diag.x2, diag.z2) }];
+            const dx = diag.x2 - diag.x1;
+            const dz = diag.z2 - diag.z1;
+            for (const node of this.nodes) {
+                const t = ((node.x - diag.x1) * dx + (node.z - diag.z1) * dz) / (dx * dx + dz * dz);
+                if (t <= 0 || t >= 1) continue;
+                const offX = diag.x1 + dx * t - node.x;
+                const offZ = diag.z1 + dz * t - node.z;
+                if (offX * offX + offZ * offZ < 1) stops.push({ t, node });
+            }
+            stops.sort((a, b) => a.t - b.t);
+            for (let i = 1; i < stops.length; i++) this._addRoad(stops[i - 1].node, stops[i].node);
+        }
+
+        const lit = new Set((this.world.trafficLights || []).map(l => `${l.intersectionX},${l.intersectionZ}`));
+        for (const node of this.nodes) node.hasLight = lit.has(`${node.x},${node.z}`);
+    }
+
+    // The point t metres along an edge and offset metres to the right of it
+    pointOnEdge(edge, t, offset = 0) {
+        const right = this.rightOf(edge.dir);
+        return {
+            x: edge.from.x + edge.dir.x * t + right.x * offset,
+            z: edge.from.z + edge.dir.z * t + right.z * offset
+        };
+    }
+
+    // Right-hand side when facing dir (yaw = atan2(dir.x, dir.z), as for vehicle meshes)
+    rightOf(dir) {
+        return { x: -dir.z, z: dir.x };
+    }
+
+    // The edge closest to a point: { edge, t, dist }. With `heading` (a yaw) the edge running
+    // closest to that direction wins among roughly equidistant ones.
+    nearestEdge(x, z, heading = null) {
+        let best = null;
+        let bestScore = Infinity;
+        for (const edge of this.edges) {
+            const px = x - edge.from.x;
+            const pz = z - edge.from.z;
+            const t = Math.max(0, Math.min(edge.length, px * edge.dir.x + pz * edge.dir.z));
+            const ox = px - edge.dir.x * t;
+            const oz = pz - edge.dir.z * t;
+            const dist = Math.sqrt(ox * ox + oz * oz);
+            let score = dist;
+            if (heading !== null) {
+                score += (1 - (Math.sin(heading) * edge.dir.x + Math.cos(heading) * edge.dir.z)) * 4;
+            }
+            if (score < bestScore) {
+                bestScore = score;
+                best = { edge, t, dist };
+            }
+        }
+        return best;
+    }
+
+    nearestNode(x, z) {
+        let best = null;
+        let bestDist = Infinity;
+        for (const node of this.nodes) {
+            const d = (node.x - x) ** 2 + (node.z - z) ** 2;
+            if (d < bestDist) {
+                bestDist = d;
+                best = node;
+            }
+        }
+        return best;
+    }
+
+    // Shortest way by road between two points, by A* with a straight-line heuristic. Returns
+    // { points, length }: the points to follow, from where `from` meets its nearest road to
+    // where `to` meets its own. Null if no road connects them.
+    findRoute(from, to) {
+        const start = this._roadPosition(from);
+        const goal = this._roadPosition(to);
+
+        // Both on the same stretch of road
+        if ((start.edge.from === goal.edge.from && start.edge.to === goal.edge.to) ||
+            (start.edge.from === goal.edge.to && start.edge.to === goal.edge.from)) {
+            return { points: [start.point, goal.point], length: Math.hypot(goal.point.x - start.point.x, goal.point.z - start.point.z) };
+        }
+
+        // Leave the start road by either end; reach the goal road at either end
+        const found = searchGraph(
+            new Map([[start.edge.from, start.t], [start.edge.to, start.edge.length - start.t]]),
+            new Map([[goal.edge.from, goal.t], [goal.edge.to, goal.edge.length - goal.t]]),
+            node => Math.hypot(node.x - goal.point.x, node.z - goal.point.z)
+        );
+        if (!found) return null;
+
+        const points = [goal.point];
+        for (const node of found.nodes) points.unshift({ x: node.x, z: node.z });
+        points.unshift(start.point);
+        return { points, length: found.cost };
+    }
+
+    // Where the road nearest to a point passes it: { edge, t, point }
+    _roadPosition(pos) {
+        const { edge, t } = this.nearestEdge(pos.x, pos.z);
+        return { edge, t, point: this.pointOnEdge(edge, t) };
+    }
+
+    // Where a vehicle can go from the end of an edge. U-turns only at dead ends.
+    exitsFrom(edge) {
+        const exits = edge.to.out.filter(e => e.to !== edge.from);
+        return exits.length > 0 ? exits : edge.to.out;
+    }
+
+    _addNode(x, z) {
+        const key = `${x},${z}`;
+        let node = this._nodeIndex.get(key);
+        if (!node) {
+            node = { id: this.nodes.length, x, z, out: [], hasLight: false };
+            this.nodes.push(node);
+            this._nodeIndex.set(key, node);
+        }
+        return node;
+    }
+
+    // Two-way road: one edge each way
+    _addRoad(a, b) {
+        for (const [from, to] of [[a, b], [b, a]]) {
+            const dx = to.x - from.x;
+            const dz = to.z - from.z;
+            const length = Math.sqrt(dx * dx + dz * dz);
+            const edge = {
+                id: this.edges.length,
+                from,
+                to,
+                length,
+                dir: { x: dx / length, z: dz / length },
+                // 0 = along X (EW), 1 = along Z (NS), as World.isRedLight expects; diagonals
+                // take the light of whichever axis they run closer to
+                axis: Math.abs(dx) >= Math.abs(dz) ? 0 : 1
+            };
+            this.edges.push(edge);
+            from.out.push(edge);
+        }
+    }
+}
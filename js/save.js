@@ -1,157 +1,671 @@
 // San Claudio - Save System
-// localStorage save/load
+// Multiple named slots with metadata, versioned format migrations, file export/import.
+// Each system that owns progression state implements serialize()/deserialize(data);
+// a save is the game-level state plus one entry per such system.
+// Storage goes through a pluggable backend (see storage.js), mirrored in memory.
 
-export class SaveManager {
-    constructor(game) {
-        this.game = game;
-        this.saveKey = 'san-claudio-save';
-    }
+import { LocalStorageBackend, SAVE_BACKENDS } from './storage.js';
+import { validate } from './schema.js';
+import { ACHIEVEMENTS } from './achievements.js';
 
-    hasSave() {
-        try {
-            return !!localStorage.getItem(this.saveKey);
-        } catch (e) {
-            return false;
+// Current save format. Bump this and add a SAVE_MIGRATIONS step whenever the shape changes.
+export const SAVE_VERSION = 6;
+
+// SAVE_MIGRATIONS[n] upgrades v(n) data to v(n+1). Steps receive a deep copy and return the new shape.
+export const SAVE_MIGRATIONS = {
+    // v1 -> v2: S&F/rampage progress moves under `missions`, stored vehicles under `vehicles`
+    1: (data) => {
+        data.missions = data.missions || { completedMissions: [], currentMission: -1 };
+        data.missions.sfCompleted = data.sfCompleted || {};
+        data.missions.rampageCompleted = data.rampageCompleted || [];
+        delete data.sfCompleted;
+        delete data.rampageCompleted;
+
+        data.vehicles = { stored: data.storedVehicles || [] };
+        delete data.storedVehicles;
+
+        if (data.timeOfDay === undefined) data.timeOfDay = 0.3;
+        if (!data.stats) data.stats = {};
+        if (!data.properties) data.properties = [];
+        return data;
+    },
+
+    // v2 -> v3: per-system sections. v2 never recorded which packages, jumps or
+    // vehicle types were found, so those start fresh (the stats counters are kept).
+    2: (data) => ({
+        version: data.version,
+        timestamp: data.timestamp,
+        game: {
+            timeOfDay: data.timeOfDay,
+            stats: data.stats,
+            weather: { current: 'clear', target: 'clear', timer: 120 }
+        },
+        systems: {
+            player: data.player && { ...data.player, outfit: 0 },
+            missions: data.missions && { ...data.missions, sideMissionsCompleted: [] },
+            vehicles: {
+                stored: data.vehicles ? data.vehicles.stored : [],
+                collectedTypes: [],
+                nitroCharges: 0,
+                taxiLevel: 0,
+                vigilanteLevel: 0
+            },
+            world: { hiddenPackages: [], stuntJumps: [] },
+            wanted: { level: 0, heat: 0 },
+            interiors: { properties: data.properties }
+        }
+    }),
+
+    // v3 -> v4: story flags and choice-driven mission locks (none made before v4)
+    3: (data) => {
+        if (data.systems.missions) {
+            data.systems.missions.storyFlags = {};
+            data.systems.missions.lockedMissions = [];
+            data.systems.missions.unlockedMissions = [];
+        }
+        return data;
+    },
+
+    // v4 -> v5: best mission replay results (replays didn't exist before v5)
+    4: (data) => {
+        data.systems.replay = { results: {} };
+        return data;
+    },
+
+    // v5 -> v6: achievements. Stat milestones the save had already reached are marked earned
+    // here, dated to the save, so they don't all pop up as new on load; event ones start fresh.
+    5: (data) => {
+        const stats = (data.game && data.game.stats) || {};
+        const unlocked = {};
+        for (const def of ACHIEVEMENTS) {
+            if (def.stat && (stats[def.stat] || 0) >= def.target) unlocked[def.id] = data.timestamp || Date.now();
         }
+        data.systems.achievements = { unlocked, progress: {} };
+        return data;
     }
+};
 
-    save() {
-        try {
-            const player = this.game.systems.player;
-            const missions = this.game.systems.missions;
+const NUMBER = { type: 'number' };
+const NUMBER_LIST = { type: 'array', items: NUMBER };
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
 
-            const data = {
-                version: 1,
-                timestamp: Date.now(),
+// Shape of a current-version save (node format: see schema.js)
+const SAVE_SCHEMA = {
+    type: 'object',
+    required: ['version', 'timestamp', 'game', 'systems'],
+    properties: {
+        version: NUMBER,
+        timestamp: NUMBER,
+        game: {
+            type: 'object',
+            required: ['timeOfDay', 'stats', 'weather'],
+            properties: {
+                timeOfDay: NUMBER,
+                stats: { type: 'object' },
+                weather: {
+                    type: 'object',
+                    required: ['current', 'target', 'timer'],
+                    properties: { current: { type: 'string' }, target: { type: 'string' }, timer: NUMBER }
+                }
+            }
+        },
+        systems: {
+            type: 'object',
+            required: ['player', 'missions', 'vehicles', 'world', 'wanted', 'interiors', 'replay', 'achievements'],
+            properties: {
                 player: {
-                    position: { x: player.position.x, y: player.position.y, z: player.position.z },
-                    health: player.health,
-                    armor: player.armor,
-                    cash: player.cash,
-                    weapons: player.weapons.map(w => ({ id: w.id, ammo: w.ammo, clipSize: w.clipSize })),
-                    currentWeaponIndex: player.currentWeaponIndex,
-                    appearance: {
-                        shirtColor: player.appearance.shirtColor,
-                        pantsColor: player.appearance.pantsColor,
-                        shoesColor: player.appearance.shoesColor,
-                        hasHat: player.appearance.hasHat,
-                        hasSunglasses: player.appearance.hasSunglasses,
-                        hasBandana: player.appearance.hasBandana,
-                        hasChain: player.appearance.hasChain,
-                        hasBackpack: player.appearance.hasBackpack,
-                        hasWatch: player.appearance.hasWatch,
-                        hasJacket: player.appearance.hasJacket,
-                        hasShorts: player.appearance.hasShorts,
-                        hasGloves: player.appearance.hasGloves
+                    type: 'object',
+                    required: ['position', 'health', 'armor', 'cash', 'weapons', 'currentWeaponIndex', 'outfit'],
+                    properties: {
+                        position: {
+                            type: 'object',
+                            required: ['x', 'y', 'z'],
+                            properties: { x: NUMBER, y: NUMBER, z: NUMBER }
+                        },
+                        health: NUMBER,
+                        armor: NUMBER,
+                        cash: NUMBER,
+                        weapons: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['id'],
+                                properties: {
+                                    id: { type: 'string' },
+                                    ammo: { type: ['number', 'null'] },
+                                    clipSize: { type: ['number', 'null'] }
+                                }
+                            }
+                        },
+                        currentWeaponIndex: NUMBER,
+                        appearance: { type: 'object' },
+                        outfit: NUMBER
                     }
                 },
                 missions: {
-                    completedMissions: [...missions.completedMissions],
-                    currentMission: missions.currentMission
+                    type: 'object',
+                    required: [
+                        'completedMissions', 'currentMission', 'sfCompleted', 'rampageCompleted',
+                        'sideMissionsCompleted', 'storyFlags', 'lockedMissions', 'unlockedMissions'
+                    ],
+                    properties: {
+                        completedMissions: NUMBER_LIST,
+                        currentMission: NUMBER,
+                        sfCompleted: { type: 'object' },
+                        rampageCompleted: STRING_LIST,
+                        sideMissionsCompleted: STRING_LIST,
+                        storyFlags: { type: 'object' },
+                        lockedMissions: NUMBER_LIST,
+                        unlockedMissions: NUMBER_LIST
+                    }
                 },
-                timeOfDay: this.game.timeOfDay,
-                stats: { ...this.game.stats },
-                // Vehicle ownership
-                storedVehicles: this.game.systems.vehicles.storedVehicles.map(v => ({
-                    type: v.type,
-                    color: v.color
-                })),
-                // Property ownership
-                properties: this.game.systems.interiors.properties.map(p => ({
-                    id: p.id,
-                    owned: p.owned
-                })),
-                // Strangers & Freaks progress
-                sfCompleted: missions.sfCompleted || {},
-                rampageCompleted: missions.rampageCompleted ? [...missions.rampageCompleted] : []
-            };
+                vehicles: {
+                    type: 'object',
+                    required: ['stored', 'collectedTypes', 'nitroCharges', 'taxiLevel', 'vigilanteLevel'],
+                    properties: {
+                        stored: { type: 'array', items: { type: 'object', required: ['type'] } },
+                        collectedTypes: STRING_LIST,
+                        nitroCharges: NUMBER,
+                        taxiLevel: NUMBER,
+                        vigilanteLevel: NUMBER
+                    }
+                },
+                world: {
+                    type: 'object',
+                    required: ['hiddenPackages', 'stuntJumps'],
+                    properties: { hiddenPackages: NUMBER_LIST, stuntJumps: NUMBER_LIST }
+                },
+                wanted: {
+                    type: 'object',
+                    required: ['level', 'heat'],
+                    properties: { level: NUMBER, heat: NUMBER }
+                },
+                interiors: {
+                    type: 'object',
+                    required: ['properties'],
+                    properties: {
+                        properties: { type: 'array', items: { type: 'object', required: ['id', 'owned'] } }
+                    }
+                },
+                replay: {
+                    type: 'object',
+                    required: ['results'],
+                    properties: { results: { type: 'object' } }
+                },
+                achievements: {
+                    type: 'object',
+                    required: ['unlocked', 'progress'],
+                    properties: { unlocked: { type: 'object' }, progress: { type: 'object' } }
+                }
+            }
+        }
+    }
+};
 
-            localStorage.setItem(this.saveKey, JSON.stringify(data));
-            return true;
+// Returns a list of human-readable problems; empty when the data matches SAVE_SCHEMA
+export function validateSave(data) {
+    return validate(data, SAVE_SCHEMA, 'save');
+}
+
+// FNV-1a 32-bit, as 8 hex digits. Catches truncated or hand-edited export files.
+function _checksum(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Imported metadata ends up in the slot browser's innerHTML — keep it plain text
+function _plainText(value, maxLength) {
+    return String(value || '').replace(/[<>&"']/g, '').slice(0, maxLength);
+}
+
+export class SaveManager {
+    constructor(game) {
+        this.game = game;
+        this.saveKey = 'san-claudio-save'; // Legacy single-save key (pre-slots)
+        this.slotPrefix = 'san-claudio-slot-';
+        this.metaKey = 'san-claudio-slots';
+        this.slotCount = 5;
+        this.activeSlot = 0; // Slot used by quick save / auto-save; null until the player picks one
+        this.lastError = null; // Message from the most recent failed load/import/backend switch
+
+        // Thumbnail size (16:9)
+        this.thumbWidth = 160;
+        this.thumbHeight = 90;
+
+        // Storage: every key lives in _store; writes go through to the backend
+        this.keyPrefix = 'san-claudio-';
+        this.backendKey = 'san-claudio-storage'; // Backend choice — always kept in localStorage
+        this.backend = new LocalStorageBackend();
+        this._store = new Map();
+
+        // Export file marker
+        this.exportFormat = 'san-claudio-save';
+    }
+
+    // Open the chosen backend and pull every save key into memory
+    async init() {
+        let id = null;
+        try {
+            id = localStorage.getItem(this.backendKey);
+        } catch (e) {}
+
+        const Backend = SAVE_BACKENDS[id];
+        const chosen = Backend ? new Backend() : null;
+        if (chosen && chosen.isAvailable()) {
+            try {
+                await this._loadFrom(chosen);
+            } catch (e) {
+                console.warn(`${chosen.name} unavailable, falling back to localStorage:`, e);
+            }
+        }
+        if (this.backend !== chosen) {
+            try {
+                await this._loadFrom(new LocalStorageBackend());
+            } catch (e) {
+                console.error('Save storage unavailable:', e);
+            }
+        }
+
+        this._migrateLegacySave();
+    }
+
+    async _loadFrom(backend) {
+        const entries = await backend.readAll(this.keyPrefix);
+        delete entries[this.backendKey];
+        this._store = new Map(Object.entries(entries));
+        this.backend = backend;
+    }
+
+    // Copy every save into another backend and use it from now on. The old backend's
+    // copy is left in place as a fallback. Returns false (see lastError) on failure.
+    async setBackend(backend) {
+        this.lastError = null;
+        if (!backend.isAvailable()) {
+            this.lastError = `${backend.name} is not available in this browser`;
+            return false;
+        }
+        try {
+            const existing = await backend.readAll(this.keyPrefix);
+            for (const key of Object.keys(existing)) {
+                if (key !== this.backendKey && !this._store.has(key)) await backend.remove(key);
+            }
+            for (const [key, value] of this._store) {
+                await backend.write(key, value);
+            }
         } catch (e) {
-            console.error('Save failed:', e);
+            this.lastError = `Could not copy saves to ${backend.name}: ${e.message}`;
+            console.error('Backend switch failed:', e);
             return false;
         }
+        this.backend = backend;
+        try {
+            localStorage.setItem(this.backendKey, backend.id);
+        } catch (e) {}
+        return true;
     }
 
-    load() {
+    _get(key) {
+        return this._store.has(key) ? this._store.get(key) : null;
+    }
+
+    // Memory is updated immediately; the returned promise settles when the backend has it
+    _set(key, value) {
+        this._store.set(key, value);
+        return this.backend.write(key, value);
+    }
+
+    _remove(key) {
+        this._store.delete(key);
+        return this.backend.remove(key).catch(e => console.error('Save remove failed:', e));
+    }
+
+    _reportWriteError(e) {
+        console.error('Save write failed:', e);
+        const ui = this.game.systems && this.game.systems.ui;
+        if (ui) ui.showMissionText('Save could not be written to storage', 3);
+    }
+
+    // Move a pre-slots save into slot 0 so existing playthroughs survive
+    _migrateLegacySave() {
         try {
-            const raw = localStorage.getItem(this.saveKey);
-            if (!raw) return false;
-
-            const data = JSON.parse(raw);
-            const player = this.game.systems.player;
-            const missions = this.game.systems.missions;
-
-            // Restore player
-            if (data.player) {
-                player.position.set(data.player.position.x, data.player.position.y, data.player.position.z);
-                player.model.position.copy(player.position);
-                player.health = data.player.health;
-                player.armor = data.player.armor;
-                player.cash = data.player.cash;
-                player.weapons = data.player.weapons.map(w => ({
-                    ...w,
-                    ammo: w.ammo === null ? Infinity : w.ammo,
-                    clipSize: w.clipSize === null ? Infinity : w.clipSize
-                }));
-                player.currentWeaponIndex = data.player.currentWeaponIndex;
-
-                // Restore appearance
-                if (data.player.appearance) {
-                    player.appearance = { ...player.appearance, ...data.player.appearance };
-                    player.applyAppearance();
-                }
+            const legacy = this._get(this.saveKey);
+            if (!legacy) return;
+            const meta = this._readMeta();
+            if (!meta[0]) {
+                const data = JSON.parse(legacy);
+                const total = this.game.systems.missions.missionDefs.length || 1; // Loaded before save.init
+                this._set(this._slotKey(0), legacy).catch(e => this._reportWriteError(e));
+                meta[0] = {
+                    name: 'Slot 1',
+                    timestamp: data.timestamp || Date.now(),
+                    playtime: (data.stats && data.stats.playtime) || 0,
+                    district: '',
+                    progress: data.missions ? Math.round(data.missions.completedMissions.length / total * 100) : 0,
+                    thumbnail: null
+                };
+                this._writeMeta(meta).catch(e => this._reportWriteError(e));
             }
+            this._remove(this.saveKey);
+        } catch (e) {
+            console.warn('Legacy save migration failed:', e);
+        }
+    }
 
-            // Restore missions
-            if (data.missions) {
-                missions.completedMissions = new Set(data.missions.completedMissions);
-                missions.currentMission = data.missions.currentMission;
-                missions.refreshMarkers();
+    _slotKey(slot) {
+        return this.slotPrefix + slot;
+    }
+
+    _readMeta() {
+        try {
+            const raw = this._get(this.metaKey);
+            return raw ? JSON.parse(raw) : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    _writeMeta(meta) {
+        return this._set(this.metaKey, JSON.stringify(meta));
+    }
+
+    hasSave() {
+        return this.listSlots().some(s => !s.empty);
+    }
+
+    // Metadata for every slot, empty slots included: [{ slot, empty, name, timestamp, ... }]
+    listSlots() {
+        const meta = this._readMeta();
+        const slots = [];
+        for (let i = 0; i < this.slotCount; i++) {
+            if (meta[i]) {
+                slots.push({ slot: i, empty: false, ...meta[i] });
+            } else {
+                slots.push({ slot: i, empty: true, name: `Slot ${i + 1}` });
             }
+        }
+        return slots;
+    }
 
-            // Restore time
-            if (data.timeOfDay !== undefined) {
-                this.game.timeOfDay = data.timeOfDay;
+    // Most recently written slot, or -1 when there are no saves
+    getMostRecentSlot() {
+        let best = -1;
+        let bestTime = -Infinity;
+        for (const s of this.listSlots()) {
+            if (!s.empty && s.timestamp > bestTime) {
+                best = s.slot;
+                bestTime = s.timestamp;
             }
+        }
+        return best;
+    }
+
+    // First empty slot for a fresh playthrough, or -1 when every slot is in use
+    getFreeSlot() {
+        const empty = this.listSlots().find(s => s.empty);
+        return empty ? empty.slot : -1;
+    }
+
+    // Slot browser entry for a current-version save
+    _metaFor(data, name, thumbnail) {
+        const pos = data.systems.player.position;
+        const total = this.game.systems.missions.missionDefs.length || 1;
+        return {
+            name,
+            timestamp: data.timestamp,
+            playtime: data.game.stats.playtime || 0,
+            district: this.game.systems.world.getDistrictName(pos.x, pos.z),
+            progress: Math.round(data.systems.missions.completedMissions.length / total * 100),
+            thumbnail
+        };
+    }
 
-            // Restore stats
-            if (data.stats) {
-                Object.assign(this.game.stats, data.stats);
+    // Grab a small JPEG of the current frame for the slot browser
+    _captureThumbnail() {
+        try {
+            const camera = this.game.systems.camera && this.game.systems.camera.camera;
+            if (!camera) return null;
+
+            // The WebGL drawing buffer is cleared after compositing, so render a fresh frame first
+            if (this.game.composer && this.game.postProcessing.enabled) {
+                this.game.composer.render(0);
+            } else {
+                this.game.renderer.render(this.game.scene, camera);
             }
 
-            // Restore stored vehicles
-            if (data.storedVehicles) {
-                this.game.systems.vehicles.storedVehicles = data.storedVehicles;
+            const src = this.game.renderer.domElement;
+            const thumb = document.createElement('canvas');
+            thumb.width = this.thumbWidth;
+            thumb.height = this.thumbHeight;
+            const ctx = thumb.getContext('2d');
+
+            // Center-crop to 16:9
+            const srcAspect = src.width / src.height;
+            const dstAspect = this.thumbWidth / this.thumbHeight;
+            let sw = src.width, sh = src.height, sx = 0, sy = 0;
+            if (srcAspect > dstAspect) {
+                sw = src.height * dstAspect;
+                sx = (src.width - sw) / 2;
+            } else {
+                sh = src.width / dstAspect;
+                sy = (src.height - sh) / 2;
             }
+            ctx.drawImage(src, sx, sy, sw, sh, 0, 0, this.thumbWidth, this.thumbHeight);
+            return thumb.toDataURL('image/jpeg', 0.7);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    save(slot = this.activeSlot) {
+        // A replay runs on borrowed state; it's put back before anything is written
+        if (this.game.systems.replay && this.game.systems.replay.active) return false;
+
+        // No slot chosen yet (new game with every slot full): never guess which one to overwrite
+        if (slot === null) {
+            const ui = this.game.systems.ui;
+            if (ui) ui.showMissionText('Not saved - all slots are full. Save from the pause menu.', 3);
+            return false;
+        }
 
-            // Restore property ownership
-            if (data.properties) {
-                for (const saved of data.properties) {
-                    const prop = this.game.systems.interiors.properties.find(p => p.id === saved.id);
-                    if (prop) prop.owned = saved.owned;
+        try {
+            const data = {
+                version: SAVE_VERSION,
+                timestamp: Date.now(),
+                game: this.game.serialize(),
+                systems: {}
+            };
+            for (const [name, system] of Object.entries(this.game.systems)) {
+                if (typeof system.serialize === 'function') {
+                    data.systems[name] = system.serialize();
                 }
             }
 
-            // Restore S&F progress
-            if (data.sfCompleted) {
-                missions.sfCompleted = data.sfCompleted;
+            this._set(this._slotKey(slot), JSON.stringify(data)).catch(e => this._reportWriteError(e));
+
+            // Slot metadata for the browser
+            const meta = this._readMeta();
+            meta[slot] = this._metaFor(data, (meta[slot] && meta[slot].name) || `Slot ${slot + 1}`, this._captureThumbnail());
+            this._writeMeta(meta).catch(() => {
+                // Storage quota — drop the thumbnail rather than the save
+                meta[slot].thumbnail = null;
+                return this._writeMeta(meta);
+            }).catch(e => this._reportWriteError(e));
+
+            this.activeSlot = slot;
+            return true;
+        } catch (e) {
+            console.error('Save failed:', e);
+            return false;
+        }
+    }
+
+    // Upgrade raw save data one version at a time, then check it against the schema.
+    // Throws with a player-readable message when the data can't be used.
+    migrate(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Save data is not an object');
+        }
+        let version = data.version;
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Unknown save version: ${version}`);
+        }
+        if (version > SAVE_VERSION) {
+            throw new Error(`Save is from a newer version of the game (v${version}, this build reads up to v${SAVE_VERSION})`);
+        }
+
+        let upgraded = JSON.parse(JSON.stringify(data));
+        while (version < SAVE_VERSION) {
+            const step = SAVE_MIGRATIONS[version];
+            if (!step) {
+                throw new Error(`No migration from save v${version} to v${version + 1}`);
             }
-            if (data.rampageCompleted) {
-                missions.rampageCompleted = new Set(data.rampageCompleted);
+            upgraded = step(upgraded);
+            version++;
+            upgraded.version = version;
+        }
+
+        const errors = validateSave(upgraded);
+        if (errors.length > 0) {
+            throw new Error(`Save is corrupted: ${errors.slice(0, 3).join('; ')}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ''}`);
+        }
+        return upgraded;
+    }
+
+    load(slot = this.activeSlot) {
+        this.lastError = null;
+        if (slot === null) {
+            this.lastError = 'No save slot chosen yet';
+            return false;
+        }
+        let data;
+        try {
+            const raw = this._get(this._slotKey(slot));
+            if (!raw) {
+                this.lastError = `Slot ${slot + 1} is empty`;
+                return false;
             }
+            data = this.migrate(JSON.parse(raw));
+        } catch (e) {
+            this.lastError = e instanceof SyntaxError ? 'Save file is unreadable (invalid JSON)' : e.message;
+            console.error('Load failed:', e);
+            return false;
+        }
 
+        try {
+            this._apply(data);
+            this.activeSlot = slot;
             return true;
         } catch (e) {
+            this.lastError = 'Save could not be applied: ' + e.message;
             console.error('Load failed:', e);
             return false;
         }
     }
 
-    clear() {
+    // Restore game state from migrated, validated save data
+    _apply(data) {
+        this.game.deserialize(data.game);
+        for (const [name, system] of Object.entries(this.game.systems)) {
+            if (data.systems[name] && typeof system.deserialize === 'function') {
+                system.deserialize(data.systems[name]);
+            }
+        }
+    }
+
+    // --- Export / import ---
+    // File shape: { format, exportedAt, checksum, meta, data }. checksum is FNV-1a of the
+    // JSON-encoded data and is optional on import; the data is schema-checked either way.
+
+    exportSlot(slot) {
+        this.lastError = null;
+        const raw = this._get(this._slotKey(slot));
+        if (!raw) {
+            this.lastError = `Slot ${slot + 1} is empty`;
+            return null;
+        }
+        const data = JSON.parse(raw);
+        const meta = this._readMeta()[slot] || {};
+        return {
+            format: this.exportFormat,
+            exportedAt: Date.now(),
+            checksum: _checksum(JSON.stringify(data)),
+            meta: { name: meta.name, thumbnail: meta.thumbnail },
+            data
+        };
+    }
+
+    // Download a slot as a .json file. Returns false (see lastError) for an empty slot.
+    downloadSlot(slot) {
+        const file = this.exportSlot(slot);
+        if (!file) return false;
+        const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `san-claudio-slot${slot + 1}-${new Date(file.data.timestamp).toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        return true;
+    }
+
+    // Check an export file (or a bare save) without touching any slot.
+    // Returns { data, meta } with data migrated to the current version; throws with a readable message.
+    parseImport(text) {
+        let file;
         try {
-            localStorage.removeItem(this.saveKey);
-        } catch (e) {}
+            file = JSON.parse(text);
+        } catch (e) {
+            throw new Error('File is not valid JSON');
+        }
+        if (!file || typeof file !== 'object') {
+            throw new Error('File is not a San Claudio save');
+        }
+
+        let data = file;
+        let meta = {};
+        if (file.format !== undefined) {
+            if (file.format !== this.exportFormat || !file.data) {
+                throw new Error('File is not a San Claudio save');
+            }
+            if (file.checksum && _checksum(JSON.stringify(file.data)) !== file.checksum) {
+                throw new Error('Checksum mismatch — the file was modified or is incomplete');
+            }
+            data = file.data;
+            meta = file.meta || {};
+        }
+
+        return { data: this.migrate(data), meta };
+    }
+
+    // Write a parsed import into a slot (overwriting it). Load it with load(slot).
+    importToSlot(slot, imported) {
+        const { data, meta } = imported;
+        const thumbnail = typeof meta.thumbnail === 'string' && /^data:image\/(jpeg|png);base64,[A-Za-z0-9+/=]+$/.test(meta.thumbnail)
+            ? meta.thumbnail : null;
+        const slotMeta = this._metaFor(data, _plainText(meta.name, 32) || `Slot ${slot + 1}`, thumbnail);
+
+        const all = this._readMeta();
+        all[slot] = slotMeta;
+        this._set(this._slotKey(slot), JSON.stringify(data)).catch(e => this._reportWriteError(e));
+        this._writeMeta(all).catch(e => this._reportWriteError(e));
+    }
+
+    deleteSlot(slot) {
+        this._remove(this._slotKey(slot));
+        const meta = this._readMeta();
+        delete meta[slot];
+        this._writeMeta(meta).catch(e => this._reportWriteError(e));
+    }
+
+    // Wipe every slot. Resolves once the backend has caught up.
+    clear() {
+        const keys = [...this._store.keys()];
+        return Promise.all(keys.map(key => this._remove(key)));
     }
 }
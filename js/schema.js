@@ -0,0 +1,40 @@
+// San Claudio - Schema Validation
+// Minimal JSON shape checker shared by save files and mission content.
+// Schema nodes: { type, required, properties, items, enum }. `type` is a name or list of
+// names from: object, array, string, number, boolean, null.
+
+function _typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function _validateNode(value, schema, path, errors) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = _typeOf(value);
+    if (!allowed.includes(actual)) {
+        errors.push(`${path} should be ${allowed.join(' or ')}, got ${actual}`);
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} should be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+        return;
+    }
+    if (actual === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${path}.${key} is missing`);
+        }
+        for (const [key, child] of Object.entries(schema.properties || {})) {
+            if (key in value) _validateNode(value[key], child, `${path}.${key}`, errors);
+        }
+    } else if (actual === 'array' && schema.items) {
+        value.forEach((item, i) => _validateNode(item, schema.items, `${path}[${i}]`, errors));
+    }
+}
+
+// Returns a list of human-readable problems, each prefixed with `path`; empty when valid
+export function validate(data, schema, path) {
+    const errors = [];
+    _validateNode(data, schema, path, errors);
+    return errors;
+}
@@ -0,0 +1,183 @@
+// San Claudio - Sidewalk Graph
+// Where pedestrians can walk: both sidewalks of every block of road on land, joined at each
+// corner, with the crosswalks _generateCrosswalks paints as the only way across a road.
+// The diagonal boulevards have no sidewalks of their own; they're crossed wherever the grid's
+// sidewalks meet them, as the traffic on them watches for people in the road anyway.
+// Also knows the places worth walking to (shops, bus stops, benches) and finds walking
+// routes between them (A*, shared with the road graph).
+
+import { searchGraph } from './roadgraph.js';
+
+const LAND_EDGE = 350;          // Outermost road line on land; past it is beach and water
+const SIDEWALK_OFFSET = 1.5;    // Walking line, metres beyond the road edge
+export const CROSSWALK_OFFSET = 4.25; // Crossing line, metres beyond the road edge: the middle of the painted stripes
+const CROSSING_PENALTY = 10;    // Extra metres a crossing costs, so routes don't zigzag across the street
+const MAX_APPROACH = 30;        // Destinations further than this from any sidewalk are left out
+const GRID_CELL = 25;           // Metres per cell of the grid nearestNode looks nodes up in
+
+export class SidewalkGraph {
+    constructor(world) {
+        this.world = world;
+        this.nodes = [];        // { id, x, z, out: [edge] }
+        this.edges = [];        // { from, to, length, crossing }; crossing: null or { walkAxis, hasLight }
+        this.destinations = []; // { type, x, z, node, stand: { x, z } }
+        this._nodeIndex = new Map(); // "x,z" -> node, or null where the spot isn't walkable
+        this._grid = new Map();      // "cx,cz" -> nodes in that GRID_CELL square
+        this._gridBounds = { minX: 0, maxX: 0, minZ: 0, maxZ: 0 }; // In cells
+    }
+
+    build() {
+        const block = this.world.blockSize;
+        const roadHalf = this.world.roadWidth / 2;
+        const side = roadHalf + SIDEWALK_OFFSET;
+        const cross = roadHalf + CROSSWALK_OFFSET;
+        const lit = new Set((this.world.trafficLights || []).map(l => `${l.intersectionX},${l.intersectionZ}`));
+
+        for (let x = -LAND_EDGE; x <= LAND_EDGE; x += block) {
+            for (let z = -LAND_EDGE; z <= LAND_EDGE; z += block) {
+                const hasLight = lit.has(`${x},${z}`);
+                for (const s of [-1, 1]) {
+                    // Crosswalks over the road running along Z (walking along X), then the one along X
+                    this._link(this._addNode(x - side, z + s * cross), this._addNode(x + side, z + s * cross), { walkAxis: 0, hasLight });
+                    this._link(this._addNode(x + s * cross, z - side), this._addNode(x + s * cross, z + side), { walkAxis: 1, hasLight });
+
+                    for (const t of [-1, 1]) {
+                        // Round each corner, from the end of one crosswalk to the end of the other
+                        const corner = this._addNode(x + s * side, z + t * side);
+                        this._link(corner, this._addNode(x + s * side, z + t * cross));
+                        this._link(corner, this._addNode(x + s * cross, z + t * side));
+                    }
+
+                    // Along the block to the next intersection east and south
+                    if (x + block <= LAND_EDGE) {
+                        this._link(this._addNode(x + cross, z + s * side), this._addNode(x + block - cross, z + s * side));
+                    }
+                    if (z + block <= LAND_EDGE) {
+                        this._link(this._addNode(x + s * side, z + cross), this._addNode(x + s * side, z + block - cross));
+                    }
+                }
+            }
+        }
+
+        this._addDestinations('shop', this.world.shopFronts);
+        this._addDestinations('bus_stop', this.world.busStops);
+        this._addDestinations('bench', this.world.benches);
+    }
+
+    // Looks in rings of grid cells round the point, stopping once no further ring could hold
+    // anything closer than the best so far
+    nearestNode(x, z) {
+        const cx = Math.floor(x / GRID_CELL);
+        const cz = Math.floor(z / GRID_CELL);
+        const bounds = this._gridBounds;
+        const maxRing = Math.max(cx - bounds.minX, bounds.maxX - cx, cz - bounds.minZ, bounds.maxZ - cz);
+        let best = null;
+        let bestDist = Infinity;
+        for (let ring = 0; ring <= maxRing; ring++) {
+            const gap = (ring - 1) * GRID_CELL;
+            if (best && gap > 0 && gap * gap > bestDist) break;
+            for (let i = cx - ring; i <= cx + ring; i++) {
+                for (let j = cz - ring; j <= cz + ring; j++) {
+                    if (Math.abs(i - cx) !== ring && Math.abs(j - cz) !== ring) continue; // Inner rings done already
+                    const cell = this._grid.get(`${i},${j}`);
+                    if (!cell) continue;
+                    for (const node of cell) {
+                        const d = (node.x - x) ** 2 + (node.z - z) ** 2;
+                        if (d < bestDist) {
+                            bestDist = d;
+                            best = node;
+                        }
+                    }
+                }
+            }
+        }
+        return best;
+    }
+
+    // Walking route from a point to a destination's node: the points to walk to in turn, each
+    // with the crossing it takes to get there (null along a sidewalk). The first is the node
+    // nearest `from`. Null if no sidewalk connects them.
+    findPath(from, dest) {
+        const start = this.nearestNode(from.x, from.z);
+        if (!start) return null;
+        const found = searchGraph(
+            new Map([[start, 0]]),
+            new Map([[dest.node, 0]]),
+            node => Math.hypot(node.x - dest.node.x, node.z - dest.node.z),
+            edge => edge.length + (edge.crossing ? CROSSING_PENALTY : 0)
+        );
+        if (!found) return null;
+
+        const steps = [{ x: start.x, z: start.z, crossing: null }];
+        const nodes = found.nodes.reverse();
+        for (let i = 1; i < nodes.length; i++) {
+            const edge = nodes[i - 1].out.find(e => e.to === nodes[i]);
+            steps.push({ x: nodes[i].x, z: nodes[i].z, crossing: edge.crossing });
+        }
+        return steps;
+    }
+
+    // The spot's node, or null if it's in the water or inside something
+    _addNode(x, z) {
+        const key = `${x},${z}`;
+        if (this._nodeIndex.has(key)) return this._nodeIndex.get(key);
+
+        let node = null;
+        if (!this.world.isInWater(x, z) && !this.world.checkCollision(x, z, 0.4)) {
+            node = { id: this.nodes.length, x, z, out: [] };
+            this.nodes.push(node);
+            this._addToGrid(node);
+        }
+        this._nodeIndex.set(key, node);
+        return node;
+    }
+
+    _addToGrid(node) {
+        const cx = Math.floor(node.x / GRID_CELL);
+        const cz = Math.floor(node.z / GRID_CELL);
+        const key = `${cx},${cz}`;
+        if (!this._grid.has(key)) this._grid.set(key, []);
+        this._grid.get(key).push(node);
+
+        const bounds = this._gridBounds;
+        if (this.nodes.length === 1) {
+            bounds.minX = bounds.maxX = cx;
+            bounds.minZ = bounds.maxZ = cz;
+        } else {
+            bounds.minX = Math.min(bounds.minX, cx);
+            bounds.maxX = Math.max(bounds.maxX, cx);
+            bounds.minZ = Math.min(bounds.minZ, cz);
+            bounds.maxZ = Math.max(bounds.maxZ, cz);
+        }
+    }
+
+    // Two-way path between two nodes, unless either is missing or something stands in the way
+    _link(a, b, crossing = null) {
+        if (!a || !b) return;
+        const length = Math.hypot(b.x - a.x, b.z - a.z);
+        const samples = Math.ceil(length / 5);
+        for (let i = 1; i < samples; i++) {
+            const t = i / samples;
+            if (this.world.checkCollision(a.x + (b.x - a.x) * t, a.z + (b.z - a.z) * t, 0.4)) return;
+        }
+        for (const [from, to] of [[a, b], [b, a]]) {
+            const edge = { from, to, length, crossing };
+            this.edges.push(edge);
+            from.out.push(edge);
+        }
+    }
+
+    // Pedestrians walk the graph to the node nearest a place, then straight to it; except
+    // where the place itself is on the road (bus shelters at the corners), where they wait
+    // at the node instead
+    _addDestinations(type, places = []) {
+        for (const place of places) {
+            const node = this.nearestNode(place.x, place.z);
+            if (!node || Math.hypot(node.x - place.x, node.z - place.z) > MAX_APPROACH) continue;
+            const onRoad = this.world.isOnRoad(place.x) || this.world.isOnRoad(place.z);
+            if (!onRoad && this.world.checkCollision(place.x, place.z, 0.4)) continue; // Landed inside a building
+            const stand = onRoad ? { x: node.x, z: node.z } : { x: place.x, z: place.z };
+            this.destinations.push({ type, x: place.x, z: place.z, node, stand });
+        }
+    }
+}
@@ -0,0 +1,114 @@
+// San Claudio - Save Storage Backends
+// Where SaveManager persists its key/value strings. SaveManager keeps everything in memory
+// and writes through, so a backend only needs these async methods:
+//   readAll(prefix)    -> { key: value } for every stored key starting with prefix
+//   write(key, value)  -> resolves once stored, rejects on failure (e.g. quota)
+//   remove(key)
+// plus `id`, `name` and isAvailable(). A remote backend can implement the same shape
+// and be passed to SaveManager.setBackend().
+
+export class LocalStorageBackend {
+    constructor() {
+        this.id = 'localstorage';
+        this.name = 'Local Storage';
+    }
+
+    isAvailable() {
+        try {
+            return typeof localStorage !== 'undefined';
+        } catch (e) {
+            return false; // Access throws when storage is blocked
+        }
+    }
+
+    async readAll(prefix) {
+        const entries = {};
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(prefix)) {
+                entries[key] = localStorage.getItem(key);
+            }
+        }
+        return entries;
+    }
+
+    async write(key, value) {
+        localStorage.setItem(key, value);
+    }
+
+    async remove(key) {
+        localStorage.removeItem(key);
+    }
+}
+
+export class IndexedDBBackend {
+    constructor(dbName = 'san-claudio', storeName = 'saves') {
+        this.id = 'indexeddb';
+        this.name = 'IndexedDB';
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this._db = null;
+    }
+
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    _open() {
+        if (this._db) return this._db;
+        this._db = new Promise((resolve, reject) => {
+            const req = indexedDB.open(this.dbName, 1);
+            req.onupgradeneeded = () => {
+                req.result.createObjectStore(this.storeName);
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        // Let a later call retry if opening failed
+        this._db.catch(() => { this._db = null; });
+        return this._db;
+    }
+
+    // Run one request in its own transaction and resolve with its result
+    async _request(mode, makeRequest) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const req = makeRequest(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(req.result);
+            tx.onerror = () => reject(tx.error || req.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    async readAll(prefix) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const entries = {};
+            const tx = db.transaction(this.storeName, 'readonly');
+            const req = tx.objectStore(this.storeName).openCursor(IDBKeyRange.bound(prefix, prefix + '\uffff'));
+            req.onsuccess = () => {
+                const cursor = req.result;
+                if (!cursor) return;
+                entries[cursor.key] = cursor.value;
+                cursor.continue();
+            };
+            tx.oncomplete = () => resolve(entries);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async write(key, value) {
+        await this._request('readwrite', store => store.put(value, key));
+    }
+
+    async remove(key) {
+        await this._request('readwrite', store => store.delete(key));
+    }
+}
+
+// Backends selectable by id (SaveManager remembers the player's choice)
+export const SAVE_BACKENDS = {
+    localstorage: LocalStorageBackend,
+    indexeddb: IndexedDBBackend
+};
@@ -1,6 +1,15 @@
 // San Claudio - UI Manager
 // HUD updates, minimap, full map, menus
 
+import { MEDALS } from './replay.js';
+import { ACHIEVEMENTS } from './achievements.js';
+import { COMPLETION_CATEGORIES } from './completion.js';
+
+const GPS_COLOR = '#c860ff';
+const GPS_RECHECK = 0.5;       // Seconds between off-route checks
+const GPS_OFF_ROUTE = 20;      // Metres from the route before it's worked out again
+const GPS_TARGET_MOVED = 10;   // Metres a waypoint can move before the route follows it
+
 export class UIManager {
     constructor(game) {
         this.game = game;
@@ -13,8 +22,11 @@ export class UIManager {
         this.missionTextTimer = 0;
         this.missionTextEl = null;
 
-        // Waypoint
+        // Waypoint, and the GPS route to it by road (see updateGPS)
         this.waypoint = null;
+        this.gpsRoute = null; // { points, target }
+        this._gpsRecheck = 0;
+        this._gpsFailed = null; // Waypoint no route was found to, so it isn't retried every frame
 
         // Weapon wheel
         this.weaponWheelOpen = false;
@@ -31,6 +43,10 @@ export class UIManager {
         this.mapDragStartZ = 0;
         this.mapPanStartX = 0;
         this.mapPanStartZ = 0;
+
+        // Achievement toasts waiting their turn
+        this.achievementQueue = [];
+        this.achievementToastActive = false;
     }
 
     init() {
@@ -136,6 +152,7 @@ export class UIManager {
         this.updateMinimap();
         this.updateMissionText(dt);
         this.checkWaypoint();
+        this.updateGPS(dt);
         this.updateDistrictDisplay(dt);
         this.updateBreathMeter();
     }
@@ -337,9 +354,25 @@ export class UIManager {
         // Draw POI icons
         this._drawMinimapPOIs(ctx, player, scale);
 
-        // Draw police (blue dots)
+        // Draw police view cones (red while they can see you), then the units as blue dots
+        const wanted = this.game.systems.wanted;
+        const policeUnits = wanted.policeUnits;
+        for (const unit of policeUnits) {
+            if (!unit.mesh || !unit.alive) continue;
+            const px = (unit.mesh.position.x - player.position.x) * scale;
+            const pz = (unit.mesh.position.z - player.position.z) * scale;
+            if (Math.abs(px) < 100 && Math.abs(pz) < 100) {
+                const cone = wanted.sightCone(unit);
+                const dir = Math.PI / 2 - cone.heading; // Yaw 0 looks down +Z, which is down the map
+                ctx.fillStyle = unit.canSee ? 'rgba(255, 60, 60, 0.3)' : 'rgba(70, 140, 255, 0.18)';
+                ctx.beginPath();
+                ctx.moveTo(px, pz);
+                ctx.arc(px, pz, cone.range * scale, dir - cone.halfAngle, dir + cone.halfAngle);
+                ctx.closePath();
+                ctx.fill();
+            }
+        }
         ctx.fillStyle = '#4488ff';
-        const policeUnits = this.game.systems.wanted.policeUnits;
         for (const unit of policeUnits) {
             if (!unit.mesh || !unit.alive) continue;
             const px = (unit.mesh.position.x - player.position.x) * scale;
@@ -351,13 +384,32 @@ export class UIManager {
             }
         }
 
-        // Draw wanted radius
-        if (this.game.systems.wanted.level > 0) {
-            const radius = this.game.systems.wanted.wantedRadius[this.game.systems.wanted.level] * scale;
-            ctx.strokeStyle = 'rgba(255, 50, 50, 0.3)';
+        // Draw the search area round your last known position once they've lost you
+        const searchArea = wanted.searchArea();
+        if (searchArea) {
+            ctx.strokeStyle = 'rgba(255, 50, 50, 0.4)';
             ctx.lineWidth = 1;
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.arc(
+                (searchArea.center.x - player.position.x) * scale,
+                (searchArea.center.z - player.position.z) * scale,
+                searchArea.radius * scale, 0, Math.PI * 2
+            );
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // GPS route
+        if (this.gpsRoute) {
+            ctx.strokeStyle = GPS_COLOR;
+            ctx.lineWidth = 3;
+            ctx.lineJoin = 'round';
             ctx.beginPath();
-            ctx.arc(0, 0, Math.min(radius, 100), 0, Math.PI * 2);
+            ctx.moveTo(0, 0);
+            for (const p of this.gpsRoute.points) {
+                ctx.lineTo((p.x - player.position.x) * scale, (p.z - player.position.z) * scale);
+            }
             ctx.stroke();
         }
 
@@ -446,6 +498,22 @@ export class UIManager {
             }
         }
 
+        // Police stations (blue badge)
+        if (wanted && wanted.policeStations) {
+            for (const station of wanted.policeStations) {
+                const px = (station.x - player.position.x) * scale;
+                const pz = (station.z - player.position.z) * scale;
+                if (Math.abs(px) > 95 || Math.abs(pz) > 95) continue;
+                ctx.fillStyle = '#2255cc';
+                ctx.fillRect(px - iconSize, pz - iconSize, iconSize * 2, iconSize * 2);
+                ctx.fillStyle = '#ffffff';
+                ctx.font = 'bold 9px Arial';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText('P', px, pz);
+            }
+        }
+
         // Garage (wrench icon = 'G' letter)
         const vehicles = this.game.systems.vehicles;
         if (vehicles && vehicles.garagePos) {
@@ -631,9 +699,9 @@ export class UIManager {
         if (missions && missions.missionDefs) {
             ctx.fillStyle = '#ffaa00';
             for (const m of missions.missionDefs) {
-                if (missions.completedMissions.has(m.id) || !m.markerPos) continue;
+                if (missions.completedMissions.has(m.id)) continue;
                 ctx.save();
-                ctx.translate(m.markerPos.x, m.markerPos.z);
+                ctx.translate(m.trigger.marker.x, m.trigger.marker.z);
                 ctx.rotate(Math.PI / 4);
                 const ds = 4 / zoom;
                 ctx.fillRect(-ds, -ds, ds * 2, ds * 2);
@@ -643,6 +711,7 @@ export class UIManager {
 
         // POI Icons on full map
         this._drawFullMapPOIs(ctx, zoom);
+        this._drawCompletionMarkers(ctx, zoom);
 
         // District labels (drawn on top of buildings/roads for visibility)
         for (const [key, d] of Object.entries(districts)) {
@@ -716,12 +785,19 @@ export class UIManager {
             ctx.lineWidth = 2 / zoom;
             ctx.stroke();
 
-            // Line from player to waypoint
+            // Route by road, or a straight line where there's no road to follow
             ctx.beginPath();
-            ctx.setLineDash([4 / zoom, 4 / zoom]);
-            ctx.strokeStyle = 'rgba(255, 68, 68, 0.5)';
             ctx.moveTo(player.position.x, player.position.z);
-            ctx.lineTo(this.waypoint.x, this.waypoint.z);
+            if (this.gpsRoute) {
+                ctx.strokeStyle = GPS_COLOR;
+                ctx.lineWidth = 3 / zoom;
+                ctx.lineJoin = 'round';
+                for (const p of this.gpsRoute.points) ctx.lineTo(p.x, p.z);
+            } else {
+                ctx.setLineDash([4 / zoom, 4 / zoom]);
+                ctx.strokeStyle = 'rgba(255, 68, 68, 0.5)';
+                ctx.lineTo(this.waypoint.x, this.waypoint.z);
+            }
             ctx.stroke();
             ctx.setLineDash([]);
         }
@@ -730,6 +806,7 @@ export class UIManager {
     }
 
     updateFullMap() {
+        this.updateGPS(this.game.deltaTime);
         this.drawFullMap();
     }
 
@@ -788,6 +865,27 @@ export class UIManager {
             }
         }
 
+        // Police stations — blue badge
+        if (wanted && wanted.policeStations) {
+            for (const station of wanted.policeStations) {
+                ctx.save();
+                ctx.translate(station.x, station.z);
+                ctx.scale(iconScale, iconScale);
+                ctx.fillStyle = '#2255cc';
+                ctx.fillRect(-7, -7, 14, 14);
+                ctx.fillStyle = '#ffffff';
+                ctx.font = 'bold 11px Arial';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText('P', 0, 1);
+                ctx.textBaseline = 'alphabetic';
+                ctx.fillStyle = '#6699ff';
+                ctx.font = 'bold 10px Arial';
+                ctx.fillText('Police', 0, -12);
+                ctx.restore();
+            }
+        }
+
         // Garage — blue G icon
         const vehicles = this.game.systems.vehicles;
         if (vehicles && vehicles.garagePos) {
@@ -811,6 +909,37 @@ export class UIManager {
         }
     }
 
+    // Whatever's left to do in each completion category the story has opened up so far
+    _drawCompletionMarkers(ctx, zoom) {
+        const completion = this.game.systems.completion;
+        const shown = COMPLETION_CATEGORIES.filter(c => c.mapIcon && completion.isUnlocked(c));
+        if (shown.length === 0) return;
+
+        const byId = Object.fromEntries(shown.map(c => [c.id, c]));
+        const iconScale = 1 / zoom;
+        for (const item of completion.getItems()) {
+            const category = byId[item.category];
+            if (!category || item.done) continue;
+            ctx.save();
+            ctx.translate(item.pos.x, item.pos.z);
+            ctx.scale(iconScale, iconScale);
+            ctx.fillStyle = 'rgba(0,0,0,0.6)';
+            ctx.beginPath();
+            ctx.arc(0, 0, 6, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.strokeStyle = category.color;
+            ctx.fillStyle = category.color;
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+            ctx.font = 'bold 9px Arial';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(category.mapIcon, 0, 1);
+            ctx.textBaseline = 'alphabetic';
+            ctx.restore();
+        }
+    }
+
     hexToRGB(hex) {
         const r = (hex >> 16) & 255;
         const g = (hex >> 8) & 255;
@@ -889,21 +1018,103 @@ export class UIManager {
         }
     }
 
+    // Keeps gpsRoute leading from the player to whatever set the waypoint: a map click, a
+    // mission objective, a taxi fare. The route is worked out again when the waypoint moves
+    // (a moving target) or the player strays from it, and shortened as it's driven.
+    updateGPS(dt) {
+        if (!this.waypoint) {
+            this.gpsRoute = null;
+            this._gpsFailed = null;
+            return;
+        }
+        const pos = this.game.systems.player.position;
+        const route = this.gpsRoute;
+        this._gpsRecheck -= dt;
+
+        // Unreachable last time: try again after a while, or as soon as the waypoint moves
+        const failed = this._gpsFailed;
+        if (!route && failed && this._gpsRecheck > 0 &&
+            Math.hypot(failed.x - this.waypoint.x, failed.z - this.waypoint.z) <= GPS_TARGET_MOVED) {
+            return;
+        }
+
+        const stale = !route || Math.hypot(route.target.x - this.waypoint.x, route.target.z - this.waypoint.z) > GPS_TARGET_MOVED;
+        if (stale || (this._gpsRecheck <= 0 && this._distanceToRoute(pos, route.points) > GPS_OFF_ROUTE)) {
+            this._planRoute(pos);
+            return;
+        }
+        if (this._gpsRecheck <= 0) this._gpsRecheck = GPS_RECHECK;
+
+        // Drop the points already passed: anything before the leg nearest the player
+        let nearest = 0;
+        let nearestDist = Infinity;
+        for (let i = 0; i < Math.min(route.points.length - 1, 4); i++) {
+            const d = this._distanceToSegment(pos, route.points[i], route.points[i + 1]);
+            if (d < nearestDist) {
+                nearestDist = d;
+                nearest = i;
+            }
+        }
+        if (nearest > 0) route.points.splice(0, nearest);
+    }
+
+    _planRoute(pos) {
+        const target = { x: this.waypoint.x, z: this.waypoint.z };
+        const found = this.game.systems.world.roadGraph.findRoute(pos, target);
+        this.gpsRoute = found ? { points: [...found.points, target], target } : null;
+        this._gpsFailed = found ? null : target;
+        this._gpsRecheck = GPS_RECHECK;
+    }
+
+    _distanceToRoute(pos, points) {
+        let best = Infinity;
+        for (let i = 0; i < points.length - 1; i++) {
+            best = Math.min(best, this._distanceToSegment(pos, points[i], points[i + 1]));
+        }
+        return best;
+    }
+
+    _distanceToSegment(pos, a, b) {
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const lenSq = dx * dx + dz * dz;
+        const t = lenSq > 0 ? Math.max(0, Math.min(1, ((pos.x - a.x) * dx + (pos.z - a.z) * dz) / lenSq)) : 0;
+        return Math.hypot(pos.x - (a.x + dx * t), pos.z - (a.z + dz * t));
+    }
+
     handleMenuAction(action) {
+        // Progress made during a replay is thrown away, so don't let it touch the slots
+        if (['save', 'load', 'import'].includes(action) && this.game.systems.replay.active) {
+            this.showMissionText('Not available during a replay', 2);
+            return;
+        }
+
         switch (action) {
             case 'resume':
                 this.game.setState('playing');
                 document.getElementById('pause-menu').style.display = 'none';
                 break;
             case 'save':
-                this.game.systems.save.save();
-                this.showMissionText('Game Saved', 2);
+                document.getElementById('pause-menu').style.display = 'none';
+                this.showSlotBrowser('save');
                 break;
             case 'load':
-                this.game.systems.save.load();
-                this.game.setState('playing');
                 document.getElementById('pause-menu').style.display = 'none';
-                this.showMissionText('Game Loaded', 2);
+                this.showSlotBrowser('load');
+                break;
+            case 'export':
+                document.getElementById('pause-menu').style.display = 'none';
+                this.showSlotBrowser('export');
+                break;
+            case 'import':
+                this.pickImportFile((imported) => {
+                    document.getElementById('pause-menu').style.display = 'none';
+                    this.showSlotBrowser('import', imported);
+                });
+                break;
+            case 'replay':
+                document.getElementById('pause-menu').style.display = 'none';
+                this.showReplayMenu();
                 break;
             case 'controls':
                 document.getElementById('pause-menu').style.display = 'none';
@@ -913,20 +1124,425 @@ export class UIManager {
                 document.getElementById('pause-menu').style.display = 'none';
                 this.showStats();
                 break;
+            case 'achievements':
+                document.getElementById('pause-menu').style.display = 'none';
+                this.showAchievements();
+                break;
+            case 'completion':
+                document.getElementById('pause-menu').style.display = 'none';
+                this.showCompletion();
+                break;
             case 'credits':
                 document.getElementById('pause-menu').style.display = 'none';
                 this.game.setState('playing');
                 this.showCredits();
                 break;
             case 'newgame':
-                this.showConfirm('Are you sure? All progress will be lost.', () => {
-                    this.game.systems.save.clear();
+                this.showConfirm('Start a new game? Unsaved progress will be lost.', () => {
                     location.reload();
                 });
                 break;
         }
     }
 
+    // Ask for a save file, validate it, and hand the parsed result to onReady
+    pickImportFile(onReady) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+            try {
+                onReady(this.game.systems.save.parseImport(await file.text()));
+            } catch (e) {
+                this.showMissionText('Import Failed: ' + e.message, 4);
+            }
+        });
+        input.click();
+    }
+
+    // --- Save Slot Browser ---
+    // mode: 'save' (write/overwrite a slot), 'load' (restore an occupied slot),
+    // 'export' (download an occupied slot) or 'import' (write `imported` from parseImport into a slot)
+    showSlotBrowser(mode, imported = null) {
+        const save = this.game.systems.save;
+        const el = document.getElementById('save-slots');
+        const listEl = document.getElementById('save-slots-list');
+        const titles = { save: 'SAVE GAME', load: 'LOAD GAME', export: 'EXPORT SAVE', import: 'IMPORT TO SLOT' };
+        document.getElementById('save-slots-title').textContent = titles[mode];
+
+        const formatTime = (secs) => {
+            const h = Math.floor(secs / 3600);
+            const m = Math.floor((secs % 3600) / 60);
+            return h > 0 ? `${h}h ${m}m` : `${m}m`;
+        };
+
+        listEl.innerHTML = save.listSlots().map(s => {
+            if (s.empty) {
+                return `
+                    <div class="save-slot empty" data-slot="${s.slot}">
+                        <div class="save-slot-thumb"></div>
+                        <div class="save-slot-info">
+                            <span class="save-slot-name">${s.name}</span>
+                            <span class="save-slot-detail">Empty</span>
+                        </div>
+                    </div>`;
+            }
+            const date = new Date(s.timestamp);
+            const thumb = s.thumbnail ? `<img src="${s.thumbnail}" alt="">` : '';
+            return `
+                <div class="save-slot${s.slot === save.activeSlot ? ' active' : ''}" data-slot="${s.slot}">
+                    <div class="save-slot-thumb">${thumb}</div>
+                    <div class="save-slot-info">
+                        <span class="save-slot-name">${s.name}</span>
+                        <span class="save-slot-detail">${s.district || 'San Claudio'} &middot; ${s.progress}% story</span>
+                        <span class="save-slot-detail">${date.toLocaleDateString()} ${date.toLocaleTimeString()} &middot; ${formatTime(s.playtime)} played</span>
+                    </div>
+                    <button class="save-slot-delete" data-slot="${s.slot}" title="Delete">&times;</button>
+                </div>`;
+        }).join('');
+
+        const close = () => {
+            el.style.display = 'none';
+        };
+        const backToPause = () => {
+            close();
+            document.getElementById('pause-menu').style.display = 'flex';
+        };
+
+        listEl.querySelectorAll('.save-slot').forEach(row => {
+            row.addEventListener('click', () => {
+                const slot = parseInt(row.dataset.slot);
+                const occupied = !row.classList.contains('empty');
+
+                if (mode === 'save') {
+                    const doSave = () => {
+                        if (save.save(slot)) {
+                            this.showMissionText('Game Saved', 2);
+                        } else {
+                            this.showMissionText('Save Failed', 2);
+                        }
+                        this.showSlotBrowser('save');
+                    };
+                    if (occupied) {
+                        this.showConfirm(`Overwrite Slot ${slot + 1}?`, doSave);
+                    } else {
+                        doSave();
+                    }
+                } else if (mode === 'import') {
+                    const doImport = () => {
+                        save.importToSlot(slot, imported);
+                        this.showMissionText(`Save Imported to Slot ${slot + 1}`, 2);
+                        this.showSlotBrowser('load');
+                    };
+                    if (occupied) {
+                        this.showConfirm(`Overwrite Slot ${slot + 1} with the imported save?`, doImport);
+                    } else {
+                        doImport();
+                    }
+                } else if (mode === 'export') {
+                    if (occupied && save.downloadSlot(slot)) {
+                        this.showMissionText(`Slot ${slot + 1} Exported`, 2);
+                    }
+                } else if (occupied) {
+                    this.showConfirm(`Load Slot ${slot + 1}? Unsaved progress will be lost.`, () => {
+                        if (save.load(slot)) {
+                            close();
+                            this.game.setState('playing');
+                            this.showMissionText('Game Loaded', 2);
+                        } else {
+                            this.showMissionText('Load Failed: ' + save.lastError, 4);
+                        }
+                    });
+                }
+            });
+        });
+
+        listEl.querySelectorAll('.save-slot-delete').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const slot = parseInt(btn.dataset.slot);
+                this.showConfirm(`Delete Slot ${slot + 1}? This cannot be undone.`, () => {
+                    save.deleteSlot(slot);
+                    this.showSlotBrowser(mode);
+                });
+            });
+        });
+
+        document.getElementById('close-save-slots').onclick = backToPause;
+        el.style.display = 'flex';
+    }
+
+    // --- Mission Replay ---
+    // Finished jobs grouped by kind with their best medal; during a replay, the way out of it
+    showReplayMenu() {
+        const replay = this.game.systems.replay;
+        const el = document.getElementById('replay-menu');
+        const listEl = document.getElementById('replay-list');
+
+        const close = () => {
+            el.style.display = 'none';
+        };
+        const backToPause = () => {
+            close();
+            document.getElementById('pause-menu').style.display = 'flex';
+        };
+
+        if (replay.active) {
+            listEl.innerHTML = `<div class="replay-entry"><span>Abandon replay: ${replay.active.title}</span></div>`;
+            listEl.querySelector('.replay-entry').addEventListener('click', () => {
+                this.showConfirm('Abandon this replay? The run will not be scored.', () => {
+                    close();
+                    this.game.setState('playing');
+                    replay.abort();
+                });
+            });
+        } else {
+            const entries = replay.listReplayable();
+            let group = null;
+            listEl.innerHTML = entries.map((e, i) => {
+                const header = e.group !== group ? `<div class="replay-group">${e.group.toUpperCase()}</div>` : '';
+                group = e.group;
+                const best = replay.getResult(e.key);
+                const medal = best && MEDALS.find(m => m.id === best.medal);
+                const badge = medal
+                    ? `<span class="replay-medal" style="color:${medal.color}">${medal.name} &middot; ${best.score}</span>`
+                    : `<span class="replay-medal">${best ? best.score : 'No medal'}</span>`;
+                return `${header}
+                    <div class="replay-entry" data-index="${i}">
+                        <span>${e.title}</span>${badge}
+                    </div>`;
+            }).join('') || '<div class="replay-empty">Finished missions can be replayed here.</div>';
+
+            listEl.querySelectorAll('.replay-entry').forEach(row => {
+                row.addEventListener('click', () => {
+                    const blocked = replay.blockedReason();
+                    if (blocked) {
+                        this.showMissionText(blocked, 2);
+                        return;
+                    }
+                    close();
+                    // Back to playing first: the mission intro switches to its cutscene
+                    this.game.setState('playing');
+                    replay.start(entries[parseInt(row.dataset.index)].key);
+                });
+            });
+        }
+
+        document.getElementById('close-replay-menu').onclick = backToPause;
+        el.style.display = 'flex';
+    }
+
+    // result is null for a failed or abandoned run
+    showReplayResult(title, result, newBest) {
+        const el = document.getElementById('replay-result');
+        const medalEl = document.getElementById('replay-result-medal');
+        const statsEl = document.getElementById('replay-result-stats');
+        document.getElementById('mission-complete').style.display = 'none';
+        document.getElementById('replay-result-title').textContent = title;
+
+        if (result) {
+            const medal = MEDALS.find(m => m.id === result.medal);
+            medalEl.textContent = medal ? `${medal.name} MEDAL` : 'NO MEDAL';
+            medalEl.style.color = medal ? medal.color : '#888';
+            const mins = Math.floor(result.time / 60);
+            const secs = Math.floor(result.time % 60).toString().padStart(2, '0');
+            statsEl.innerHTML = `
+                <span style="color:#888">Time</span><span>${mins}:${secs}</span>
+                <span style="color:#888">Accuracy</span><span>${result.accuracy}%</span>
+                <span style="color:#888">Damage Taken</span><span>${result.damage}</span>
+                <span style="color:#888">Wanted Level</span><span>${result.wanted}</span>
+                <span style="color:#888">Score</span><span>${result.score}${newBest ? ' (best)' : ''}</span>`;
+        } else {
+            medalEl.textContent = 'REPLAY FAILED';
+            medalEl.style.color = '#dd4444';
+            statsEl.innerHTML = '';
+        }
+
+        el.style.display = 'flex';
+        clearTimeout(this._replayResultTimer);
+        this._replayResultTimer = setTimeout(() => {
+            el.style.display = 'none';
+        }, 6000);
+    }
+
+    // --- Heist Planning Board ---
+    // Pick an approach and a getaway vehicle; onConfirm(approachId, getawayType) or onCancel()
+    showHeistPlanner(heist, onConfirm, onCancel) {
+        const el = document.getElementById('heist-planner');
+        const vehicleTypes = this.game.systems.vehicles.vehicleTypes;
+        let approachId = null;
+        let getawayType = null;
+
+        document.getElementById('heist-crew').innerHTML = heist.crew.map(c =>
+            `<div class="heist-crew-member"><span>${c.name}</span><span class="heist-dim">${c.role}</span></div>`
+        ).join('');
+
+        document.getElementById('heist-approaches').innerHTML = Object.entries(heist.approaches).map(([id, a]) => {
+            const cut = a.reward && a.reward.cash ? `$${a.reward.cash.toLocaleString()}` : '';
+            return `<div class="heist-card" data-approach="${id}">
+                <div class="heist-card-title">${a.title}</div>
+                <div class="heist-card-text">${a.description}</div>
+                <div class="heist-dim">Drill ${a.drillTime}s${cut ? ` &middot; Take ${cut}` : ''}</div>
+            </div>`;
+        }).join('');
+
+        document.getElementById('heist-getaways').innerHTML = heist.getaways.map(type => {
+            const t = vehicleTypes[type];
+            return `<div class="heist-card" data-getaway="${type}">
+                <div class="heist-card-title">${type.toUpperCase()}</div>
+                <div class="heist-dim">Speed ${t.maxSpeed} &middot; Armor ${t.durability}</div>
+            </div>`;
+        }).join('');
+
+        const confirmBtn = document.getElementById('heist-confirm');
+        const refresh = () => {
+            el.querySelectorAll('[data-approach]').forEach(c => c.classList.toggle('selected', c.dataset.approach === approachId));
+            el.querySelectorAll('[data-getaway]').forEach(c => c.classList.toggle('selected', c.dataset.getaway === getawayType));
+            confirmBtn.disabled = !approachId || !getawayType;
+        };
+        el.querySelectorAll('[data-approach]').forEach(c => {
+            c.addEventListener('click', () => { approachId = c.dataset.approach; refresh(); });
+        });
+        el.querySelectorAll('[data-getaway]').forEach(c => {
+            c.addEventListener('click', () => { getawayType = c.dataset.getaway; refresh(); });
+        });
+        refresh();
+
+        const close = () => {
+            el.style.display = 'none';
+        };
+        confirmBtn.onclick = () => {
+            if (!approachId || !getawayType) return;
+            close();
+            onConfirm(approachId, getawayType);
+        };
+        document.getElementById('heist-cancel').onclick = () => {
+            close();
+            onCancel();
+        };
+        el.style.display = 'flex';
+    }
+
+    // --- Achievements ---
+    // One toast at a time; unlocks that land together queue up
+    showAchievementToast(def) {
+        this.achievementQueue.push(def);
+        if (!this.achievementToastActive) this._showNextAchievementToast();
+    }
+
+    _showNextAchievementToast() {
+        const el = document.getElementById('achievement-toast');
+        const def = this.achievementQueue.shift();
+        if (!def) {
+            this.achievementToastActive = false;
+            return;
+        }
+        this.achievementToastActive = true;
+        document.getElementById('achievement-toast-name').textContent = def.name;
+        document.getElementById('achievement-toast-desc').textContent = def.description;
+        el.classList.add('visible');
+
+        setTimeout(() => {
+            el.classList.remove('visible');
+            // Let it slide out before the next one comes in
+            setTimeout(() => this._showNextAchievementToast(), 500);
+        }, 4000);
+    }
+
+    // Every achievement by group; secret ones stay hidden until earned
+    showAchievements() {
+        const achievements = this.game.systems.achievements;
+        const el = document.getElementById('achievements-menu');
+        const listEl = document.getElementById('achievements-list');
+
+        document.getElementById('achievements-count').textContent =
+            `${achievements.unlockedCount()} / ${ACHIEVEMENTS.length} UNLOCKED`;
+
+        let group = null;
+        listEl.innerHTML = ACHIEVEMENTS.map(def => {
+            const header = def.group !== group ? `<div class="replay-group">${def.group.toUpperCase()}</div>` : '';
+            group = def.group;
+            const unlockedAt = achievements.unlocked[def.id];
+
+            if (def.secret && !unlockedAt) {
+                return `${header}
+                    <div class="achievement-entry locked">
+                        <div class="achievement-name">???</div>
+                        <div class="achievement-desc">Secret achievement</div>
+                    </div>`;
+            }
+
+            const progress = achievements.getProgress(def);
+            let status;
+            if (unlockedAt) {
+                status = `<span class="achievement-date">${new Date(unlockedAt).toLocaleDateString()}</span>`;
+            } else if (progress) {
+                const pct = Math.floor(progress.current / progress.target * 100);
+                status = `<div class="achievement-progress"><div style="width:${pct}%"></div></div>
+                    <span class="achievement-date">${progress.current.toLocaleString()} / ${progress.target.toLocaleString()}</span>`;
+            } else {
+                status = '';
+            }
+            return `${header}
+                <div class="achievement-entry${unlockedAt ? '' : ' locked'}">
+                    <div class="achievement-name">${def.name}</div>
+                    <div class="achievement-desc">${def.description}</div>
+                    ${status}
+                </div>`;
+        }).join('');
+
+        document.getElementById('close-achievements').onclick = () => {
+            el.style.display = 'none';
+            document.getElementById('pause-menu').style.display = 'flex';
+        };
+        el.style.display = 'flex';
+    }
+
+    // Overall %, a bar per category and a checklist per district. Items of categories that
+    // haven't opened up yet are listed unnamed.
+    showCompletion() {
+        const completion = this.game.systems.completion;
+        const items = completion.getItems();
+        const el = document.getElementById('completion-menu');
+
+        document.getElementById('completion-percent').textContent =
+            `${completion.getPercentage(items).toFixed(1)}% COMPLETE`;
+
+        const categories = completion.getCategories(items);
+        document.getElementById('completion-categories').innerHTML = categories.map(c => {
+            const pct = c.total > 0 ? Math.floor(c.done / c.total * 100) : 0;
+            const count = c.unlocked
+                ? `${c.done} / ${c.total}`
+                : `Locked until ${c.category.unlockAfter} missions`;
+            return `<div class="completion-row${c.unlocked ? '' : ' locked'}">
+                    <span class="completion-name" style="color:${c.category.color}">${c.category.name}</span>
+                    <div class="completion-bar"><div style="width:${pct}%;background:${c.category.color}"></div></div>
+                    <span class="completion-count">${count}</span>
+                </div>`;
+        }).join('');
+
+        const unlocked = new Set(categories.filter(c => c.unlocked).map(c => c.category.id));
+        const names = Object.fromEntries(COMPLETION_CATEGORIES.map(c => [c.id, c.name]));
+        document.getElementById('completion-districts').innerHTML = completion.getDistricts(items).map(d => {
+            const entries = d.items.map(item => {
+                const label = unlocked.has(item.category) || item.done ? item.label : '???';
+                return `<div class="completion-item${item.done ? ' done' : ''}">
+                        <span>${item.done ? '✓' : '✗'} ${label}</span>
+                        <span class="completion-item-category">${names[item.category]}</span>
+                    </div>`;
+            }).join('');
+            return `<div class="replay-group">${d.name.toUpperCase()} - ${d.done} / ${d.items.length}</div>${entries}`;
+        }).join('');
+
+        document.getElementById('close-completion').onclick = () => {
+            el.style.display = 'none';
+            document.getElementById('pause-menu').style.display = 'flex';
+        };
+        el.style.display = 'flex';
+    }
+
     showStats() {
         const s = this.game.stats;
         const p = this.game.systems.player;
@@ -948,11 +1564,14 @@ export class UIManager {
                 <span style="color:#888">Vehicles Stolen</span><span>${s.vehiclesStolen}</span>
                 <span style="color:#888">Distance Walked</span><span>${(s.distanceWalked / 1000).toFixed(1)} km</span>
                 <span style="color:#888">Distance Driven</span><span>${(s.distanceDriven / 1000).toFixed(1)} km</span>
+                <span style="color:#888">Times Busted</span><span>${s.timesBusted}</span>
                 <span style="color:#888">Max Wanted Survived</span><span>${'★'.repeat(s.maxWantedSurvived)}${'☆'.repeat(5 - s.maxWantedSurvived)}</span>
                 <span style="color:#888">Stunt Jumps</span><span>${s.stuntJumpsCompleted}/10</span>
                 <span style="color:#888">Vehicles Collected</span><span>${s.vehiclesCollected}/5</span>
                 <span style="color:#888">Properties Owned</span><span>${s.propertiesOwned}/5</span>
                 <span style="color:#888">Hidden Packages</span><span>${s.hiddenPackagesFound}/20</span>
+                <span style="color:#888">Achievements</span><span>${this.game.systems.achievements.unlockedCount()}/${ACHIEVEMENTS.length}</span>
+                <span style="color:#888">Completion</span><span>${this.game.systems.completion.getPercentage().toFixed(1)}%</span>
             </div>
         `;
         document.getElementById('stats-screen').style.display = 'flex';
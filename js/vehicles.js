@@ -1,6 +1,18 @@
 // San Claudio - Vehicle System
 // Vehicle spawning, physics, enter/exit, 5 types
 
+import { CROSSWALK_OFFSET } from './sidewalks.js';
+
+// Road-graph traffic (see updateTraffic)
+const TRAFFIC_CRUISE = 12;      // m/s
+const TRAFFIC_TURN_SPEED = 5;   // m/s through corners
+const TRAFFIC_ACCEL = 5;        // m/s²
+const TRAFFIC_DECEL = 8;        // m/s², planned braking for stops ahead
+const TRAFFIC_LANE = 0.4;       // Lane centre, as a fraction of half the road width, right of the centre line
+const TRAFFIC_TURN_IN = 6;      // Metres either side of a junction node the turn curve covers
+const TRAFFIC_QUEUE_GAP = 7;    // Centre-to-centre distance kept to the vehicle ahead
+const TRAFFIC_PATIENCE = 20;    // Seconds stuck behind something (not a light) before turning round
+
 export class VehicleManager {
     constructor(game) {
         this.game = game;
@@ -1188,9 +1200,7 @@ export class VehicleManager {
 
                     // Exit and remove vehicle
                     player.exitVehicle();
-                    this.game.scene.remove(vehicle.mesh);
-                    const idx = this.vehicles.indexOf(vehicle);
-                    if (idx >= 0) this.vehicles.splice(idx, 1);
+                    this.removeVehicle(vehicle);
 
                     this.game.systems.audio.playPickup();
                     this.game.systems.ui.showMissionText('Vehicle stored!', 2);
@@ -1472,7 +1482,8 @@ export class VehicleManager {
             if (dist < halfL + 0.5) {
                 // Hit NPC - damage based on speed
                 const damage = Math.abs(vehicle.speed) * 2;
-                npc.takeDamage(damage);
+                const player = this.game.systems.player;
+                npc.takeDamage(damage, vehicle === player.currentVehicle ? player : null, vPos);
 
                 // Push NPC in vehicle's forward direction
                 const fwd = new THREE.Vector3(
@@ -1912,11 +1923,30 @@ export class VehicleManager {
         return vehicle._isPolice || (vehicle.mesh && vehicle.mesh.userData && vehicle.mesh.userData.useGLB && vehicle.type === 'sedan');
     }
 
+    // --- Save/load ---
+    serialize() {
+        return {
+            stored: this.storedVehicles.map(v => ({ type: v.type, color: v.color })),
+            collectedTypes: [...this.collectedTypes],
+            nitroCharges: this.nitroCharges,
+            taxiLevel: this.taxiFareCount,
+            vigilanteLevel: this.vigilanteLevel
+        };
+    }
+
+    deserialize(data) {
+        this.storedVehicles = data.stored;
+        this.collectedTypes = new Set(data.collectedTypes);
+        this.nitroCharges = Math.min(data.nitroCharges, this.nitroMaxCharges);
+        this.taxiFareCount = data.taxiLevel;
+        this.vigilanteLevel = data.vigilanteLevel;
+    }
+
     // === TAXI SYSTEM ===
 
     _startTaxiMode() {
         this.taxiActive = true;
-        this.taxiFareCount = 0;
+        // taxiFareCount carries over between shifts (and saves) so fares keep scaling
         this.taxiEarned = 0;
         this.game.systems.ui.showMissionText('TAXI MODE ACTIVE', 2);
         this._spawnTaxiFare();
@@ -2057,7 +2087,7 @@ export class VehicleManager {
 
     _startVigilanteMode() {
         this.vigilanteActive = true;
-        this.vigilanteLevel = 0;
+        // vigilanteLevel carries over between shifts (and saves)
         this.game.systems.ui.showMissionText('VIGILANTE MODE ACTIVE', 2);
         this._spawnVigilanteTarget();
     }
@@ -2594,121 +2624,44 @@ export class VehicleManager {
         }
     }
 
+    // Traffic drives the road graph (World.roadGraph) in the right-hand lane: along an edge,
+    // then a curve through the junction onto the next one. It slows for turns, queues behind
+    // whatever is in its lane, stops at red lights and waits for pedestrians on the crosswalk.
     updateTraffic(vehicle, dt) {
         const world = this.game.systems.world;
-        const blockSize = world.blockSize;
-        const roadHalf = world.roadWidth / 2;
-
-        // Initialize road-following state if needed
-        if (vehicle.roadAxis === undefined) {
-            // Pick a road axis (0 = X-axis road, 1 = Z-axis road) and direction
-            vehicle.roadAxis = Math.random() > 0.5 ? 0 : 1;
-            vehicle.roadDir = Math.random() > 0.5 ? 1 : -1;
-            vehicle.laneOffset = (Math.random() > 0.5 ? 1 : -1) * (roadHalf * 0.4);
-            vehicle.turnCooldown = 0;
-            // Snap to nearest road
-            this.snapTrafficToRoad(vehicle, blockSize);
-        }
-
-        vehicle.turnCooldown = Math.max(0, (vehicle.turnCooldown || 0) - dt);
-
-        // Check for red lights at nearby intersections
-        const nearestIntX = Math.round(vehicle.mesh.position.x / blockSize) * blockSize;
-        const nearestIntZ = Math.round(vehicle.mesh.position.z / blockSize) * blockSize;
-        const distToInt = Math.sqrt(
-            (vehicle.mesh.position.x - nearestIntX) ** 2 +
-            (vehicle.mesh.position.z - nearestIntZ) ** 2
-        );
-
-        let shouldStop = false;
-        if (distToInt < roadHalf + 3 && distToInt > 2) {
-            // Near intersection - check light
-            if (world.isRedLight && world.isRedLight(nearestIntX, nearestIntZ, vehicle.roadAxis)) {
-                shouldStop = true;
-            }
-        }
+        const pos = vehicle.mesh.position;
 
-        // Accelerate to cruising speed (or brake for red light)
-        const cruiseSpeed = 12;
-        if (shouldStop) {
-            vehicle.speed = Math.max(0, vehicle.speed - 20 * dt);
-        } else {
-            vehicle.speed += (cruiseSpeed - vehicle.speed) * dt * 2;
-            vehicle.speed = Math.min(vehicle.speed, cruiseSpeed);
+        // New, or shoved out of its lane since the last frame: carry on from the nearest road
+        const last = vehicle._routePos;
+        if (!vehicle.route || (last && Math.hypot(pos.x - last.x, pos.z - last.z) > 3)) {
+            this.placeTrafficOnRoad(vehicle, pos.x, pos.z);
         }
+        const route = vehicle.route;
 
-        // Calculate target heading based on road axis and direction
-        let targetYaw;
-        if (vehicle.roadAxis === 1) {
-            // Driving along Z axis
-            targetYaw = vehicle.roadDir > 0 ? 0 : Math.PI;
-        } else {
-            // Driving along X axis
-            targetYaw = vehicle.roadDir > 0 ? Math.PI / 2 : -Math.PI / 2;
+        vehicle.speed = this._trafficSpeed(vehicle, dt);
+        if (vehicle._trafficStuck > TRAFFIC_PATIENCE && !route.turn) {
+            this._turnTrafficAround(vehicle);
         }
+        const step = Math.max(0, vehicle.speed) * dt;
 
-        // Smoothly rotate toward target heading
-        let yawDiff = targetYaw - vehicle.mesh.rotation.y;
-        while (yawDiff > Math.PI) yawDiff -= Math.PI * 2;
-        while (yawDiff < -Math.PI) yawDiff += Math.PI * 2;
-        vehicle.mesh.rotation.y += yawDiff * Math.min(1, dt * 5);
-
-        // Move forward
-        const forward = new THREE.Vector3(
-            Math.sin(vehicle.mesh.rotation.y),
-            0,
-            Math.cos(vehicle.mesh.rotation.y)
-        );
-
-        const newX = vehicle.mesh.position.x + forward.x * vehicle.speed * dt;
-        const newZ = vehicle.mesh.position.z + forward.z * vehicle.speed * dt;
-
-        // Snap to road center with lane offset
-        let correctedX = newX;
-        let correctedZ = newZ;
-        if (vehicle.roadAxis === 1) {
-            // Driving along Z, snap X to nearest road
-            const nearestRoadX = Math.round(newX / blockSize) * blockSize;
-            correctedX = nearestRoadX + vehicle.laneOffset;
-        } else {
-            // Driving along X, snap Z to nearest road
-            const nearestRoadZ = Math.round(newZ / blockSize) * blockSize;
-            correctedZ = nearestRoadZ + vehicle.laneOffset;
-        }
-        // Gently correct toward road center
-        const corrX = correctedX + (newX - correctedX) * 0.3;
-        const corrZ = correctedZ + (newZ - correctedZ) * 0.3;
-
-        // Intersection check: near a multiple of blockSize on BOTH axes
-        const nearIntX = Math.abs(corrX - Math.round(corrX / blockSize) * blockSize) < roadHalf;
-        const nearIntZ = Math.abs(corrZ - Math.round(corrZ / blockSize) * blockSize) < roadHalf;
-        const atIntersection = nearIntX && nearIntZ && vehicle.turnCooldown <= 0;
-
-        if (atIntersection) {
-            // Randomly decide: straight (60%), turn (40%)
-            if (Math.random() < 0.4) {
-                vehicle.roadAxis = vehicle.roadAxis === 0 ? 1 : 0;
-                vehicle.roadDir = Math.random() > 0.5 ? 1 : -1;
-                vehicle.laneOffset = (Math.random() > 0.5 ? 1 : -1) * (roadHalf * 0.4);
-            }
-            vehicle.turnCooldown = 3; // Don't turn again for 3 seconds
-        }
-
-        // Check collision with buildings
-        const collision = world.checkCollision(corrX, corrZ, 2);
-        if (collision && collision.type === 'building') {
-            // Reverse and pick a new road
-            vehicle.speed = -3;
-            vehicle.roadDir *= -1;
-            vehicle.turnCooldown = 1;
+        if (route.turn) {
+            const turn = route.turn;
+            turn.s = Math.min(1, turn.s + step / turn.length);
+            if (turn.s >= 1) {
+                if (turn.node.occupant === vehicle) turn.node.occupant = null;
+                route.edge = route.next;
+                route.t = TRAFFIC_TURN_IN;
+                route.next = this._pickTrafficExit(route.edge);
+                route.turn = null;
+            }
         } else {
-            vehicle.mesh.position.x = corrX;
-            vehicle.mesh.position.z = corrZ;
+            route.t += step;
+            if (route.t >= route.edge.length - TRAFFIC_TURN_IN) {
+                route.turn = this._trafficTurn(route);
+                route.turn.node.occupant = vehicle;
+            }
         }
-
-        // Follow terrain height
-        const groundY = this.game.systems.physics.getGroundHeight(vehicle.mesh.position.x, vehicle.mesh.position.z);
-        vehicle.mesh.position.y = groundY;
+        this._applyTrafficPose(vehicle);
 
         // Despawn if too far from player
         const playerDist = vehicle.mesh.position.distanceTo(this.game.systems.player.position);
@@ -2717,28 +2670,243 @@ export class VehicleManager {
         }
     }
 
-    snapTrafficToRoad(vehicle, blockSize) {
-        const pos = vehicle.mesh.position;
-        if (vehicle.roadAxis === 1) {
-            pos.x = Math.round(pos.x / blockSize) * blockSize + vehicle.laneOffset;
-        } else {
-            pos.z = Math.round(pos.z / blockSize) * blockSize + vehicle.laneOffset;
-        }
+    // Puts a traffic vehicle in its lane on the road nearest to (x, z), preferring one
+    // running along `heading`
+    placeTrafficOnRoad(vehicle, x, z, heading = vehicle.mesh.rotation.y) {
+        const graph = this.game.systems.world.roadGraph;
+        const near = graph.nearestEdge(x, z, heading);
+        const edge = near.edge;
+        vehicle.route = {
+            edge,
+            t: Math.max(TRAFFIC_TURN_IN, Math.min(edge.length - TRAFFIC_TURN_IN, near.t)),
+            next: this._pickTrafficExit(edge),
+            turn: null
+        };
+        this._applyTrafficPose(vehicle);
+    }
+
+    // Take a vehicle out of the world. Goes through here so a car removed mid-turn
+    // doesn't hold its junction forever.
+    removeVehicle(vehicle) {
+        this._releaseJunction(vehicle);
+        this.game.scene.remove(vehicle.mesh);
+        const idx = this.vehicles.indexOf(vehicle);
+        if (idx >= 0) this.vehicles.splice(idx, 1);
+    }
+
+    _releaseJunction(vehicle) {
+        if (vehicle.route?.turn?.node.occupant === vehicle) vehicle.route.turn.node.occupant = null;
     }
 
     respawnTraffic(vehicle) {
         const player = this.game.systems.player.position;
         const angle = Math.random() * Math.PI * 2;
         const dist = 80 + Math.random() * 40;
-        vehicle.mesh.position.set(
+        this._releaseJunction(vehicle);
+        this.placeTrafficOnRoad(
+            vehicle,
             player.x + Math.cos(angle) * dist,
-            0,
-            player.z + Math.sin(angle) * dist
+            player.z + Math.sin(angle) * dist,
+            Math.random() * Math.PI * 2
         );
-        vehicle.mesh.rotation.y = Math.random() * Math.PI * 2;
         vehicle.speed = 0;
     }
 
+    // Blocked for good (a parked or wrecked car, someone standing in the road): turn round
+    // into the other lane and drive back the way it came
+    _turnTrafficAround(vehicle) {
+        const route = vehicle.route;
+        const back = route.edge.to.out.find(e => e.to === route.edge.from);
+        route.t = Math.max(TRAFFIC_TURN_IN, Math.min(back.length - TRAFFIC_TURN_IN, back.length - route.t));
+        route.edge = back;
+        route.next = this._pickTrafficExit(back);
+        vehicle._trafficStuck = 0;
+        this._applyTrafficPose(vehicle);
+    }
+
+    // Straight on is the most likely choice at a junction
+    _pickTrafficExit(edge) {
+        const exits = this.game.systems.world.roadGraph.exitsFrom(edge);
+        const weights = exits.map(e => (e.dir.x * edge.dir.x + e.dir.z * edge.dir.z > 0.9 ? 3 : 1));
+        let roll = Math.random() * weights.reduce((a, b) => a + b, 0);
+        for (let i = 0; i < exits.length; i++) {
+            roll -= weights[i];
+            if (roll <= 0) return exits[i];
+        }
+        return exits[exits.length - 1];
+    }
+
+    // Quadratic curve from the incoming lane to the outgoing one. The control point is
+    // where the two lanes would meet; straight on and U-turns have no such point.
+    _trafficTurn(route) {
+        const graph = this.game.systems.world.roadGraph;
+        const lane = this.game.systems.world.roadWidth / 2 * TRAFFIC_LANE;
+        const from = route.edge;
+        const to = route.next;
+        const p0 = graph.pointOnEdge(from, from.length - TRAFFIC_TURN_IN, lane);
+        const p2 = graph.pointOnEdge(to, TRAFFIC_TURN_IN, lane);
+
+        const cross = from.dir.x * to.dir.z - from.dir.z * to.dir.x;
+        let p1;
+        if (Math.abs(cross) > 0.01) {
+            const a = ((p2.x - p0.x) * to.dir.z - (p2.z - p0.z) * to.dir.x) / cross;
+            p1 = { x: p0.x + from.dir.x * a, z: p0.z + from.dir.z * a };
+        } else if (from.dir.x * to.dir.x + from.dir.z * to.dir.z > 0) {
+            p1 = { x: (p0.x + p2.x) / 2, z: (p0.z + p2.z) / 2 };
+        } else {
+            p1 = { x: from.to.x + from.dir.x * TRAFFIC_TURN_IN, z: from.to.z + from.dir.z * TRAFFIC_TURN_IN };
+        }
+
+        let length = 0;
+        let prev = p0;
+        for (let i = 1; i <= 8; i++) {
+            const p = this._bezier(p0, p1, p2, i / 8);
+            length += Math.hypot(p.x - prev.x, p.z - prev.z);
+            prev = p;
+        }
+        return { node: from.to, p0, p1, p2, length: Math.max(1, length), s: 0 };
+    }
+
+    _bezier(p0, p1, p2, s) {
+        const u = 1 - s;
+        return {
+            x: u * u * p0.x + 2 * u * s * p1.x + s * s * p2.x,
+            z: u * u * p0.z + 2 * u * s * p1.z + s * s * p2.z
+        };
+    }
+
+    _applyTrafficPose(vehicle) {
+        const world = this.game.systems.world;
+        const route = vehicle.route;
+        const mesh = vehicle.mesh;
+        let point;
+        let yaw;
+
+        if (route.turn) {
+            const { p0, p1, p2, s } = route.turn;
+            point = this._bezier(p0, p1, p2, s);
+            // Curve tangent
+            const dx = 2 * (1 - s) * (p1.x - p0.x) + 2 * s * (p2.x - p1.x);
+            const dz = 2 * (1 - s) * (p1.z - p0.z) + 2 * s * (p2.z - p1.z);
+            yaw = dx * dx + dz * dz > 1e-6 ? Math.atan2(dx, dz) : mesh.rotation.y;
+        } else {
+            point = world.roadGraph.pointOnEdge(route.edge, route.t, world.roadWidth / 2 * TRAFFIC_LANE);
+            yaw = Math.atan2(route.edge.dir.x, route.edge.dir.z);
+        }
+
+        mesh.position.x = point.x;
+        mesh.position.z = point.z;
+        mesh.position.y = this.game.systems.physics.getGroundHeight(point.x, point.z);
+        mesh.rotation.y = yaw;
+        vehicle._routePos = { x: point.x, z: point.z };
+    }
+
+    // Cruise speed, capped so the vehicle can still stop for everything it has to stop for
+    _trafficSpeed(vehicle, dt) {
+        const world = this.game.systems.world;
+        const route = vehicle.route;
+        const stops = []; // Distances ahead to stop at
+        let target = TRAFFIC_CRUISE;
+
+        if (!route.turn) {
+            const toTurn = route.edge.length - TRAFFIC_TURN_IN - route.t;
+            const node = route.edge.to;
+
+            // Slow for corners (not for straight on)
+            const straight = route.edge.dir.x * route.next.dir.x + route.edge.dir.z * route.next.dir.z > 0.9;
+            if (!straight) {
+                target = Math.min(target, Math.sqrt(TRAFFIC_TURN_SPEED ** 2 + 2 * TRAFFIC_DECEL * Math.max(0, toTurn)));
+            }
+
+            // Stop line just before the junction; once past it, keep going
+            const toStopLine = route.edge.length - route.t - (world.roadWidth / 2 + 1.5);
+            if (toStopLine > 0 && toStopLine < 30) {
+                if (node.hasLight) {
+                    if (world.isRedLight(node.x, node.z, route.edge.axis)) {
+                        stops.push(toStopLine);
+                    } else if (!world.isPedestrianRed(1 - route.next.axis) && this._crosswalkBusy(route.next)) {
+                        // Pedestrians with a walk signal are crossing the road we're turning into
+                        stops.push(toStopLine);
+                    }
+                } else if (node.occupant && node.occupant !== vehicle && node.occupant.isTraffic &&
+                    node.occupant.route?.turn?.node === node) {
+                    // Unsignalled junctions take one vehicle at a time
+                    stops.push(toStopLine);
+                }
+            }
+        }
+
+        // Stuck behind something that isn't just waiting at a junction ahead of us
+        const gap = this._trafficGapAhead(vehicle);
+        const atJunction = stops.length > 0;
+        if (gap !== null) stops.push(gap);
+
+        for (const dist of stops) {
+            target = Math.min(target, Math.sqrt(2 * TRAFFIC_DECEL * Math.max(0, dist)));
+        }
+        vehicle._trafficStuck = target < 0.5 && gap !== null && !atJunction ? (vehicle._trafficStuck || 0) + dt : 0;
+
+        if (vehicle.speed > target) return Math.max(target, vehicle.speed - 20 * dt);
+        return Math.min(target, vehicle.speed + TRAFFIC_ACCEL * dt);
+    }
+
+    // Distance to stop short of the nearest vehicle or person in this vehicle's lane, or null.
+    // Traffic crossing or coming the other way is ignored; it's in the other lane or will have
+    // cleared the junction by the time we get there.
+    _trafficGapAhead(vehicle) {
+        const pos = vehicle.mesh.position;
+        const fx = Math.sin(vehicle.mesh.rotation.y);
+        const fz = Math.cos(vehicle.mesh.rotation.y);
+        let gap = null;
+        const consider = (x, z, halfWidth, clearance, range) => {
+            const dx = x - pos.x;
+            const dz = z - pos.z;
+            const ahead = dx * fx + dz * fz;
+            if (ahead <= 0 || ahead > range) return;
+            if (Math.abs(dx * fz - dz * fx) > halfWidth) return;
+            const dist = ahead - clearance;
+            if (gap === null || dist < gap) gap = dist;
+        };
+
+        const junction = vehicle.route.turn?.node;
+        for (const other of this.vehicles) {
+            if (other === vehicle || !other.mesh || other.mesh.position.distanceToSquared(pos) > 900) continue;
+            // Two vehicles already in the same junction would wait for each other forever
+            if (junction && other.isTraffic && other.route?.turn?.node === junction) continue;
+            if (other.isTraffic && Math.abs(other.speed) > 0.5) {
+                const heading = Math.sin(other.mesh.rotation.y) * fx + Math.cos(other.mesh.rotation.y) * fz;
+                if (heading < 0.3) continue;
+            }
+            consider(other.mesh.position.x, other.mesh.position.z, 2.2, TRAFFIC_QUEUE_GAP, 30);
+        }
+
+        const npcs = this.game.systems.npcs;
+        for (const npc of npcs ? npcs.pedestrians : []) {
+            if (!npc.alive || !npc.mesh) continue;
+            consider(npc.mesh.position.x, npc.mesh.position.z, 1.8, 4, 15);
+        }
+        const player = this.game.systems.player;
+        if (!player.inVehicle) consider(player.position.x, player.position.z, 1.8, 4, 15);
+
+        return gap;
+    }
+
+    // Anyone on the crosswalk at the start of an edge
+    _crosswalkBusy(edge) {
+        const npcs = this.game.systems.npcs;
+        if (!npcs) return false;
+        const roadHalf = this.game.systems.world.roadWidth / 2;
+        const cx = edge.from.x + edge.dir.x * (roadHalf + CROSSWALK_OFFSET);
+        const cz = edge.from.z + edge.dir.z * (roadHalf + CROSSWALK_OFFSET);
+        return npcs.pedestrians.some(npc => {
+            if (!npc.alive || !npc.mesh) return false;
+            const dx = npc.mesh.position.x - cx;
+            const dz = npc.mesh.position.z - cz;
+            return Math.abs(dx * edge.dir.x + dz * edge.dir.z) < 2.5 &&
+                Math.abs(dx * edge.dir.z - dz * edge.dir.x) < roadHalf + 1;
+        });
+    }
+
     spawnAtPosition(x, z, type) {
         return this.spawnVehicle(x, z, type || 'sedan');
     }
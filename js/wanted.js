@@ -1,5 +1,88 @@
 // San Claudio - Wanted System
-// 5-star system, police/SWAT/military escalation, escape mechanics
+// 5-star system, police/SWAT/military escalation, escape mechanics.
+// Police work from what they can see: each unit casts a ray to the suspect, the force
+// shares where they were last seen, and once everyone has lost sight they fan out and
+// search round that spot. The escape timer only runs while nobody has eyes on you.
+// Who comes after you escalates with the stars: cops on foot and in patrol cars, then SWAT
+// vans and roping down from the helicopter, FBI cars, and the army with its own roadblocks;
+// police boats if you take to the water.
+
+import { Witnesses, CRIMES } from './witnesses.js';
+
+// Perception
+const EYE_HEIGHT = 1.6;          // Cops look from here, at the suspect's head height
+const SIGHT_RANGE = 60;          // Metres a cop can pick the suspect out at in daylight
+const SIGHT_FOV = Math.PI * 0.6; // Full width of a cop's view cone
+const CLOSE_SENSE = 6;           // Nearer than this they notice you whichever way they face
+const SIGHT_CHECK = 0.25;        // Seconds between each unit's line-of-sight rays
+const HELI_SIGHT = 30;           // Ground distance from under the helicopter its spotlight finds you at
+const HELI_SPEED = 18;           // m/s; a fast car can get out from under it
+const RADIO_GAP = 4;             // Seconds between "spotted" / "lost him" calls
+
+// Searching once the suspect is out of sight
+const SEARCH_START = 15;         // Radius round the last known position the search starts at...
+const SEARCH_SPREAD = 2;         // ...widening this many metres a second, up to the level's wantedRadius
+const SEARCH_SCAN = 2.5;         // Seconds a cop stops to look around at each search point
+const SEARCH_GIVE_UP = 8;        // Seconds over the walking time to reach a search point before trying another
+
+// How each kind of officer fights. armor scales damage taken; shots come in bursts of
+// `burst`, fireDelay seconds apart; keepAway is the distance they fight from (0 charges in)
+// and flankers work round to the suspect's side to do it. Cops only carry guns from 3 stars.
+const UNIT_TYPES = {
+    cop:      { health: 50,  armor: 1,   color: 0x2244aa, speed: 4,   weapon: 'pistol', damage: 10, range: 40, hitChance: 0.3,  burst: 1, fireDelay: 1.5, keepAway: 0 },
+    swat:     { health: 100, armor: 0.6, color: 0x222222, speed: 5,   weapon: 'smg',    damage: 6,  range: 35, hitChance: 0.3,  burst: 3, fireDelay: 2,   keepAway: 10, flank: true, helmet: true },
+    fbi:      { health: 80,  armor: 0.8, color: 0x1a1a24, speed: 5.5, weapon: 'rifle',  damage: 15, range: 50, hitChance: 0.45, burst: 1, fireDelay: 2,   keepAway: 20 },
+    military: { health: 150, armor: 0.5, color: 0x445533, speed: 5,   weapon: 'rifle',  damage: 20, range: 60, hitChance: 0.35, burst: 2, fireDelay: 1.2, keepAway: 25, helmet: true }
+};
+
+// Their vehicles: durability replaces the base type's; speed is before the per-star bonus
+const LAW_VEHICLES = {
+    police: { type: 'sedan', durability: 150, speed: 12, color: 0xffffff, lightbar: true },
+    swat:   { type: 'truck', durability: 500, speed: 10, color: 0x1a1a1a, lightbar: true },
+    fbi:    { type: 'sedan', durability: 200, speed: 15, color: 0x111111, lightbar: true },
+    army:   { type: 'truck', durability: 600, speed: 10, color: 0x445533, lightbar: false },
+    boat:   { type: 'boat',  durability: 150, speed: 14, color: 0x2244aa, lightbar: true }
+};
+
+// What a dispatch can send: the vehicle (null on foot), who's in it, and how far from the
+// suspect they get out. Boat crews stay aboard.
+const CREWS = {
+    foot:   { vehicle: null,     crew: ['cop'] },
+    patrol: { vehicle: 'police', crew: ['cop'], deploy: 8 },
+    swat:   { vehicle: 'swat',   crew: ['swat', 'swat', 'swat', 'swat'], deploy: 25 },
+    fbi:    { vehicle: 'fbi',    crew: ['fbi', 'fbi'], deploy: 30 },
+    army:   { vehicle: 'army',   crew: ['military', 'military', 'military'], deploy: 35 },
+    boat:   { vehicle: 'boat',   crew: ['cop', 'cop'] }
+};
+// Crews each star level dispatches, with their odds
+const DISPATCH = [
+    null,
+    [['foot', 1]],
+    [['foot', 0.4], ['patrol', 0.6]],
+    [['patrol', 0.6], ['swat', 0.4]],
+    [['patrol', 0.2], ['swat', 0.4], ['fbi', 0.4]],
+    [['swat', 0.25], ['fbi', 0.25], ['army', 0.5]]
+];
+const MAX_BOATS = 2;
+const RAPPEL_INTERVAL = 30;      // Seconds between SWAT pairs roping down from the helicopter
+const RAPPEL_SPEED = 5;          // m/s down the rope
+const BODY_TIME = 10;            // Seconds a fallen officer lies there before being cleared away
+
+// Arrests at 1-2 stars
+const BUST_RANGE = 2;            // An officer this close to a suspect who stays put...
+const BUST_HOLD = 1;             // ...for this many seconds makes the arrest
+const BUST_STILL = 0.5;          // m/s; any slower counts as staying put
+const BUST_TIME = 5;             // Seconds of the arrest scene before the station
+const BUST_FINES = [0, 250, 600, 1200, 2500, 5000]; // Per star level, or all the suspect has if less
+
+// Surrendering (hands up): at 1-2 stars the nearest officer walks over and names terms
+const SURRENDER_RANGE = 30;      // Metres an officer on foot has to be within to give up to
+const SURRENDER_HEAT = 1.5;      // Added for resisting once the hands have gone up
+const NEGOTIATE_RANGE = 2.5;     // The officer talks terms from this close...
+const NEGOTIATE_TIME = 3;        // ...for this many seconds
+const SPOT_FINE = 150;           // 1 star: a ticket, cheaper than a night in the cells
+const BRIBE = 1500;              // 2 stars: what it takes for an officer to look the other way
+const BRIBE_GRACE = 12;          // Seconds they hold fire while you go for the star they dropped
 
 export class WantedSystem {
     constructor(game) {
@@ -12,10 +95,25 @@ export class WantedSystem {
         this.isEscaping = false;
         this.escapeTimer = 0;
         this.escapeTimes = [0, 15, 25, 40, 60, 90]; // seconds per star level
-        this.wantedRadius = [0, 50, 80, 120, 170, 250];
+        this.wantedRadius = [0, 50, 80, 120, 170, 250]; // Furthest a search spreads, per star level
+
+        // Perception: where the suspect was last seen or reported, and whether anyone
+        // (a unit or the helicopter) can see them right now
+        this.lastKnownPosition = null;
+        this.suspectSeen = false;
+        this._searchTime = 0;      // Seconds since the suspect was last seen
+        this._searchBearing = 0;   // Where the search slices start, so they don't always line up
+        this._heliSees = false;
+        this._heliSightTimer = 0;
+        this._radioTimer = 0;
+
+        // Crimes the police didn't see wait on someone calling them in
+        this.witnesses = new Witnesses(game);
 
         // Police units
         this.policeUnits = [];
+        this.lawVehicles = [];     // { car, kind, crew }: what brought units in, parked once they're out
+        this._rappelTimer = RAPPEL_INTERVAL / 2;
         this.maxPolice = [0, 2, 4, 6, 8, 12];
         this.spawnTimer = 0;
         this.spawnInterval = 5;
@@ -69,6 +167,16 @@ export class WantedSystem {
             "He's right there!", "Contact! Contact!",
             "Target acquired, closing in!"
         ];
+        this.deployDialogue = [
+            "Go go go!", "SWAT, move in!", "Out of the vehicle, fan out!",
+            "Federal agents, freeze!", "Contain the area!", "Squad, on me!"
+        ];
+        this.lostDialogue = [
+            "Lost visual!", "Where'd he go?", "Spread out, find him!",
+            "He's around here somewhere!", "Check the alleys!",
+            "Suspect out of sight!", "Eyes open, people!",
+            "Dispatch, we've lost him!"
+        ];
 
         // Dialogue dedup tracking — last 3 spoken lines
         this._recentDialogue = [];
@@ -108,6 +216,25 @@ export class WantedSystem {
         ];
         this._inEscapeZone = false;
         this._escapeZoneTimer = 0;
+
+        // Police stations, one per district: the busted are let out on the sidewalk nearest
+        // each spot
+        this.policeStations = [
+            { district: 'downtown', x: 30, z: 10, name: 'Downtown Precinct' },
+            { district: 'docks', x: -260, z: 260, name: 'Docks Station' },
+            { district: 'hillside', x: -260, z: -260, name: 'Hillside Station' },
+            { district: 'strip', x: 260, z: -260, name: 'Strip Precinct' },
+            { district: 'industrial', x: 260, z: 260, name: 'Industrial Park Station' },
+            { district: 'northshore', x: 10, z: -260, name: 'North Shore Station' },
+            { district: 'portside', x: 10, z: 260, name: 'Portside Station' },
+            { district: 'westend', x: -260, z: 10, name: 'West End Station' },
+            { district: 'eastgate', x: 260, z: 10, name: 'Eastgate Precinct' }
+        ];
+        this.busted = null;        // { unit, timer, angle } during the arrest scene
+        this.surrendering = null;  // { unit, talk } while the player has their hands up
+        this._holdFire = 0;        // Seconds left of a bribed ceasefire
+        this._bustHold = 0;
+        this._lastSuspectPos = null;
     }
 
     init() {
@@ -115,6 +242,7 @@ export class WantedSystem {
         this._createEdgeFlash();
         this._createBribeStars();
         this._createEscapeZones();
+        this._createPoliceStations();
     }
 
     createPayNSprayMarkers() {
@@ -233,23 +361,17 @@ export class WantedSystem {
         this._updateEdgeFlash(dt);
         this._updateBribeStars(dt);
         this._updateEscapeZones(dt);
+        this.witnesses.update(dt);
+        this._holdFire = Math.max(0, this._holdFire - dt);
 
         if (this.level <= 0) return;
 
         const player = this.game.systems.player;
 
-        // Check if player is outside wanted radius
-        let outsideRadius = true;
-        for (const unit of this.policeUnits) {
-            if (!unit.mesh) continue;
-            const dist = unit.mesh.position.distanceTo(player.position);
-            if (dist < this.wantedRadius[this.level]) {
-                outsideRadius = false;
-                break;
-            }
-        }
+        this._updatePerception(dt);
 
-        if (outsideRadius && this.policeUnits.length > 0) {
+        // Escape timer only runs while nobody can see you
+        if (!this.suspectSeen && this.policeUnits.length > 0) {
             if (!this.isEscaping) {
                 this.isEscaping = true;
                 this.escapeTimer = this.escapeTimes[this.level];
@@ -265,6 +387,7 @@ export class WantedSystem {
             }
 
             if (this.escapeTimer <= 0) {
+                this.game.events.emit('wanted:escaped', { level: this.level, method: 'timer' });
                 this.clearWanted();
             }
         } else {
@@ -273,17 +396,34 @@ export class WantedSystem {
             if (timerEl) timerEl.style.display = 'none';
         }
 
-        // Spawn police
+        // Spawn police (roadblock crews don't count against the level's numbers)
         this.spawnTimer -= dt;
-        if (this.spawnTimer <= 0 && this.policeUnits.length < this.maxPolice[this.level]) {
+        if (this.spawnTimer <= 0 && this._activeUnits() < this.maxPolice[this.level]) {
             this.spawnPoliceUnit();
             this.spawnTimer = this.spawnInterval;
         }
 
+        // Clear away the fallen after a while
+        for (let i = this.policeUnits.length - 1; i >= 0; i--) {
+            const unit = this.policeUnits[i];
+            if (unit.alive) continue;
+            unit.removeTimer -= dt;
+            if (unit.removeTimer <= 0) {
+                this._disposeObject(unit.mesh);
+                this.policeUnits.splice(i, 1);
+            }
+        }
+
         // Update police AI
+        this._updateLawVehicles(dt);
         for (const unit of this.policeUnits) {
             this.updatePoliceUnit(unit, dt);
         }
+        if (this.surrendering) {
+            this._updateSurrender(dt);
+        } else if (this.level <= 2 && this._holdFire <= 0) {
+            this._checkBust(dt);
+        }
 
         // Update police vehicle lightbar flashers (red/blue alternating)
         this._updatePoliceLightbars(dt);
@@ -343,11 +483,147 @@ export class WantedSystem {
         } else if (this._policeHeli) {
             this._removePoliceHelicopter();
         }
+    }
+
+    // Who can see the suspect this frame. Anyone with eyes on them updates the last known
+    // position for the whole force; once nobody has, the search clock starts.
+    _updatePerception(dt) {
+        const player = this.game.systems.player;
+        const wasSeen = this.suspectSeen;
+        let spotter = null;
+
+        for (const unit of this.policeUnits) {
+            if (!unit.alive || !unit.mesh) continue;
+            unit.sightTimer -= dt;
+            if (unit.sightTimer <= 0) {
+                unit.sightTimer = SIGHT_CHECK;
+                unit.canSee = this._canSee(unit);
+            }
+            if (unit.canSee && !spotter) spotter = unit;
+        }
+        this.suspectSeen = !!spotter || (!!this._policeHeli && this._heliSees);
+        this._radioTimer -= dt;
+
+        if (this.suspectSeen) {
+            if (!this.lastKnownPosition) this.lastKnownPosition = new THREE.Vector3();
+            this.lastKnownPosition.copy(player.position);
+            this._searchTime = 0;
+            if (!wasSeen && spotter) this._radio(spotter, this.spottedDialogue);
+        } else {
+            this._searchTime += dt;
+            if (wasSeen) {
+                this._searchBearing = Math.random() * Math.PI * 2;
+                const nearest = this._nearestUnit(this.lastKnownPosition);
+                if (nearest) this._radio(nearest, this.lostDialogue);
+            }
+        }
+    }
+
+    // A sighting from elsewhere (a crime, a witness): the search starts over from there, and
+    // anyone already searching heads there first
+    reportSighting(position) {
+        if (!this.lastKnownPosition) this.lastKnownPosition = new THREE.Vector3();
+        this.lastKnownPosition.set(position.x, position.y || 0, position.z);
+        this._searchTime = 0;
+        for (const unit of this.policeUnits) {
+            if (unit.state === 'search') unit.state = null;
+        }
+    }
+
+    // How far cops can see right now: less at night, much less in fog
+    sightRange() {
+        let range = SIGHT_RANGE;
+        if (this.game.systems.world.isNight) range *= 0.7;
+        if (this.game.currentWeather === 'fog') range *= 0.5;
+        return range;
+    }
+
+    // A unit's view cone, for the minimap: heading is a yaw (0 looks down +Z)
+    sightCone(unit) {
+        return { heading: unit.mesh.rotation.y, range: this.sightRange(), halfAngle: SIGHT_FOV / 2 };
+    }
+
+    // The area being searched while the suspect is out of sight: { center, radius }, or null
+    searchArea() {
+        if (this.level <= 0 || this.suspectSeen || !this.lastKnownPosition) return null;
+        return {
+            center: this.lastKnownPosition,
+            radius: Math.min(SEARCH_START + this._searchTime * SEARCH_SPREAD, this.wantedRadius[this.level])
+        };
+    }
+
+    // In range, inside the view cone (or close enough to notice anyway), not hiding in an
+    // escape zone, and nothing solid in between
+    _canSee(unit) {
+        const player = this.game.systems.player;
+        if (player.isDead) return false;
+
+        const eye = unit.mesh.position;
+        const dx = player.position.x - eye.x;
+        const dz = player.position.z - eye.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+        if (dist > this.sightRange()) return false;
+        if (dist > CLOSE_SENSE) {
+            if (this._inEscapeZone) return false;
+            let off = Math.atan2(dx, dz) - unit.mesh.rotation.y;
+            off = Math.atan2(Math.sin(off), Math.cos(off));
+            if (Math.abs(off) > SIGHT_FOV / 2) return false;
+        }
+        return this._lineOfSight(
+            { x: eye.x, y: eye.y + EYE_HEIGHT, z: eye.z },
+            { x: player.position.x, y: player.position.y + EYE_HEIGHT, z: player.position.z }
+        );
+    }
+
+    // Nothing static (buildings, terrain, props) between two points. Until physics is ready,
+    // steps along the line checking building footprints instead.
+    _lineOfSight(from, to) {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const dz = to.z - from.z;
+        const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (dist < 0.1) return true;
+
+        const physics = this.game.systems.physics;
+        if (physics && physics.ready) {
+            const hit = physics.castRayStatic(from, { x: dx / dist, y: dy / dist, z: dz / dist }, dist);
+            return !hit || hit.toi >= dist - 0.5;
+        }
+        const world = this.game.systems.world;
+        const steps = Math.ceil(dist / 2);
+        for (let i = 1; i < steps; i++) {
+            const t = i / steps;
+            if (world.checkCollision(from.x + dx * t, from.z + dz * t, 0.1)) return false;
+        }
+        return true;
+    }
 
-        // Weather: fog reduces detection
-        if (this.game.currentWeather === 'fog') {
-            // Effectively larger radius for escape (easier to hide)
+    _nearestUnit(position) {
+        let best = null;
+        let bestDist = Infinity;
+        for (const unit of this.policeUnits) {
+            if (!unit.alive || !unit.mesh) continue;
+            const d = unit.mesh.position.distanceTo(position);
+            if (d < bestDist) {
+                bestDist = d;
+                best = unit;
+            }
         }
+        return best;
+    }
+
+    // "Spotted" and "lost him" calls, spaced out so a suspect ducking in and out of view
+    // doesn't set off a stream of them
+    _radio(unit, lines) {
+        if (this._radioTimer > 0) return;
+        this._radioTimer = RADIO_GAP;
+        this._say(unit, lines);
+    }
+
+    _say(unit, lines) {
+        const line = this._pickDialogueLine(lines);
+        this.game.systems.npcs.showNPCSubtitle({ mesh: unit.mesh, alive: true }, line);
+        this.game.systems.audio.playAnimalese(line, 160, 'authoritative');
     }
 
     _updatePayNSpray(dt) {
@@ -435,6 +711,7 @@ export class WantedSystem {
                     if (input.justPressed('interact')) {
                         // Pay and clear
                         player.cash -= cost;
+                        this.game.events.emit('wanted:escaped', { level: this.level, method: 'spray' });
                         this.clearWanted();
 
                         // Repair vehicle
@@ -503,51 +780,97 @@ export class WantedSystem {
         }
     }
 
-    addHeat(amount) {
+    // A crime by the player. Police who see it for themselves come down on it at once;
+    // otherwise it's up to any witnesses to phone it in.
+    crime(type, victim = null) {
+        if (this.level > 0 && this.suspectSeen) {
+            this.addHeat(CRIMES[type].heat);
+        } else {
+            this.witnesses.witness(type, victim);
+        }
+    }
+
+    // seenAt: where the police are told the suspect was; a witness's call comes in a while
+    // after the crime, by which time the player may be long gone
+    addHeat(amount, seenAt = this.game.systems.player.position) {
         if (this.game.systems.player.isDead) return;
 
         this.heat += amount;
+        const previous = this.level;
+
+        // The police know where the crime happened
+        this.reportSighting(seenAt);
 
         // Check if we should increase star level
         while (this.level < 5 && this.heat >= this.heatThresholds[this.level]) {
             this.level++;
             this.isEscaping = false;
-
-            // Track stats
-            if (this.level > this.game.stats.maxWantedSurvived) {
-                this.game.stats.maxWantedSurvived = this.level;
-            }
         }
 
         // Update HUD
         this.updateStarDisplay();
+        this._announceLevel(previous, 'heat');
     }
 
     setLevel(level) {
+        const previous = this.level;
         this.level = Math.max(0, Math.min(5, level));
         this.heat = level > 0 ? this.heatThresholds[level - 1] : 0;
         this.updateStarDisplay();
 
         if (level === 0) {
             this.clearWanted();
+        } else {
+            this.reportSighting(this.game.systems.player.position);
+        }
+        this._announceLevel(previous, 'script');
+    }
+
+    // wanted:changed for whoever is listening, if the star count actually moved
+    _announceLevel(previous, source) {
+        if (this.level !== previous) {
+            this.game.events.emit('wanted:changed', { level: this.level, previous, source });
         }
     }
 
-    clearWanted() {
+    // --- Save/load: police units respawn from the level on the next update ---
+    serialize() {
+        return { level: this.level, heat: this.heat };
+    }
+
+    // Restored quietly: loading isn't the level changing, so no siren, stats or wanted:changed
+    deserialize(data) {
+        this.clearWanted(false);
+        this.level = Math.max(0, Math.min(5, data.level));
+        this.heat = data.heat;
+        if (this.level > 0) this.reportSighting(this.game.systems.player.position);
+        this.updateStarDisplay();
+    }
+
+    clearWanted(announce = true) {
+        const previous = this.level;
         this.level = 0;
         this.heat = 0;
         this.isEscaping = false;
-
-        // Despawn all police
+        this.lastKnownPosition = null;
+        this.suspectSeen = false;
+        this._heliSees = false;
+        this._searchTime = 0;
+        this._bustHold = 0;
+        this._lastSuspectPos = null;
+        this._holdFire = 0;
+        if (this.surrendering) this._endSurrender();
+
+        // Despawn all police, and whatever they came in unless the player has taken it
         for (const unit of this.policeUnits) {
-            if (unit.mesh) {
-                this.game.scene.remove(unit.mesh);
-            }
-            if (unit.vehicle && unit.vehicle.mesh) {
-                this.game.scene.remove(unit.vehicle.mesh);
-            }
+            if (unit.mesh) this._disposeObject(unit.mesh);
+            if (unit.rappel) this._removeRope(unit);
         }
         this.policeUnits = [];
+        for (const lv of this.lawVehicles) {
+            this._removeLawVehicle(lv.car);
+        }
+        this.lawVehicles = [];
 
         // Remove police helicopter
         this._removePoliceHelicopter();
@@ -572,15 +895,17 @@ export class WantedSystem {
                 rb.strip.material.dispose();
             }
             for (const car of rb.cars) {
-                if (car.mesh) {
-                    this.game.scene.remove(car.mesh);
-                }
+                this._removeLawVehicle(car);
+            }
+            for (const prop of rb.props || []) {
+                this._disposeObject(prop);
             }
         }
         this.roadblocks = [];
 
         this.updateStarDisplay();
         document.getElementById('hud-escape-timer').style.display = 'none';
+        if (announce) this._announceLevel(previous, 'clear');
     }
 
     updateStarDisplay() {
@@ -613,14 +938,47 @@ export class WantedSystem {
 
         if (!this._policeHeli) return;
 
-        // Follow player from above
-        const targetX = player.position.x + Math.sin(Date.now() * 0.0003) * 15;
-        const targetZ = player.position.z + Math.cos(Date.now() * 0.0003) * 15;
+        // Its spotlight finds you if you're out in the open near enough underneath
+        const heliPos = this._policeHeli.position;
+        this._heliSightTimer -= dt;
+        if (this._heliSightTimer <= 0) {
+            this._heliSightTimer = SIGHT_CHECK;
+            const gx = player.position.x - heliPos.x;
+            const gz = player.position.z - heliPos.z;
+            this._heliSees = !player.isDead && !this._inEscapeZone &&
+                gx * gx + gz * gz < HELI_SIGHT * HELI_SIGHT &&
+                this._lineOfSight(
+                    { x: heliPos.x, y: heliPos.y - 2, z: heliPos.z },
+                    { x: player.position.x, y: player.position.y + EYE_HEIGHT, z: player.position.z }
+                );
+        }
+
+        // Hold over the suspect while anyone can see them; otherwise circle the search area
+        const area = this.searchArea();
+        const focus = this.lastKnownPosition || player.position;
+        const circle = area ? area.radius : 15;
+        const targetX = focus.x + Math.sin(Date.now() * 0.0003) * circle;
+        const targetZ = focus.z + Math.cos(Date.now() * 0.0003) * circle;
         const targetY = 40 + Math.sin(Date.now() * 0.001) * 3;
 
-        this._policeHeli.position.x += (targetX - this._policeHeli.position.x) * dt * 1.5;
-        this._policeHeli.position.z += (targetZ - this._policeHeli.position.z) * dt * 1.5;
-        this._policeHeli.position.y += (targetY - this._policeHeli.position.y) * dt * 2;
+        // Eases in like before, but no faster than its top speed
+        const moveX = (targetX - heliPos.x) * dt * 1.5;
+        const moveZ = (targetZ - heliPos.z) * dt * 1.5;
+        const move = Math.sqrt(moveX * moveX + moveZ * moveZ);
+        const limit = move > HELI_SPEED * dt ? HELI_SPEED * dt / move : 1;
+        heliPos.x += moveX * limit;
+        heliPos.z += moveZ * limit;
+        heliPos.y += (targetY - heliPos.y) * dt * 2;
+
+        // SWAT rope down once it's over the suspect or the search, while there's room for them
+        this._rappelTimer -= dt;
+        const overFocus = Math.hypot(focus.x - heliPos.x, focus.z - heliPos.z) < (area ? area.radius : 0) + HELI_SIGHT;
+        if (this._rappelTimer <= 0 && this.level <= 4 && overFocus && this._activeUnits() + 2 <= this.maxPolice[this.level] &&
+            !this.game.systems.world.isInWater(heliPos.x, heliPos.z)) {
+            this._rappelTimer = RAPPEL_INTERVAL;
+            this._rappelOfficer(-1);
+            this._rappelOfficer(1);
+        }
 
         // Rotate helicopter toward movement direction
         const dx = targetX - this._policeHeli.position.x;
@@ -632,25 +990,24 @@ export class WantedSystem {
         // Slight tilt forward
         this._policeHeli.rotation.x = -0.1;
 
-        // Spotlight cone tracks player
+        // Spotlight holds on the player while it has them, otherwise sweeps the ground below
+        const sweep = Date.now() * 0.0015;
+        const aimX = this._heliSees ? player.position.x : heliPos.x + Math.sin(sweep) * HELI_SIGHT * 0.6;
+        const aimZ = this._heliSees ? player.position.z : heliPos.z + Math.cos(sweep * 0.7) * HELI_SIGHT * 0.6;
         if (this._heliSpotlight) {
-            this._heliSpotlight.target.position.set(
-                player.position.x,
-                0,
-                player.position.z
-            );
+            this._heliSpotlight.target.position.set(aimX, 0, aimZ);
         }
 
         // Update spotlight cone mesh
         if (this._spotlightCone) {
             this._spotlightCone.position.copy(this._policeHeli.position);
             this._spotlightCone.position.y -= 1;
-            this._spotlightCone.lookAt(player.position.x, 0, player.position.z);
+            this._spotlightCone.lookAt(aimX, 0, aimZ);
             this._spotlightCone.rotateX(Math.PI / 2);
 
-            // Ground circle follows player
+            // Ground circle follows the aim
             if (this._spotlightGround) {
-                this._spotlightGround.position.set(player.position.x, 0.1, player.position.z);
+                this._spotlightGround.position.set(aimX, 0.1, aimZ);
             }
         }
 
@@ -766,6 +1123,7 @@ export class WantedSystem {
     }
 
     _removePoliceHelicopter() {
+        this._heliSees = false;
         if (this._policeHeli) {
             this.game.scene.remove(this._policeHeli);
             this._policeHeli = null;
@@ -794,34 +1152,78 @@ export class WantedSystem {
         }
     }
 
+    // Dispatch one crew suited to the star level, towards wherever the suspect was last seen;
+    // a police boat instead if that's out on the water
     spawnPoliceUnit() {
         const player = this.game.systems.player;
-        const angle = Math.random() * Math.PI * 2;
-        const dist = 40 + Math.random() * 30;
-
-        const x = player.position.x + Math.cos(angle) * dist;
-        const z = player.position.z + Math.sin(angle) * dist;
-
-        let unitType = 'cop';
-        let health = 50;
-        let color = 0x2244aa;
+        const world = this.game.systems.world;
+        const around = this.lastKnownPosition || player.position;
+
+        let kind;
+        let at;
+        if (world.isInWater(around.x, around.z)) {
+            if (this.lawVehicles.filter(lv => lv.kind === 'boat').length >= MAX_BOATS) return;
+            kind = 'boat';
+            at = this._waterSpawnPoint(around);
+            if (!at) return;
+        } else {
+            kind = this._pickCrewKind();
+            const angle = Math.random() * Math.PI * 2;
+            const dist = 40 + Math.random() * 30;
+            at = { x: around.x + Math.cos(angle) * dist, z: around.z + Math.sin(angle) * dist };
+        }
 
-        if (this.level >= 4) {
-            if (Math.random() > 0.5) {
-                unitType = 'swat';
-                health = 100;
-                color = 0x222222;
+        const def = CREWS[kind];
+        const facing = Math.atan2(around.x - at.x, around.z - at.z);
+        const crew = def.crew.map((type, i) => this._createOfficer(type, at.x + i * 0.8, at.z, facing));
+        if (def.vehicle) {
+            const car = this._spawnLawVehicle(def.vehicle, at.x + 3, at.z + 3);
+            if (car) {
+                car.mesh.rotation.y = facing;
+                for (const unit of crew) {
+                    unit.vehicle = car;
+                    unit.mesh.visible = kind === 'boat'; // Inside the car; on deck in a boat
+                }
+                this.lawVehicles.push({ car, kind, crew });
             }
         }
-        if (this.level >= 5 && Math.random() > 0.6) {
-            unitType = 'military';
-            health = 100;
-            color = 0x445533;
+        this.policeUnits.push(...crew);
+    }
+
+    _pickCrewKind() {
+        const options = DISPATCH[this.level];
+        let roll = Math.random() * options.reduce((sum, [, w]) => sum + w, 0);
+        for (const [kind, w] of options) {
+            roll -= w;
+            if (roll < 0) return kind;
+        }
+        return options[options.length - 1][0];
+    }
+
+    // Somewhere on the water 40-70m from a point, or null if there's none (inland)
+    _waterSpawnPoint(around) {
+        const world = this.game.systems.world;
+        const start = Math.random() * Math.PI * 2;
+        for (let i = 0; i < 12; i++) {
+            const angle = start + i * Math.PI / 6;
+            const dist = 40 + Math.random() * 30;
+            const x = around.x + Math.cos(angle) * dist;
+            const z = around.z + Math.sin(angle) * dist;
+            if (world.isInWater(x, z)) return { x, z };
         }
+        return null;
+    }
+
+    _activeUnits() {
+        return this.policeUnits.filter(u => u.alive && !u.post).length;
+    }
+
+    _createOfficer(type, x, z, facing) {
+        const def = UNIT_TYPES[type];
 
         // Create cop model
         const group = new THREE.Group();
-        const mat = new THREE.MeshStandardMaterial({ color: color, roughness: 0.7 });
+        const mat = new THREE.MeshStandardMaterial({ color: def.color, roughness: 0.7 });
         const skinMat = new THREE.MeshStandardMaterial({ color: 0xd4a574, roughness: 0.7 });
 
         // Head
@@ -852,81 +1254,210 @@ export class WantedSystem {
             group.add(leg);
         }
 
+        // Helmet for SWAT and soldiers (after the limbs, which the walk animation finds by index)
+        if (def.helmet) {
+            const helmetGeo = new THREE.SphereGeometry(0.19, 6, 4, 0, Math.PI * 2, 0, Math.PI / 2);
+            const helmet = new THREE.Mesh(helmetGeo, mat);
+            helmet.position.y = 1.74;
+            group.add(helmet);
+        }
+
         group.position.set(x, 0, z);
+        group.rotation.y = facing;
         this.game.scene.add(group);
 
-        const unit = {
+        return {
             mesh: group,
-            type: unitType,
-            health: health,
+            type,
+            health: def.health,
             alive: true,
-            hasGun: this.level >= 3,
+            hasGun: type !== 'cop' || this.level >= 3,
             shootTimer: 2 + Math.random() * 3,
+            burstLeft: 0,
             dialogueTimer: 3 + Math.random() * 5,
             animTime: 0,
-            vehicle: null
+            vehicle: null,
+            post: null,          // Roadblock crews hold this spot
+            rappel: null,        // The rope, while coming down from the helicopter
+            flankSide: Math.random() < 0.5 ? -1 : 1,
+            removeTimer: 0,
+            // Perception: 'chase' (sees the suspect), 'respond' (someone else does) or 'search'
+            state: null,
+            canSee: false,
+            sightTimer: Math.random() * SIGHT_CHECK,
+            searchPoint: null,
+            searchRoute: null,   // Sidewalk steps to the search point, worked out once on foot
+            fanningOut: false,   // Past the last known position and onto the search pattern
+            searchTimer: 0,
+            scanTimer: 0,
+            scanHeading: 0
         };
+    }
+
+    _spawnLawVehicle(kind, x, z) {
+        const def = LAW_VEHICLES[kind];
+        const car = this.game.systems.vehicles.spawnVehicle(x, z, def.type, def.type === 'boat');
+        if (!car) return null;
+        car.health = car.maxHealth = def.durability;
+        car.isTraffic = false;
+        car.lawKind = kind;
 
-        // At 2+ stars, some arrive in police cars
-        if (this.level >= 2 && Math.random() > 0.4) {
+        if (kind === 'police') {
             const models = this.game.systems.models;
             const usePoliceModel = models && models.hasModel('police');
-            const car = this.game.systems.vehicles.spawnVehicle(x + 3, z + 3, 'sedan');
-            if (car) {
-                if (usePoliceModel) {
-                    // Replace mesh with police .glb model
-                    this.game.scene.remove(car.mesh);
-                    car.mesh = models.cloneVehicle('police');
-                    car.mesh.position.set(x + 3, 0, z + 3);
-                    // Apply police texture
-                    const policeTexture = this.game.systems.vehicles._generateVehicleTexture('police', 0xffffff);
-                    car.mesh.traverse((child) => {
-                        if (child.isMesh) {
-                            child.castShadow = true;
-                        }
-                    });
-                    // Apply police texture to body meshes
-                    car.mesh.traverse((child) => {
-                        if (child.isMesh) {
-                            if (child.name && child.name.startsWith('wheel')) return;
-                            if (child.material.transparent) return;
-                            if (child.material.metalness > 0.8) return;
-                            child.material = child.material.clone();
-                            child.material.map = policeTexture;
-                            child.material.roughness = Math.max(0.3, Math.min(0.5, child.material.roughness));
-                            child.material.metalness = Math.max(0.5, Math.min(0.6, child.material.metalness));
-                            child.material.needsUpdate = true;
-                        }
-                    });
-                    // Collect wheel references
-                    const wheels = [];
-                    car.mesh.traverse((child) => {
-                        if (child.name && child.name.startsWith('wheel')) wheels.push(child);
-                    });
-                    car.mesh.userData.wheels = wheels;
-                    car.mesh.userData.useGLB = true;
-                    this.game.scene.add(car.mesh);
-                } else {
-                    // Fallback: recolor sedan to look like police car
-                    const policeTexture = this.game.systems.vehicles._generateVehicleTexture('police', 0xffffff);
-                    car.mesh.traverse((child) => {
-                        if (child.isMesh && child.material) {
-                            child.material = new THREE.MeshStandardMaterial({
-                                color: 0xffffff,
-                                roughness: 0.4,
-                                metalness: 0.6,
-                                map: policeTexture
-                            });
-                        }
-                    });
+            if (usePoliceModel) {
+                // Replace mesh with police .glb model
+                this.game.scene.remove(car.mesh);
+                car.mesh = models.cloneVehicle('police');
+                car.mesh.position.set(x, 0, z);
+                // Apply police texture
+                const policeTexture = this.game.systems.vehicles._generateVehicleTexture('police', 0xffffff);
+                car.mesh.traverse((child) => {
+                    if (child.isMesh) {
+                        child.castShadow = true;
+                    }
+                });
+                // Apply police texture to body meshes
+                car.mesh.traverse((child) => {
+                    if (child.isMesh) {
+                        if (child.name && child.name.startsWith('wheel')) return;
+                        if (child.material.transparent) return;
+                        if (child.material.metalness > 0.8) return;
+                        child.material = child.material.clone();
+                        child.material.map = policeTexture;
+                        child.material.roughness = Math.max(0.3, Math.min(0.5, child.material.roughness));
+                        child.material.metalness = Math.max(0.5, Math.min(0.6, child.material.metalness));
+                        child.material.needsUpdate = true;
+                    }
+                });
+                // Collect wheel references
+                const wheels = [];
+                car.mesh.traverse((child) => {
+                    if (child.name && child.name.startsWith('wheel')) wheels.push(child);
+                });
+                car.mesh.userData.wheels = wheels;
+                car.mesh.userData.useGLB = true;
+                this.game.scene.add(car.mesh);
+            } else {
+                // Fallback: recolor sedan to look like police car
+                const policeTexture = this.game.systems.vehicles._generateVehicleTexture('police', 0xffffff);
+                car.mesh.traverse((child) => {
+                    if (child.isMesh && child.material) {
+                        child.material = new THREE.MeshStandardMaterial({
+                            color: 0xffffff,
+                            roughness: 0.4,
+                            metalness: 0.6,
+                            map: policeTexture
+                        });
+                    }
+                });
+            }
+        } else {
+            car.mesh.traverse((child) => {
+                if (child.isMesh && child.material && !child.name?.startsWith('wheel')) {
+                    child.material = child.material.clone();
+                    child.material.color.setHex(def.color);
+                    child.material.map = null;
+                    child.material.needsUpdate = true;
                 }
-                // Add split red/blue lightbar to police vehicle
-                this._addPoliceLightbar(car);
-                unit.vehicle = car;
+            });
+        }
+        if (def.lightbar) this._addPoliceLightbar(car);
+        return car;
+    }
+
+    // Off the map, unless the player has driven off in it
+    _removeLawVehicle(car) {
+        if (!car.mesh || car.occupied) return;
+        this.game.systems.vehicles.removeVehicle(car);
+    }
+
+    // Drive crews in: at the suspect while anyone can see them, otherwise to where they were
+    // last seen. The crew gets out once near enough; boats stay on the water with their crew
+    // aboard. A vehicle that's destroyed takes everyone still inside with it.
+    _updateLawVehicles(dt) {
+        const player = this.game.systems.player;
+        const world = this.game.systems.world;
+
+        for (let i = this.lawVehicles.length - 1; i >= 0; i--) {
+            const lv = this.lawVehicles[i];
+            const car = lv.car;
+            const aboard = lv.crew.filter(u => u.alive && u.vehicle === car);
+            if (car._destroyed || !car.mesh) {
+                for (const unit of aboard) this._killUnit(unit, false);
+                this.lawVehicles.splice(i, 1);
+                continue;
+            }
+            if (aboard.length === 0) continue; // Parked
+
+            const pos = car.mesh.position;
+            const target = this.lastKnownPosition || player.position;
+            const toTarget = new THREE.Vector3(target.x - pos.x, 0, target.z - pos.z);
+            const dist = toTarget.length();
+            const deploy = CREWS[lv.kind].deploy;
+
+            if (car.occupied || (deploy !== undefined && dist <= deploy)) {
+                // Everybody out, spread round the vehicle
+                aboard.forEach((unit, n) => {
+                    const angle = car.mesh.rotation.y + Math.PI / 2 + (n - (aboard.length - 1) / 2) * 0.7;
+                    unit.vehicle = null;
+                    unit.mesh.visible = true;
+                    unit.mesh.position.set(pos.x + Math.sin(angle) * 2.5, 0, pos.z + Math.cos(angle) * 2.5);
+                });
+                if (lv.kind !== 'patrol') this._say(aboard[0], this.deployDialogue);
+                continue;
             }
+
+            if (dist > 8) {
+                const speed = LAW_VEHICLES[car.lawKind].speed + this.level * 3;
+                toTarget.normalize();
+                const nextX = pos.x + toTarget.x * speed * dt;
+                const nextZ = pos.z + toTarget.z * speed * dt;
+                // Boats wait at the shore rather than driving up the beach
+                if (lv.kind !== 'boat' || world.isInWater(nextX, nextZ)) {
+                    pos.x = nextX;
+                    pos.z = nextZ;
+                }
+                car.mesh.rotation.y = Math.atan2(toTarget.x, toTarget.z);
+            }
+
+            // Crew rides along, looking where the vehicle's heading; on deck in a boat
+            aboard.forEach((unit, n) => {
+                const back = lv.kind === 'boat' ? (n - 0.5) * 1.6 : 0;
+                unit.mesh.position.set(
+                    pos.x - Math.sin(car.mesh.rotation.y) * back,
+                    lv.kind === 'boat' ? pos.y + 0.4 : 0,
+                    pos.z - Math.cos(car.mesh.rotation.y) * back
+                );
+                unit.mesh.rotation.y = car.mesh.rotation.y;
+            });
         }
+    }
 
-        this.policeUnits.push(unit);
+    // A weapon or blast hit. Armour soaks part of it; when it's the player's, it gives away
+    // where the shot came from if nobody could see the suspect, and a kill adds heat.
+    damageUnit(unit, amount, attacker = null) {
+        if (!unit.alive) return;
+        const player = this.game.systems.player;
+        const byPlayer = attacker === player;
+        unit.health -= amount * UNIT_TYPES[unit.type].armor;
+        if (byPlayer && !this.suspectSeen) this.reportSighting(player.position);
+        if (unit.health <= 0) this._killUnit(unit, byPlayer);
+    }
+
+    _killUnit(unit, byPlayer) {
+        unit.alive = false;
+        unit.canSee = false;
+        unit.removeTimer = BODY_TIME;
+        if (unit.rappel) {
+            // Shot off the rope: they drop
+            const pos = unit.mesh.position;
+            pos.y = this.game.systems.npcs._getGroundY(pos.x, pos.z);
+            this._removeRope(unit);
+        }
+        unit.mesh.rotation.x = -Math.PI / 2;
+        unit.mesh.position.y += 0.2;
+        if (byPlayer) this.addHeat(2);
     }
 
     _addPoliceLightbar(car) {
@@ -972,9 +1503,7 @@ export class WantedSystem {
             this._policeFlashState = !this._policeFlashState;
         }
 
-        for (const unit of this.policeUnits) {
-            if (!unit.vehicle) continue;
-            const car = unit.vehicle;
+        for (const { car } of this.lawVehicles) {
             if (!car._lightbarLeft || !car._lightbarRight) continue;
 
             if (this._policeFlashState) {
@@ -1039,59 +1568,78 @@ export class WantedSystem {
         if (!unit.alive || !unit.mesh) return;
 
         const player = this.game.systems.player;
+        const def = UNIT_TYPES[unit.type];
         const toPlayer = new THREE.Vector3().subVectors(player.position, unit.mesh.position);
         const dist = toPlayer.length();
 
-        // Chase player
-        if (dist > 3) {
-            toPlayer.normalize();
-            const speed = this.level >= 3 ? 6 : 4;
-            const newX = unit.mesh.position.x + toPlayer.x * speed * dt;
-            const newZ = unit.mesh.position.z + toPlayer.z * speed * dt;
-
-            const collision = this.game.systems.world.checkCollision(newX, newZ, 0.4);
-            if (!collision) {
-                unit.mesh.position.x = newX;
-                unit.mesh.position.z = newZ;
-            }
+        if (unit.rappel) {
+            this._updateRappel(unit, dt);
+            return;
+        }
+
+        // Their own eyes first, then the radio, then a search of the area
+        const state = unit.canSee ? 'chase' : this.suspectSeen ? 'respond' : 'search';
+        if (state === 'search' && unit.state !== 'search') {
+            // Start from where the suspect was last seen, then fan out
+            unit.searchPoint = (this.lastKnownPosition || unit.mesh.position).clone();
+            unit.searchRoute = null;
+            unit.fanningOut = false;
+            unit.searchTimer = SEARCH_GIVE_UP;
+            unit.scanTimer = 0;
+        }
+        unit.state = state;
 
+        // Riding in: _updateLawVehicles moves them. Only boat crews, out on deck, can fight.
+        if (unit.vehicle) {
+            if (state === 'chase' && unit.mesh.visible && !this._holdingFire()) this._attack(unit, def, dist, dt);
+            return;
+        }
+
+        let target = null;
+        if (unit.post) {
+            // Roadblock crews hold their spot
+        } else if (state === 'chase') {
+            target = this._attackPosition(unit, def, dist);
+        } else if (state === 'respond') {
+            target = this.lastKnownPosition;
+        } else {
+            target = this._searchTarget(unit, dt);
+        }
+
+        // On foot: close in on the suspect or the last known position, walk the search pattern
+        let moving = false;
+        if (target) {
+            const tx = target.x - unit.mesh.position.x;
+            const tz = target.z - unit.mesh.position.z;
+            const stopAt = state === 'search' ? 0.5 : target !== player.position ? 1 : this.level <= 2 || this.surrendering ? 1.5 : 3;
+            if (tx * tx + tz * tz > stopAt * stopAt) {
+                const speed = (def.speed + (this.level >= 3 ? 2 : 0)) * (unit.fanningOut && state === 'search' ? 0.6 : 1);
+                moving = this.game.systems.npcs.stepToward(unit, target.x, target.z, speed, dt);
+                // Blocked: try another search point
+                if (!moving && state === 'search') unit.searchTimer = 0;
+            }
+        }
+        // Keep eyes on the suspect while moving round them
+        if (state === 'chase') {
             unit.mesh.rotation.y = Math.atan2(toPlayer.x, toPlayer.z);
         }
 
         // Walk animation
-        unit.animTime += dt * 6;
         const children = unit.mesh.children;
         if (children.length >= 6) {
-            const swing = Math.sin(unit.animTime) * 0.3;
+            if (moving) unit.animTime += dt * 6;
+            const swing = moving ? Math.sin(unit.animTime) * 0.3 : 0;
             children[2].rotation.x = swing;
             children[3].rotation.x = -swing;
             children[4].rotation.x = -swing;
             children[5].rotation.x = swing;
         }
 
-        // Melee attack when close
-        if (dist < 2.5 && !unit.hasGun) {
-            unit.shootTimer -= dt;
-            if (unit.shootTimer <= 0) {
-                player.takeDamage(10);
-                unit.shootTimer = 1.0;
-            }
-        }
+        // Only a cop who can see the suspect attacks or shouts at them, and not once they've
+        // given up or paid up
+        if (state !== 'chase' || this._holdingFire()) return;
 
-        // Ranged attack
-        if (unit.hasGun && dist < 40 && dist > 5) {
-            unit.shootTimer -= dt;
-            if (unit.shootTimer <= 0) {
-                // Shoot at player
-                const hitChance = 0.3;
-                if (Math.random() < hitChance) {
-                    const damage = unit.type === 'swat' ? 15 : (unit.type === 'military' ? 20 : 10);
-                    player.takeDamage(damage);
-                }
-                this.game.systems.audio.playGunshot('pistol');
-                unit.shootTimer = 1.5 + Math.random();
-            }
-        }
+        this._attack(unit, def, dist, dt);
 
         // Dialogue
         unit.dialogueTimer -= dt;
@@ -1106,38 +1654,184 @@ export class WantedSystem {
             } else {
                 lines = this.copDialogue;
             }
-            const line = this._pickDialogueLine(lines);
+            this._say(unit, lines);
+            unit.dialogueTimer = 4 + Math.random() * 6;
+        }
+    }
+
+    // Where a unit fights from: cops charge in, SWAT work out to the suspect's side, FBI
+    // agents and soldiers hold back at range. Null to stand and fight where they are.
+    _attackPosition(unit, def, dist) {
+        const player = this.game.systems.player;
+        // Hands up: everyone closes in to make the arrest
+        if (this.surrendering) return dist > 1.5 ? player.position : null;
+        if (def.flank) {
+            const side = player.rotation + unit.flankSide * Math.PI / 2;
+            return new THREE.Vector3(
+                player.position.x + Math.sin(side) * def.keepAway,
+                0,
+                player.position.z + Math.cos(side) * def.keepAway
+            );
+        }
+        // Close enough to cuff at 1-2 stars; further up they stand off and shoot
+        return dist > Math.max(def.keepAway, this.level <= 2 ? 1.5 : 3) ? player.position : null;
+    }
 
-            // Show subtitle
-            this.game.systems.npcs.showNPCSubtitle({ mesh: unit.mesh, alive: true }, line);
-            this.game.systems.audio.playAnimalese(line, 160, 'authoritative');
+    // Unarmed cops use their batons up close; everyone else shoots, in bursts for automatic
+    // weapons
+    _attack(unit, def, dist, dt) {
+        const player = this.game.systems.player;
+        if (!unit.hasGun) {
+            if (dist < 2.5) {
+                unit.shootTimer -= dt;
+                if (unit.shootTimer <= 0) {
+                    player.takeDamage(10);
+                    unit.shootTimer = 1.0;
+                }
+            }
+            return;
+        }
+        if (dist > def.range) return;
 
-            unit.dialogueTimer = 4 + Math.random() * 6;
+        unit.shootTimer -= dt;
+        if (unit.shootTimer > 0) return;
+        if (unit.burstLeft <= 0) unit.burstLeft = def.burst;
+        if (Math.random() < def.hitChance) {
+            player.takeDamage(def.damage);
         }
+        this.game.systems.audio.playGunshot(def.weapon);
+        unit.burstLeft--;
+        unit.shootTimer = unit.burstLeft > 0 ? 0.15 : def.fireDelay + Math.random();
+    }
 
-        // Police vehicle chase — drive toward player
-        if (unit.vehicle && unit.vehicle.mesh && dist > 10) {
-            const carToPlayer = new THREE.Vector3().subVectors(player.position, unit.vehicle.mesh.position);
-            const carDist = carToPlayer.length();
-            if (carDist > 8) {
-                carToPlayer.normalize();
-                const carSpeed = 12 + this.level * 3;
-                unit.vehicle.mesh.position.x += carToPlayer.x * carSpeed * dt;
-                unit.vehicle.mesh.position.z += carToPlayer.z * carSpeed * dt;
-                unit.vehicle.mesh.rotation.y = Math.atan2(carToPlayer.x, carToPlayer.z);
-                // Cop follows car
-                unit.mesh.position.set(
-                    unit.vehicle.mesh.position.x,
-                    0,
-                    unit.vehicle.mesh.position.z
-                );
-                unit.mesh.visible = false; // Hide cop, they're "inside" the car
-            } else {
-                // Close enough — cop exits vehicle and chases on foot
-                unit.mesh.visible = true;
-                unit.vehicle = null;
+    // SWAT rope down from the helicopter near the suspect, or into the search
+    _rappelOfficer(side) {
+        const heli = this._policeHeli;
+        const x = heli.position.x + Math.cos(heli.rotation.y) * side * 1.2;
+        const z = heli.position.z - Math.sin(heli.rotation.y) * side * 1.2;
+        if (this.game.systems.world.checkCollision(x, z, 0.4)) return; // Over a roof
+
+        const unit = this._createOfficer('swat', x, z, heli.rotation.y);
+        unit.mesh.position.y = heli.position.y - 2.5;
+        const rope = new THREE.Mesh(
+            new THREE.BoxGeometry(0.04, 1, 0.04),
+            new THREE.MeshBasicMaterial({ color: 0x111111 })
+        );
+        this.game.scene.add(rope);
+        unit.rappel = rope;
+        this.policeUnits.push(unit);
+    }
+
+    // Down the rope to the ground; from there they're on foot like anyone else
+    _updateRappel(unit, dt) {
+        const pos = unit.mesh.position;
+        const ground = this.game.systems.npcs._getGroundY(pos.x, pos.z);
+        pos.y = Math.max(ground, pos.y - RAPPEL_SPEED * dt);
+
+        const hands = pos.y + 1.8;
+        const top = this._policeHeli ? this._policeHeli.position.y - 1 : hands;
+        unit.rappel.scale.y = Math.max(0.01, top - hands);
+        unit.rappel.position.set(pos.x, (top + hands) / 2, pos.z);
+
+        if (pos.y <= ground) this._removeRope(unit);
+    }
+
+    // Take an officer or roadblock prop out of the scene along with its GPU buffers
+    _disposeObject(object) {
+        this.game.scene.remove(object);
+        object.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    }
+
+    _removeRope(unit) {
+        this.game.scene.remove(unit.rappel);
+        unit.rappel.geometry.dispose();
+        unit.rappel.material.dispose();
+        unit.rappel = null;
+    }
+
+    // Search pattern: make for a point along the sidewalks, stop and sweep the view cone
+    // round, then on to the next. Returns where to walk, or null while looking around.
+    _searchTarget(unit, dt) {
+        if (unit.scanTimer > 0) {
+            unit.scanTimer -= dt;
+            unit.mesh.rotation.y = unit.scanHeading + Math.sin((SEARCH_SCAN - unit.scanTimer) * 2.5) * 0.9;
+            if (unit.scanTimer <= 0) {
+                unit.searchPoint = this._pickSearchPoint(unit);
+                unit.searchRoute = null;
+                unit.fanningOut = true;
+                unit.searchTimer = SEARCH_GIVE_UP;
             }
+            return null;
+        }
+
+        unit.searchTimer -= dt;
+        if (unit.vehicle) return unit.searchPoint;
+        if (!unit.searchRoute) {
+            // Time enough to walk it, and a little over; longer than that they're stuck
+            unit.searchRoute = this._routeTo(unit.mesh.position, unit.searchPoint);
+            let length = 0;
+            let from = unit.mesh.position;
+            for (const step of unit.searchRoute) {
+                length += Math.hypot(step.x - from.x, step.z - from.z);
+                from = step;
+            }
+            unit.searchTimer = SEARCH_GIVE_UP + length / 2;
+        }
+
+        const pos = unit.mesh.position;
+        while (unit.searchRoute.length > 0 &&
+               (unit.searchRoute[0].x - pos.x) ** 2 + (unit.searchRoute[0].z - pos.z) ** 2 < 1) {
+            unit.searchRoute.shift();
         }
+        if (unit.searchRoute.length === 0 || unit.searchTimer <= 0) {
+            unit.scanTimer = SEARCH_SCAN;
+            unit.scanHeading = unit.mesh.rotation.y;
+            return null;
+        }
+        return unit.searchRoute[0];
+    }
+
+    // Points to walk through to reach a spot: along the sidewalks to the corner nearest it,
+    // then straight there
+    _routeTo(from, point) {
+        const graph = this.game.systems.world.sidewalkGraph;
+        const node = graph && graph.nearestNode(point.x, point.z);
+        const steps = node ? graph.findPath(from, { node }) : null;
+        const route = steps ? steps.map(step => new THREE.Vector3(step.x, 0, step.z)) : [];
+        route.push(point.clone());
+        return route;
+    }
+
+    // Each searching cop takes its own slice of the search area round the last known
+    // position, so they fan out rather than bunching up, and picks a sidewalk spot in it
+    _pickSearchPoint(unit) {
+        const area = this.searchArea();
+        const center = area ? area.center : unit.mesh.position;
+        const radius = area ? area.radius : SEARCH_START;
+        const searchers = this.policeUnits.filter(u => u.alive && u.state === 'search');
+        const width = Math.PI * 2 / Math.max(1, searchers.length);
+        const from = this._searchBearing + Math.max(0, searchers.indexOf(unit)) * width;
+
+        const inSlice = (x, z) => {
+            const d = Math.hypot(x - center.x, z - center.z);
+            if (d > radius || d < radius * 0.3) return false;
+            const a = Math.atan2(x - center.x, z - center.z) - from;
+            return ((a % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2) < width;
+        };
+        const graph = this.game.systems.world.sidewalkGraph;
+        const spots = graph ? graph.nodes.filter(n => inSlice(n.x, n.z)) : [];
+        if (spots.length > 0) {
+            const spot = spots[Math.floor(Math.random() * spots.length)];
+            return new THREE.Vector3(spot.x, 0, spot.z);
+        }
+
+        // No sidewalk in the slice (open ground, or the area is still small): anywhere in it
+        const angle = from + Math.random() * width;
+        const d = radius * (0.3 + Math.random() * 0.7);
+        return new THREE.Vector3(center.x + Math.sin(angle) * d, 0, center.z + Math.cos(angle) * d);
     }
 
     _spawnSpikeStrip() {
@@ -1320,31 +2014,38 @@ export class WantedSystem {
             const worldOffX = cp.offX * cosR - cp.offZ * sinR;
             const worldOffZ = cp.offX * sinR + cp.offZ * cosR;
 
-            const car = this.game.systems.vehicles.spawnVehicle(
-                blockX + worldOffX,
-                blockZ + worldOffZ,
-                'sedan'
-            );
+            // Army trucks at 5 stars, patrol cars before that
+            const car = this._spawnLawVehicle(this.level >= 5 ? 'army' : 'police', blockX + worldOffX, blockZ + worldOffZ);
             if (car) {
-                // White police paint with blue stripe effect
-                car.mesh.traverse((child) => {
-                    if (child.isMesh && child.material) {
-                        child.material = new THREE.MeshStandardMaterial({
-                            color: 0xffffff, roughness: 0.3, metalness: 0.5
-                        });
-                    }
-                });
                 car.mesh.rotation.y = roadblockRotation + cp.rot;
-                car.isTraffic = false;
-
-                // Add split red/blue lightbar to roadblock car
-                this._addPoliceLightbar(car);
-
                 group.userData.cars = group.userData.cars || [];
                 group.userData.cars.push(car);
             }
         }
 
+        // The army digs in: sandbags across the gaps and soldiers posted behind them
+        const props = [];
+        if (this.level >= 5) {
+            const cosR = Math.cos(roadblockRotation);
+            const sinR = Math.sin(roadblockRotation);
+            const bagMat = new THREE.MeshStandardMaterial({ color: 0x8a7a55, roughness: 0.9 });
+            for (const offX of [-6.5, -2, 2, 6.5]) {
+                const bags = new THREE.Mesh(new THREE.BoxGeometry(2, 0.9, 0.7), bagMat);
+                bags.position.set(blockX + offX * cosR + 3 * sinR, 0.45, blockZ - offX * sinR + 3 * cosR);
+                bags.rotation.y = roadblockRotation;
+                bags.castShadow = true;
+                this.game.scene.add(bags);
+                props.push(bags);
+            }
+            for (const offX of [-3, 3]) {
+                const x = blockX + offX * cosR + 4.5 * sinR;
+                const z = blockZ - offX * sinR + 4.5 * cosR;
+                const unit = this._createOfficer('military', x, z, roadblockRotation + Math.PI);
+                unit.post = new THREE.Vector3(x, 0, z);
+                this.policeUnits.push(unit);
+            }
+        }
+
         // Spike strip behind the V-formation
         const stripGeo = new THREE.BoxGeometry(rw, 0.05, 0.5);
         const stripMat = new THREE.MeshStandardMaterial({ color: 0x111111, roughness: 0.5 });
@@ -1358,6 +2059,7 @@ export class WantedSystem {
             group: group,
             strip: strip,
             cars: group.userData.cars || [],
+            props,
             flashTime: 0
         });
     }
@@ -1386,44 +2088,323 @@ export class WantedSystem {
         }
     }
 
+    // === ARRESTS ===
+
+    _createPoliceStations() {
+        const graph = this.game.systems.world.sidewalkGraph;
+        const lampMat = new THREE.MeshStandardMaterial({ color: 0x2255ff, emissive: 0x2255ff, emissiveIntensity: 0.8 });
+        const postMat = new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.6 });
+
+        // One sign texture for them all
+        const signCanvas = document.createElement('canvas');
+        signCanvas.width = 256;
+        signCanvas.height = 64;
+        const sCtx = signCanvas.getContext('2d');
+        sCtx.fillStyle = '#112266';
+        sCtx.fillRect(0, 0, 256, 64);
+        sCtx.fillStyle = '#ffffff';
+        sCtx.font = 'bold 36px Arial';
+        sCtx.textAlign = 'center';
+        sCtx.fillText('POLICE', 128, 46);
+        const signMat = new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(signCanvas), side: THREE.DoubleSide });
+
+        for (const station of this.policeStations) {
+            const node = graph && graph.nearestNode(station.x, station.z);
+            if (node) {
+                station.x = node.x;
+                station.z = node.z;
+            }
+
+            // Blue lamp on a post with the sign under it
+            const group = new THREE.Group();
+            const post = new THREE.Mesh(new THREE.CylinderGeometry(0.08, 0.08, 3.2, 6), postMat);
+            post.position.y = 1.6;
+            group.add(post);
+            const lamp = new THREE.Mesh(new THREE.SphereGeometry(0.3, 8, 6), lampMat);
+            lamp.position.y = 3.4;
+            group.add(lamp);
+            const sign = new THREE.Mesh(new THREE.PlaneGeometry(1.6, 0.4), signMat);
+            sign.position.y = 2.7;
+            group.add(sign);
+            group.position.set(station.x, 0, station.z);
+            this.game.scene.add(group);
+        }
+    }
+
+    // At 1-2 stars a suspect who lets an officer walk right up to them and stays put gets
+    // arrested; in a car, once it's stopped
+    _checkBust(dt) {
+        const player = this.game.systems.player;
+        if (dt <= 0) return;
+        const pos = player.inVehicle && player.currentVehicle ? player.currentVehicle.mesh.position : player.position;
+        const last = this._lastSuspectPos;
+        const speed = last ? Math.hypot(pos.x - last.x, pos.z - last.z) / dt : 0;
+        this._lastSuspectPos = { x: pos.x, z: pos.z };
+
+        const reach = BUST_RANGE + (player.inVehicle ? 1.5 : 0);
+        const cop = player.isDead || speed > BUST_STILL ? null : this.policeUnits.find(u =>
+            u.alive && u.state === 'chase' && !u.vehicle && !u.rappel && !u.post &&
+            Math.hypot(u.mesh.position.x - pos.x, u.mesh.position.z - pos.z) < reach);
+        this._bustHold = cop ? this._bustHold + dt : 0;
+        if (this._bustHold >= BUST_HOLD) this._bust(cop);
+    }
+
+    _bust(unit) {
+        const player = this.game.systems.player;
+        if (this.surrendering) this._endSurrender();
+        this._bustHold = 0;
+        this.busted = { unit, timer: BUST_TIME, angle: player.rotation + Math.PI * 0.75 };
+        this.game.setState('busted');
+
+        // Face each other, hands up
+        const dx = player.position.x - unit.mesh.position.x;
+        const dz = player.position.z - unit.mesh.position.z;
+        unit.mesh.rotation.y = Math.atan2(dx, dz);
+        if (!player.inVehicle) {
+            player.rotation = Math.atan2(-dx, -dz);
+            player.model.rotation.y = player.rotation;
+            player.animState = 'hands_up';
+            if (player.mixer && player.actions['hands_up']) player._crossfadeTo('hands_up');
+        }
+        this._say(unit, ["You're under arrest!", "Hands behind your back!", "You have the right to remain silent!"]);
+
+        const screen = document.getElementById('busted-screen');
+        if (screen) {
+            screen.style.display = 'flex';
+            // Restart the animations each time
+            screen.style.animation = 'none';
+            screen.offsetHeight;
+            screen.style.animation = 'bustedFadeIn 1.5s ease-in 1s forwards';
+            const text = document.getElementById('busted-text');
+            if (text) {
+                text.style.animation = 'none';
+                text.offsetHeight;
+                text.style.animation = 'wastedTextIn 0.8s ease-out 1.3s both';
+            }
+        }
+    }
+
+    // The arrest scene, run by Game while in the busted state: the camera circles the
+    // suspect and the arresting officer, then it's off to the station
+    updateBusted(dt) {
+        const bust = this.busted;
+        if (!bust) return;
+        const player = this.game.systems.player;
+        // Player.update is paused, so the hands-up pose is kept going from here
+        if (player.mixer) player.mixer.update(dt);
+        else if (player.parts && player.animState === 'hands_up') player._updateFallbackAnimation(dt, 0);
+
+        bust.timer -= dt;
+        bust.angle += dt * 0.3;
+        const cop = bust.unit.mesh.position;
+        const focus = new THREE.Vector3((cop.x + player.position.x) / 2, player.position.y + 1, (cop.z + player.position.z) / 2);
+        const eye = new THREE.Vector3(focus.x + Math.sin(bust.angle) * 5, focus.y + 1.5, focus.z + Math.cos(bust.angle) * 5);
+        this.game.systems.camera.setCutsceneCamera(eye, focus);
+
+        if (bust.timer <= 0) this._completeArrest();
+    }
+
+    // Booked at the station in the district of the arrest: fined, weapons taken, and let go
+    // with a clean record
+    _completeArrest() {
+        const player = this.game.systems.player;
+        const district = this.game.systems.world.getDistrict(player.position.x, player.position.z);
+        const station = this.policeStations.find(s => s.district === district) || this.policeStations[0];
+        const fine = Math.min(player.cash, BUST_FINES[this.level] || 0);
+
+        this.busted = null;
+        this.game.systems.camera.clearCutsceneCamera();
+        const screen = document.getElementById('busted-screen');
+        if (screen) {
+            screen.style.display = 'none';
+            screen.style.animation = '';
+        }
+
+        player.releaseFromCustody(station.x, station.z, fine);
+        this.witnesses.clear();
+        this.setLevel(0);
+        this.game.events.emit('player:busted', { fine, district });
+        this.game.systems.ui.showMissionText(`Released from ${station.name}\nFined $${fine}. Weapons confiscated.`, 4);
+    }
+
+    // === SURRENDER ===
+
+    // Hands up (the player's surrender key). At 1-2 stars the nearest officer comes over to
+    // talk terms; higher than that they just come and cuff you. Nobody shoots a suspect who
+    // has given up, but lowering your hands or moving again counts as resisting.
+    surrender() {
+        const player = this.game.systems.player;
+        if (this.level <= 0 || this.busted || this.surrendering || player.inVehicle || player.isDead) return false;
+        const unit = this._nearestOfficer();
+        if (!unit) {
+            this.game.systems.ui.showMissionText('No police close enough to surrender to', 2);
+            return false;
+        }
+        this.surrendering = { unit, talk: 0 };
+        player.isSurrendering = true;
+        player.velocity.x = 0;
+        player.velocity.z = 0;
+        this._bustHold = 0;
+        this.reportSighting(player.position);
+        this._say(unit, this.level <= 2
+            ? ["Keep those hands where I can see them!", "Stay right there!", "Don't move, I'm coming over!"]
+            : ["Suspect is surrendering, hold your fire!", "On your knees!", "Hands on your head!"]);
+        return true;
+    }
+
+    // Hands down or a run for it after giving up: resisting arrest
+    breakSurrender() {
+        const surrender = this.surrendering;
+        if (!surrender) return;
+        this._endSurrender();
+        if (surrender.unit.alive) this._say(surrender.unit, ["He's resisting!", "I said don't move!", "Suspect is resisting arrest!"]);
+        this.addHeat(SURRENDER_HEAT);
+        this.game.systems.ui.showMissionText('Resisting arrest!', 2);
+    }
+
+    _endSurrender() {
+        this.surrendering = null;
+        this.game.systems.player.isSurrendering = false;
+    }
+
+    _holdingFire() {
+        return !!this.surrendering || this._holdFire > 0;
+    }
+
+    // Nearest officer on foot within surrendering distance
+    _nearestOfficer() {
+        const pos = this.game.systems.player.position;
+        let nearest = null;
+        let nearestDist = SURRENDER_RANGE;
+        for (const unit of this.policeUnits) {
+            if (!unit.alive || !unit.mesh || unit.vehicle || unit.rappel) continue;
+            const d = Math.hypot(unit.mesh.position.x - pos.x, unit.mesh.position.z - pos.z);
+            if (d < nearestDist) {
+                nearest = unit;
+                nearestDist = d;
+            }
+        }
+        return nearest;
+    }
+
+    _updateSurrender(dt) {
+        const surrender = this.surrendering;
+        const player = this.game.systems.player;
+        if (player.isDead || player.inVehicle) {
+            this._endSurrender();
+            return;
+        }
+        if (!surrender.unit.alive) {
+            // Whoever was coming over went down: the next one takes over, if there's anyone
+            surrender.unit = this._nearestOfficer();
+            surrender.talk = 0;
+            if (!surrender.unit) {
+                this._endSurrender();
+                return;
+            }
+        }
+
+        // Too much heat for a deal: the first officer to reach you makes the arrest
+        if (this.level >= 3) {
+            this._checkBust(dt);
+            return;
+        }
+
+        const cop = surrender.unit.mesh.position;
+        if (Math.hypot(cop.x - player.position.x, cop.z - player.position.z) > NEGOTIATE_RANGE) return;
+        if (surrender.talk === 0) {
+            this._say(surrender.unit, ["Alright. Let's talk about this.", "So what are we going to do with you?", "You know how this works."]);
+        }
+        surrender.talk += dt;
+        if (surrender.talk >= NEGOTIATE_TIME) this._settle(surrender.unit);
+    }
+
+    // How a negotiation ends: a ticket at 1 star, a bribe at 2, and the cells for anyone who
+    // can't pay
+    _settle(unit) {
+        const player = this.game.systems.player;
+        const ui = this.game.systems.ui;
+        const level = this.level;
+
+        if (level === 1 && player.cash >= SPOT_FINE) {
+            this._endSurrender();
+            player.addCash(-SPOT_FINE);
+            this._say(unit, ["Consider this a warning.", "Pay the fine and get out of here.", "Don't let me see you again."]);
+            this.witnesses.clear();
+            this.setLevel(0);
+            ui.showMissionText(`Fined $${SPOT_FINE} on the spot`, 3);
+            this.game.events.emit('wanted:surrendered', { outcome: 'fine', cost: SPOT_FINE });
+        } else if (level === 2 && player.cash >= BRIBE) {
+            // The officer pockets the cash and drops a bribe star behind you; pick it up before
+            // the ceasefire runs out and the slate is clean
+            this._endSurrender();
+            player.addCash(-BRIBE);
+            this._say(unit, ["I didn't see anything.", "This never happened.", "Go on, before I change my mind."]);
+            this._holdFire = BRIBE_GRACE;
+            const dx = player.position.x - unit.mesh.position.x;
+            const dz = player.position.z - unit.mesh.position.z;
+            const len = Math.hypot(dx, dz) || 1;
+            const star = this._addBribeStar(player.position.x + dx / len * 6, player.position.z + dz / len * 6);
+            star.stars = level;
+            star.dropped = true;
+            star.expires = BRIBE_GRACE;
+            ui.showMissionText(`Bribed the officer $${BRIBE} - grab the star`, 3);
+            this.game.events.emit('wanted:surrendered', { outcome: 'bribe', cost: BRIBE });
+        } else {
+            this.game.events.emit('wanted:surrendered', { outcome: 'arrest', cost: Math.min(player.cash, BUST_FINES[level]) });
+            this._bust(unit);
+        }
+    }
+
     // === BRIBE STAR PICKUPS ===
 
     _createBribeStars() {
         for (const pos of this._bribeStarPositions) {
-            // Star shape using octahedron
-            const geo = new THREE.OctahedronGeometry(0.6);
-            const mat = new THREE.MeshBasicMaterial({
-                color: 0xffdd00,
-                transparent: true,
-                opacity: 0.8
-            });
-            const mesh = new THREE.Mesh(geo, mat);
-            mesh.position.set(pos.x, 1.5, pos.z);
-            this.game.scene.add(mesh);
-
-            // Glow ring
-            const ringGeo = new THREE.RingGeometry(0.9, 1.1, 6);
-            const ringMat = new THREE.MeshBasicMaterial({
-                color: 0xffdd00,
-                transparent: true,
-                opacity: 0.3,
-                side: THREE.DoubleSide,
-                depthWrite: false
-            });
-            const ring = new THREE.Mesh(ringGeo, ringMat);
-            ring.rotation.x = -Math.PI / 2;
-            ring.position.set(pos.x, 0.1, pos.z);
-            this.game.scene.add(ring);
-
-            this._bribeStars.push({
-                mesh, ring,
-                x: pos.x, z: pos.z,
-                active: true,
-                respawnTimer: 0
-            });
+            this._addBribeStar(pos.x, pos.z);
         }
     }
 
+    // stars: how many stars it knocks off. A star dropped by a bribed officer is gone once
+    // taken or when its time runs out; the street ones come back.
+    _addBribeStar(x, z) {
+        // Star shape using octahedron
+        const geo = new THREE.OctahedronGeometry(0.6);
+        const mat = new THREE.MeshBasicMaterial({
+            color: 0xffdd00,
+            transparent: true,
+            opacity: 0.8
+        });
+        const mesh = new THREE.Mesh(geo, mat);
+        mesh.position.set(x, 1.5, z);
+        this.game.scene.add(mesh);
+
+        // Glow ring
+        const ringGeo = new THREE.RingGeometry(0.9, 1.1, 6);
+        const ringMat = new THREE.MeshBasicMaterial({
+            color: 0xffdd00,
+            transparent: true,
+            opacity: 0.3,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        const ring = new THREE.Mesh(ringGeo, ringMat);
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.set(x, 0.1, z);
+        this.game.scene.add(ring);
+
+        const star = {
+            mesh, ring,
+            x, z,
+            active: true,
+            respawnTimer: 0,
+            stars: 1,
+            dropped: false,
+            expires: 0
+        };
+        this._bribeStars.push(star);
+        return star;
+    }
+
     _updateBribeStars(dt) {
         const player = this.game.systems.player;
 
@@ -1442,20 +2423,23 @@ export class WantedSystem {
                     const dist = Math.sqrt(dx * dx + dz * dz);
 
                     if (dist < 4) {
-                        // Reduce wanted by 1 star
-                        this.level = Math.max(0, this.level - 1);
-                        this.heat = Math.max(0, this.heat - 3);
+                        // Reduce wanted by the star's worth
+                        const previous = this.level;
+                        this.level = Math.max(0, this.level - star.stars);
+                        this.heat = Math.max(0, this.heat - 3 * star.stars);
                         star.active = false;
                         star.mesh.visible = false;
                         star.ring.visible = false;
                         star.respawnTimer = 90; // 90 second respawn
+                        star.expires = 0;
 
-                        this.game.systems.ui.showMissionText('BRIBE STAR! -1 Wanted Level', 2);
+                        this.game.systems.ui.showMissionText(`BRIBE STAR! -${star.stars} Wanted Level`, 2);
                         this.game.systems.audio.playPickup();
 
                         if (this.level <= 0) {
                             this.clearWanted();
                         }
+                        this._announceLevel(previous, 'bribe');
                     }
                 }
             } else {
@@ -1465,6 +2449,21 @@ export class WantedSystem {
                 }
             }
         }
+
+        // Dropped stars don't come back
+        for (let i = this._bribeStars.length - 1; i >= 0; i--) {
+            const star = this._bribeStars[i];
+            if (!star.dropped) continue;
+            star.expires -= dt;
+            if (star.expires <= 0) {
+                for (const mesh of [star.mesh, star.ring]) {
+                    this.game.scene.remove(mesh);
+                    mesh.geometry.dispose();
+                    mesh.material.dispose();
+                }
+                this._bribeStars.splice(i, 1);
+            }
+        }
     }
 
     // === ESCAPE ZONES ===
@@ -1533,6 +2532,7 @@ export class WantedSystem {
                 // After 15 seconds in zone, auto-clear wanted
                 if (this._escapeZoneTimer >= 15) {
                     this.game.systems.ui.showMissionText('ESCAPED!', 3);
+                    this.game.events.emit('wanted:escaped', { level: this.level, method: 'zone' });
                     this.clearWanted();
                     this._inEscapeZone = false;
                     return;
@@ -36,6 +36,10 @@ export class WeaponManager {
 
         this.attackCooldown = 0;
 
+        // Lifetime shot counters (mission replays score accuracy from these)
+        this.shotsFired = 0;
+        this.shotsHit = 0;
+
         // Weapon shops
         this.shops = [];
         this.shopOpen = false;
@@ -361,6 +365,8 @@ export class WeaponManager {
 
         // If shop is open, don't process weapon inputs
         if (this.shopOpen) return;
+        // Nor with hands up
+        if (player.isSurrendering) return;
 
         // Attack cooldown
         this.attackCooldown = Math.max(0, this.attackCooldown - dt);
@@ -519,7 +525,7 @@ export class WeaponManager {
                 const dot = forward.dot(toNPC);
                 if (dot > 0.3) {
                     meleeHit = true;
-                    npc.takeDamage(damage);
+                    npc.takeDamage(damage, player);
                     // Knife backstab = 1-hit kill (player behind the NPC)
                     if (def === this.weaponDefs.knife) {
                         const npcForward = new THREE.Vector3(
@@ -527,7 +533,7 @@ export class WeaponManager {
                         );
                         // If player's attack direction aligns with NPC's facing (both looking same way), it's from behind
                         if (forward.dot(npcForward) > 0.5) {
-                            npc.takeDamage(999);
+                            npc.takeDamage(999, player);
                         }
                     }
                     // Final combo hit knockback
@@ -539,6 +545,17 @@ export class WeaponManager {
                 }
             }
 
+            // Police take a beating too
+            for (const unit of this.game.systems.wanted.policeUnits) {
+                if (!unit.alive || !unit.mesh.visible) continue;
+                const toUnit = new THREE.Vector3().subVectors(unit.mesh.position, player.position);
+                if (toUnit.length() > def.range) continue;
+                if (forward.dot(toUnit.normalize()) > 0.3) {
+                    meleeHit = true;
+                    this.game.systems.wanted.damageUnit(unit, damage, player);
+                }
+            }
+
             // Trigger nearby NPC reactions when a melee hit connects
             if (meleeHit) {
                 npcs.reactToMelee(player.position);
@@ -588,6 +605,7 @@ export class WeaponManager {
         this.createShellCasing(origin, forward);
 
         const pellets = def.pellets || 1;
+        let hit = false;
 
         for (let p = 0; p < pellets; p++) {
             const dir = forward.clone();
@@ -602,8 +620,12 @@ export class WeaponManager {
             this.createTracer(origin.clone(), dir.clone(), def.range);
 
             // Raycast for hit detection
-            this.checkRangedHit(origin, dir, def);
+            if (this.checkRangedHit(origin, dir, def)) hit = true;
         }
+
+        // A shotgun blast counts as one shot, hit if any pellet connects
+        this.shotsFired++;
+        if (hit) this.shotsHit++;
     }
 
     createMuzzleFlash(origin, direction) {
@@ -863,9 +885,10 @@ export class WeaponManager {
         });
     }
 
+    // Returns true when the shot hit an NPC
     checkRangedHit(origin, direction, def) {
         const npcs = this.game.systems.npcs;
-        if (!npcs) return;
+        if (!npcs) return false;
 
         // Rapier raycast against static geometry (walls/buildings)
         let wallDist = def.range;
@@ -895,10 +918,30 @@ export class WeaponManager {
             const dist = closest.distanceTo(new THREE.Vector3(npc.mesh.position.x, origin.y, npc.mesh.position.z));
 
             if (dist < 1.0) {
-                npc.takeDamage(def.damage);
-                break;
+                npc.takeDamage(def.damage, this.game.systems.player);
+                return true;
+            }
+        }
+
+        // Same test against the police
+        const wanted = this.game.systems.wanted;
+        for (const unit of wanted.policeUnits) {
+            if (!unit.alive || !unit.mesh.visible) continue;
+
+            const toUnit = new THREE.Vector3().subVectors(unit.mesh.position, origin);
+            toUnit.y = 0;
+            const proj = toUnit.dot(direction);
+            if (proj < 0 || proj > Math.min(def.range, wallDist)) continue;
+
+            const closest = origin.clone().add(direction.clone().multiplyScalar(proj));
+            const dist = closest.distanceTo(new THREE.Vector3(unit.mesh.position.x, origin.y, unit.mesh.position.z));
+
+            if (dist < 1.0) {
+                wanted.damageUnit(unit, def.damage, this.game.systems.player);
+                return true;
             }
         }
+        return false;
     }
 
     createImpactEffect(point) {
@@ -979,7 +1022,7 @@ export class WeaponManager {
                 for (const npc of npcs.pedestrians) {
                     if (!npc.alive || !npc.mesh) continue;
                     if (proj.mesh.position.distanceTo(npc.mesh.position) < 2) {
-                        npc.takeDamage(proj.damage);
+                        npc.takeDamage(proj.damage, this.game.systems.player);
 
                         if (proj.isAtomizer) {
                             // Atomizer ragdoll effect
@@ -992,6 +1035,18 @@ export class WeaponManager {
                     }
                 }
             }
+            if (!removed) {
+                const wanted = this.game.systems.wanted;
+                for (const unit of wanted.policeUnits) {
+                    if (!unit.alive || !unit.mesh.visible) continue;
+                    if (proj.mesh.position.distanceTo(unit.mesh.position) < 2) {
+                        wanted.damageUnit(unit, proj.damage, this.game.systems.player);
+                        this.removeProjectile(i);
+                        removed = true;
+                        break;
+                    }
+                }
+            }
 
             // Max range — only if not already removed
             if (!removed && proj.traveled > proj.range) {
@@ -1042,7 +1097,7 @@ export class WeaponManager {
             // Fuse countdown
             g.fuseTimer -= dt;
             if (g.fuseTimer <= 0) {
-                this.explode(g.mesh.position, 8, 80);
+                this.explode(g.mesh.position, 8, 80, this.game.systems.player);
                 this.game.scene.remove(g.mesh);
                 g.mesh.geometry.dispose();
                 g.mesh.material.dispose();
@@ -1051,7 +1106,8 @@ export class WeaponManager {
         }
     }
 
-    explode(position, radius, damage) {
+    // attacker: the player for their own grenades, null for a car going up
+    explode(position, radius, damage, attacker = null) {
         // Visual: flash + expanding sphere
         const flashGeo = new THREE.SphereGeometry(radius * 0.3, 8, 8);
         const flashMat = new THREE.MeshBasicMaterial({
@@ -1130,7 +1186,7 @@ export class WeaponManager {
 
         // NPC reaction to explosion
         const npcs = this.game.systems.npcs;
-        if (npcs) npcs.reactToExplosion(position);
+        if (npcs) npcs.reactToExplosion(position, attacker);
 
         // Damage NPCs in radius
         if (npcs) {
@@ -1139,7 +1195,7 @@ export class WeaponManager {
                 const dist = position.distanceTo(npc.mesh.position);
                 if (dist < radius) {
                     const dmg = damage * (1 - dist / radius);
-                    npc.takeDamage(dmg);
+                    npc.takeDamage(dmg, attacker, position);
 
                     // Ragdoll force
                     const forceDir = new THREE.Vector3().subVectors(npc.mesh.position, position).normalize();
@@ -1149,6 +1205,16 @@ export class WeaponManager {
             }
         }
 
+        // Officers on foot; those still in their vehicles are protected by it
+        const wanted = this.game.systems.wanted;
+        for (const unit of wanted.policeUnits) {
+            if (!unit.alive || !unit.mesh.visible) continue;
+            const dist = position.distanceTo(unit.mesh.position);
+            if (dist < radius) {
+                wanted.damageUnit(unit, damage * (1 - dist / radius), attacker);
+            }
+        }
+
         // Damage vehicles in radius
         for (const v of this.game.systems.vehicles.vehicles) {
             if (!v.mesh) continue;
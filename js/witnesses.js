@@ -0,0 +1,237 @@
+// San Claudio - Witnesses
+// Crimes reach the police through the people who see them. Pedestrians in sight of one pull
+// out a phone (an icon over their head) and call it in a few seconds later; kill them, or
+// scare them off by pointing a weapon at them or hitting them, and the call never gets made.
+// Each call adds the crime's heat: the first in full, every further witness to the same
+// crime half as much again. Police who see a crime for themselves don't wait for anyone to
+// call (see WantedSystem.crime).
+
+const WITNESS_RANGE = 35;      // Metres a pedestrian sees a crime from in daylight
+const NIGHT_FACTOR = 0.6;      // How much of that range is left after dark
+const EYE_HEIGHT = 1.6;
+const NOTICE_TIME = 1;         // Seconds of staring before the phone comes out
+const CALL_TIME = [4, 7];      // Seconds on the phone before the report gets through
+const MAX_CALLERS = 5;         // Witnesses to a single crime who bother to call
+const EXTRA_WITNESS = 0.5;     // Share of a crime's heat each report after the first adds
+const AIM_RANGE = 15;          // A gun pointed at a caller from this close scares them off...
+const AIM_CONE = 0.9;          // ...if it's pointing this straight at them (cosine)
+const LOOM_RANGE = 2.5;        // Square up to a caller this close and they back off too
+
+// heat: what one report adds to the wanted meter
+export const CRIMES = {
+    assault: { heat: 0.25, label: 'assault' },
+    carjacking: { heat: 0.75, label: 'carjacking' },
+    murder: { heat: 1, label: 'murder' }
+};
+
+const CALL_LINES = [
+    "Hello, police? Somebody just—", "911? You gotta send someone!", "I'm watching it right now!",
+    "Yes, I can see them from here!", "Send a car, quick!"
+];
+const SCARED_LINES = [
+    "Okay, okay! I didn't see nothing!", "I'm hanging up! I'm hanging up!",
+    "Wrong number, wrong number!", "Please, I won't tell anyone!"
+];
+
+export class Witnesses {
+    constructor(game) {
+        this.game = game;
+        this.callers = [];  // { npc, citizen, crime, notice, timer, calling, icon }; crime: { type, victim, position, reports }
+        this._iconMaterial = null;
+    }
+
+    // Everyone who can see the player commit a crime starts dialling. The victim doesn't
+    // count, and nor do gang members: they don't talk to the police.
+    witness(type, victim = null) {
+        const player = this.game.systems.player;
+        const world = this.game.systems.world;
+        const wanted = this.game.systems.wanted;
+        // Hitting someone who then dies is one crime, not two: the calls already being made
+        // about the victim become reports of the worse one
+        let crime = victim && this.callers.find(c => c.crime.victim === victim)?.crime;
+        if (crime) {
+            if (CRIMES[type].heat > CRIMES[crime.type].heat) crime.type = type;
+        } else {
+            crime = { type, victim, position: player.position.clone(), reports: 0 };
+        }
+        const range = WITNESS_RANGE * (world.isNight ? NIGHT_FACTOR : 1);
+        const eye = { x: player.position.x, y: player.position.y + EYE_HEIGHT, z: player.position.z };
+
+        const seen = [];
+        for (const npc of this.game.systems.npcs.pedestrians) {
+            if (!npc.alive || !npc.mesh || npc === victim || npc.citizen?.crew) continue;
+            if (this.callers.some(c => c.npc === npc)) continue; // Already on the phone
+            const pos = npc.mesh.position;
+            const dist = Math.hypot(pos.x - eye.x, pos.z - eye.z);
+            if (dist > range) continue;
+            if (!wanted._lineOfSight({ x: pos.x, y: pos.y + EYE_HEIGHT, z: pos.z }, eye)) continue;
+            seen.push({ npc, dist });
+        }
+        seen.sort((a, b) => a.dist - b.dist);
+
+        for (const { npc } of seen.slice(0, MAX_CALLERS)) {
+            this.callers.push({
+                npc,
+                citizen: npc.citizen,
+                crime,
+                notice: NOTICE_TIME,
+                timer: CALL_TIME[0] + Math.random() * (CALL_TIME[1] - CALL_TIME[0]),
+                calling: false,
+                icon: null
+            });
+        }
+        return seen.length;
+    }
+
+    update(dt) {
+        if (this.game.systems.player.isDead) this.clear();
+
+        for (let i = this.callers.length - 1; i >= 0; i--) {
+            const caller = this.callers[i];
+            const npc = caller.npc;
+            // Pooled pedestrians are reused: someone else in the same body means the caller
+            // walked off out of range, still on the phone
+            const present = npc.citizen === caller.citizen;
+
+            if (present && !npc.alive) {
+                this._hangUp(caller);
+                this.callers.splice(i, 1);
+                continue;
+            }
+            if (present && this._threatened(npc)) {
+                this._hangUp(caller);
+                this._flee(npc);
+                this.callers.splice(i, 1);
+                continue;
+            }
+            if (!present && caller.icon) this._hangUp(caller);
+
+            if (!caller.calling) {
+                caller.notice -= dt;
+                if (caller.notice > 0) continue;
+                caller.calling = true;
+                if (present) {
+                    // Phone out, to the ear, watching the scene
+                    caller.icon = this._addIcon(npc);
+                    if (!npc.isFleeing) {
+                        npc._reaction = 'report';
+                        npc._recordingTarget = caller.crime.position.clone();
+                    }
+                    if (Math.random() < 0.5) {
+                        this.game.systems.npcs.showNPCSubtitle(npc, CALL_LINES[Math.floor(Math.random() * CALL_LINES.length)]);
+                    }
+                }
+            }
+            caller.timer -= dt;
+            if (present && npc._reaction === 'report') npc._reactionTimer = Math.max(0.5, caller.timer);
+
+            if (caller.timer <= 0) {
+                this._hangUp(caller);
+                this.callers.splice(i, 1);
+                this._report(caller.crime);
+            }
+        }
+
+        // Bob the icons so they catch the eye
+        const bob = Math.sin(performance.now() * 0.006) * 0.08;
+        for (const caller of this.callers) {
+            if (caller.icon) caller.icon.position.y = 2.4 + bob;
+        }
+    }
+
+    // Hurt but not killed: whoever it was drops the phone and runs
+    scare(npc) {
+        const idx = this.callers.findIndex(c => c.npc === npc && npc.citizen === c.citizen);
+        if (idx < 0) return;
+        this._hangUp(this.callers[idx]);
+        this.callers.splice(idx, 1);
+        this._flee(npc);
+    }
+
+    // Everyone who's still to call, and how long until they get through
+    pending() {
+        return this.callers.map(c => ({ npc: c.npc, crime: c.crime.type, timer: c.notice + c.timer, calling: c.calling }));
+    }
+
+    clear() {
+        for (const caller of this.callers) this._hangUp(caller);
+        this.callers = [];
+    }
+
+    _report(crime) {
+        const wanted = this.game.systems.wanted;
+        const heat = CRIMES[crime.type].heat * (crime.reports === 0 ? 1 : EXTRA_WITNESS);
+        crime.reports++;
+        wanted.addHeat(heat, crime.position);
+        this.game.events.emit('crime:reported', { type: crime.type, reports: crime.reports, heat });
+        if (crime.reports === 1) {
+            this.game.systems.ui.showMissionText(`A witness reported the ${CRIMES[crime.type].label}`, 2);
+        }
+    }
+
+    // Pointing a gun at them, or getting right up in their face
+    _threatened(npc) {
+        const player = this.game.systems.player;
+        if (player.inVehicle || player.isDead) return false;
+        const dx = npc.mesh.position.x - player.position.x;
+        const dz = npc.mesh.position.z - player.position.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+        if (dist < 0.1) return true;
+        const facing = (Math.sin(player.rotation) * dx + Math.cos(player.rotation) * dz) / dist;
+
+        const weapon = player.getCurrentWeapon();
+        const def = weapon && this.game.systems.weapons.weaponDefs[weapon.id];
+        if (def && def.type !== 'melee' && dist < AIM_RANGE && facing > AIM_CONE) return true;
+        return dist < LOOM_RANGE && facing > 0.5;
+    }
+
+    _flee(npc) {
+        const player = this.game.systems.player;
+        const npcs = this.game.systems.npcs;
+        npc._reaction = null;
+        npcs._resetPose(npc);
+        npc.isFleeing = true;
+        npc.fleeTarget = player.position.clone();
+        npc.walkDir = Math.atan2(npc.mesh.position.x - player.position.x, npc.mesh.position.z - player.position.z);
+        npcs.showNPCSubtitle(npc, SCARED_LINES[Math.floor(Math.random() * SCARED_LINES.length)]);
+    }
+
+    _hangUp(caller) {
+        if (caller.icon) {
+            caller.icon.parent?.remove(caller.icon);
+            caller.icon = null;
+        }
+        const npc = caller.npc;
+        if (npc.citizen === caller.citizen && npc._reaction === 'report') npc._reactionTimer = 0;
+    }
+
+    _addIcon(npc) {
+        if (!this._iconMaterial) {
+            // A phone in a white bubble, drawn once and shared
+            const canvas = document.createElement('canvas');
+            canvas.width = 64;
+            canvas.height = 64;
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = 'rgba(255,255,255,0.9)';
+            ctx.beginPath();
+            ctx.arc(32, 32, 30, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#222';
+            ctx.fillRect(22, 12, 20, 40);
+            ctx.fillStyle = '#4af';
+            ctx.fillRect(25, 17, 14, 24);
+            ctx.fillStyle = '#ddd';
+            ctx.fillRect(29, 45, 6, 3);
+            this._iconMaterial = new THREE.SpriteMaterial({
+                map: new THREE.CanvasTexture(canvas),
+                transparent: true,
+                depthTest: false
+            });
+        }
+        const icon = new THREE.Sprite(this._iconMaterial);
+        icon.scale.set(0.6, 0.6, 1);
+        icon.position.y = 2.4;
+        npc.mesh.add(icon);
+        return icon;
+    }
+}
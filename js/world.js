@@ -2,6 +2,9 @@
 // Terrain, buildings, roads, props, districts, weather particles
 // Performance: merged static geometry + instanced props
 
+import { RoadGraph } from './roadgraph.js';
+import { SidewalkGraph } from './sidewalks.js';
+
 // Helper: ensure all geometries are non-indexed before merging
 // (mergeBufferGeometries requires all to be indexed or all non-indexed)
 function safeMerge(geoms) {
@@ -711,6 +714,10 @@ export class World {
         this.createNeonSigns();
         this.createGraffiti();
         this.createTrafficLights();
+        this.roadGraph = new RoadGraph(this);
+        this.roadGraph.build();
+        this.sidewalkGraph = new SidewalkGraph(this);
+        this.sidewalkGraph.build();
         this.createPhysicsColliders();
         this.initLightPool();
         this.createEasterEggs();
@@ -1185,8 +1192,8 @@ export class World {
         const dashGeoms = [];
         const rotMatrix = new THREE.Matrix4().makeRotationX(-Math.PI / 2);
 
-        // Define diagonal boulevards
-        const diagonals = [
+        // Define diagonal boulevards (also read by the road graph)
+        this.diagonalRoads = [
             // Downtown to Strip (NE diagonal)
             { x1: 0, z1: 0, x2: 200, z2: -200 },
             // Downtown to Docks (SW diagonal)
@@ -1195,7 +1202,7 @@ export class World {
             { x1: -200, z1: -200, x2: -200, z2: 0 },
         ];
 
-        for (const diag of diagonals) {
+        for (const diag of this.diagonalRoads) {
             const dx = diag.x2 - diag.x1;
             const dz = diag.z2 - diag.z1;
             const length = Math.sqrt(dx * dx + dz * dz);
@@ -1768,6 +1775,7 @@ export class World {
 
         // Place signs on buildings
         this.shopSigns = [];
+        this.shopFronts = []; // Where the front signs hang, at street level: somewhere for pedestrians to go
         const signGeomsByDistrict = {};
 
         for (const building of this.buildings) {
@@ -1816,6 +1824,7 @@ export class World {
             geo.applyMatrix4(m);
 
             signGeomsByDistrict[distKey].push(geo);
+            this.shopFronts.push({ x: building.x, z: building.z + building.depth / 2 + 1 });
 
             // Also place on back face for some buildings
             if (Math.random() < 0.3) {
@@ -3232,6 +3241,7 @@ export class World {
         this._createTreeInstances('deciduous', deciduousPositions);
         this._createTreeInstances('palm', palmPositions);
         this._createBenchInstances(benchPositions);
+        this.benches = benchPositions;
         this._createDumpsterInstances(dumpsterPositions);
         this._createHydrantInstances(hydrantPositions);
         this._createTrashCanInstances(trashCanPositions);
@@ -3245,6 +3255,7 @@ export class World {
         this._createParkingMeterInstances(parkingMeterPositions);
         this._createNewspaperBoxInstances(newspaperBoxPositions);
         this._createBusStopInstances(busStopPositions);
+        this.busStops = busStopPositions;
         this._createManholeInstances(manholePositions);
         this._createVendorCartInstances(vendorCartPositions);
         this._createPottedPlantInstances(pottedPlantPositions);
@@ -6309,6 +6320,27 @@ export class World {
         }
     }
 
+    // --- Save/load: collectibles are stored by index ---
+    serialize() {
+        return {
+            hiddenPackages: this.hiddenPackages.filter(p => p.collected).map(p => p.index),
+            stuntJumps: this.stuntRamps.map((r, i) => r.completed ? i : -1).filter(i => i >= 0)
+        };
+    }
+
+    deserialize(data) {
+        const found = new Set(data.hiddenPackages);
+        for (const pkg of this.hiddenPackages) {
+            pkg.collected = found.has(pkg.index);
+            pkg.mesh.visible = !pkg.collected;
+        }
+
+        const jumped = new Set(data.stuntJumps);
+        this.stuntRamps.forEach((ramp, i) => {
+            ramp.completed = jumped.has(i);
+        });
+    }
+
     _createAmbientWildlife() {
         this._createBirdFlocks();
         this._createButterflies();